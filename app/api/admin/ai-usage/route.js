@@ -0,0 +1,69 @@
+/**
+ * API Route: /api/admin/ai-usage
+ * AI spend: tokens and estimated cost per day, model, job and record, and this
+ * month's spend against the ai_monthly_budget_usd setting
+ * Protected by admin authentication
+ *
+ * Query parameters:
+ *   days - How far back to look (default: 30, max: 365)
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { getBudgetStatus } from '@/lib/ai-usage';
+
+export const dynamic = 'force-dynamic';
+
+function sumBy(rows, key) {
+    const groups = {};
+    for (const row of rows) {
+        const group = groups[row[key]] || (groups[row[key]] = {
+            [key]: row[key], calls: 0, failed: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0,
+        });
+        group.calls += Number(row.calls);
+        group.failed += Number(row.failed);
+        group.input_tokens += Number(row.input_tokens);
+        group.output_tokens += Number(row.output_tokens);
+        group.cost_usd += parseFloat(row.cost_usd) || 0;
+    }
+    return Object.values(groups);
+}
+
+export async function GET(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { searchParams } = new URL(request.url);
+    const days = Math.min(365, Math.max(1, parseInt(searchParams.get('days') || '30')));
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    const supabase = createServiceClient();
+
+    try {
+        const [daily, jobs, references, budget] = await Promise.all([
+            supabase.rpc('ai_usage_daily', { p_since: since }),
+            supabase.rpc('ai_usage_by_job', { p_since: since, p_limit: 20 }),
+            supabase.rpc('ai_usage_by_reference', { p_since: since, p_limit: 20 }),
+            getBudgetStatus(supabase),
+        ]);
+        for (const result of [daily, jobs, references]) {
+            if (result.error) throw result.error;
+        }
+
+        const rows = (daily.data || []).map(row => ({ ...row, model: `${row.provider}:${row.model}` }));
+        const [totals] = sumBy(rows.map(row => ({ ...row, all: 'all' })), 'all');
+
+        return Response.json({
+            days,
+            budget,
+            totals: totals || { calls: 0, failed: 0, input_tokens: 0, output_tokens: 0, cost_usd: 0 },
+            by_day: sumBy(rows, 'day'),
+            by_model: sumBy(rows, 'model').sort((a, b) => b.cost_usd - a.cost_usd),
+            by_task: sumBy(rows, 'task'),
+            jobs: jobs.data || [],
+            references: references.data || [],
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
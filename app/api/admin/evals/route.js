@@ -0,0 +1,88 @@
+/**
+ * API Route: /api/admin/evals
+ * Prompt evaluation runs against the gold set of hand-verified determinations
+ * Protected by admin authentication
+ *
+ * GET  - Recent runs (metrics only), gold set size and the prompt versions
+ *        (unversioned: the one behind analyses with no ai_prompt_version)
+ * POST - Body: { prompt_version?, provider?, limit? } — run an evaluation now.
+ *        Capped at MAX_API_LIMIT disputes to fit the request time; use
+ *        scripts/eval-prompts.mjs for the whole gold set
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { runEvaluation } from '@/lib/prompt-eval';
+import { PROMPTS, UNVERSIONED_PROMPTS, promptForSetting } from '@/lib/prompts';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+const MAX_API_LIMIT = 25;
+
+export async function GET() {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const supabase = createServiceClient();
+
+    try {
+        const [{ data: runs, error }, { count: goldCount }, { data: setting }] = await Promise.all([
+            supabase
+                .from('ai_eval_runs')
+                .select('id, prompt_version, model, status, total, completed, metrics, error, started_at, completed_at')
+                .order('started_at', { ascending: false })
+                .limit(20),
+            supabase
+                .from('ai_gold_set')
+                .select('id', { count: 'exact', head: true }),
+            supabase
+                .from('admin_settings')
+                .select('value')
+                .eq('key', 'prompt_version_dispute')
+                .maybeSingle(),
+        ]);
+        if (error) throw error;
+
+        return Response.json({
+            runs: runs || [],
+            gold_set_size: goldCount || 0,
+            prompts: Object.entries(PROMPTS.dispute).map(([version, prompt]) => ({
+                version,
+                notes: prompt.notes,
+                unversioned: version === UNVERSIONED_PROMPTS.dispute,
+            })),
+            current: promptForSetting('dispute', setting?.value || null).version,
+            max_limit: MAX_API_LIMIT,
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+export async function POST(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const body = await request.json().catch(() => ({}));
+    if (body.prompt_version && !PROMPTS.dispute[body.prompt_version]) {
+        return Response.json({
+            error: `prompt_version must be one of: ${Object.keys(PROMPTS.dispute).join(', ')}`,
+        }, { status: 400 });
+    }
+    const limit = Math.min(MAX_API_LIMIT, Math.max(1, parseInt(body.limit) || MAX_API_LIMIT));
+    const provider = typeof body.provider === 'string' && body.provider.trim() ? body.provider.trim() : null;
+
+    const supabase = createServiceClient();
+
+    try {
+        const run = await runEvaluation(supabase, {
+            promptVersion: body.prompt_version || null,
+            providerChoice: provider,
+            limit,
+        });
+        return Response.json({ message: `Evaluated ${run.total} gold set disputes`, run });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
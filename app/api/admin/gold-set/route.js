@@ -0,0 +1,134 @@
+/**
+ * API Route: /api/admin/gold-set
+ * The hand-verified determinations prompt evaluations are scored against
+ * Protected by admin authentication
+ *
+ * GET    - Query: ?dispute_id= — that dispute's entry, or all entries
+ * POST   - Body: { dispute_id, outcome, dispute_type?, compensation_amount?, cost_order?, note? }
+ *          Add or replace a dispute's entry. Without outcome, the dispute's
+ *          current (reviewed) AI values are used
+ * DELETE - Query: ?dispute_id= — remove it from the gold set
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { goldFromDispute } from '@/lib/prompt-eval';
+import { DISPUTE_OUTCOMES, DISPUTE_TYPES } from '@/lib/ai-schema';
+
+export const dynamic = 'force-dynamic';
+
+function parseAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) && amount >= 0 ? Math.round(amount * 100) / 100 : NaN;
+}
+
+export async function GET(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { searchParams } = new URL(request.url);
+    const disputeId = searchParams.get('dispute_id');
+    const supabase = createServiceClient();
+
+    try {
+        let query = supabase
+            .from('ai_gold_set')
+            .select('id, dispute_id, outcome, dispute_type, compensation_amount, cost_order, note, verified_at, disputes(dr_no, heading)')
+            .order('verified_at', { ascending: false });
+        if (disputeId) query = query.eq('dispute_id', disputeId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+
+        return Response.json({ entries: data || [] });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+export async function POST(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const body = await request.json().catch(() => ({}));
+    if (!body.dispute_id) {
+        return Response.json({ error: 'dispute_id is required' }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    try {
+        let entry;
+        if (body.outcome) {
+            entry = {
+                dispute_id: body.dispute_id,
+                outcome: body.outcome,
+                dispute_type: body.dispute_type || null,
+                compensation_amount: parseAmount(body.compensation_amount),
+                cost_order: parseAmount(body.cost_order),
+                verified_at: new Date().toISOString(),
+            };
+        } else {
+            const { data: dispute } = await supabase
+                .from('disputes')
+                .select('id, ai_outcome, ai_dispute_type, ai_compensation_amount, ai_cost_order, ai_reviewed_at')
+                .eq('id', body.dispute_id)
+                .single();
+            if (!dispute) {
+                return Response.json({ error: 'Dispute not found' }, { status: 404 });
+            }
+            if (!dispute.ai_outcome) {
+                return Response.json({ error: 'This dispute has no AI values to verify — give the values explicitly' }, { status: 400 });
+            }
+            entry = goldFromDispute(dispute);
+        }
+
+        if (!DISPUTE_OUTCOMES.includes(entry.outcome)) {
+            return Response.json({ error: `outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}` }, { status: 400 });
+        }
+        if (entry.dispute_type && !DISPUTE_TYPES.includes(entry.dispute_type)) {
+            return Response.json({ error: `dispute_type must be one of: ${DISPUTE_TYPES.join(', ')}` }, { status: 400 });
+        }
+        if (Number.isNaN(entry.compensation_amount) || Number.isNaN(entry.cost_order)) {
+            return Response.json({ error: 'Amounts must be non-negative numbers' }, { status: 400 });
+        }
+
+        const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null;
+        const { data, error } = await supabase
+            .from('ai_gold_set')
+            .upsert({ ...entry, note }, { onConflict: 'dispute_id' })
+            .select()
+            .single();
+        if (error) throw error;
+
+        return Response.json({ message: 'Added to the gold set', entry: data });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+export async function DELETE(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { searchParams } = new URL(request.url);
+    const disputeId = searchParams.get('dispute_id');
+    if (!disputeId) {
+        return Response.json({ error: 'dispute_id is required' }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    try {
+        const { error } = await supabase
+            .from('ai_gold_set')
+            .delete()
+            .eq('dispute_id', disputeId);
+        if (error) throw error;
+
+        return Response.json({ message: 'Removed from the gold set' });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
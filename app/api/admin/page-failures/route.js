@@ -0,0 +1,118 @@
+/**
+ * API Route: /api/admin/page-failures
+ * Listing pages a sync could not fetch, and gap-fill jobs to recover them
+ * Protected by admin authentication
+ *
+ * GET  - Coverage report per source plus the unresolved failures (?source_type= to narrow)
+ * POST - Queue a gap-fill job re-fetching the failed pages. Body: { source_type }
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { coverageReport, gapFillPages } from '@/lib/page-failures';
+import { ACTIVE_STATUSES, chainJob } from '@/lib/scrape-jobs';
+import { acquireLock, releaseLock, lockConflict } from '@/lib/job-lock';
+
+export const dynamic = 'force-dynamic';
+
+const SOURCE_TYPES = ['disputes', 'enforcement'];
+
+export async function GET(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { searchParams } = new URL(request.url);
+    const sourceType = searchParams.get('source_type');
+    if (sourceType && !SOURCE_TYPES.includes(sourceType)) {
+        return Response.json({ error: `source_type must be one of: ${SOURCE_TYPES.join(', ')}` }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    try {
+        const sources = sourceType ? [sourceType] : SOURCE_TYPES;
+        const coverage = await Promise.all(sources.map(source => coverageReport(supabase, source)));
+
+        let query = supabase
+            .from('scrape_page_failures')
+            .select('id, source_type, page, total_rows, per_page, error, attempts, first_failed_at, last_failed_at')
+            .is('resolved_at', null)
+            .order('last_failed_at', { ascending: false })
+            .limit(100);
+
+        if (sourceType) query = query.eq('source_type', sourceType);
+
+        const { data: failures, error } = await query;
+        if (error) throw error;
+
+        return Response.json({ coverage, failures: failures || [] });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+export async function POST(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { source_type: sourceType } = await request.json().catch(() => ({}));
+    if (!SOURCE_TYPES.includes(sourceType)) {
+        return Response.json({ error: `source_type must be one of: ${SOURCE_TYPES.join(', ')}` }, { status: 400 });
+    }
+
+    try {
+        const supabase = createServiceClient();
+
+        const { pages, failures } = await gapFillPages(supabase, sourceType);
+        if (pages.length === 0) {
+            return Response.json({ error: `No unresolved ${sourceType} page failures to re-fetch` }, { status: 400 });
+        }
+
+        const { data: activeJob } = await supabase
+            .from('scrape_jobs')
+            .select('*')
+            .eq('source_type', sourceType)
+            .in('status', ACTIVE_STATUSES)
+            .limit(1)
+            .single();
+
+        if (activeJob) {
+            return Response.json({
+                error: `A ${sourceType} sync is already queued, running or paused — let it finish first`,
+                job: activeJob,
+            }, { status: 409 });
+        }
+
+        const jobId = crypto.randomUUID();
+        const { acquired, lock } = await acquireLock(supabase, jobId, `${sourceType}-sync`);
+        if (!acquired) return lockConflict(lock);
+
+        const { data: job, error: jobError } = await supabase
+            .from('scrape_jobs')
+            .insert({
+                id: jobId,
+                status: 'queued',
+                source_type: sourceType,
+                mode: 'gaps',
+                target_pages: pages,
+                slice_count: 0,
+            })
+            .select()
+            .single();
+
+        if (jobError) {
+            await releaseLock(supabase, jobId);
+            throw jobError;
+        }
+
+        chainJob(new URL(request.url).origin, job);
+
+        return Response.json({
+            message: `Gap fill queued: ${pages.length} ${sourceType} page(s) for ${failures} failure(s)`,
+            job,
+            pages,
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * API Route: /api/admin/parties/:id
+ * Protected by admin authentication
+ *
+ * GET  - The party with every dispute and enforcement order link, by link id —
+ *        what the split tool chooses from
+ * POST - Body: { action: "add_alias", alias, note? } or { action: "remove_alias", alias_id }
+ *        — the other names the party is known by (lib/party-aliases.js)
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { addAlias, removeAlias } from '@/lib/party-aliases';
+
+export const dynamic = 'force-dynamic';
+
+const ACTIONS = ['add_alias', 'remove_alias'];
+
+export async function GET(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { id } = await params;
+    const supabase = createServiceClient();
+
+    try {
+        const { data: party, error } = await supabase
+            .from('parties')
+            .select('id, name, normalized_name, party_type, total_disputes, total_enforcement_orders')
+            .eq('id', id)
+            .maybeSingle();
+        if (error) throw error;
+        if (!party) {
+            return Response.json({ error: 'Party not found' }, { status: 404 });
+        }
+
+        const { data: disputeLinks, error: disputeError } = await supabase
+            .from('dispute_parties')
+            .select('id, role, party_type, disputes(id, dr_no, dispute_date, heading)')
+            .eq('party_id', id)
+            .order('disputes(dispute_date)', { ascending: false })
+            .limit(1000);
+        if (disputeError) throw disputeError;
+
+        const { data: enforcementLinks, error: enforcementError } = await supabase
+            .from('enforcement_parties')
+            .select('id, role, party_type, enforcement_orders(id, court_ref_no, order_date, heading)')
+            .eq('party_id', id)
+            .order('enforcement_orders(order_date)', { ascending: false })
+            .limit(1000);
+        if (enforcementError) throw enforcementError;
+
+        return Response.json({
+            party,
+            dispute_links: disputeLinks || [],
+            enforcement_links: enforcementLinks || [],
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+export async function POST(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+    if (!ACTIONS.includes(body.action)) {
+        return Response.json({ error: `action must be one of: ${ACTIONS.join(', ')}` }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    try {
+        if (body.action === 'add_alias') {
+            if (typeof body.alias !== 'string' || !body.alias.trim()) {
+                return Response.json({ error: 'alias is required' }, { status: 400 });
+            }
+            const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null;
+            const alias = await addAlias(supabase, id, body.alias, { note });
+            return Response.json({ success: true, alias });
+        }
+
+        if (!body.alias_id) {
+            return Response.json({ error: 'alias_id is required' }, { status: 400 });
+        }
+        await removeAlias(supabase, id, body.alias_id);
+        return Response.json({ success: true });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
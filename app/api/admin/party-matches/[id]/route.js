@@ -0,0 +1,47 @@
+/**
+ * API Route: /api/admin/party-matches/:id
+ * Record the decision on a candidate pair
+ * Protected by admin authentication
+ *
+ * POST - Body: { status } — "confirmed" (the same party), "rejected" (different
+ *        parties; the pair is kept so later runs don't raise it again) or
+ *        "pending" to undo either
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+
+export const dynamic = 'force-dynamic';
+
+const STATUSES = ['pending', 'confirmed', 'rejected'];
+
+export async function POST(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+    if (!STATUSES.includes(body.status)) {
+        return Response.json({ error: `status must be one of: ${STATUSES.join(', ')}` }, { status: 400 });
+    }
+
+    try {
+        const { data, error } = await createServiceClient()
+            .from('party_match_candidates')
+            .update({
+                status: body.status,
+                reviewed_at: body.status === 'pending' ? null : new Date().toISOString(),
+            })
+            .eq('id', id)
+            .select('id, status, reviewed_at')
+            .maybeSingle();
+        if (error) throw error;
+        if (!data) {
+            return Response.json({ error: 'Match not found' }, { status: 404 });
+        }
+
+        return Response.json({ success: true, match: data });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * API Route: /api/admin/party-matches
+ * Pairs of parties that are probably duplicates (lib/entity-resolution.js)
+ * Protected by admin authentication
+ *
+ * GET  - Query: status ("pending" default, "confirmed", "rejected" or "all"),
+ *        min_score, search (either name), page, limit (default 25, max 100)
+ * POST - Rescore every party and store the candidates. Body: { min_score? }
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { runEntityResolution, MIN_MATCH_SCORE } from '@/lib/entity-resolution';
+
+export const maxDuration = 300;
+export const dynamic = 'force-dynamic';
+
+const STATUSES = ['pending', 'confirmed', 'rejected'];
+
+const PARTY_COLUMNS = 'id, name, party_type, total_disputes, total_enforcement_orders';
+
+export async function GET(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1'));
+    const limit = Math.min(100, Math.max(1, parseInt(searchParams.get('limit') || '25')));
+    const offset = (page - 1) * limit;
+
+    const status = searchParams.get('status') || 'pending';
+    if (status !== 'all' && !STATUSES.includes(status)) {
+        return Response.json({ error: `status must be one of: ${[...STATUSES, 'all'].join(', ')}` }, { status: 400 });
+    }
+    const minScore = parseFloat(searchParams.get('min_score'));
+    const search = (searchParams.get('search') || '').trim();
+
+    const supabase = createServiceClient();
+
+    try {
+        let query = supabase
+            .from('party_match_candidates')
+            .select(`
+                id, score, reasons, trigram, status, reviewed_at, detected_at, last_seen_at,
+                party_a:parties!party_a_id(${PARTY_COLUMNS}),
+                party_b:parties!party_b_id(${PARTY_COLUMNS})
+            `, { count: 'exact' })
+            .order('score', { ascending: false })
+            .order('id', { ascending: true });
+
+        if (status !== 'all') query = query.eq('status', status);
+        if (Number.isFinite(minScore)) query = query.gte('score', minScore);
+        if (search) query = query.or(`name_a.ilike.%${search}%,name_b.ilike.%${search}%`);
+
+        const { data, count, error } = await query.range(offset, offset + limit - 1);
+        if (error) throw error;
+
+        const counts = {};
+        await Promise.all(STATUSES.map(async (s) => {
+            const { count: n } = await supabase
+                .from('party_match_candidates')
+                .select('id', { count: 'exact', head: true })
+                .eq('status', s);
+            counts[s] = n || 0;
+        }));
+
+        const { data: latest } = await supabase
+            .from('party_match_candidates')
+            .select('last_seen_at')
+            .order('last_seen_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        return Response.json({
+            matches: data || [],
+            counts,
+            last_run_at: latest?.last_seen_at || null,
+            min_score: MIN_MATCH_SCORE,
+            total: count || 0,
+            page,
+            limit,
+            total_pages: Math.ceil((count || 0) / limit),
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+export async function POST(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const body = await request.json().catch(() => ({}));
+    const minScore = body.min_score !== undefined ? parseFloat(body.min_score) : MIN_MATCH_SCORE;
+    if (!Number.isFinite(minScore) || minScore < 0.5 || minScore > 1) {
+        return Response.json({ error: 'min_score must be between 0.5 and 1' }, { status: 400 });
+    }
+
+    try {
+        const result = await runEntityResolution(createServiceClient(), { minScore });
+        return Response.json({ success: true, ...result });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
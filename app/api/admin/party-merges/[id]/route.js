@@ -0,0 +1,42 @@
+/**
+ * API Route: /api/admin/party-merges/:id
+ * Undo a merge or split from the log
+ * Protected by admin authentication
+ *
+ * POST - Body: { action: "undo" } — refused while a later merge or split
+ *        involving the same parties still stands, or while a sync holds the lock
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { undoOperation } from '@/lib/party-merge';
+import { acquireLock, releaseLock, lockConflict } from '@/lib/job-lock';
+
+export const maxDuration = 300;
+export const dynamic = 'force-dynamic';
+
+export async function POST(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+    if (body.action !== 'undo') {
+        return Response.json({ error: 'action must be: undo' }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+    const runId = crypto.randomUUID();
+
+    try {
+        const { acquired, lock } = await acquireLock(supabase, runId, 'party-undo');
+        if (!acquired) return lockConflict(lock);
+
+        const entry = await undoOperation(supabase, id);
+        return Response.json({ success: true, entry });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    } finally {
+        await releaseLock(supabase, runId);
+    }
+}
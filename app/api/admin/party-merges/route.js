@@ -0,0 +1,105 @@
+/**
+ * API Route: /api/admin/party-merges
+ * Merge duplicate parties, or split links off a wrongly merged one (lib/party-merge.js)
+ * Protected by admin authentication
+ *
+ * GET  - The merge log, newest first. Query: party_id (entries involving it), page, limit (default 25, max 100)
+ * POST - Body: { action: "merge", canonical_id, duplicate_ids[], match_id?, note? }
+ *           or { action: "split", party_id, target_party_id | name, dispute_link_ids[],
+ *                enforcement_link_ids[], note? }
+ *        Holds the sync lock, so a sync can't re-create or link a party mid-merge
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { mergeParties, splitParty } from '@/lib/party-merge';
+import { acquireLock, releaseLock, lockConflict } from '@/lib/job-lock';
+
+export const maxDuration = 300;
+export const dynamic = 'force-dynamic';
+
+const ACTIONS = ['merge', 'split'];
+
+// Everything but the snapshot, which can run to thousands of links
+const LOG_COLUMNS = 'id, action, party_id, party_name, other_party_ids, other_party_names, note, match_id, created_at, undone_at';
+
+function idList(value) {
+    return Array.isArray(value) ? value.filter(id => typeof id === 'string' && id) : [];
+}
+
+export async function GET(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1'));
+    const limit = Math.min(100, Math.max(1, parseInt(searchParams.get('limit') || '25')));
+    const offset = (page - 1) * limit;
+    const partyId = searchParams.get('party_id') || '';
+
+    try {
+        let query = createServiceClient()
+            .from('party_merge_log')
+            .select(LOG_COLUMNS, { count: 'exact' })
+            .order('created_at', { ascending: false });
+        if (partyId) query = query.or(`party_id.eq.${partyId},other_party_ids.cs.{${partyId}}`);
+
+        const { data, count, error } = await query.range(offset, offset + limit - 1);
+        if (error) throw error;
+
+        return Response.json({
+            entries: data || [],
+            total: count || 0,
+            page,
+            limit,
+            total_pages: Math.ceil((count || 0) / limit),
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+export async function POST(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const body = await request.json().catch(() => ({}));
+    if (!ACTIONS.includes(body.action)) {
+        return Response.json({ error: `action must be one of: ${ACTIONS.join(', ')}` }, { status: 400 });
+    }
+    const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null;
+
+    if (body.action === 'merge' && (!body.canonical_id || idList(body.duplicate_ids).length === 0)) {
+        return Response.json({ error: 'canonical_id and duplicate_ids are required' }, { status: 400 });
+    }
+    if (body.action === 'split'
+        && (!body.party_id || (!body.target_party_id && !(typeof body.name === 'string' && body.name.trim())))) {
+        return Response.json({ error: 'party_id and either target_party_id or name are required' }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+    const runId = crypto.randomUUID();
+
+    try {
+        const { acquired, lock } = await acquireLock(supabase, runId, `party-${body.action}`);
+        if (!acquired) return lockConflict(lock);
+
+        const entry = body.action === 'merge'
+            ? await mergeParties(supabase, body.canonical_id, idList(body.duplicate_ids), {
+                note,
+                matchId: body.match_id || null,
+            })
+            : await splitParty(supabase, body.party_id, {
+                targetPartyId: body.target_party_id || null,
+                name: body.name || null,
+                disputeLinkIds: idList(body.dispute_link_ids),
+                enforcementLinkIds: idList(body.enforcement_link_ids),
+                note,
+            });
+        return Response.json({ success: true, entry });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    } finally {
+        await releaseLock(supabase, runId);
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * API Route: /api/admin/removed-disputes
+ * Disputes that are no longer listed on rtb.ie (withdrawn or redacted)
+ * Protected by admin authentication
+ *
+ * GET  - List flagged disputes (page, limit)
+ * POST - Re-run reconciliation against the last completed full sync
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { reconcileRemovedDisputes, reconciliationBlocker } from '@/lib/source-reconciliation';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1'));
+    const limit = Math.min(100, Math.max(1, parseInt(searchParams.get('limit') || '25')));
+    const offset = (page - 1) * limit;
+
+    const supabase = createServiceClient();
+
+    const { data, count, error } = await supabase
+        .from('disputes')
+        .select('id, dr_no, heading, dispute_date, last_seen_in_source_at, removed_from_source_at', { count: 'exact' })
+        .not('removed_from_source_at', 'is', null)
+        .order('removed_from_source_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+
+    return Response.json({
+        disputes: data || [],
+        total: count || 0,
+        page,
+        limit,
+        total_pages: Math.ceil((count || 0) / limit),
+    });
+}
+
+export async function POST() {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const supabase = createServiceClient();
+
+    // Only a completed full walk has stamped every listed DR number
+    const { data: lastFull } = await supabase
+        .from('scrape_jobs')
+        .select('id, started_at, completed_at, failed_pages')
+        .eq('source_type', 'disputes')
+        .eq('mode', 'full')
+        .eq('status', 'completed')
+        .order('completed_at', { ascending: false })
+        .limit(1)
+        .single();
+
+    if (!lastFull) {
+        return Response.json({ error: 'No completed full sync yet — run a full sync first' }, { status: 400 });
+    }
+
+    try {
+        const blocker = await reconciliationBlocker(supabase, lastFull);
+        if (blocker) {
+            return Response.json({ error: `Last full sync is incomplete: ${blocker}` }, { status: 409 });
+        }
+
+        const result = await reconcileRemovedDisputes(supabase, { since: lastFull.started_at, jobId: lastFull.id });
+        return Response.json({ ...result, job_id: lastFull.id, full_sync_completed_at: lastFull.completed_at });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,152 @@
+/**
+ * API Route: /api/admin/reprocess/:id
+ * One reprocessing job and what it did to each record
+ * Protected by admin authentication
+ *
+ * GET  - Query: status (pending, done, failed, changed), page, limit (default 50, max 200)
+ * POST - Body: { action }
+ *   action "cancel" - stop after the current batch; records already rerun keep their new values
+ *   action "resume" - carry on with the pending records of a failed, cancelled or stalled job;
+ *                     with retry_failed: true, records whose rerun failed are tried again too
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { acquireLock, releaseLock, lockConflict } from '@/lib/job-lock';
+import { isStalled } from '@/lib/scrape-jobs';
+import { chainReprocessJob } from '@/lib/reprocess';
+
+export const dynamic = 'force-dynamic';
+
+const ITEM_FILTERS = ['pending', 'done', 'failed', 'changed'];
+
+export async function GET(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { id } = await params;
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1'));
+    const limit = Math.min(200, Math.max(1, parseInt(searchParams.get('limit') || '50')));
+    const offset = (page - 1) * limit;
+    const status = searchParams.get('status');
+    if (status && !ITEM_FILTERS.includes(status)) {
+        return Response.json({ error: `status must be one of: ${ITEM_FILTERS.join(', ')}` }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    try {
+        const { data: job } = await supabase
+            .from('ai_reprocess_jobs')
+            .select('*')
+            .eq('id', id)
+            .single();
+        if (!job) {
+            return Response.json({ error: 'Reprocessing job not found' }, { status: 404 });
+        }
+
+        let query = supabase
+            .from('ai_reprocess_items')
+            .select('id, record_id, reference, status, before, after, changed, error, processed_at', { count: 'exact' })
+            .eq('job_id', id)
+            .order('position', { ascending: true });
+        if (status === 'changed') query = query.eq('changed', true);
+        else if (status) query = query.eq('status', status);
+
+        const { data: items, count, error } = await query.range(offset, offset + limit - 1);
+        if (error) throw error;
+
+        return Response.json({
+            job: { ...job, stalled: isStalled(job) },
+            items: items || [],
+            total: count || 0,
+            page,
+            limit,
+            total_pages: Math.ceil((count || 0) / limit),
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+export async function POST(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+    if (!['cancel', 'resume'].includes(body.action)) {
+        return Response.json({ error: 'action must be one of: cancel, resume' }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    try {
+        const { data: current } = await supabase
+            .from('ai_reprocess_jobs')
+            .select('*')
+            .eq('id', id)
+            .single();
+        if (!current) {
+            return Response.json({ error: 'Reprocessing job not found' }, { status: 404 });
+        }
+
+        if (body.action === 'cancel') {
+            const { data: job } = await supabase
+                .from('ai_reprocess_jobs')
+                .update({ status: 'cancelled', completed_at: new Date().toISOString() })
+                .eq('id', id)
+                .in('status', ['queued', 'running'])
+                .select()
+                .single();
+            if (!job) {
+                return Response.json({ error: `A ${current.status} job cannot be cancelled` }, { status: 409 });
+            }
+            // A stalled job has no worker left to let go of the lock
+            if (isStalled(current)) await releaseLock(supabase, id);
+            return Response.json({ message: 'Job cancelled — it stops after the current batch', job });
+        }
+
+        const resumable = ['failed', 'cancelled'].includes(current.status) || isStalled(current)
+            || (body.retry_failed && current.status === 'completed' && current.failed > 0);
+        if (!resumable) {
+            return Response.json({ error: `A ${current.status} job cannot be resumed` }, { status: 409 });
+        }
+
+        const { acquired, lock } = await acquireLock(supabase, id, 'ai-reprocess');
+        if (!acquired) return lockConflict(lock);
+
+        if (body.retry_failed) {
+            const { error: retryError } = await supabase
+                .from('ai_reprocess_items')
+                .update({ status: 'pending', error: null })
+                .eq('job_id', id)
+                .eq('status', 'failed');
+            if (retryError) throw retryError;
+        }
+
+        const { data: job, error } = await supabase
+            .from('ai_reprocess_jobs')
+            .update({
+                status: 'queued',
+                last_error: null,
+                completed_at: null,
+                ...(body.retry_failed ? { failed: 0 } : {}),
+            })
+            .eq('id', id)
+            .eq('status', current.status)
+            .select()
+            .single();
+        if (error || !job) {
+            await releaseLock(supabase, id);
+            return Response.json({ error: 'The job changed while resuming — try again' }, { status: 409 });
+        }
+
+        chainReprocessJob(new URL(request.url).origin, job);
+
+        return Response.json({ message: `Resumed — ${(job.total - job.processed - job.failed).toLocaleString()} records to go`, job });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
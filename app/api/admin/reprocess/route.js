@@ -0,0 +1,101 @@
+/**
+ * API Route: /api/admin/reprocess
+ * Rerun the AI analysis on the disputes or enforcement orders matching a filter
+ * Protected by admin authentication
+ *
+ * GET  - Recent reprocessing jobs, and the values the filter accepts
+ * POST - Body: { target, filter, dry_run?, note? }
+ *   target  - "disputes" or "enforcement"
+ *   filter  - { date_from, date_to, outcome, dispute_type, amount_min, amount_max,
+ *              prompt_version, model, has_error } — any subset; "none" for
+ *              prompt_version / model matches records without one, and
+ *              so does dispute-v1 for disputes (it produced them all)
+ *   dry_run - true: just count the matching records and show a sample
+ *   Otherwise queues a job and starts it (409 while another job holds the sync lock)
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { acquireLock, lockConflict } from '@/lib/job-lock';
+import { isStalled } from '@/lib/scrape-jobs';
+import { DISPUTE_TYPES } from '@/lib/ai-schema';
+import { PROMPTS } from '@/lib/prompts';
+import { PARSER_VERSION } from '@/lib/determination-parser';
+import {
+    REPROCESS_TARGETS, MAX_JOB_RECORDS, normaliseFilter, previewFilter, createReprocessJob, chainReprocessJob,
+} from '@/lib/reprocess';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+export async function GET() {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const supabase = createServiceClient();
+
+    try {
+        const { data: jobs, error } = await supabase
+            .from('ai_reprocess_jobs')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(20);
+        if (error) throw error;
+
+        return Response.json({
+            jobs: (jobs || []).map(job => ({ ...job, stalled: isStalled(job) })),
+            options: {
+                targets: Object.keys(REPROCESS_TARGETS),
+                outcomes: Object.fromEntries(Object.entries(REPROCESS_TARGETS).map(([name, t]) => [name, t.outcomes])),
+                dispute_types: DISPUTE_TYPES,
+                prompt_versions: [...Object.keys(PROMPTS.dispute), ...Object.keys(PROMPTS.enforcement), PARSER_VERSION],
+                unversioned_prompts: Object.fromEntries(Object.entries(REPROCESS_TARGETS).map(([name, t]) => [name, t.unversionedPrompt])),
+                max_records: MAX_JOB_RECORDS,
+            },
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
+
+export async function POST(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const body = await request.json().catch(() => ({}));
+    if (!REPROCESS_TARGETS[body.target]) {
+        return Response.json({ error: `target must be one of: ${Object.keys(REPROCESS_TARGETS).join(', ')}` }, { status: 400 });
+    }
+
+    const { filter, errors } = normaliseFilter(body.target, body.filter || {});
+    if (errors.length > 0) {
+        return Response.json({ error: errors.join('; ') }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    try {
+        if (body.dry_run) {
+            const preview = await previewFilter(supabase, body.target, filter);
+            return Response.json({ dry_run: true, target: body.target, filter, ...preview, max_records: MAX_JOB_RECORDS });
+        }
+
+        const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null;
+        const job = await createReprocessJob(supabase, body.target, filter, note);
+
+        const { acquired, lock } = await acquireLock(supabase, job.id, 'ai-reprocess');
+        if (!acquired) {
+            await supabase
+                .from('ai_reprocess_jobs')
+                .update({ status: 'failed', last_error: 'Another job held the sync lock — resume this one when it finishes' })
+                .eq('id', job.id);
+            return lockConflict(lock);
+        }
+
+        chainReprocessJob(new URL(request.url).origin, job);
+
+        return Response.json({ message: `Reprocessing ${job.total.toLocaleString()} ${body.target === 'disputes' ? 'disputes' : 'enforcement orders'}`, job });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
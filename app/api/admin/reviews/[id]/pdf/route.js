@@ -0,0 +1,43 @@
+/**
+ * API Route: /api/admin/reviews/:id/pdf
+ * The determination PDF of a review queue item, served inline so it can sit
+ * beside the model outputs (rtb.ie won't be framed, and the S3 archive is private)
+ * Protected by admin authentication
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { downloadDisputePdf } from '@/lib/openai-service';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { id } = await params;
+    const supabase = createServiceClient();
+
+    const { data: review } = await supabase
+        .from('ai_review_queue')
+        .select('id, disputes(dr_no, pdf_urls, s3_pdf_keys)')
+        .eq('id', id)
+        .single();
+
+    if (!review?.disputes) {
+        return Response.json({ error: 'Review not found' }, { status: 404 });
+    }
+
+    try {
+        const { buffer } = await downloadDisputePdf(review.disputes);
+        return new Response(buffer, {
+            headers: {
+                'Content-Type': 'application/pdf',
+                'Content-Disposition': `inline; filename="${review.disputes.dr_no || 'dispute'}.pdf"`,
+                'Cache-Control': 'private, max-age=3600',
+            },
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 502 });
+    }
+}
@@ -0,0 +1,87 @@
+/**
+ * API Route: /api/admin/reviews/:id
+ * Resolve or reopen a review queue item
+ * Protected by admin authentication
+ *
+ * POST - Body: { action, values?, note? }
+ *   action "accept"  - the stored values are right; lock them
+ *   action "correct" - write `values` ({ compensation_amount, cost_order, outcome,
+ *                      dispute_type, property_address } — any subset) and lock
+ *   action "reopen"  - back to pending, and unlock the dispute for reprocessing
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { resolveReview, reopenReview, normaliseCorrections, REVIEWABLE_FIELDS } from '@/lib/review-queue';
+
+export const dynamic = 'force-dynamic';
+
+const ACTIONS = ['accept', 'correct', 'reopen'];
+
+export async function POST(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { id } = await params;
+    const body = await request.json().catch(() => ({}));
+    if (!ACTIONS.includes(body.action)) {
+        return Response.json({ error: `action must be one of: ${ACTIONS.join(', ')}` }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    try {
+        const { data: review } = await supabase
+            .from('ai_review_queue')
+            .select('id, dispute_id, status')
+            .eq('id', id)
+            .single();
+
+        if (!review) {
+            return Response.json({ error: 'Review not found' }, { status: 404 });
+        }
+
+        if (body.action === 'reopen') {
+            await reopenReview(supabase, review);
+            return Response.json({ message: 'Review reopened — the dispute can be reprocessed again', status: 'pending' });
+        }
+
+        const { values, errors } = body.action === 'correct'
+            ? normaliseCorrections(body.values)
+            : { values: {}, errors: [] };
+        if (errors.length > 0) {
+            return Response.json({ error: errors.join('; ') }, { status: 400 });
+        }
+        if (body.action === 'correct' && Object.keys(values).length === 0) {
+            return Response.json({ error: 'No values to correct' }, { status: 400 });
+        }
+
+        const { data: dispute, error: disputeError } = await supabase
+            .from('disputes')
+            .select(`id, dr_no, ai_provenance, ${Object.values(REVIEWABLE_FIELDS).join(', ')}`)
+            .eq('id', review.dispute_id)
+            .single();
+        if (disputeError) throw disputeError;
+
+        const note = typeof body.note === 'string' && body.note.trim() ? body.note.trim() : null;
+        const result = await resolveReview(supabase, review, dispute, { corrections: values, note });
+
+        // League table totals come from the amounts just changed
+        if (result.resolution.compensation_amount || result.resolution.outcome) {
+            try {
+                await supabase.rpc('recompute_party_awards');
+            } catch (err) {
+                console.warn('[Review] Failed to recompute party awards:', err.message);
+            }
+        }
+
+        return Response.json({
+            message: result.status === 'corrected'
+                ? `${dispute.dr_no} corrected (${Object.keys(result.resolution).join(', ')}) and locked`
+                : `${dispute.dr_no} accepted and locked`,
+            ...result,
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
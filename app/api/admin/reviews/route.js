@@ -0,0 +1,80 @@
+/**
+ * API Route: /api/admin/reviews
+ * Disputes whose AI values need a person to check them against the PDF
+ * Protected by admin authentication
+ *
+ * Query parameters:
+ *   status   - "pending" (default), "accepted", "corrected" or "all"
+ *   reason   - Only this reason (low_confidence, amount_mismatch, review_mismatch)
+ *   page     - Page number (default: 1)
+ *   limit    - Results per page (default: 25, max: 100)
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+import { REVIEW_REASONS } from '@/lib/review-queue';
+
+export const dynamic = 'force-dynamic';
+
+const STATUSES = ['pending', 'accepted', 'corrected'];
+
+export async function GET(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1'));
+    const limit = Math.min(100, Math.max(1, parseInt(searchParams.get('limit') || '25')));
+    const offset = (page - 1) * limit;
+
+    const status = searchParams.get('status') || 'pending';
+    if (status !== 'all' && !STATUSES.includes(status)) {
+        return Response.json({ error: `status must be one of: ${[...STATUSES, 'all'].join(', ')}` }, { status: 400 });
+    }
+    const reason = searchParams.get('reason');
+    if (reason && !REVIEW_REASONS[reason]) {
+        return Response.json({ error: `reason must be one of: ${Object.keys(REVIEW_REASONS).join(', ')}` }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+
+    try {
+        let query = supabase
+            .from('ai_review_queue')
+            .select(`
+                id, reason, details, primary_model, primary_result, review_model, review_result,
+                status, resolution, note, resolved_at, created_at,
+                disputes(id, dr_no, heading, dispute_date, pdf_urls, ai_summary, ai_outcome, ai_compensation_amount,
+                    ai_cost_order, ai_property_address, ai_dispute_type, ai_award_items, ai_model_used, ai_provenance, ai_reviewed_at)
+            `, { count: 'exact' })
+            .order('created_at', { ascending: status === 'pending' });
+
+        if (status !== 'all') query = query.eq('status', status);
+        if (reason) query = query.eq('reason', reason);
+
+        const { data, count, error } = await query.range(offset, offset + limit - 1);
+        if (error) throw error;
+
+        // Queue size per status for the tab badges
+        const counts = {};
+        await Promise.all(STATUSES.map(async (s) => {
+            const { count: n } = await supabase
+                .from('ai_review_queue')
+                .select('id', { count: 'exact', head: true })
+                .eq('status', s);
+            counts[s] = n || 0;
+        }));
+
+        return Response.json({
+            reviews: (data || []).map(({ disputes, ...review }) => ({ ...review, dispute: disputes })),
+            counts,
+            reasons: REVIEW_REASONS,
+            total: count || 0,
+            page,
+            limit,
+            total_pages: Math.ceil((count || 0) / limit),
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
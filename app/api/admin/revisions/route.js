@@ -0,0 +1,57 @@
+/**
+ * API Route: /api/admin/revisions
+ * Recent field-level changes RTB made to already-scraped disputes
+ * Protected by admin authentication
+ *
+ * Query parameters:
+ *   dr_no    - Only revisions for this DR number
+ *   field    - Only revisions touching this field (e.g. pdf_urls)
+ *   page     - Page number (default: 1)
+ *   limit    - Results per page (default: 25, max: 100)
+ */
+
+import { requireAdmin } from '@/lib/admin-auth';
+import { createServiceClient } from '@/lib/supabase';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    const { searchParams } = new URL(request.url);
+    const page = Math.max(1, parseInt(searchParams.get('page') || '1'));
+    const limit = Math.min(100, Math.max(1, parseInt(searchParams.get('limit') || '25')));
+    const offset = (page - 1) * limit;
+
+    const supabase = createServiceClient();
+
+    let query = supabase
+        .from('dispute_revisions')
+        .select('id, dispute_id, dr_no, changed_fields, changes, scrape_job_id, detected_at', { count: 'exact' })
+        .order('detected_at', { ascending: false });
+
+    const drNo = searchParams.get('dr_no');
+    if (drNo) {
+        query = query.ilike('dr_no', `%${drNo}%`);
+    }
+
+    const field = searchParams.get('field');
+    if (field) {
+        query = query.contains('changed_fields', [field]);
+    }
+
+    const { data, count, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+
+    return Response.json({
+        revisions: data || [],
+        total: count || 0,
+        page,
+        limit,
+        total_pages: Math.ceil((count || 0) / limit),
+    });
+}
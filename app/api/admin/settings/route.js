@@ -6,6 +6,17 @@
 
 import { requireAdmin } from '@/lib/admin-auth';
 import { createServiceClient } from '@/lib/supabase';
+import { PROMPTS } from '@/lib/prompts';
+
+/**
+ * Error for a prompt_version_* value that names no prompt in lib/prompts.js
+ */
+function invalidPromptVersion(key, value) {
+    const kind = key.match(/^prompt_version_(\w+)$/)?.[1];
+    if (!kind || !value || PROMPTS[kind]?.[value]) return null;
+    const versions = Object.keys(PROMPTS[kind] || {});
+    return `Unknown ${kind} prompt version "${value}" — use one of ${versions.join(', ')} or leave it empty`;
+}
 
 export async function GET() {
     const authError = await requireAdmin();
@@ -44,6 +55,11 @@ export async function PUT(request) {
         return Response.json({ error: 'Key is required' }, { status: 400 });
     }
 
+    const versionError = invalidPromptVersion(key, value);
+    if (versionError) {
+        return Response.json({ error: versionError }, { status: 400 });
+    }
+
     const { error } = await supabase
         .from('admin_settings')
         .update({
@@ -72,6 +88,11 @@ export async function POST(request) {
         return Response.json({ error: 'Key is required' }, { status: 400 });
     }
 
+    const versionError = invalidPromptVersion(key, value);
+    if (versionError) {
+        return Response.json({ error: versionError }, { status: 400 });
+    }
+
     const { error } = await supabase
         .from('admin_settings')
         .upsert({
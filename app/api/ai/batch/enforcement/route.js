@@ -4,11 +4,15 @@
  * Secured by CRON_SECRET.
  * 
  * GET /api/ai/batch/enforcement — Start/continue batch processing
+ * Holds the sync lock across retriggers via ?run=, and stops at the monthly
+ * AI budget, as /api/ai/batch does.
  */
 
 import { createServiceClient } from '@/lib/supabase';
 import { processUnanalysedEnforcementOrders } from '@/lib/openai-service';
 import { isAuthenticated } from '@/lib/admin-auth';
+import { acquireLock, heartbeatLock, releaseLock, lockConflict } from '@/lib/job-lock';
+import { withUsageContext, getBudgetStatus, budgetExceededMessage } from '@/lib/ai-usage';
 
 export const maxDuration = 300;
 export const dynamic = 'force-dynamic';
@@ -28,11 +32,36 @@ export async function GET(request) {
     }
 
     const url = new URL(request.url);
+    const supabase = createServiceClient();
+    const runId = url.searchParams.get('run');
+
     if (url.searchParams.get('stop') === 'true') {
+        if (runId) await releaseLock(supabase, runId);
         return Response.json({ message: 'Stopped' });
     }
 
-    const supabase = createServiceClient();
+    // Nothing runs once the month's AI budget is spent — not even a retrigger
+    let budget;
+    try {
+        budget = await getBudgetStatus(supabase);
+    } catch (budgetError) {
+        return Response.json({ error: budgetError.message }, { status: 500 });
+    }
+    if (budget.exceeded) {
+        if (runId) await releaseLock(supabase, runId);
+        return Response.json({ message: 'Paused', last_error: budgetExceededMessage(budget), budget });
+    }
+
+    // One run at a time, and never alongside a sync — a retrigger renews its own lease
+    const holder = runId || crypto.randomUUID();
+    let lockResult;
+    try {
+        lockResult = await acquireLock(supabase, holder, 'ai-batch-enforcement');
+    } catch (lockError) {
+        return Response.json({ error: lockError.message }, { status: 500 });
+    }
+    if (!lockResult.acquired) return lockConflict(lockResult.lock);
+
     const startTime = Date.now();
     let totalProcessed = 0;
     let totalFailed = 0;
@@ -43,9 +72,21 @@ export async function GET(request) {
 
     try {
         while (Date.now() - startTime < MAX_RUNTIME_MS) {
+            if (!await heartbeatLock(supabase, holder)) {
+                lastError = 'Lost the sync lock to another job';
+                break;
+            }
+
+            budget = await getBudgetStatus(supabase);
+            if (budget.exceeded) {
+                lastError = budgetExceededMessage(budget);
+                console.warn(`[AI-EO Batch] ${lastError}`);
+                break;
+            }
+
             let result;
             try {
-                result = await processUnanalysedEnforcementOrders(BATCH_SIZE);
+                result = await withUsageContext({ jobId: holder, jobType: 'ai-batch-enforcement' }, () => processUnanalysedEnforcementOrders(BATCH_SIZE));
             } catch (batchErr) {
                 lastError = batchErr.message;
                 console.error('[AI-EO Batch] processUnanalysedEnforcementOrders threw:', batchErr.message);
@@ -87,10 +128,12 @@ export async function GET(request) {
 
     // Self-retrigger if more remain
     if (remaining > 0 && totalProcessed > 0 && !lastError) {
-        const selfUrl = url.origin + '/api/ai/batch/enforcement';
+        const selfUrl = url.origin + '/api/ai/batch/enforcement?run=' + encodeURIComponent(holder);
         fetch(selfUrl, {
             headers: { 'Authorization': `Bearer ${cronSecret}` },
         }).catch(() => { });
+    } else {
+        await releaseLock(supabase, holder);
     }
 
     return Response.json({
@@ -104,5 +147,7 @@ export async function GET(request) {
         remaining: remaining || 0,
         elapsed_ms: Date.now() - startTime,
         last_error: lastError,
+        budget,
+        run_id: holder,
     });
 }
@@ -5,11 +5,17 @@
  * 
  * GET /api/ai/batch — Start/continue batch processing
  * Query params:
- *   stop=true — Stop self-retriggering
+ *   stop=true — Stop self-retriggering (with run=, also frees the sync lock)
+ *   run=<id>  — Run id carried by the self-retrigger so it keeps the sync lock
+ *
+ * Stops, and doesn't retrigger, once this month's estimated AI spend reaches
+ * the ai_monthly_budget_usd setting (lib/ai-usage.js).
  */
 
 import { createServiceClient } from '@/lib/supabase';
 import { processUnanalysedDisputes } from '@/lib/openai-service';
+import { acquireLock, heartbeatLock, releaseLock, lockConflict } from '@/lib/job-lock';
+import { withUsageContext, getBudgetStatus, budgetExceededMessage } from '@/lib/ai-usage';
 
 export const maxDuration = 300;
 export const dynamic = 'force-dynamic';
@@ -26,11 +32,36 @@ export async function GET(request) {
     }
 
     const url = new URL(request.url);
+    const supabase = createServiceClient();
+    const runId = url.searchParams.get('run');
+
     if (url.searchParams.get('stop') === 'true') {
+        if (runId) await releaseLock(supabase, runId);
         return Response.json({ message: 'Stopped' });
     }
 
-    const supabase = createServiceClient();
+    // Nothing runs once the month's AI budget is spent — not even a retrigger
+    let budget;
+    try {
+        budget = await getBudgetStatus(supabase);
+    } catch (budgetError) {
+        return Response.json({ error: budgetError.message }, { status: 500 });
+    }
+    if (budget.exceeded) {
+        if (runId) await releaseLock(supabase, runId);
+        return Response.json({ message: 'Paused', last_error: budgetExceededMessage(budget), budget });
+    }
+
+    // One run at a time, and never alongside a sync — a retrigger renews its own lease
+    const holder = runId || crypto.randomUUID();
+    let lockResult;
+    try {
+        lockResult = await acquireLock(supabase, holder, 'ai-batch');
+    } catch (lockError) {
+        return Response.json({ error: lockError.message }, { status: 500 });
+    }
+    if (!lockResult.acquired) return lockConflict(lockResult.lock);
+
     const startTime = Date.now();
     let totalProcessed = 0;
     let totalFailed = 0;
@@ -41,10 +72,22 @@ export async function GET(request) {
 
     try {
         while (Date.now() - startTime < MAX_RUNTIME_MS) {
+            if (!await heartbeatLock(supabase, holder)) {
+                lastError = 'Lost the sync lock to another job';
+                break;
+            }
+
+            budget = await getBudgetStatus(supabase);
+            if (budget.exceeded) {
+                lastError = budgetExceededMessage(budget);
+                console.warn(`[AI Batch] ${lastError}`);
+                break;
+            }
+
             // Process a batch
             let result;
             try {
-                result = await processUnanalysedDisputes(BATCH_SIZE);
+                result = await withUsageContext({ jobId: holder, jobType: 'ai-batch' }, () => processUnanalysedDisputes(BATCH_SIZE));
             } catch (batchErr) {
                 lastError = batchErr.message;
                 console.error('[AI Batch] processUnanalysedDisputes threw:', batchErr.message);
@@ -98,10 +141,12 @@ export async function GET(request) {
 
     // Self-retrigger if more remain and we actually processed some
     if (remaining > 0 && totalProcessed > 0 && !lastError) {
-        const selfUrl = url.origin + '/api/ai/batch';
+        const selfUrl = url.origin + '/api/ai/batch?run=' + encodeURIComponent(holder);
         fetch(selfUrl, {
             headers: { 'Authorization': `Bearer ${cronSecret}` },
         }).catch(() => { });
+    } else {
+        await releaseLock(supabase, holder);
     }
 
     return Response.json({
@@ -115,5 +160,7 @@ export async function GET(request) {
         remaining: remaining || 0,
         elapsed_ms: Date.now() - startTime,
         last_error: lastError,
+        budget,
+        run_id: holder,
     });
 }
@@ -1,12 +1,14 @@
 /**
  * API Route: /api/ai/process
  * GET - Get AI processing status
- * POST - Start AI processing of unanalysed disputes
+ * POST - Start AI processing of unanalysed disputes (409 while a sync or batch run holds the sync lock)
  */
 
 import { createServiceClient } from '@/lib/supabase';
 import { requireAdmin } from '@/lib/admin-auth';
 import { processUnanalysedDisputes } from '@/lib/openai-service';
+import { acquireLock, releaseLock, lockConflict } from '@/lib/job-lock';
+import { withUsageContext } from '@/lib/ai-usage';
 
 export const maxDuration = 300;
 export const dynamic = 'force-dynamic';
@@ -32,10 +34,17 @@ export async function GET() {
         .not('ai_error', 'is', null)
         .neq('ai_error', 'No PDF available');
 
+    // Responses that never matched the output schema (lib/ai-schema.js), even after repair
+    const { count: invalid } = await supabase
+        .from('disputes')
+        .select('id', { count: 'exact', head: true })
+        .like('ai_error', 'AI response failed validation%');
+
     return Response.json({
         unprocessed: unprocessed || 0,
         processed: processed || 0,
         failed: failed || 0,
+        invalid: invalid || 0,
     });
 }
 
@@ -44,11 +53,17 @@ export async function POST(request) {
     const authError = await requireAdmin();
     if (authError) return authError;
 
+    const supabase = createServiceClient();
+    const runId = crypto.randomUUID();
+
     try {
+        const { acquired, lock } = await acquireLock(supabase, runId, 'ai-process');
+        if (!acquired) return lockConflict(lock);
+
         const body = await request.json().catch(() => ({}));
         const limit = Math.min(body.limit || 20, 50);
 
-        const result = await processUnanalysedDisputes(limit);
+        const result = await withUsageContext({ jobId: runId, jobType: 'ai-process' }, () => processUnanalysedDisputes(limit));
 
         return Response.json({
             message: `AI processing complete: ${result.processed} analysed, ${result.failed} failed, ${result.skipped} skipped`,
@@ -56,5 +71,7 @@ export async function POST(request) {
         });
     } catch (error) {
         return Response.json({ error: error.message }, { status: 500 });
+    } finally {
+        await releaseLock(supabase, runId);
     }
 }
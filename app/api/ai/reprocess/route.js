@@ -0,0 +1,140 @@
+/**
+ * API Route: /api/ai/reprocess
+ * Works one slice of a reprocessing job (lib/reprocess.js): reruns its pending
+ * records until MAX_SLICE_MS, recording progress after every batch, then
+ * chains the next slice. Secured by CRON_SECRET — jobs are created and resumed
+ * from /api/admin/reprocess, which starts the chain.
+ *
+ * PUT - Body: { job_id, slice }
+ */
+
+import { createServiceClient } from '@/lib/supabase';
+import { MAX_SLICE_MS, isAuthorisedWorker } from '@/lib/scrape-jobs';
+import { acquireLock, heartbeatLock, releaseLock } from '@/lib/job-lock';
+import { withUsageContext, getBudgetStatus, budgetExceededMessage } from '@/lib/ai-usage';
+import { claimReprocessSlice, processReprocessBatch, chainReprocessJob } from '@/lib/reprocess';
+
+export const maxDuration = 300;
+export const dynamic = 'force-dynamic';
+
+const BATCH_SIZE = 5;
+
+export async function PUT(request) {
+    if (!isAuthorisedWorker(request)) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const body = await request.json().catch(() => ({}));
+    if (!body.job_id) {
+        return Response.json({ error: 'job_id is required' }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+    const job = await claimReprocessSlice(supabase, body.job_id, parseInt(body.slice) || 0);
+    if (!job) {
+        return Response.json({ message: 'Slice already claimed, or the job is no longer running' });
+    }
+
+    const finish = async (status, fields = {}) => {
+        await supabase
+            .from('ai_reprocess_jobs')
+            .update({ status, completed_at: new Date().toISOString(), ...fields })
+            .eq('id', job.id)
+            .eq('status', 'running');
+        await releaseLock(supabase, job.id);
+    };
+
+    // Resuming took the lock for this job; a fresh slice renews it
+    const { acquired } = await acquireLock(supabase, job.id, 'ai-reprocess');
+    if (!acquired) {
+        await supabase
+            .from('ai_reprocess_jobs')
+            .update({ status: 'failed', last_error: 'Another job holds the sync lock — resume this one when it finishes' })
+            .eq('id', job.id);
+        return Response.json({ error: 'Sync lock held by another job' }, { status: 409 });
+    }
+
+    const startTime = Date.now();
+    const counts = { processed: job.processed || 0, failed: job.failed || 0, changed: job.changed || 0 };
+    let remaining = null;
+    let lastError = null;
+    let touchedDisputes = false;
+
+    try {
+        while (Date.now() - startTime < MAX_SLICE_MS) {
+            if (!await heartbeatLock(supabase, job.id)) {
+                lastError = 'Lost the sync lock to another job';
+                break;
+            }
+
+            // Cancelled from the admin panel since the last batch?
+            const { data: current } = await supabase
+                .from('ai_reprocess_jobs')
+                .select('status')
+                .eq('id', job.id)
+                .single();
+            if (current?.status !== 'running') break;
+
+            const budget = await getBudgetStatus(supabase);
+            if (budget.exceeded) {
+                lastError = budgetExceededMessage(budget);
+                break;
+            }
+
+            const result = await withUsageContext(
+                { jobId: job.id, jobType: 'ai-reprocess' },
+                () => processReprocessBatch(supabase, job, BATCH_SIZE),
+            );
+            counts.processed += result.processed;
+            counts.failed += result.failed;
+            counts.changed += result.changed;
+            remaining = result.remaining;
+            if (job.target === 'disputes' && result.processed > 0) touchedDisputes = true;
+
+            await supabase
+                .from('ai_reprocess_jobs')
+                .update({ ...counts, checkpoint_at: new Date().toISOString() })
+                .eq('id', job.id);
+
+            if (remaining === 0) break;
+        }
+    } catch (err) {
+        lastError = err.message;
+        console.error(`[Reprocess] Job ${job.id} failed:`, err.message);
+    }
+
+    // League table totals come from the amounts just rewritten
+    if (touchedDisputes) {
+        try {
+            await supabase.rpc('recompute_party_awards');
+        } catch (err) {
+            console.warn('[Reprocess] Failed to recompute party awards:', err.message);
+        }
+    }
+
+    if (lastError) {
+        await finish('failed', { last_error: lastError });
+    } else if (remaining === 0) {
+        await finish('completed', { last_error: null });
+    } else {
+        const { data: next } = await supabase
+            .from('ai_reprocess_jobs')
+            .select('id, status, slice_count')
+            .eq('id', job.id)
+            .single();
+        if (next?.status === 'running') {
+            chainReprocessJob(new URL(request.url).origin, next);
+        } else {
+            // Cancelled — the cancel already set completed_at
+            await releaseLock(supabase, job.id);
+        }
+    }
+
+    return Response.json({
+        job_id: job.id,
+        ...counts,
+        remaining,
+        last_error: lastError,
+        elapsed_ms: Date.now() - startTime,
+    });
+}
@@ -0,0 +1,27 @@
+/**
+ * API Route: /api/cases/[id]
+ * The case a dispute or enforcement order belongs to: adjudication, Tribunal
+ * appeal and court enforcement, as a timeline (lib/case-chain.js)
+ * [id] - dispute id, DR or TR number, enforcement order id or court reference
+ */
+
+import { createServiceClient } from '@/lib/supabase';
+import { loadCase } from '@/lib/case-chain';
+
+export const dynamic = 'force-dynamic';
+
+export async function GET(request, { params }) {
+    try {
+        const { id } = await params;
+        const supabase = createServiceClient();
+
+        const found = await loadCase(supabase, decodeURIComponent(id));
+        if (!found) {
+            return Response.json({ error: 'Case not found' }, { status: 404 });
+        }
+
+        return Response.json({ case: found });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -4,15 +4,30 @@
  * This endpoint should be called by an external CRON service (e.g., GitHub Actions, cron-job.org)
  * 
  * Protected by a simple secret key in the Authorization header
+ *
+ * Runs incrementally by default: walks newest-first and stops at the first
+ * page whose DR numbers are all already stored. ?mode=full queues a
+ * checkpointed full sync on /api/scrape instead of running it inline.
+ *
+ * Takes the shared sync lock first and answers 409 with the holder's job id
+ * if an admin sync or batch AI run already has it.
  */
 
 import { createServiceClient } from '@/lib/supabase';
-import { scrapeAllDisputes } from '@/lib/rtb-scraper';
+import { scrapeNewDisputes } from '@/lib/rtb-scraper';
+import { recordParseFailures, resolveParseFailures } from '@/lib/parse-failures';
+import { TRACKED_FIELDS, diffDispute, recordDisputeRevision } from '@/lib/dispute-revisions';
+import { markDisputesSeen } from '@/lib/source-reconciliation';
+import { ACTIVE_STATUSES, chainJob, loadCrawlOptions } from '@/lib/scrape-jobs';
+import { acquireLock, heartbeatLock, releaseLock, lockConflict } from '@/lib/job-lock';
+import { recordPageFailure, resolvePageFailures } from '@/lib/page-failures';
 
 export const maxDuration = 300;
 export const dynamic = 'force-dynamic';
 
 import { normalizeName } from '@/lib/normalize-name';
+import { partyIdForAlias } from '@/lib/party-aliases';
+import { unlinkReplacedParties } from '@/lib/dispute-parties';
 
 async function upsertParty(supabase, name, partyType) {
     if (!name) return null;
@@ -27,6 +42,10 @@ async function upsertParty(supabase, name, partyType) {
 
     if (existing) return existing.id;
 
+    // Another name for a party we already have (trading name, former name)
+    const aliasedId = await partyIdForAlias(supabase, normalized);
+    if (aliasedId) return aliasedId;
+
     const { data: inserted, error } = await supabase
         .from('parties')
         .insert({ name, normalized_name: normalized, party_type: partyType || 'Unknown' })
@@ -85,6 +104,47 @@ async function updatePartyCounts(supabase, partyId) {
         .eq('id', partyId);
 }
 
+// One party per individual on each side — record.applicants/respondents are pre-split
+async function linkDisputeParties(supabase, disputeId, record) {
+    const sides = [
+        ['Applicant', record.applicants || []],
+        ['Respondent', record.respondents || []],
+    ];
+
+    const linked = { Applicant: new Set(), Respondent: new Set() };
+    for (const [side, parties] of sides) {
+        for (const party of parties) {
+            const partyId = await upsertParty(supabase, party.name, party.role);
+            if (!partyId) continue;
+            linked[side].add(partyId);
+            await supabase.from('dispute_parties').upsert({
+                dispute_id: disputeId, party_id: partyId,
+                role: side, party_type: party.role,
+            }, { onConflict: 'dispute_id,party_id,role' });
+            await updatePartyCounts(supabase, partyId);
+        }
+    }
+    return linked;
+}
+
+// Names on a stored dispute changed — link who it names now, drop the old parties
+async function relinkDisputeParties(supabase, existing, record) {
+    const linked = await linkDisputeParties(supabase, existing.id, record);
+    await unlinkReplacedParties(supabase, existing.id, {
+        Applicant: [existing.applicant_name, record.applicant_name],
+        Respondent: [existing.respondent_name, record.respondent_name],
+    }, linked, { recomputeAwards: false });
+}
+
+// Which of these DR numbers are already stored — drives incremental mode
+async function findKnownDisputes(supabase, drNos) {
+    const { data } = await supabase
+        .from('disputes')
+        .select('dr_no')
+        .in('dr_no', drNos);
+    return new Set((data || []).map(d => d.dr_no));
+}
+
 export async function GET(request) {
     // Simple auth check
     const authHeader = request.headers.get('Authorization');
@@ -96,45 +156,140 @@ export async function GET(request) {
 
     const supabase = createServiceClient();
 
-    // Check for running jobs
+    // Check for queued, running or paused jobs
     const { data: runningJob } = await supabase
         .from('scrape_jobs')
         .select('id')
-        .eq('status', 'running')
+        .eq('source_type', 'disputes')
+        .in('status', ACTIVE_STATUSES)
+        .limit(1)
         .single();
 
+    // A paused job holds no lock but would still be overtaken by this sync
     if (runningJob) {
-        return Response.json({ message: 'A sync is already running', skip: true });
+        return Response.json({ error: 'A sync is already queued, running or paused', job_id: runningJob.id }, { status: 409 });
+    }
+
+    // Incremental by default — ?mode=full walks every page
+    const url = new URL(request.url);
+    const mode = url.searchParams.get('mode') === 'full' ? 'full' : 'incremental';
+
+    const jobId = crypto.randomUUID();
+    let lockResult;
+    try {
+        lockResult = await acquireLock(supabase, jobId, 'disputes-sync');
+    } catch (lockError) {
+        return Response.json({ error: lockError.message }, { status: 500 });
+    }
+    if (!lockResult.acquired) return lockConflict(lockResult.lock);
+
+    // A full walk outlasts one request — hand it to the checkpointed /api/scrape worker
+    if (mode === 'full') {
+        const { data: queued, error: queueError } = await supabase
+            .from('scrape_jobs')
+            .insert({ id: jobId, status: 'queued', source_type: 'disputes', mode, slice_count: 0 })
+            .select()
+            .single();
+
+        if (queueError) {
+            await releaseLock(supabase, jobId);
+            return Response.json({ error: queueError.message }, { status: 500 });
+        }
+
+        chainJob(url.origin, queued);
+        return Response.json({ success: true, mode, queued: true, job_id: queued.id });
     }
 
+    const { data: overlapSetting } = await supabase
+        .from('admin_settings')
+        .select('value')
+        .eq('key', 'incremental_overlap_pages')
+        .single();
+    const overlapPages = parseInt(overlapSetting?.value || '1', 10) || 1;
+
     // Create job
     const { data: job } = await supabase
         .from('scrape_jobs')
-        .insert({ status: 'running', started_at: new Date().toISOString() })
+        .insert({ id: jobId, status: 'running', mode, started_at: new Date().toISOString() })
         .select()
         .single();
 
     let totalRecords = 0, newRecords = 0, updatedRecords = 0;
+    let highWaterDrNo = null, highWaterDate = null, stoppedAtPage = null;
+    let crawlMetrics = null;
+    let failedPages = 0;
+
+    const pages = scrapeNewDisputes({
+        findKnown: drNos => findKnownDisputes(supabase, drNos),
+        overlapPages,
+        quarantine: true,
+        ...await loadCrawlOptions(supabase),
+    });
 
     try {
-        for await (const batch of scrapeAllDisputes()) {
+        for await (const batch of pages) {
+            if (!await heartbeatLock(supabase, jobId)) {
+                throw new Error('Lost the sync lock to another job');
+            }
+
+            crawlMetrics = batch.metrics;
+            if (batch.failed) {
+                failedPages++;
+                await recordPageFailure(supabase, 'disputes', batch, job.id);
+            } else {
+                await resolvePageFailures(supabase, 'disputes', batch, job.id);
+            }
+
             await supabase.from('scrape_jobs').update({
                 total_pages: batch.totalPages,
                 current_page: batch.page,
+                crawl_metrics: crawlMetrics,
+                failed_pages: failedPages,
             }).eq('id', job.id);
 
+            // Page 1 leads with the newest listing
+            if (batch.page === 1 && batch.results[0]) highWaterDrNo = batch.results[0].dr_no;
+            for (const record of batch.results) {
+                if (record.dispute_date && (!highWaterDate || record.dispute_date > highWaterDate)) {
+                    highWaterDate = record.dispute_date;
+                }
+            }
+            if (batch.reachedKnown) stoppedAtPage = batch.page;
+
+            await recordParseFailures(supabase, 'disputes', batch.failures, batch.page);
+            await resolveParseFailures(supabase, 'disputes', batch.results);
+
             for (const record of batch.results) {
                 totalRecords++;
                 try {
                     if (record.dr_no) {
                         const { data: existing } = await supabase
                             .from('disputes')
-                            .select('id')
+                            .select(`id, dr_no, ${TRACKED_FIELDS.join(', ')}`)
                             .eq('dr_no', record.dr_no)
                             .single();
 
                         if (existing) {
-                            updatedRecords++;
+                            // Re-listed record — keep a revision if RTB changed anything
+                            const changes = diffDispute(existing, record);
+                            if (Object.keys(changes).length > 0) {
+                                await recordDisputeRevision(supabase, existing, changes, job.id);
+                                await supabase.from('disputes').update({
+                                    heading: record.heading,
+                                    tr_no: record.tr_no,
+                                    dispute_date: record.dispute_date,
+                                    applicant_name: record.applicant_name,
+                                    applicant_role: record.applicant_role,
+                                    respondent_name: record.respondent_name,
+                                    respondent_role: record.respondent_role,
+                                    pdf_urls: record.pdf_urls,
+                                    raw_html: record.raw_html,
+                                }).eq('id', existing.id);
+                                if (changes.applicant_name || changes.respondent_name) {
+                                    await relinkDisputeParties(supabase, existing, record);
+                                }
+                                updatedRecords++;
+                            }
                             continue;
                         }
                     }
@@ -159,29 +314,15 @@ export async function GET(request) {
 
                     if (dispute) {
                         newRecords++;
-                        const applicantId = await upsertParty(supabase, record.applicant_name, record.applicant_role);
-                        const respondentId = await upsertParty(supabase, record.respondent_name, record.respondent_role);
-
-                        if (applicantId) {
-                            await supabase.from('dispute_parties').upsert({
-                                dispute_id: dispute.id, party_id: applicantId,
-                                role: 'Applicant', party_type: record.applicant_role,
-                            }, { onConflict: 'dispute_id,party_id,role' });
-                            await updatePartyCounts(supabase, applicantId);
-                        }
-                        if (respondentId) {
-                            await supabase.from('dispute_parties').upsert({
-                                dispute_id: dispute.id, party_id: respondentId,
-                                role: 'Respondent', party_type: record.respondent_role,
-                            }, { onConflict: 'dispute_id,party_id,role' });
-                            await updatePartyCounts(supabase, respondentId);
-                        }
+                        await linkDisputeParties(supabase, dispute.id, record);
                     }
                 } catch (e) {
                     // Skip individual record errors
                 }
             }
 
+            await markDisputesSeen(supabase, [...batch.results, ...batch.failures].map(r => r.dr_no));
+
             await supabase.from('scrape_jobs').update({
                 total_records: totalRecords,
                 new_records: newRecords,
@@ -192,6 +333,10 @@ export async function GET(request) {
         await supabase.from('scrape_jobs').update({
             status: 'completed', total_records: totalRecords,
             new_records: newRecords, updated_records: updatedRecords,
+            high_water_dr_no: highWaterDrNo, high_water_date: highWaterDate,
+            stopped_at_page: stoppedAtPage,
+            crawl_metrics: crawlMetrics,
+            failed_pages: failedPages,
             completed_at: new Date().toISOString(),
         }).eq('id', job.id);
 
@@ -204,16 +349,24 @@ export async function GET(request) {
 
         return Response.json({
             success: true,
+            mode,
+            stopped_at_page: stoppedAtPage,
+            high_water_dr_no: highWaterDrNo,
             total_records: totalRecords,
             new_records: newRecords,
             updated_records: updatedRecords,
+            failed_pages: failedPages,
+            crawl_metrics: crawlMetrics,
         });
     } catch (error) {
         await supabase.from('scrape_jobs').update({
             status: 'failed', error_message: error.message,
+            crawl_metrics: error.metrics || crawlMetrics,
             completed_at: new Date().toISOString(),
         }).eq('id', job.id);
 
         return Response.json({ error: error.message }, { status: 500 });
+    } finally {
+        await releaseLock(supabase, jobId);
     }
 }
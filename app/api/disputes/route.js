@@ -1,9 +1,14 @@
 /**
  * API Route: /api/disputes
  * Search and list disputes
+ *
+ * `search` matches party names, address, DR/TR number and the text of the
+ * determination PDFs (phrases, OR, -exclude, NEAR/n — see lib/fulltext-search.js).
+ * Rows matched on PDF text carry a highlighted `snippet`.
  */
 
 import { createServiceClient } from '@/lib/supabase';
+import { toTsQuery, attachSnippets } from '@/lib/fulltext-search';
 
 export const dynamic = 'force-dynamic';
 
@@ -22,16 +27,13 @@ export async function GET(request) {
         const sortOrder = searchParams.get('sort_order') || 'desc';
         const offset = (page - 1) * limit;
 
-        let query = supabase
-            .from('disputes')
-            .select('*', { count: 'exact' });
-
-        // Full-text search across multiple fields
-        if (search) {
-            query = query.or(
-                `heading.ilike.%${search}%,applicant_name.ilike.%${search}%,respondent_name.ilike.%${search}%,property_address.ilike.%${search}%,dr_no.ilike.%${search}%,tr_no.ilike.%${search}%`
-            );
-        }
+        // Full-text search across listing fields and PDF text
+        // Award items come along for the breakdown in the dispute modal
+        const columns = '*, dispute_award_items(position, description, amount, category)';
+        const tsquery = search ? toTsQuery(search) : null;
+        let query = search
+            ? supabase.rpc('search_disputes', { p_search: search, p_tsquery: tsquery }, { count: 'exact' }).select(columns)
+            : supabase.from('disputes').select(columns, { count: 'exact' });
 
         // Filter by dispute type
         if (disputeType) {
@@ -58,7 +60,7 @@ export async function GET(request) {
         if (error) throw error;
 
         return Response.json({
-            disputes: data || [],
+            disputes: await attachSnippets(supabase, 'disputes', tsquery, data),
             total: count || 0,
             page,
             limit,
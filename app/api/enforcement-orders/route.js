@@ -21,12 +21,13 @@ export async function GET(request) {
         const subject = params.get('subject') || '';
         const dateFrom = params.get('date_from') || '';
         const dateTo = params.get('date_to') || '';
+        const linked = params.get('linked') || '';
 
         const supabase = createServiceClient();
 
         let query = supabase
             .from('enforcement_orders')
-            .select('*', { count: 'exact' });
+            .select('*, linked_dispute:disputes(id, dr_no, dispute_date)', { count: 'exact' });
 
         // Search across heading, court_ref_no, prtb_no, applicant/respondent names
         if (search) {
@@ -40,6 +41,13 @@ export async function GET(request) {
             query = query.ilike('subject', `%${subject}%`);
         }
 
+        // Linked to a dispute or orphaned
+        if (linked === 'yes') {
+            query = query.not('linked_dispute_id', 'is', null);
+        } else if (linked === 'no') {
+            query = query.is('linked_dispute_id', null);
+        }
+
         // Date range
         if (dateFrom) {
             query = query.gte('order_date', dateFrom);
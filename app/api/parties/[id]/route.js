@@ -1,9 +1,11 @@
 /**
  * API Route: /api/parties/[id]
- * Get a single party with their disputes
+ * Get a single party with their disputes, the other names they are known by,
+ * and the cases among them that went to appeal or enforcement
  */
 
 import { createServiceClient } from '@/lib/supabase';
+import { loadCasesForDisputes } from '@/lib/case-chain';
 
 export const dynamic = 'force-dynamic';
 
@@ -105,10 +107,26 @@ export async function GET(request, { params }) {
             party_role: link.role,
         }));
 
+        const { data: aliases } = await supabase
+            .from('party_aliases')
+            .select('id, alias, source, note, created_at')
+            .eq('party_id', id)
+            .order('alias', { ascending: true });
+
+        // Adjudication → Tribunal → enforcement chains; the history still loads if this fails
+        let cases = [];
+        try {
+            cases = await loadCasesForDisputes(supabase, rawDisputes.map(d => d.id).filter(Boolean));
+        } catch (err) {
+            console.warn(`[Parties] Could not load case chains for ${id}:`, err.message);
+        }
+
         return Response.json({
             party,
+            aliases: aliases || [],
             disputes,
             enforcement_orders,
+            cases,
         });
     } catch (error) {
         return Response.json({ error: error.message }, { status: 500 });
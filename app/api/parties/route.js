@@ -1,9 +1,10 @@
 /**
  * API Route: /api/parties
- * League table of repeat offenders
+ * League table of repeat offenders — search matches names and aliases
  */
 
 import { createServiceClient } from '@/lib/supabase';
+import { partyIdsMatchingAlias, aliasesForParties, nameOrAliasFilter } from '@/lib/party-aliases';
 
 export const dynamic = 'force-dynamic';
 
@@ -25,9 +26,12 @@ export async function GET(request) {
             .from('parties')
             .select('*', { count: 'exact' });
 
-        // Search by name
+        // Search by name, or any name the party is also known by
         if (search) {
-            query = query.ilike('name', `%${search}%`);
+            const aliasIds = await partyIdsMatchingAlias(supabase, search);
+            query = aliasIds.length > 0
+                ? query.or(nameOrAliasFilter(search, aliasIds))
+                : query.ilike('name', `%${search}%`);
         }
 
         // Filter by party type
@@ -49,8 +53,10 @@ export async function GET(request) {
 
         if (error) throw error;
 
+        const aliases = await aliasesForParties(supabase, (data || []).map(p => p.id));
+
         return Response.json({
-            parties: data || [],
+            parties: (data || []).map(p => ({ ...p, aliases: aliases.get(p.id) || [] })),
             total: count || 0,
             page,
             limit,
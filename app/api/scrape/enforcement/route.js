@@ -2,8 +2,12 @@
  * API Route: /api/scrape/enforcement
  * Triggers scraping of RTB Court Decisions & Enforcement Orders
  * GET  - Returns current enforcement scrape job status
- * POST - Starts a new enforcement scrape job
- * DELETE - Cancels a running enforcement scrape job
+ * POST - Queues a new enforcement scrape job
+ * PUT  - Works one checkpointed slice of a job and chains the next (internal, CRON_SECRET)
+ * DELETE - Cancels the active enforcement scrape job
+ *
+ * Pause/resume: /api/scrape/jobs/[id]/pause and /api/scrape/jobs/[id]/resume
+ * Jobs hold the shared sync lock while queued or running, as on /api/scrape.
  */
 
 import { createServiceClient } from '@/lib/supabase';
@@ -11,6 +15,12 @@ import { scrapeAllEnforcementOrders } from '@/lib/enforcement-scraper';
 import { requireAdmin } from '@/lib/admin-auth';
 import { processUnanalysedEnforcementOrders } from '@/lib/openai-service';
 import { normalizeName } from '@/lib/normalize-name';
+import { partyIdForAlias } from '@/lib/party-aliases';
+import { recordParseFailures, resolveParseFailures } from '@/lib/parse-failures';
+import { ACTIVE_STATUSES, MAX_SLICE_MS, claimSlice, ownsSlice, saveCheckpoint, transitionJob, reusableNonce, isStalled, isAuthorisedWorker, chainJob, loadCrawlOptions } from '@/lib/scrape-jobs';
+import { acquireLock, heartbeatLock, releaseLock, lockConflict } from '@/lib/job-lock';
+import { recordPageFailure, resolvePageFailures } from '@/lib/page-failures';
+import { linkEnforcementOrder } from '@/lib/enforcement-linker';
 
 export const maxDuration = 300;
 export const dynamic = 'force-dynamic';
@@ -32,7 +42,7 @@ export async function GET() {
             .select('*', { count: 'exact', head: true });
 
         return Response.json({
-            latest_job: job,
+            latest_job: job ? { ...job, stalled: isStalled(job) } : job,
             total_enforcement_orders: count || 0,
         });
     } catch (error) {
@@ -40,48 +50,57 @@ export async function GET() {
     }
 }
 
-export async function POST() {
+export async function POST(request) {
     const authError = await requireAdmin();
     if (authError) return authError;
 
     try {
         const supabase = createServiceClient();
 
-        // Check if already running
-        const { data: runningJob } = await supabase
+        // Check if already queued, running or paused
+        const { data: activeJob } = await supabase
             .from('scrape_jobs')
             .select('*')
-            .eq('status', 'running')
             .eq('source_type', 'enforcement')
+            .in('status', ACTIVE_STATUSES)
+            .limit(1)
             .single();
 
-        if (runningJob) {
+        if (activeJob) {
             return Response.json({
-                error: 'An enforcement scrape job is already running',
-                job: runningJob,
+                error: activeJob.status === 'paused'
+                    ? 'A paused enforcement scrape job exists — resume or cancel it first'
+                    : 'An enforcement scrape job is already running',
+                job: activeJob,
             }, { status: 409 });
         }
 
-        // Create a new scrape job
+        // Refuse while a disputes sync or batch AI run holds the lock
+        const jobId = crypto.randomUUID();
+        const { acquired, lock } = await acquireLock(supabase, jobId, 'enforcement-sync');
+        if (!acquired) return lockConflict(lock);
+
+        // Create a new scrape job — the first slice picks it up
         const { data: job, error: jobError } = await supabase
             .from('scrape_jobs')
             .insert({
-                status: 'running',
+                id: jobId,
+                status: 'queued',
                 source_type: 'enforcement',
-                started_at: new Date().toISOString(),
+                slice_count: 0,
             })
             .select()
             .single();
 
-        if (jobError) throw jobError;
+        if (jobError) {
+            await releaseLock(supabase, jobId);
+            throw jobError;
+        }
 
-        // Start scraping in background (don't await)
-        runEnforcementScrape(supabase, job.id).catch(err => {
-            console.error('[EnforcementScrape] Background scrape failed:', err);
-        });
+        chainJob(new URL(request.url).origin, job);
 
         return Response.json({
-            message: 'Enforcement orders scrape started',
+            message: 'Enforcement orders scrape queued',
             job,
         });
     } catch (error) {
@@ -89,6 +108,44 @@ export async function POST() {
     }
 }
 
+/**
+ * Work one slice of a job — called by POST, resume and the previous slice
+ * Body: { job_id, slice }. Protected by CRON_SECRET.
+ */
+export async function PUT(request) {
+    if (!isAuthorisedWorker(request)) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { job_id: jobId, slice = 0 } = await request.json().catch(() => ({}));
+    if (!jobId) {
+        return Response.json({ error: 'job_id is required' }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+    const job = await claimSlice(supabase, jobId, slice);
+    if (!job) {
+        return Response.json({ message: 'Slice already claimed, or job no longer runnable', skip: true });
+    }
+
+    // Renew the job's lease — if it lapsed and something else took it, park the job
+    const { acquired, lock } = await acquireLock(supabase, jobId, 'enforcement-sync');
+    if (!acquired) {
+        await transitionJob(supabase, jobId, 'paused', {
+            error_message: `Sync lock taken by ${lock?.holder_kind || 'another job'} ${lock?.holder} — resume once it finishes`,
+        });
+        return lockConflict(lock);
+    }
+
+    const result = await runEnforcementSlice(supabase, job, slice);
+
+    if (result.next) {
+        chainJob(new URL(request.url).origin, { ...job, slice_count: slice + 1 });
+    }
+
+    return Response.json({ job_id: jobId, slice, ...result });
+}
+
 export async function DELETE() {
     const authError = await requireAdmin();
     if (authError) return authError;
@@ -96,29 +153,27 @@ export async function DELETE() {
     try {
         const supabase = createServiceClient();
 
-        const { data: runningJob } = await supabase
+        const { data: activeJob } = await supabase
             .from('scrape_jobs')
             .select('*')
-            .eq('status', 'running')
             .eq('source_type', 'enforcement')
+            .in('status', ACTIVE_STATUSES)
+            .limit(1)
             .single();
 
-        if (!runningJob) {
+        if (!activeJob) {
             return Response.json({ error: 'No running enforcement scrape job found' }, { status: 404 });
         }
 
-        // Mark as cancelled — the runEnforcementScrape loop checks this between pages
-        await supabase
-            .from('scrape_jobs')
-            .update({
-                status: 'cancelled',
-                completed_at: new Date().toISOString(),
-            })
-            .eq('id', runningJob.id);
+        // Mark as cancelled — the running slice checks this between pages
+        const job = await transitionJob(supabase, activeJob.id, 'cancelled', {
+            completed_at: new Date().toISOString(),
+        });
+        await releaseLock(supabase, activeJob.id);
 
         return Response.json({
             message: 'Enforcement scrape job cancelled',
-            job: { ...runningJob, status: 'cancelled' },
+            job: job || { ...activeJob, status: 'cancelled' },
         });
     } catch (error) {
         return Response.json({ error: error.message }, { status: 500 });
@@ -142,6 +197,10 @@ async function upsertParty(supabase, name) {
 
     if (existing) return existing.id;
 
+    // Another name for a party we already have (trading name, former name)
+    const aliasedId = await partyIdForAlias(supabase, normalized);
+    if (aliasedId) return aliasedId;
+
     const { data: inserted, error } = await supabase
         .from('parties')
         .insert({
@@ -222,59 +281,67 @@ async function updatePartyCounts(supabase, partyId) {
         .eq('id', partyId);
 }
 
-const PAGES_PER_CHUNK = 50; // ~2.5 minutes per chunk at 3s/page
 
-async function runEnforcementScrape(supabase, jobId, resumeFromPage = 1) {
-    let totalRecords = 0;
-    let newRecords = 0;
-    let updatedRecords = 0;
+/**
+ * Process pages from the job's cursor until the listing ends or MAX_SLICE_MS
+ * runs out, checkpointing after every page
+ * @returns {Object} { next } — next is true when another slice should be chained
+ */
+async function runEnforcementSlice(supabase, job, slice) {
+    const jobId = job.id;
+    const sliceStarted = Date.now();
+    const cursor = job.cursor || {};
+    const startPage = (cursor.page || 0) + 1;
+
+    let totalRecords = job.total_records || 0;
+    let newRecords = job.new_records || 0;
+    let updatedRecords = job.updated_records || 0;
+    let failedPages = job.failed_pages || 0;
+    const targetPages = job.mode === 'gaps' ? job.target_pages || [] : null;
 
-    // Fetch existing counts if resuming
-    if (resumeFromPage > 1) {
-        const { data: existingJob } = await supabase
-            .from('scrape_jobs')
-            .select('total_records, new_records, updated_records')
-            .eq('id', jobId)
-            .single();
-        if (existingJob) {
-            totalRecords = existingJob.total_records || 0;
-            newRecords = existingJob.new_records || 0;
-            updatedRecords = existingJob.updated_records || 0;
-        }
-    }
+    let nonce = reusableNonce(cursor);
+    let nonceFetchedAt = nonce ? cursor.nonce_fetched_at : null;
 
-    const endPage = resumeFromPage + PAGES_PER_CHUNK - 1;
-    console.log(`[EnforcementScrape] Processing chunk: pages ${resumeFromPage} to ${endPage}`);
+    console.log(`[EnforcementScrape] Job ${jobId} slice ${slice}: from page ${startPage}`);
 
     try {
-        let lastPageProcessed = resumeFromPage;
-        let totalPages = null;
-
-        for await (const batch of scrapeAllEnforcementOrders({ startPage: resumeFromPage, endPage })) {
-            // Check if job was cancelled
-            const { data: jobCheck } = await supabase
-                .from('scrape_jobs')
-                .select('status')
-                .eq('id', jobId)
-                .single();
+        let lastPageProcessed = cursor.page || 0;
+        let totalPages = job.total_pages;
+        let outOfTime = false;
+
+        const crawl = await loadCrawlOptions(supabase, job);
 
-            if (jobCheck?.status === 'cancelled') {
-                console.log(`[EnforcementScrape] Job ${jobId} was cancelled by admin`);
-                return; // Exit gracefully — status already set to 'cancelled'
+        for await (const batch of scrapeAllEnforcementOrders({ startPage, pages: targetPages, quarantine: true, nonce, ...crawl })) {
+            // Paused, cancelled or taken over by a resumed slice
+            if (!await ownsSlice(supabase, jobId, slice)) {
+                console.log(`[EnforcementScrape] Job ${jobId} slice ${slice} no longer owns the job — stopping`);
+                return { next: false, stopped: true };
+            }
+            if (!await heartbeatLock(supabase, jobId)) {
+                console.log(`[EnforcementScrape] Job ${jobId} lost the sync lock — pausing`);
+                await transitionJob(supabase, jobId, 'paused', { error_message: 'Lost the sync lock to another job' });
+                return { next: false, stopped: true };
             }
 
             totalPages = batch.totalPages;
+            lastPageProcessed = batch.page;
 
-            // Update job progress
-            await supabase
-                .from('scrape_jobs')
-                .update({
-                    total_pages: batch.totalPages,
-                    current_page: batch.page,
-                })
-                .eq('id', jobId);
+            // Out of retries — keep the page for a gap fill and carry on (its arrays are empty)
+            if (batch.failed) {
+                failedPages++;
+                await recordPageFailure(supabase, 'enforcement', batch, jobId);
+            } else {
+                await resolvePageFailures(supabase, 'enforcement', batch, jobId);
+            }
 
-            lastPageProcessed = batch.page;
+            if (batch.nonce !== nonce) {
+                nonce = batch.nonce;
+                nonceFetchedAt = new Date().toISOString();
+            }
+
+            // Unparseable headings go to parse_failures instead of enforcement_orders
+            await recordParseFailures(supabase, 'enforcement', batch.failures, batch.page);
+            await resolveParseFailures(supabase, 'enforcement', batch.results);
 
             // Process each record
             for (const record of batch.results) {
@@ -285,7 +352,7 @@ async function runEnforcementScrape(supabase, jobId, resumeFromPage = 1) {
                     if (record.court_ref_no) {
                         const { data: existing } = await supabase
                             .from('enforcement_orders')
-                            .select('id')
+                            .select('id, linked_dispute_id')
                             .eq('court_ref_no', record.court_ref_no)
                             .single();
 
@@ -306,25 +373,16 @@ async function runEnforcementScrape(supabase, jobId, resumeFromPage = 1) {
                                 })
                                 .eq('id', existing.id);
 
+                            // Orphaned orders get another try — the dispute may have been scraped since
+                            if (!existing.linked_dispute_id) {
+                                await linkEnforcementOrder(supabase, existing);
+                            }
+
                             updatedRecords++;
                             continue;
                         }
                     }
 
-                    // Try to link to existing dispute by PRTB/DR number
-                    let linkedDisputeId = null;
-                    if (record.prtb_no) {
-                        const { data: linkedDispute } = await supabase
-                            .from('disputes')
-                            .select('id')
-                            .eq('dr_no', record.prtb_no)
-                            .single();
-
-                        if (linkedDispute) {
-                            linkedDisputeId = linkedDispute.id;
-                        }
-                    }
-
                     // Insert new enforcement order
                     const { data: insertedOrder, error: insertError } = await supabase
                         .from('enforcement_orders')
@@ -338,7 +396,6 @@ async function runEnforcementScrape(supabase, jobId, resumeFromPage = 1) {
                             pdf_label: record.pdf_label,
                             applicant_name: record.applicant_name,
                             respondent_name: record.respondent_name,
-                            linked_dispute_id: linkedDisputeId,
                             raw_html: record.raw_html,
                             source_page: batch.page,
                         })
@@ -378,47 +435,63 @@ async function runEnforcementScrape(supabase, jobId, resumeFromPage = 1) {
                             }, { onConflict: 'enforcement_order_id,party_id,role' });
                             await updatePartyCounts(supabase, respondentId);
                         }
+
+                        // Match to its dispute by reference, then by parties and date
+                        await linkEnforcementOrder(supabase, insertedOrder);
                     }
                 } catch (recordError) {
                     console.error('[EnforcementScrape] Error processing record:', recordError.message);
                 }
             }
 
-            // Update counts on job
-            await supabase
-                .from('scrape_jobs')
-                .update({
-                    total_records: totalRecords,
-                    new_records: newRecords,
-                    updated_records: updatedRecords,
-                })
-                .eq('id', jobId);
-        }
-
-        // Check if we've finished all pages or need another chunk
-        if (totalPages && lastPageProcessed < totalPages) {
-            // More pages to go — chain the next chunk
-            const nextPage = lastPageProcessed + 1;
-            console.log(`[EnforcementScrape] Chunk done (page ${lastPageProcessed}/${totalPages}). Chaining next chunk from page ${nextPage}...`);
+            // Checkpoint — the next slice (or a resume) carries on from here
+            const listed = [...batch.results, ...batch.failures];
+            await saveCheckpoint(supabase, jobId, {
+                page: batch.page,
+                last_ref: listed.length > 0 ? listed[listed.length - 1].court_ref_no : cursor.last_ref || null,
+                nonce,
+                nonce_fetched_at: nonceFetchedAt,
+                total_rows: batch.totalResults,
+                per_page: batch.perPage,
+            }, {
+                total_pages: batch.totalPages,
+                current_page: batch.page,
+                total_records: totalRecords,
+                new_records: newRecords,
+                updated_records: updatedRecords,
+                crawl_metrics: batch.metrics,
+                failed_pages: failedPages,
+            });
 
-            // Small delay between chunks
-            await new Promise(resolve => setTimeout(resolve, 2000));
+            if (Date.now() - sliceStarted > MAX_SLICE_MS) {
+                outOfTime = true;
+                break;
+            }
+        }
 
-            // Recurse into next chunk
-            return runEnforcementScrape(supabase, jobId, nextPage);
+        // Out of time with pages left — hand over to the next slice
+        const pagesLeft = targetPages
+            ? targetPages.some(p => p > lastPageProcessed && p <= totalPages)
+            : totalPages && lastPageProcessed < totalPages;
+        if (outOfTime && pagesLeft) {
+            console.log(`[EnforcementScrape] Job ${jobId} slice ${slice} done (page ${lastPageProcessed}/${totalPages}). Chaining next slice...`);
+            return { next: true, page: lastPageProcessed, total_pages: totalPages };
         }
 
         // All pages complete — mark job done
-        await supabase
-            .from('scrape_jobs')
-            .update({
-                status: 'completed',
-                total_records: totalRecords,
-                new_records: newRecords,
-                updated_records: updatedRecords,
-                completed_at: new Date().toISOString(),
-            })
-            .eq('id', jobId);
+        const completed = await transitionJob(supabase, jobId, 'completed', {
+            total_records: totalRecords,
+            new_records: newRecords,
+            updated_records: updatedRecords,
+            failed_pages: failedPages,
+            completed_at: new Date().toISOString(),
+        });
+
+        if (!completed) {
+            console.log(`[EnforcementScrape] Job ${jobId} was paused or cancelled before it could complete`);
+            await releaseLock(supabase, jobId);
+            return { next: false, stopped: true };
+        }
 
         console.log(`[EnforcementScrape] Complete: ${newRecords} new, ${updatedRecords} updated, ${totalRecords} total`);
 
@@ -444,18 +517,22 @@ async function runEnforcementScrape(supabase, jobId, resumeFromPage = 1) {
                 console.log('[EnforcementScrape] AI auto-processing is disabled');
             }
         }
+
+        await releaseLock(supabase, jobId);
+
+        return { next: false, completed: true };
     } catch (error) {
+        // The cursor is left at the last good page, so a resume carries on from there
         console.error('[EnforcementScrape] Job failed:', error.message);
-        await supabase
-            .from('scrape_jobs')
-            .update({
-                status: 'failed',
-                error_message: error.message,
-                total_records: totalRecords,
-                new_records: newRecords,
-                updated_records: updatedRecords,
-                completed_at: new Date().toISOString(),
-            })
-            .eq('id', jobId);
+        await transitionJob(supabase, jobId, 'failed', {
+            error_message: error.message,
+            ...(error.metrics ? { crawl_metrics: error.metrics } : {}),
+            total_records: totalRecords,
+            new_records: newRecords,
+            updated_records: updatedRecords,
+            completed_at: new Date().toISOString(),
+        });
+        await releaseLock(supabase, jobId);
+        return { next: false, error: error.message };
     }
 }
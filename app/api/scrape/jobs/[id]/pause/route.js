@@ -0,0 +1,33 @@
+/**
+ * API Route: /api/scrape/jobs/[id]/pause
+ * POST - Pause a queued or running scrape job (disputes or enforcement)
+ * The running slice stops at the next page boundary; the cursor is kept for resume.
+ * A paused job gives up the sync lock so other jobs can run in the meantime.
+ */
+
+import { createServiceClient } from '@/lib/supabase';
+import { requireAdmin } from '@/lib/admin-auth';
+import { transitionJob } from '@/lib/scrape-jobs';
+import { releaseLock } from '@/lib/job-lock';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    try {
+        const supabase = createServiceClient();
+        const { id } = await params;
+
+        const job = await transitionJob(supabase, id, 'paused');
+        if (!job) {
+            return Response.json({ error: 'Only a queued or running job can be paused' }, { status: 409 });
+        }
+        await releaseLock(supabase, id);
+
+        return Response.json({ message: 'Scrape job paused', job });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
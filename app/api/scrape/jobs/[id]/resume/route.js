@@ -0,0 +1,59 @@
+/**
+ * API Route: /api/scrape/jobs/[id]/resume
+ * POST - Resume a paused, failed or stalled scrape job from its last checkpoint
+ * (a running job is stalled once it has gone STALL_AFTER_MS without checkpointing)
+ * Returns 409 with the holder's job id if another job has the sync lock.
+ */
+
+import { createServiceClient } from '@/lib/supabase';
+import { requireAdmin } from '@/lib/admin-auth';
+import { transitionJob, isStalled, chainJob } from '@/lib/scrape-jobs';
+import { acquireLock, releaseLock, lockConflict } from '@/lib/job-lock';
+
+export const dynamic = 'force-dynamic';
+
+export async function POST(request, { params }) {
+    const authError = await requireAdmin();
+    if (authError) return authError;
+
+    try {
+        const supabase = createServiceClient();
+        const { id } = await params;
+
+        const { data: current } = await supabase
+            .from('scrape_jobs')
+            .select('*')
+            .eq('id', id)
+            .single();
+
+        if (!current) {
+            return Response.json({ error: 'Scrape job not found' }, { status: 404 });
+        }
+
+        if (current.status === 'running' && !isStalled(current)) {
+            return Response.json({ error: 'Job is still running', job: current }, { status: 409 });
+        }
+
+        // A stalled job's lease has lapsed by now; anyone else's has not
+        const { acquired, lock } = await acquireLock(supabase, id, `${current.source_type || 'disputes'}-sync`);
+        if (!acquired) return lockConflict(lock);
+
+        const job = await transitionJob(supabase, id, 'queued', {
+            error_message: null,
+            completed_at: null,
+        });
+        if (!job) {
+            await releaseLock(supabase, id);
+            return Response.json({ error: `A ${current.status} job cannot be resumed` }, { status: 409 });
+        }
+
+        chainJob(new URL(request.url).origin, job);
+
+        return Response.json({
+            message: `Scrape job resumed from page ${(job.cursor?.page || 0) + 1}`,
+            job,
+        });
+    } catch (error) {
+        return Response.json({ error: error.message }, { status: 500 });
+    }
+}
@@ -14,11 +14,14 @@
  *
  * Rate limited to 3 seconds between requests.
  * Full Dublin scrape: 31 LEAs × 30 profiles = 930 queries (~47 minutes).
+ * Holds the shared sync lock for the whole run, heartbeating after each query.
  */
 
 import { createServiceClient } from '@/lib/supabase';
 import { requireAdmin } from '@/lib/admin-auth';
 import { scrapeRentRegisterDublin, QUERY_MATRIX } from '@/lib/rent-register-scraper';
+import { acquireLock, heartbeatLock, releaseLock, lockConflict } from '@/lib/job-lock';
+import { loadCrawlOptions } from '@/lib/scrape-jobs';
 
 export const maxDuration = 300;
 export const dynamic = 'force-dynamic';
@@ -73,10 +76,16 @@ export async function POST() {
             }, { status: 400 });
         }
 
+        const runId = crypto.randomUUID();
+        const { acquired, lock } = await acquireLock(supabase, runId, 'rent-register');
+        if (!acquired) return lockConflict(lock);
+
         // Run scrape in background
-        runRentRegisterScrape(supabase, leaRefs).catch(err => {
-            console.error('[RentRegister] Background scrape failed:', err);
-        });
+        runRentRegisterScrape(supabase, leaRefs, runId)
+            .catch(err => {
+                console.error('[RentRegister] Background scrape failed:', err);
+            })
+            .finally(() => releaseLock(supabase, runId));
 
         return Response.json({
             message: 'Rent register scrape started',
@@ -89,14 +98,30 @@ export async function POST() {
     }
 }
 
-async function runRentRegisterScrape(supabase, leaRefs) {
+async function runRentRegisterScrape(supabase, leaRefs, runId) {
     console.log(`[RentRegister] Starting scrape for ${leaRefs.length} Dublin LEAs`);
     let totalUpserted = 0;
     let totalSkipped = 0;
+    let failedQueries = 0;
+    let metrics = null;
+
+    const { delayMs } = await loadCrawlOptions(supabase);
+
+    for await (const batch of scrapeRentRegisterDublin({ leaRefs, delayMs })) {
+        if (!await heartbeatLock(supabase, runId)) {
+            console.warn('[RentRegister] Lost the sync lock to another job — stopping');
+            break;
+        }
 
-    for await (const batch of scrapeRentRegisterDublin({ leaRefs })) {
         const { results, lea, profile, batchId } = batch;
         const logKey = { osi_lea_id: lea.osi_lea_id, dwelling_type_code: profile.dwellingTypeCode, number_of_bedrooms: profile.bedrooms, ber: profile.ber, floor_space_sqm: profile.floorSpace };
+        metrics = batch.metrics;
+
+        // Leave failed queries out of the log so they are not mistaken for "no comparables"
+        if (batch.failed) {
+            failedQueries++;
+            continue;
+        }
 
         if (results.length === 0) {
             await supabase.from('rent_register_scrape_log').upsert(
@@ -142,5 +167,6 @@ async function runRentRegisterScrape(supabase, leaRefs) {
         );
     }
 
-    console.log(`[RentRegister] Scrape complete. Upserted: ${totalUpserted}, Skipped: ${totalSkipped}`);
+    console.log(`[RentRegister] Scrape complete. Upserted: ${totalUpserted}, Skipped: ${totalSkipped}, Failed queries: ${failedQueries}`);
+    console.log('[RentRegister] Crawl metrics:', JSON.stringify(metrics));
 }
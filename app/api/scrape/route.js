@@ -2,19 +2,33 @@
  * API Route: /api/scrape
  * Triggers a full scrape of RTB dispute records
  * GET - Returns current scrape job status
- * POST - Starts a new scrape job
- * DELETE - Cancels a running scrape job
+ * POST - Queues a new scrape job ({ mode: 'full' | 'incremental' }, default full)
+ * PUT - Works one checkpointed slice of a job and chains the next (internal, CRON_SECRET)
+ * DELETE - Cancels the active scrape job
+ *
+ * Pause/resume: /api/scrape/jobs/[id]/pause and /api/scrape/jobs/[id]/resume
+ *
+ * A job holds the shared sync lock (lib/job-lock.js) from the moment it is
+ * queued until it completes, fails, pauses or is cancelled.
  */
 
 import { createServiceClient } from '@/lib/supabase';
-import { scrapeAllDisputes, parseHeading } from '@/lib/rtb-scraper';
+import { scrapeAllDisputes, scrapeNewDisputes, parseHeading } from '@/lib/rtb-scraper';
 import { requireAdmin } from '@/lib/admin-auth';
 import { processUnanalysedDisputes } from '@/lib/openai-service';
+import { recordParseFailures, resolveParseFailures } from '@/lib/parse-failures';
+import { TRACKED_FIELDS, diffDispute, recordDisputeRevision } from '@/lib/dispute-revisions';
+import { markDisputesSeen, reconcileRemovedDisputes, reconciliationBlocker } from '@/lib/source-reconciliation';
+import { ACTIVE_STATUSES, MAX_SLICE_MS, claimSlice, ownsSlice, saveCheckpoint, transitionJob, reusableNonce, isStalled, isAuthorisedWorker, chainJob, loadCrawlOptions } from '@/lib/scrape-jobs';
+import { acquireLock, heartbeatLock, releaseLock, lockConflict } from '@/lib/job-lock';
+import { recordPageFailure, resolvePageFailures } from '@/lib/page-failures';
 
 export const maxDuration = 300; // 5 minutes max for edge/serverless
 export const dynamic = 'force-dynamic';
 
 import { normalizeName } from '@/lib/normalize-name';
+import { partyIdForAlias } from '@/lib/party-aliases';
+import { unlinkReplacedParties } from '@/lib/dispute-parties';
 
 /**
  * Upsert a party record and return its ID
@@ -36,6 +50,10 @@ async function upsertParty(supabase, name, partyType) {
         return existing.id;
     }
 
+    // Another name for a party we already have (trading name, former name)
+    const aliasedId = await partyIdForAlias(supabase, normalized);
+    if (aliasedId) return aliasedId;
+
     // Insert new
     const { data: inserted, error } = await supabase
         .from('parties')
@@ -105,14 +123,71 @@ async function updatePartyCounts(supabase, partyId) {
         .eq('id', partyId);
 }
 
+/**
+ * Link every party named in a heading to a dispute.
+ * Multi-party sides ("John Smith and Mary Smith") arrive pre-split in
+ * record.applicants / record.respondents, so each person gets their own profile.
+ */
+async function linkDisputeParties(supabase, disputeId, record) {
+    const sides = [
+        ['Applicant', record.applicants || []],
+        ['Respondent', record.respondents || []],
+    ];
+
+    const linked = { Applicant: new Set(), Respondent: new Set() };
+    for (const [side, parties] of sides) {
+        for (const party of parties) {
+            const partyId = await upsertParty(supabase, party.name, party.role);
+            if (!partyId) continue;
+            linked[side].add(partyId);
+
+            await supabase.from('dispute_parties').upsert({
+                dispute_id: disputeId,
+                party_id: partyId,
+                role: side,
+                party_type: party.role,
+            }, { onConflict: 'dispute_id,party_id,role' });
+
+            await updatePartyCounts(supabase, partyId);
+        }
+    }
+    return linked;
+}
+
+/**
+ * Re-link a stored dispute whose names changed: link the parties the heading
+ * names now, then drop the old ones, such as a combined
+ * "John Smith and Mary Smith" party (lib/dispute-parties.js)
+ */
+async function relinkDisputeParties(supabase, existing, record) {
+    const linked = await linkDisputeParties(supabase, existing.id, record);
+    await unlinkReplacedParties(supabase, existing.id, {
+        Applicant: [existing.applicant_name, record.applicant_name],
+        Respondent: [existing.respondent_name, record.respondent_name],
+    }, linked);
+}
+
+/**
+ * Return the subset of DR numbers already stored — drives incremental mode
+ */
+async function findKnownDisputes(supabase, drNos) {
+    const { data } = await supabase
+        .from('disputes')
+        .select('dr_no')
+        .in('dr_no', drNos);
+    return new Set((data || []).map(d => d.dr_no));
+}
+
+
 export async function GET() {
     try {
         const supabase = createServiceClient();
 
-        // Get the latest scrape job
+        // Get the latest disputes scrape job
         const { data: job } = await supabase
             .from('scrape_jobs')
             .select('*')
+            .eq('source_type', 'disputes')
             .order('created_at', { ascending: false })
             .limit(1)
             .single();
@@ -123,7 +198,7 @@ export async function GET() {
             .select('*', { count: 'exact', head: true });
 
         return Response.json({
-            latest_job: job,
+            latest_job: job ? { ...job, stalled: isStalled(job) } : job,
             total_disputes: count || 0,
         });
     } catch (error) {
@@ -131,47 +206,61 @@ export async function GET() {
     }
 }
 
-export async function POST() {
+export async function POST(request) {
     // Require admin authentication to start scrape
     const authError = await requireAdmin();
     if (authError) return authError;
 
     try {
         const supabase = createServiceClient();
+        const body = await request.json().catch(() => ({}));
+        const mode = body.mode === 'incremental' ? 'incremental' : 'full';
 
-        // Check if a scrape is already running
-        const { data: runningJob } = await supabase
+        // Check if a scrape is already queued, running or paused
+        const { data: activeJob } = await supabase
             .from('scrape_jobs')
             .select('*')
-            .eq('status', 'running')
+            .eq('source_type', 'disputes')
+            .in('status', ACTIVE_STATUSES)
+            .limit(1)
             .single();
 
-        if (runningJob) {
+        if (activeJob) {
             return Response.json({
-                error: 'A scrape job is already running',
-                job: runningJob,
+                error: activeJob.status === 'paused'
+                    ? 'A paused scrape job exists — resume or cancel it first'
+                    : 'A scrape job is already running',
+                job: activeJob,
             }, { status: 409 });
         }
 
-        // Create a new scrape job
+        // Nothing else may run alongside — cron sync, enforcement sync or batch AI
+        const jobId = crypto.randomUUID();
+        const { acquired, lock } = await acquireLock(supabase, jobId, 'disputes-sync');
+        if (!acquired) return lockConflict(lock);
+
+        // Create a new scrape job — the first slice picks it up
         const { data: job, error: jobError } = await supabase
             .from('scrape_jobs')
             .insert({
-                status: 'running',
-                started_at: new Date().toISOString(),
+                id: jobId,
+                status: 'queued',
+                source_type: 'disputes',
+                mode,
+                slice_count: 0,
             })
             .select()
             .single();
 
-        if (jobError) throw jobError;
+        if (jobError) {
+            await releaseLock(supabase, jobId);
+            throw jobError;
+        }
 
-        // Start scraping in background (don't await)
-        runScrape(supabase, job.id).catch(err => {
-            console.error('[Scrape] Background scrape failed:', err);
-        });
+        chainJob(new URL(request.url).origin, job);
 
         return Response.json({
-            message: 'Scrape job started',
+            message: 'Scrape job queued',
             job,
         });
     } catch (error) {
@@ -179,6 +268,44 @@ export async function POST() {
     }
 }
 
+/**
+ * Work one slice of a job — called by POST, resume and the previous slice
+ * Body: { job_id, slice }. Protected by CRON_SECRET.
+ */
+export async function PUT(request) {
+    if (!isAuthorisedWorker(request)) {
+        return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+
+    const { job_id: jobId, slice = 0 } = await request.json().catch(() => ({}));
+    if (!jobId) {
+        return Response.json({ error: 'job_id is required' }, { status: 400 });
+    }
+
+    const supabase = createServiceClient();
+    const job = await claimSlice(supabase, jobId, slice);
+    if (!job) {
+        return Response.json({ message: 'Slice already claimed, or job no longer runnable', skip: true });
+    }
+
+    // Renew the job's lease — if it lapsed and something else took it, park the job
+    const { acquired, lock } = await acquireLock(supabase, jobId, 'disputes-sync');
+    if (!acquired) {
+        await transitionJob(supabase, jobId, 'paused', {
+            error_message: `Sync lock taken by ${lock?.holder_kind || 'another job'} ${lock?.holder} — resume once it finishes`,
+        });
+        return lockConflict(lock);
+    }
+
+    const result = await runScrapeSlice(supabase, job, slice);
+
+    if (result.next) {
+        chainJob(new URL(request.url).origin, { ...job, slice_count: slice + 1 });
+    }
+
+    return Response.json({ job_id: jobId, slice, ...result });
+}
+
 export async function DELETE() {
     const authError = await requireAdmin();
     if (authError) return authError;
@@ -186,88 +313,146 @@ export async function DELETE() {
     try {
         const supabase = createServiceClient();
 
-        // Find and cancel the running job
-        const { data: runningJob } = await supabase
+        // Find and cancel the active job
+        const { data: activeJob } = await supabase
             .from('scrape_jobs')
             .select('*')
-            .eq('status', 'running')
+            .eq('source_type', 'disputes')
+            .in('status', ACTIVE_STATUSES)
+            .limit(1)
             .single();
 
-        if (!runningJob) {
+        if (!activeJob) {
             return Response.json({ error: 'No running scrape job found' }, { status: 404 });
         }
 
-        // Mark as cancelled — the runScrape loop checks this between pages
-        await supabase
-            .from('scrape_jobs')
-            .update({
-                status: 'cancelled',
-                completed_at: new Date().toISOString(),
-            })
-            .eq('id', runningJob.id);
+        // Mark as cancelled — the running slice checks this between pages
+        const job = await transitionJob(supabase, activeJob.id, 'cancelled', {
+            completed_at: new Date().toISOString(),
+        });
+        await releaseLock(supabase, activeJob.id);
 
         return Response.json({
             message: 'Scrape job cancelled',
-            job: { ...runningJob, status: 'cancelled' },
+            job: job || { ...activeJob, status: 'cancelled' },
         });
     } catch (error) {
         return Response.json({ error: error.message }, { status: 500 });
     }
 }
 
-const PAGES_PER_CHUNK = 50; // ~2.5 minutes per chunk at 3s/page
-
-async function runScrape(supabase, jobId, resumeFromPage = 1) {
-    let totalRecords = 0;
-    let newRecords = 0;
-    let updatedRecords = 0;
-
-    // Fetch existing counts if resuming
-    if (resumeFromPage > 1) {
-        const { data: existingJob } = await supabase
-            .from('scrape_jobs')
-            .select('total_records, new_records, updated_records')
-            .eq('id', jobId)
+/**
+ * Process pages from the job's cursor until the listing ends or MAX_SLICE_MS
+ * runs out, checkpointing after every page
+ * @returns {Object} { next } — next is true when another slice should be chained
+ */
+async function runScrapeSlice(supabase, job, slice) {
+    const jobId = job.id;
+    const mode = job.mode || 'full';
+    const sliceStarted = Date.now();
+    const cursor = job.cursor || {};
+    const startPage = (cursor.page || 0) + 1;
+
+    let totalRecords = job.total_records || 0;
+    let newRecords = job.new_records || 0;
+    let updatedRecords = job.updated_records || 0;
+    let failedPages = job.failed_pages || 0;
+    let highWaterDate = job.high_water_date || null;
+
+    let nonce = reusableNonce(cursor);
+    let nonceFetchedAt = nonce ? cursor.nonce_fetched_at : null;
+
+    console.log(`[Scrape] Job ${jobId} slice ${slice}: ${mode} from page ${startPage}`);
+
+    let overlapPages = 1;
+    if (mode === 'incremental') {
+        const { data: overlapSetting } = await supabase
+            .from('admin_settings')
+            .select('value')
+            .eq('key', 'incremental_overlap_pages')
             .single();
-        if (existingJob) {
-            totalRecords = existingJob.total_records || 0;
-            newRecords = existingJob.new_records || 0;
-            updatedRecords = existingJob.updated_records || 0;
-        }
+        overlapPages = parseInt(overlapSetting?.value || '1', 10) || 1;
     }
 
-    const endPage = resumeFromPage + PAGES_PER_CHUNK - 1;
-    console.log(`[Scrape] Processing chunk: pages ${resumeFromPage} to ${endPage}`);
-
     try {
-        let lastPageProcessed = resumeFromPage;
-        let totalPages = null;
-
-        for await (const batch of scrapeAllDisputes({ startPage: resumeFromPage, endPage })) {
-            // Check if job was cancelled
-            const { data: jobCheck } = await supabase
-                .from('scrape_jobs')
-                .select('status')
-                .eq('id', jobId)
-                .single();
-
-            if (jobCheck?.status === 'cancelled') {
-                console.log(`[Scrape] Job ${jobId} was cancelled by admin`);
-                return; // Exit gracefully — status already set to 'cancelled'
+        let lastPageProcessed = cursor.page || 0;
+        let totalPages = job.total_pages;
+        let reachedKnown = false;
+        let outOfTime = false;
+
+        // Pacing from scrape_delay_ms; metrics keep adding up across slices
+        const crawl = await loadCrawlOptions(supabase, job);
+
+        const pages = mode === 'incremental'
+            ? scrapeNewDisputes({
+                startPage,
+                findKnown: drNos => findKnownDisputes(supabase, drNos),
+                overlapPages,
+                quarantine: true,
+                nonce,
+                ...crawl,
+            })
+            : scrapeAllDisputes({
+                startPage,
+                // A gap fill fetches just the pages recorded in scrape_page_failures
+                pages: mode === 'gaps' ? job.target_pages || [] : null,
+                quarantine: true,
+                nonce,
+                ...crawl,
+            });
+
+        for await (const batch of pages) {
+            // Paused, cancelled or taken over by a resumed slice
+            if (!await ownsSlice(supabase, jobId, slice)) {
+                console.log(`[Scrape] Job ${jobId} slice ${slice} no longer owns the job — stopping`);
+                return { next: false, stopped: true };
+            }
+            if (!await heartbeatLock(supabase, jobId)) {
+                console.log(`[Scrape] Job ${jobId} lost the sync lock — pausing`);
+                await transitionJob(supabase, jobId, 'paused', { error_message: 'Lost the sync lock to another job' });
+                return { next: false, stopped: true };
             }
 
             totalPages = batch.totalPages;
+            lastPageProcessed = batch.page;
+
+            // Out of retries — keep the page for a gap fill and carry on (its arrays are empty)
+            if (batch.failed) {
+                failedPages++;
+                await recordPageFailure(supabase, 'disputes', batch, jobId);
+            } else {
+                await resolvePageFailures(supabase, 'disputes', batch, jobId);
+            }
 
-            // Update job progress
-            await supabase
-                .from('scrape_jobs')
-                .update({
-                    total_pages: batch.totalPages,
-                    current_page: batch.page,
-                })
-                .eq('id', jobId);
+            if (batch.nonce !== nonce) {
+                nonce = batch.nonce;
+                nonceFetchedAt = new Date().toISOString();
+            }
 
-            lastPageProcessed = batch.page;
+            // Page 1 leads with the newest listing — record it as the high-water mark
+            if (batch.page === 1 && batch.results[0]) {
+                await supabase
+                    .from('scrape_jobs')
+                    .update({ high_water_dr_no: batch.results[0].dr_no })
+                    .eq('id', jobId);
+            }
+            // Newest dispute date this job has seen, carried across slices
+            for (const record of batch.results) {
+                if (record.dispute_date && (!highWaterDate || record.dispute_date > highWaterDate)) {
+                    highWaterDate = record.dispute_date;
+                }
+            }
+            if (batch.reachedKnown) {
+                reachedKnown = true;
+                await supabase
+                    .from('scrape_jobs')
+                    .update({ stopped_at_page: batch.page })
+                    .eq('id', jobId);
+            }
+
+            // Unparseable headings go to parse_failures instead of disputes
+            await recordParseFailures(supabase, 'disputes', batch.failures, batch.page);
+            await resolveParseFailures(supabase, 'disputes', batch.results);
 
             // Process each record
             for (const record of batch.results) {
@@ -278,11 +463,18 @@ async function runScrape(supabase, jobId, resumeFromPage = 1) {
                     if (record.dr_no) {
                         const { data: existing } = await supabase
                             .from('disputes')
-                            .select('id')
+                            .select(`id, dr_no, ${TRACKED_FIELDS.join(', ')}`)
                             .eq('dr_no', record.dr_no)
                             .single();
 
                         if (existing) {
+                            // Unchanged since the last scrape — nothing to write or count
+                            const changes = diffDispute(existing, record);
+                            if (Object.keys(changes).length === 0) continue;
+
+                            // Keep the field-level diff before overwriting
+                            await recordDisputeRevision(supabase, existing, changes, jobId);
+
                             // Update existing record
                             await supabase
                                 .from('disputes')
@@ -300,6 +492,10 @@ async function runScrape(supabase, jobId, resumeFromPage = 1) {
                                 })
                                 .eq('id', existing.id);
 
+                            if (changes.applicant_name || changes.respondent_name) {
+                                await relinkDisputeParties(supabase, existing, record);
+                            }
+
                             updatedRecords++;
                             continue;
                         }
@@ -336,84 +532,88 @@ async function runScrape(supabase, jobId, resumeFromPage = 1) {
 
                     newRecords++;
 
-                    // Create party records and link them
+                    // Create a party record per individual applicant/respondent and link them
                     if (dispute) {
-                        const applicantId = await upsertParty(
-                            supabase,
-                            record.applicant_name,
-                            record.applicant_role
-                        );
-                        const respondentId = await upsertParty(
-                            supabase,
-                            record.respondent_name,
-                            record.respondent_role
-                        );
-
-                        if (applicantId) {
-                            await supabase.from('dispute_parties').upsert({
-                                dispute_id: dispute.id,
-                                party_id: applicantId,
-                                role: 'Applicant',
-                                party_type: record.applicant_role,
-                            }, { onConflict: 'dispute_id,party_id,role' });
-
-                            await updatePartyCounts(supabase, applicantId);
-                        }
-
-                        if (respondentId) {
-                            await supabase.from('dispute_parties').upsert({
-                                dispute_id: dispute.id,
-                                party_id: respondentId,
-                                role: 'Respondent',
-                                party_type: record.respondent_role,
-                            }, { onConflict: 'dispute_id,party_id,role' });
-
-                            await updatePartyCounts(supabase, respondentId);
-                        }
+                        await linkDisputeParties(supabase, dispute.id, record);
                     }
                 } catch (recordError) {
                     console.error('[Scrape] Error processing record:', recordError.message);
                 }
             }
 
-            // Update counts on job
-            await supabase
-                .from('scrape_jobs')
-                .update({
-                    total_records: totalRecords,
-                    new_records: newRecords,
-                    updated_records: updatedRecords,
-                })
-                .eq('id', jobId);
+            // Stamp everything listed on this page — quarantined records are still listed
+            await markDisputesSeen(supabase, [...batch.results, ...batch.failures].map(r => r.dr_no));
+
+
+            // Checkpoint — the next slice (or a resume) carries on from here
+            const listed = [...batch.results, ...batch.failures];
+            await saveCheckpoint(supabase, jobId, {
+                page: batch.page,
+                last_ref: listed.length > 0 ? listed[listed.length - 1].dr_no : cursor.last_ref || null,
+                nonce,
+                nonce_fetched_at: nonceFetchedAt,
+                total_rows: batch.totalResults,
+                per_page: batch.perPage,
+            }, {
+                total_pages: batch.totalPages,
+                current_page: batch.page,
+                total_records: totalRecords,
+                new_records: newRecords,
+                updated_records: updatedRecords,
+                crawl_metrics: batch.metrics,
+                failed_pages: failedPages,
+                high_water_date: highWaterDate,
+            });
+
+            if (Date.now() - sliceStarted > MAX_SLICE_MS) {
+                outOfTime = true;
+                break;
+            }
         }
 
-        // Check if we've finished all pages or need another chunk
-        if (totalPages && lastPageProcessed < totalPages) {
-            // More pages to go — chain the next chunk
-            const nextPage = lastPageProcessed + 1;
-            console.log(`[Scrape] Chunk done (page ${lastPageProcessed}/${totalPages}). Chaining next chunk from page ${nextPage}...`);
-
-            // Small delay between chunks
-            await new Promise(resolve => setTimeout(resolve, 2000));
-
-            // Recurse into next chunk
-            return runScrape(supabase, jobId, nextPage);
+        // Out of time with pages left — hand over to the next slice
+        const pagesLeft = mode === 'gaps'
+            ? (job.target_pages || []).some(p => p > lastPageProcessed && p <= totalPages)
+            : totalPages && lastPageProcessed < totalPages;
+        if (outOfTime && !reachedKnown && pagesLeft) {
+            console.log(`[Scrape] Job ${jobId} slice ${slice} done (page ${lastPageProcessed}/${totalPages}). Chaining next slice...`);
+            return { next: true, page: lastPageProcessed, total_pages: totalPages };
         }
 
         // All pages complete — mark job done
-        await supabase
-            .from('scrape_jobs')
-            .update({
-                status: 'completed',
-                total_records: totalRecords,
-                new_records: newRecords,
-                updated_records: updatedRecords,
-                completed_at: new Date().toISOString(),
-            })
-            .eq('id', jobId);
+        const completed = await transitionJob(supabase, jobId, 'completed', {
+            total_records: totalRecords,
+            new_records: newRecords,
+            updated_records: updatedRecords,
+            failed_pages: failedPages,
+            high_water_date: highWaterDate,
+            completed_at: new Date().toISOString(),
+        });
+
+        if (!completed) {
+            console.log(`[Scrape] Job ${jobId} was paused or cancelled before it could complete`);
+            await releaseLock(supabase, jobId);
+            return { next: false, stopped: true };
+        }
 
         console.log(`[Scrape] Complete: ${newRecords} new, ${updatedRecords} updated, ${totalRecords} total`);
 
+        // A full walk saw every listed DR number — flag stored disputes RTB no longer lists
+        // — unless a page failed, since its disputes were never stamped as seen
+        if (mode === 'full') {
+            try {
+                const blocker = await reconciliationBlocker(supabase, completed);
+                if (blocker) {
+                    console.warn(`[Scrape] Skipping reconciliation: ${blocker}`);
+                    await supabase.from('scrape_jobs').update({ reconcile_message: blocker }).eq('id', jobId);
+                } else {
+                    await reconcileRemovedDisputes(supabase, { since: completed.started_at, jobId });
+                }
+            } catch (reconcileError) {
+                console.error('[Scrape] Reconciliation failed:', reconcileError.message);
+            }
+        }
+
         // Auto-trigger AI processing on new records (if enabled)
         if (newRecords > 0) {
             const { data: aiSetting } = await supabase
@@ -436,18 +636,23 @@ async function runScrape(supabase, jobId, resumeFromPage = 1) {
                 console.log('[Scrape] AI auto-processing is disabled');
             }
         }
+
+        // Auto-processing ran under the job's lock — batch AI can start now
+        await releaseLock(supabase, jobId);
+
+        return { next: false, completed: true };
     } catch (error) {
+        // The cursor is left at the last good page, so a resume carries on from there
         console.error('[Scrape] Job failed:', error.message);
-        await supabase
-            .from('scrape_jobs')
-            .update({
-                status: 'failed',
-                error_message: error.message,
-                total_records: totalRecords,
-                new_records: newRecords,
-                updated_records: updatedRecords,
-                completed_at: new Date().toISOString(),
-            })
-            .eq('id', jobId);
+        await transitionJob(supabase, jobId, 'failed', {
+            error_message: error.message,
+            ...(error.metrics ? { crawl_metrics: error.metrics } : {}),
+            total_records: totalRecords,
+            new_records: newRecords,
+            updated_records: updatedRecords,
+            completed_at: new Date().toISOString(),
+        });
+        await releaseLock(supabase, jobId);
+        return { next: false, error: error.message };
     }
 }
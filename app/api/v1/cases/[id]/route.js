@@ -0,0 +1,61 @@
+/**
+ * GET /api/v1/cases/:id
+ * A case's timeline — the adjudication, any Tribunal appeal and any court
+ * enforcement order — and whether the appeal upheld, varied or overturned it.
+ * :id is a DR or TR number, a court reference (URL-encoded), or a dispute or
+ * enforcement order id.
+ */
+
+import { createServiceClient } from '@/lib/supabase';
+import { authenticateApiKey, logApiUsage, apiError, apiSuccess, corsHeaders } from '@/lib/api-auth';
+import { loadCase } from '@/lib/case-chain';
+
+export async function OPTIONS() {
+    return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+export async function GET(request, { params }) {
+    const start = Date.now();
+    const { user, error, status } = await authenticateApiKey(request);
+    if (error) return apiError(error, status);
+
+    try {
+        const { id } = await params;
+        const supabase = createServiceClient();
+
+        const found = await loadCase(supabase, decodeURIComponent(id));
+        if (!found) {
+            return apiError('Case not found', 404);
+        }
+
+        const responseTime = Date.now() - start;
+        await logApiUsage(user.id, '/api/v1/cases/' + id, 'GET', 200, responseTime);
+
+        return apiSuccess({
+            id: found.id,
+            status: found.status,
+            appeal: found.appeal,
+            applicant: found.applicant,
+            respondent: found.respondent,
+            timeline: found.timeline.map(event => ({
+                stage: event.stage,
+                date: event.date,
+                reference: event.reference,
+                dr_no: event.dr_no,
+                heading: event.heading,
+                subject: event.subject,
+                outcome: event.outcome,
+                compensation_amount: event.compensation_amount,
+                cost_order: event.cost_order,
+                summary: event.summary,
+                reviewed: event.reviewed,
+                link: event.stage === 'enforcement'
+                    ? { method: event.link_method, confidence: event.link_confidence }
+                    : undefined,
+                pdf_urls: event.documents.map(doc => doc.url),
+            })),
+        });
+    } catch (err) {
+        return apiError('Internal server error: ' + err.message, 500);
+    }
+}
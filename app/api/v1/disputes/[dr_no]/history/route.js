@@ -0,0 +1,65 @@
+/**
+ * GET /api/v1/disputes/:dr_no/history
+ * Field-level revision history for a dispute — every change RTB made to the
+ * published record after it was first scraped, newest first
+ */
+
+import { createServiceClient } from '@/lib/supabase';
+import { authenticateApiKey, logApiUsage, apiError, apiSuccess, corsHeaders } from '@/lib/api-auth';
+
+export async function OPTIONS() {
+    return new Response(null, { status: 204, headers: corsHeaders() });
+}
+
+export async function GET(request, { params }) {
+    const start = Date.now();
+    const { user, error, status } = await authenticateApiKey(request);
+    if (error) return apiError(error, status);
+
+    try {
+        const { dr_no } = await params;
+        const supabase = createServiceClient();
+
+        const { data: dispute, error: queryError } = await supabase
+            .from('disputes')
+            .select('id, dr_no, created_at')
+            .eq('dr_no', decodeURIComponent(dr_no))
+            .single();
+
+        if (queryError || !dispute) {
+            return apiError('Dispute not found', 404);
+        }
+
+        const { data: revisions, error: revisionsError } = await supabase
+            .from('dispute_revisions')
+            .select('changed_fields, changes, detected_at')
+            .eq('dispute_id', dispute.id)
+            .order('detected_at', { ascending: false });
+
+        if (revisionsError) {
+            return apiError('Query failed: ' + revisionsError.message, 500);
+        }
+
+        const responseTime = Date.now() - start;
+        await logApiUsage(user.id, '/api/v1/disputes/' + dr_no + '/history', 'GET', 200, responseTime);
+
+        return apiSuccess(
+            (revisions || []).map(r => ({
+                detected_at: r.detected_at,
+                changed_fields: r.changed_fields,
+                changes: Object.fromEntries(
+                    Object.entries(r.changes || {})
+                        // raw_html is an internal scrape artefact — report that it changed, not its contents
+                        .map(([field, diff]) => [field, field === 'raw_html' ? { changed: true } : diff])
+                ),
+            })),
+            {
+                dr_no: dispute.dr_no,
+                first_scraped_at: dispute.created_at,
+                total: (revisions || []).length,
+            }
+        );
+    } catch (err) {
+        return apiError('Internal server error: ' + err.message, 500);
+    }
+}
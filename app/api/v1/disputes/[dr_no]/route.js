@@ -29,6 +29,18 @@ export async function GET(request, { params }) {
             return apiError('Dispute not found', 404);
         }
 
+        // Itemised award, in the order the determination lists it
+        const { data: awardItems } = await supabase
+            .from('dispute_award_items')
+            .select('description, amount, category')
+            .eq('dispute_id', dispute.id)
+            .order('position', { ascending: true });
+
+        const categoryTotals = {};
+        for (const item of awardItems || []) {
+            categoryTotals[item.category] = (categoryTotals[item.category] || 0) + parseFloat(item.amount);
+        }
+
         // Get linked parties
         const { data: partyLinks } = await supabase
             .from('dispute_parties')
@@ -59,8 +71,15 @@ export async function GET(request, { params }) {
                 cost_order: dispute.ai_cost_order,
                 property_address: dispute.ai_property_address,
                 award_items: dispute.ai_award_items,
+                award_breakdown: {
+                    items: (awardItems || []).map(item => ({ ...item, amount: parseFloat(item.amount) })),
+                    totals: categoryTotals,
+                },
                 amount_quote: dispute.ai_amount_quote,
                 model_used: dispute.ai_model_used,
+                prompt_version: dispute.ai_prompt_version || null,
+                provenance: dispute.ai_provenance || null,
+                reviewed_at: dispute.ai_reviewed_at || null,
                 processed_at: dispute.ai_processed_at,
             } : null,
             parties: (partyLinks || []).map(link => ({
@@ -78,6 +97,7 @@ export async function GET(request, { params }) {
                 } : {},
             })),
             pdf_urls: (dispute.pdf_urls || []).map(p => p.url),
+            removed_from_source_at: dispute.removed_from_source_at || null,
         });
     } catch (err) {
         return apiError('Internal server error: ' + err.message, 500);
@@ -3,7 +3,8 @@
  * Search and filter disputes
  * 
  * Query parameters:
- *   q        - Full text search (matches heading, dr_no, applicant, respondent)
+ *   q        - Full text search: heading, dr_no, parties, summary and the determination
+ *              PDF text ("exact phrase", OR, -exclude, NEAR/n). PDF matches include a `snippet`.
  *   name     - Search by party name (applicant or respondent)
  *   dr_no    - Filter by DR number
  *   outcome  - Filter by AI outcome (Upheld, Dismissed, etc.)
@@ -12,6 +13,7 @@
  *   date_to   - Filter by date (ISO format)
  *   min_award - Minimum compensation amount
  *   max_award - Maximum compensation amount
+ *   exclude_removed - "true" to drop disputes RTB no longer lists (withdrawn/redacted)
  *   page     - Page number (default: 1)
  *   per_page - Results per page (default: 25, max: 100)
  *   sort     - Sort field (date, award, name) 
@@ -20,6 +22,7 @@
 
 import { createServiceClient } from '@/lib/supabase';
 import { authenticateApiKey, logApiUsage, apiError, apiSuccess, corsHeaders } from '@/lib/api-auth';
+import { toTsQuery, attachSnippets } from '@/lib/fulltext-search';
 
 export async function OPTIONS() {
     return new Response(null, { status: 204, headers: corsHeaders() });
@@ -40,15 +43,14 @@ export async function GET(request) {
 
         const supabase = createServiceClient();
 
-        let query = supabase
-            .from('disputes')
-            .select('id, dr_no, tr_no, heading, dispute_date, applicant_name, applicant_role, respondent_name, respondent_role, ai_summary, ai_outcome, ai_dispute_type, ai_compensation_amount, ai_cost_order, ai_property_address, ai_processed_at, pdf_urls', { count: 'exact' });
+        const columns = 'id, dr_no, tr_no, heading, dispute_date, applicant_name, applicant_role, respondent_name, respondent_role, ai_summary, ai_outcome, ai_dispute_type, ai_compensation_amount, ai_cost_order, ai_property_address, ai_processed_at, pdf_urls, removed_from_source_at';
 
-        // Text search
+        // Text search — listing fields and PDF text
         const q = params.get('q');
-        if (q) {
-            query = query.or(`heading.ilike.%${q}%,dr_no.ilike.%${q}%,applicant_name.ilike.%${q}%,respondent_name.ilike.%${q}%`);
-        }
+        const tsquery = q ? toTsQuery(q) : null;
+        let query = q
+            ? supabase.rpc('search_disputes', { p_search: q, p_tsquery: tsquery }, { count: 'exact' }).select(columns)
+            : supabase.from('disputes').select(columns, { count: 'exact' });
 
         // Party name search
         const name = params.get('name');
@@ -94,6 +96,11 @@ export async function GET(request) {
             query = query.lte('ai_compensation_amount', parseInt(maxAward));
         }
 
+        // Withdrawn from rtb.ie
+        if (params.get('exclude_removed') === 'true') {
+            query = query.is('removed_from_source_at', null);
+        }
+
         // Sorting
         const sort = params.get('sort') || 'date';
         const order = params.get('order') || 'desc';
@@ -124,8 +131,10 @@ export async function GET(request) {
         const responseTime = Date.now() - start;
         await logApiUsage(user.id, '/api/v1/disputes', 'GET', 200, responseTime);
 
+        const rows = await attachSnippets(supabase, 'disputes', tsquery, data);
+
         return apiSuccess(
-            data.map(d => formatDispute(d)),
+            rows.map(d => formatDispute(d)),
             {
                 page,
                 per_page: perPage,
@@ -162,5 +171,7 @@ function formatDispute(d) {
             processed_at: d.ai_processed_at,
         } : null,
         pdf_urls: (d.pdf_urls || []).map(p => p.url),
+        removed_from_source_at: d.removed_from_source_at || null,
+        ...(d.snippet ? { snippet: d.snippet } : {}),
     };
 }
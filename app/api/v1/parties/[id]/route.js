@@ -1,6 +1,6 @@
 /**
  * GET /api/v1/parties/:id
- * Get party details with full dispute history
+ * Get party details, the other names they are known by, and full dispute history
  */
 
 import { createServiceClient } from '@/lib/supabase';
@@ -44,12 +44,20 @@ export async function GET(request, { params }) {
             .eq('party_id', id)
             .order('enforcement_orders(order_date)', { ascending: false });
 
+        // Trading names, former names
+        const { data: aliases } = await supabase
+            .from('party_aliases')
+            .select('alias')
+            .eq('party_id', id)
+            .order('alias', { ascending: true });
+
         const responseTime = Date.now() - start;
         await logApiUsage(user.id, '/api/v1/parties/' + id, 'GET', 200, responseTime);
 
         return apiSuccess({
             id: party.id,
             name: party.name,
+            aliases: (aliases || []).map(a => a.alias),
             type: party.party_type,
             disputes: {
                 total: party.total_disputes,
@@ -61,6 +69,7 @@ export async function GET(request, { params }) {
                 for: parseFloat(party.net_awards_for || 0),
                 against: parseFloat(party.net_awards_against || 0),
                 net: parseFloat(party.net_awards || 0),
+                by_category: party.awards_by_category || {},
             },
             dispute_history: (links || []).map(link => ({
                 role: link.role,
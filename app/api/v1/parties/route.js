@@ -3,7 +3,7 @@
  * Search and filter parties
  * 
  * Query parameters:
- *   q         - Search by name
+ *   q         - Search by name or alias
  *   type      - Filter by party type (Landlord, Tenant)
  *   min_disputes - Minimum number of disputes
  *   has_awards   - If "true", only parties with net_awards != 0
@@ -15,6 +15,7 @@
 
 import { createServiceClient } from '@/lib/supabase';
 import { authenticateApiKey, logApiUsage, apiError, apiSuccess, corsHeaders } from '@/lib/api-auth';
+import { partyIdsMatchingAlias, nameOrAliasFilter } from '@/lib/party-aliases';
 
 export async function OPTIONS() {
     return new Response(null, { status: 204, headers: corsHeaders() });
@@ -39,10 +40,13 @@ export async function GET(request) {
             .from('parties')
             .select('id, name, party_type, total_disputes, total_as_applicant, total_as_respondent, net_awards_for, net_awards_against, net_awards', { count: 'exact' });
 
-        // Name search
+        // Name search, including the names a party is also known by
         const q = params.get('q');
         if (q) {
-            query = query.ilike('name', `%${q}%`);
+            const aliasIds = await partyIdsMatchingAlias(supabase, q);
+            query = aliasIds.length > 0
+                ? query.or(nameOrAliasFilter(q, aliasIds))
+                : query.ilike('name', `%${q}%`);
         }
 
         // Party type filter
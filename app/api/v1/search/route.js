@@ -1,15 +1,22 @@
 /**
  * GET /api/v1/search
- * Full-text search across disputes and parties
+ * Full-text search across disputes, enforcement orders and parties
  * 
  * Query parameters:
- *   q - Search query (required)
- *   type - "disputes", "parties", or "all" (default: "all")
+ *   q - Search query (required). Disputes and enforcement orders also match
+ *       their PDF text: "exact phrase", OR, -exclude, NEAR/n
+ *   type - "disputes", "enforcement", "parties", or "all" (default: "all")
+ *          Parties match on their name or any alias (trading or former name)
  *   limit - Max results per type (default: 10, max: 50)
+ *
+ * PDF text matches carry a `snippet` with matches wrapped in <mark>…</mark>
+ * (the rest of the snippet is plain PDF text, not HTML-escaped).
  */
 
 import { createServiceClient } from '@/lib/supabase';
 import { authenticateApiKey, logApiUsage, apiError, apiSuccess, corsHeaders } from '@/lib/api-auth';
+import { toTsQuery, attachSnippets } from '@/lib/fulltext-search';
+import { partyIdsMatchingAlias, aliasesForParties, nameOrAliasFilter } from '@/lib/party-aliases';
 
 export async function OPTIONS() {
     return new Response(null, { status: 204, headers: corsHeaders() });
@@ -31,18 +38,19 @@ export async function GET(request) {
         }
 
         const supabase = createServiceClient();
+        const tsquery = toTsQuery(q);
         const result = {};
 
         // Search disputes
         if (type === 'all' || type === 'disputes') {
-            const { data: disputes } = await supabase
-                .from('disputes')
-                .select('dr_no, heading, dispute_date, applicant_name, respondent_name, ai_outcome, ai_compensation_amount, ai_dispute_type')
-                .or(`heading.ilike.%${q}%,dr_no.ilike.%${q}%,applicant_name.ilike.%${q}%,respondent_name.ilike.%${q}%,ai_summary.ilike.%${q}%`)
+            const { data } = await supabase
+                .rpc('search_disputes', { p_search: q, p_tsquery: tsquery })
+                .select('id, dr_no, heading, dispute_date, applicant_name, respondent_name, ai_outcome, ai_compensation_amount, ai_dispute_type')
                 .order('dispute_date', { ascending: false })
                 .limit(limit);
+            const disputes = await attachSnippets(supabase, 'disputes', tsquery, data);
 
-            result.disputes = (disputes || []).map(d => ({
+            result.disputes = disputes.map(d => ({
                 dr_no: d.dr_no,
                 heading: d.heading,
                 date: d.dispute_date,
@@ -51,21 +59,51 @@ export async function GET(request) {
                 outcome: d.ai_outcome,
                 compensation: d.ai_compensation_amount,
                 type: d.ai_dispute_type,
+                ...(d.snippet ? { snippet: d.snippet } : {}),
             }));
         }
 
-        // Search parties
+        // Search enforcement orders
+        if (type === 'all' || type === 'enforcement') {
+            const { data } = await supabase
+                .rpc('search_enforcement_orders', { p_search: q, p_tsquery: tsquery })
+                .select('id, court_ref_no, prtb_no, heading, order_date, subject, applicant_name, respondent_name, ai_outcome, ai_compensation_amount')
+                .order('order_date', { ascending: false })
+                .limit(limit);
+            const orders = await attachSnippets(supabase, 'enforcement', tsquery, data);
+
+            result.enforcement_orders = orders.map(o => ({
+                court_ref_no: o.court_ref_no,
+                prtb_no: o.prtb_no,
+                heading: o.heading,
+                date: o.order_date,
+                subject: o.subject,
+                applicant: o.applicant_name,
+                respondent: o.respondent_name,
+                outcome: o.ai_outcome,
+                compensation: o.ai_compensation_amount,
+                ...(o.snippet ? { snippet: o.snippet } : {}),
+            }));
+        }
+
+        // Search parties, by name or alias
         if (type === 'all' || type === 'parties') {
-            const { data: parties } = await supabase
+            const aliasIds = await partyIdsMatchingAlias(supabase, q);
+            let partyQuery = supabase
                 .from('parties')
-                .select('id, name, party_type, total_disputes, net_awards_against')
-                .ilike('name', `%${q}%`)
+                .select('id, name, party_type, total_disputes, net_awards_against');
+            partyQuery = aliasIds.length > 0
+                ? partyQuery.or(nameOrAliasFilter(q, aliasIds))
+                : partyQuery.ilike('name', `%${q}%`);
+            const { data: parties } = await partyQuery
                 .order('total_disputes', { ascending: false })
                 .limit(limit);
+            const aliases = await aliasesForParties(supabase, (parties || []).map(p => p.id));
 
             result.parties = (parties || []).map(p => ({
                 id: p.id,
                 name: p.name,
+                aliases: aliases.get(p.id) || [],
                 type: p.party_type,
                 total_disputes: p.total_disputes,
                 awards_against: parseFloat(p.net_awards_against || 0),
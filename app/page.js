@@ -209,7 +209,7 @@ export default function Home() {
           <DisputesView showToast={showToast} navigateToDrNo={navigateToDisputeDrNo} onNavigated={() => setNavigateToDisputeDrNo(null)} />
         )}
         {activeTab === 'league' && (
-          <LeagueTableView showToast={showToast} navigateToPartyId={navigateToPartyId} onNavigated={() => setNavigateToPartyId(null)} onDisputeClick={openDisputeByDrNo} />
+          <LeagueTableView showToast={showToast} isAdmin={isAdmin} navigateToPartyId={navigateToPartyId} onNavigated={() => setNavigateToPartyId(null)} onDisputeClick={openDisputeByDrNo} />
         )}
         {activeTab === 'enforcement' && (
           <EnforcementOrdersView showToast={showToast} />
@@ -610,6 +610,16 @@ function DashboardView({ stats, onRefresh, onPartyClick }) {
 // ============================================
 // DISPUTES VIEW
 // ============================================
+// PDF text snippet from full-text search: matches come wrapped in <mark>…</mark>,
+// the rest is raw PDF text — split rather than render as HTML
+function renderSnippet(snippet) {
+  return snippet.split(/(<mark>[\s\S]*?<\/mark>)/).map((part, i) => (
+    part.startsWith('<mark>')
+      ? <mark key={i} style={{ background: 'rgba(250, 204, 21, 0.35)', color: 'inherit', borderRadius: '3px', padding: '0 2px' }}>{part.slice(6, -7)}</mark>
+      : <span key={i}>{part}</span>
+  ));
+}
+
 function DisputesView({ showToast, navigateToDrNo, onNavigated }) {
   const [disputes, setDisputes] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -701,7 +711,7 @@ function DisputesView({ showToast, navigateToDrNo, onNavigated }) {
           <input
             type="text"
             className="search-input"
-            placeholder="Search by name, address, DR number, TR number..."
+            placeholder='Search names, address, DR/TR number or PDF text — "exact phrase", OR, -exclude, NEAR/5'
             defaultValue={search}
             key={search}
             onChange={(e) => handleSearch(e.target.value)}
@@ -800,6 +810,11 @@ function DisputesView({ showToast, navigateToDrNo, onNavigated }) {
                       {!d.applicant_name && !d.respondent_name && (
                         <span style={{ color: 'var(--text-tertiary)', fontSize: '12px' }}>{d.heading}</span>
                       )}
+                      {d.snippet && (
+                        <div style={{ marginTop: 6, fontSize: '12px', fontWeight: 400, color: 'var(--text-secondary)' }}>
+                          📄 …{renderSnippet(d.snippet)}…
+                        </div>
+                      )}
                     </div>
                   </td>
                   <td className="mono">{d.dr_no || '—'}</td>
@@ -887,7 +902,227 @@ function DisputesView({ showToast, navigateToDrNo, onNavigated }) {
 // ============================================
 // DISPUTE MODAL
 // ============================================
+const PROVENANCE_LABELS = {
+  compensation_amount: 'Compensation',
+  cost_order: 'Cost Order',
+  outcome: 'Outcome',
+  property_address: 'Property',
+  dispute_type: 'Type',
+};
+
+function formatProvenanceValue(field, value) {
+  if (value === null || value === undefined) return '—';
+  if (field === 'compensation_amount' || field === 'cost_order') return `€${parseFloat(value).toLocaleString()}`;
+  return value;
+}
+
+function ProvenanceList({ provenance, pdfUrl }) {
+  const fields = Object.keys(PROVENANCE_LABELS).filter(field => provenance[field]);
+  if (fields.length === 0) return null;
+  const { model, prompt_version: promptVersion } = provenance[fields[0]];
+
+  return (
+    <details style={{ margin: '0 0 12px' }}>
+      <summary style={{ cursor: 'pointer', fontSize: '12px', fontWeight: 600, color: 'var(--text-secondary)' }}>
+        🔎 Where these values came from
+        <span style={{ fontWeight: 400, color: 'var(--text-tertiary)', marginLeft: '8px' }}>
+          {model}{promptVersion ? ` · ${promptVersion}` : ''}
+        </span>
+      </summary>
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '10px', marginTop: '10px' }}>
+        {fields.map(field => {
+          const p = provenance[field];
+          return (
+            <div key={field} style={{ fontSize: '12px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px', flexWrap: 'wrap', marginBottom: '4px' }}>
+                <strong style={{ color: 'var(--text-primary)' }}>{PROVENANCE_LABELS[field]}:</strong>
+                <span style={{ color: 'var(--text-secondary)' }}>{formatProvenanceValue(field, p.value)}</span>
+                {p.page && (
+                  pdfUrl ? (
+                    <a href={`${pdfUrl}#page=${p.page}`} target="_blank" rel="noopener noreferrer" className="badge badge-glass">
+                      p. {p.page}
+                    </a>
+                  ) : (
+                    <span className="badge badge-glass">p. {p.page}</span>
+                  )
+                )}
+                {p.quote && (
+                  <span className={`badge ${p.quote_verified ? 'badge-green' : 'badge-amber'}`}>
+                    {p.quote_verified ? 'Quote found in PDF' : 'Quote not found in PDF text'}
+                  </span>
+                )}
+                {p.confidence !== null && p.confidence !== undefined && (
+                  <span className={`badge ${p.confidence >= 0.8 ? 'badge-blue' : 'badge-amber'}`}>
+                    {Math.round(p.confidence * 100)}% confident
+                  </span>
+                )}
+              </div>
+              {p.quote ? (
+                <blockquote style={{
+                  margin: 0,
+                  padding: '6px 10px',
+                  borderLeft: '2px solid rgba(99, 102, 241, 0.4)',
+                  color: 'var(--text-secondary)',
+                  fontStyle: 'italic',
+                  lineHeight: 1.5,
+                }}>
+                  “{p.quote}”
+                </blockquote>
+              ) : (
+                <div style={{ color: 'var(--text-tertiary)' }}>No supporting quote</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </details>
+  );
+}
+
+const AWARD_CATEGORIES = {
+  rent_arrears: { label: 'Rent arrears', color: '#f59e0b' },
+  deposit: { label: 'Deposit', color: '#3b82f6' },
+  damages: { label: 'Damages', color: '#ef4444' },
+  costs: { label: 'Costs', color: '#a855f7' },
+  interest: { label: 'Interest', color: '#10b981' },
+  other: { label: 'Other', color: '#94a3b8' },
+};
+
+function AwardBreakdown({ items }) {
+  const sorted = [...items].sort((a, b) => a.position - b.position);
+  const totals = {};
+  for (const item of sorted) {
+    totals[item.category] = (totals[item.category] || 0) + parseFloat(item.amount);
+  }
+  const grandTotal = Object.values(totals).reduce((sum, v) => sum + v, 0);
+  if (grandTotal <= 0) return null;
+
+  return (
+    <div style={{ marginTop: '12px' }}>
+      <div style={{ fontSize: '10px', color: 'var(--text-tertiary)', textTransform: 'uppercase', marginBottom: '6px' }}>Award Breakdown</div>
+      <div style={{ display: 'flex', height: '8px', borderRadius: '4px', overflow: 'hidden', marginBottom: '8px' }}>
+        {Object.entries(totals).map(([category, total]) => (
+          <div
+            key={category}
+            title={`${AWARD_CATEGORIES[category]?.label || category}: €${total.toLocaleString()}`}
+            style={{ width: `${(total / grandTotal) * 100}%`, background: AWARD_CATEGORIES[category]?.color || '#94a3b8' }}
+          />
+        ))}
+      </div>
+      {sorted.map(item => (
+        <div key={item.position} style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', padding: '3px 0' }}>
+          <span style={{
+            width: '8px', height: '8px', borderRadius: '50%', flexShrink: 0,
+            background: AWARD_CATEGORIES[item.category]?.color || '#94a3b8',
+          }} />
+          <span style={{ color: 'var(--text-tertiary)', width: '90px', flexShrink: 0 }}>
+            {AWARD_CATEGORIES[item.category]?.label || item.category}
+          </span>
+          <span style={{ flex: 1, color: 'var(--text-secondary)' }}>{item.description}</span>
+          <span style={{ fontWeight: 600, color: 'var(--text-primary)' }}>€{parseFloat(item.amount).toLocaleString()}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const CASE_STAGES = {
+  adjudication: { label: 'Adjudication', icon: '📋', color: '#3b82f6' },
+  tribunal: { label: 'Tribunal appeal', icon: '🏛️', color: '#a855f7' },
+  enforcement: { label: 'Court enforcement', icon: '⚖️', color: '#f59e0b' },
+};
+
+const APPEAL_BADGES = {
+  upheld: { label: 'Upheld on appeal', badge: 'badge-green' },
+  varied: { label: 'Varied on appeal', badge: 'badge-amber' },
+  overturned: { label: 'Overturned on appeal', badge: 'badge-red' },
+  withdrawn: { label: 'Appeal withdrawn', badge: 'badge-glass' },
+  pending: { label: 'Under appeal', badge: 'badge-blue' },
+  unknown: { label: 'Appealed', badge: 'badge-purple' },
+};
+
+function CaseTimeline({ caseChain, currentDisputeId, onDisputeClick }) {
+  const appeal = APPEAL_BADGES[caseChain.appeal?.result];
+
+  return (
+    <div>
+      {appeal && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px', flexWrap: 'wrap' }}>
+          <span className={`badge ${appeal.badge}`}>{appeal.label}</span>
+          <span style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>{caseChain.appeal.detail}</span>
+        </div>
+      )}
+      {caseChain.timeline.map((event, i) => {
+        const stage = CASE_STAGES[event.stage];
+        const isCurrent = event.dispute_id && event.dispute_id === currentDisputeId;
+        const clickable = onDisputeClick && event.dr_no && !isCurrent;
+        return (
+          <div
+            key={i}
+            onClick={() => clickable && onDisputeClick(event.dr_no)}
+            style={{
+              display: 'flex', gap: '10px', padding: '6px 0 6px 10px',
+              borderLeft: `2px solid ${stage.color}`,
+              marginBottom: '4px',
+              cursor: clickable ? 'pointer' : 'default',
+              opacity: isCurrent ? 1 : 0.9,
+            }}
+          >
+            <div style={{ width: '80px', flexShrink: 0, fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              {event.date ? new Date(event.date).toLocaleDateString('en-IE') : 'Date unknown'}
+            </div>
+            <div style={{ flex: 1, fontSize: '12px' }}>
+              <div style={{ fontWeight: 600, color: 'var(--text-primary)' }}>
+                {stage.icon} {stage.label}
+                <span style={{ fontFamily: "'SF Mono', monospace", fontWeight: 400, color: 'var(--text-tertiary)', marginLeft: '6px' }}>{event.reference}</span>
+                {isCurrent && <span className="badge badge-glass" style={{ marginLeft: '6px', fontSize: '10px' }}>This record</span>}
+              </div>
+              <div style={{ marginTop: '3px', display: 'flex', gap: '6px', flexWrap: 'wrap', alignItems: 'center' }}>
+                {event.outcome && (
+                  <span className={`badge ${event.outcome === 'Upheld' || event.outcome.includes('Granted') ? 'badge-green' : event.outcome === 'Dismissed' ? 'badge-red' : 'badge-amber'}`} style={{ fontSize: '10px' }}>
+                    {event.outcome}
+                  </span>
+                )}
+                {event.compensation_amount > 0 && (
+                  <span style={{ color: 'var(--accent-green)', fontWeight: 600 }}>€{event.compensation_amount.toLocaleString()}</span>
+                )}
+                {event.implied && (
+                  <span style={{ color: 'var(--text-tertiary)' }}>Replaced on the RTB listing by the Tribunal order</span>
+                )}
+                {event.link_method && event.link_method !== 'prtb_no' && event.link_confidence !== null && (
+                  <span style={{ color: 'var(--text-tertiary)' }}>Matched by {LINK_METHOD_LABELS[event.link_method] || event.link_method} ({Math.round(event.link_confidence * 100)}%)</span>
+                )}
+                {event.documents.map((doc, j) => (
+                  <a key={j} href={doc.url} target="_blank" rel="noopener noreferrer" onClick={e => e.stopPropagation()} style={{ color: 'var(--accent-blue)', fontSize: '11px' }}>
+                    📄 {doc.label}
+                  </a>
+                ))}
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 function DisputeModal({ dispute, onClose }) {
+  // Keyed by dispute so a stale chain never shows for the next dispute opened
+  const [loadedCase, setLoadedCase] = useState(null);
+  const caseChain = loadedCase?.disputeId === dispute.id ? loadedCase.caseChain : null;
+
+  useEffect(() => {
+    if (!dispute.id) return;
+    fetch(`/api/cases/${dispute.id}`)
+      .then(res => res.ok ? res.json() : null)
+      .then(data => setLoadedCase({ disputeId: dispute.id, caseChain: data?.case || null }))
+      .catch(() => setLoadedCase(null));
+  }, [dispute.id]);
+
+  const adjudicationChallenged = caseChain
+    && ['overturned', 'varied'].includes(caseChain.appeal?.result)
+    && caseChain.timeline.some(e => e.stage === 'adjudication' && e.dispute_id === dispute.id && !e.implied);
+
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="glass-card-static modal-content" onClick={e => e.stopPropagation()}>
@@ -899,10 +1134,24 @@ function DisputeModal({ dispute, onClose }) {
             {dispute.dr_no && (
               <span className="badge badge-glass">{dispute.dr_no}</span>
             )}
+            {dispute.removed_from_source_at && (
+              <span className="badge badge-red" style={{ marginLeft: '6px' }}>
+                Removed from RTB {new Date(dispute.removed_from_source_at).toLocaleDateString('en-IE')}
+              </span>
+            )}
           </div>
           <button className="modal-close" onClick={onClose}>✕</button>
         </div>
 
+        {adjudicationChallenged && (
+          <div style={{
+            fontSize: '12px', lineHeight: 1.5, padding: '10px 12px', marginBottom: '12px',
+            borderRadius: 'var(--radius-sm)', background: 'rgba(239, 68, 68, 0.08)', border: '1px solid rgba(239, 68, 68, 0.25)',
+          }}>
+            ⚠️ {APPEAL_BADGES[caseChain.appeal.result].label} — {caseChain.appeal.detail}. Check the Tribunal order before relying on this determination.
+          </div>
+        )}
+
         <div className="modal-field">
           <div className="modal-field-label">Heading</div>
           <div className="modal-field-value">{dispute.heading}</div>
@@ -941,6 +1190,13 @@ function DisputeModal({ dispute, onClose }) {
           </div>
         )}
 
+        {caseChain && caseChain.timeline.length > 1 && (
+          <div className="modal-field">
+            <div className="modal-field-label">Case Timeline</div>
+            <CaseTimeline caseChain={caseChain} currentDisputeId={dispute.id} />
+          </div>
+        )}
+
         {dispute.property_address && (
           <div className="modal-field">
             <div className="modal-field-label">Property Address</div>
@@ -952,6 +1208,11 @@ function DisputeModal({ dispute, onClose }) {
           <div className="glass-card-static" style={{ padding: '16px', margin: '16px 0', borderColor: 'rgba(99, 102, 241, 0.2)' }}>
             <div style={{ fontSize: '12px', fontWeight: 600, color: '#818cf8', textTransform: 'uppercase', letterSpacing: '0.5px', marginBottom: '10px' }}>
               🤖 AI Analysis
+              {dispute.ai_reviewed_at && (
+                <span className="badge badge-green" style={{ marginLeft: '8px', textTransform: 'none', letterSpacing: 0 }}>
+                  ✓ Checked by a reviewer
+                </span>
+              )}
             </div>
             <div style={{ fontSize: '13px', lineHeight: 1.6, color: 'var(--text-secondary)', marginBottom: '12px' }}>
               {dispute.ai_summary}
@@ -1004,6 +1265,9 @@ function DisputeModal({ dispute, onClose }) {
                 <div style={{ fontSize: '13px', color: 'var(--text-primary)' }}>📍 {dispute.ai_property_address}</div>
               </div>
             )}
+            {dispute.dispute_award_items?.length > 0 && (
+              <AwardBreakdown items={dispute.dispute_award_items} />
+            )}
           </div>
         )}
 
@@ -1022,6 +1286,10 @@ function DisputeModal({ dispute, onClose }) {
           </div>
         )}
 
+        {dispute.ai_provenance && (
+          <ProvenanceList provenance={dispute.ai_provenance} pdfUrl={dispute.pdf_urls?.[0]?.url} />
+        )}
+
         {(dispute.dispute_value || dispute.awarded_amount) && (
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
             {dispute.dispute_value && (
@@ -1063,7 +1331,7 @@ function DisputeModal({ dispute, onClose }) {
 // ============================================
 // LEAGUE TABLE VIEW
 // ============================================
-function LeagueTableView({ showToast, navigateToPartyId, onNavigated, onDisputeClick }) {
+function LeagueTableView({ showToast, isAdmin, navigateToPartyId, onNavigated, onDisputeClick }) {
   const [parties, setParties] = useState([]);
   const [loading, setLoading] = useState(true);
   const [search, setSearch] = useState('');
@@ -1329,7 +1597,12 @@ function LeagueTableView({ showToast, navigateToPartyId, onNavigated, onDisputeC
                         {rank}
                       </div>
                     </td>
-                    <td style={{ fontWeight: 600 }}>{p.name}</td>
+                    <td style={{ fontWeight: 600 }}>
+                      {p.name}
+                      {p.aliases?.length > 0 && (
+                        <div style={{ fontSize: '11px', fontWeight: 400, color: 'var(--text-tertiary)' }}>aka {p.aliases.join(', ')}</div>
+                      )}
+                    </td>
                     <td>
                       <span className={`badge ${p.party_type === 'Landlord' ? 'badge-red' : p.party_type === 'Tenant' ? 'badge-amber' : 'badge-glass'}`}>
                         {p.party_type || 'Unknown'}
@@ -1380,8 +1653,11 @@ function LeagueTableView({ showToast, navigateToPartyId, onNavigated, onDisputeC
       {/* Party Detail Modal */}
       {selectedParty && (
         <PartyDetailModal
+          key={selectedParty.id}
           party={selectedParty}
           detail={partyDetail}
+          isAdmin={isAdmin}
+          showToast={showToast}
           onClose={() => { setSelectedParty(null); setPartyDetail(null); }}
           onDisputeClick={(drNo) => {
             setSelectedParty(null);
@@ -1397,9 +1673,48 @@ function LeagueTableView({ showToast, navigateToPartyId, onNavigated, onDisputeC
 // ============================================
 // PARTY DETAIL MODAL
 // ============================================
-function PartyDetailModal({ party, detail, onClose, onDisputeClick }) {
+function PartyDetailModal({ party, detail, isAdmin, showToast, onClose, onDisputeClick }) {
   const enforcementOrders = detail?.enforcement_orders || [];
   const disputes = detail?.disputes || [];
+  const cases = detail?.cases || [];
+
+  // Aliases as edited here, until the modal is reopened
+  const [editedAliases, setEditedAliases] = useState(null);
+  const aliases = editedAliases || detail?.aliases || [];
+  const [newAlias, setNewAlias] = useState('');
+  const [savingAlias, setSavingAlias] = useState(false);
+
+  const aliasAction = async (body) => {
+    setSavingAlias(true);
+    try {
+      const res = await fetch(`/api/admin/parties/${party.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save');
+      setSavingAlias(false);
+      return data;
+    } catch (err) {
+      showToast(err.message, 'error');
+      setSavingAlias(false);
+      return null;
+    }
+  };
+
+  const addAlias = async () => {
+    const data = await aliasAction({ action: 'add_alias', alias: newAlias.trim() });
+    if (!data) return;
+    setEditedAliases([...aliases.filter(a => a.id !== data.alias.id), data.alias].sort((a, b) => a.alias.localeCompare(b.alias)));
+    setNewAlias('');
+  };
+
+  const removeAlias = async (alias) => {
+    if (!confirm(`Remove "${alias.alias}" as another name for ${party.name}? New records under that name will create a separate party.`)) return;
+    const data = await aliasAction({ action: 'remove_alias', alias_id: alias.id });
+    if (data) setEditedAliases(aliases.filter(a => a.id !== alias.id));
+  };
 
   return (
     <div className="modal-overlay" onClick={onClose}>
@@ -1426,6 +1741,46 @@ function PartyDetailModal({ party, detail, onClose, onDisputeClick }) {
           <button className="modal-close" onClick={onClose}>✕</button>
         </div>
 
+        {/* Also known as — trading names, former names */}
+        {detail && (aliases.length > 0 || isAdmin) && (
+          <div style={{ marginBottom: '12px' }}>
+            <div className="stat-label" style={{ fontSize: '10px', marginBottom: '6px' }}>Also known as</div>
+            <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', alignItems: 'center' }}>
+              {aliases.map(a => (
+                <span key={a.id} className="badge badge-glass" title={a.note || (a.source === 'merge' ? 'Merged duplicate' : undefined)}>
+                  {a.alias}
+                  {isAdmin && (
+                    <button
+                      onClick={() => removeAlias(a)}
+                      disabled={savingAlias}
+                      style={{ marginLeft: '6px', background: 'none', border: 'none', color: 'var(--text-tertiary)', cursor: 'pointer', padding: 0 }}
+                    >
+                      ✕
+                    </button>
+                  )}
+                </span>
+              ))}
+              {aliases.length === 0 && (
+                <span style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>No other names recorded</span>
+              )}
+            </div>
+            {isAdmin && (
+              <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+                <input
+                  type="text"
+                  className="search-input"
+                  placeholder="Add a trading name, former name..."
+                  value={newAlias}
+                  onChange={(e) => setNewAlias(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && newAlias.trim() && addAlias()}
+                  style={{ flex: 1, fontSize: '13px', padding: '6px 10px' }}
+                />
+                <button className="btn btn-glass btn-sm" disabled={savingAlias || !newAlias.trim()} onClick={addAlias}>+ Add</button>
+              </div>
+            )}
+          </div>
+        )}
+
         <div className="modal-grid-3">
           <div className="glass-card stat-card" style={{ padding: '12px' }}>
             <div className="stat-label" style={{ fontSize: '10px' }}>Total Cases</div>
@@ -1511,6 +1866,22 @@ function PartyDetailModal({ party, detail, onClose, onDisputeClick }) {
           );
         })()}
 
+        {cases.length > 0 && (
+          <div style={{ marginBottom: '16px' }}>
+            <div className="modal-field-label" style={{ marginBottom: '12px' }}>Appeals & Enforcement ({cases.length})</div>
+            <div style={{ maxHeight: '300px', overflowY: 'auto' }}>
+              {cases.map(c => (
+                <div key={c.id} className="glass-card-static" style={{ padding: '12px', marginBottom: '8px' }}>
+                  <div style={{ fontSize: '12px', fontWeight: 600, marginBottom: '8px' }}>
+                    {c.applicant?.name || '—'} v {c.respondent?.name || '—'}
+                  </div>
+                  <CaseTimeline caseChain={c} onDisputeClick={onDisputeClick} />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className="modal-field-label" style={{ marginBottom: '12px' }}>Case History</div>
 
         {!detail ? (
@@ -1725,6 +2096,9 @@ function AdminLoginView({ onLogin, showToast }) {
 // ============================================
 function AdminPanel({ onLogout, showToast, onSyncComplete, accessToken }) {
   const [adminTab, setAdminTab] = useState('sync');
+  // Bumped by a merge, split or undo so the match list and merge log both reload
+  const [partyChangeKey, setPartyChangeKey] = useState(0);
+  const onPartiesChanged = useCallback(() => setPartyChangeKey(k => k + 1), []);
 
   return (
     <>
@@ -1763,6 +2137,24 @@ function AdminPanel({ onLogout, showToast, onSyncComplete, accessToken }) {
         >
           🤖 AI Processing
         </button>
+        <button
+          className={`filter-chip ${adminTab === 'reviews' ? 'active' : ''}`}
+          onClick={() => setAdminTab('reviews')}
+        >
+          🧑‍⚖️ Review Queue
+        </button>
+        <button
+          className={`filter-chip ${adminTab === 'parties' ? 'active' : ''}`}
+          onClick={() => setAdminTab('parties')}
+        >
+          🧩 Party Matching
+        </button>
+        <button
+          className={`filter-chip ${adminTab === 'revisions' ? 'active' : ''}`}
+          onClick={() => setAdminTab('revisions')}
+        >
+          📝 Source Changes
+        </button>
         <button
           className={`filter-chip ${adminTab === 'settings' ? 'active' : ''}`}
           onClick={() => setAdminTab('settings')}
@@ -1789,10 +2181,41 @@ function AdminPanel({ onLogout, showToast, onSyncComplete, accessToken }) {
           <div style={{ marginTop: 'var(--spacing-lg)' }}>
             <EnforcementSyncView showToast={showToast} />
           </div>
+          <div style={{ marginTop: 'var(--spacing-lg)' }}>
+            <ListingCoverageView showToast={showToast} />
+          </div>
         </>
       )}
       {adminTab === 'ai' && (
-        <AIProcessingView showToast={showToast} />
+        <>
+          <AIProcessingView showToast={showToast} />
+          <div style={{ marginTop: 'var(--spacing-lg)' }}>
+            <ReprocessView showToast={showToast} />
+          </div>
+          <div style={{ marginTop: 'var(--spacing-lg)' }}>
+            <AISpendView showToast={showToast} />
+          </div>
+          <div style={{ marginTop: 'var(--spacing-lg)' }}>
+            <PromptEvalView showToast={showToast} />
+          </div>
+        </>
+      )}
+      {adminTab === 'reviews' && (
+        <ReviewQueueView showToast={showToast} />
+      )}
+      {adminTab === 'parties' && (
+        <>
+          <PartyMatchesView showToast={showToast} changeKey={partyChangeKey} onChanged={onPartiesChanged} />
+          <div style={{ marginTop: 'var(--spacing-lg)' }}>
+            <PartyMergeView showToast={showToast} changeKey={partyChangeKey} onChanged={onPartiesChanged} />
+          </div>
+        </>
+      )}
+      {adminTab === 'revisions' && (
+        <>
+          <RemovedDisputesView showToast={showToast} />
+          <RevisionsView showToast={showToast} />
+        </>
       )}
       {adminTab === 'settings' && (
         <SettingsView showToast={showToast} />
@@ -1807,6 +2230,141 @@ function AdminPanel({ onLogout, showToast, onSyncComplete, accessToken }) {
   );
 }
 
+// ============================================
+// LISTING COVERAGE VIEW
+// ============================================
+function formatPageRange(range) {
+  return range.from === range.to ? `page ${range.from}` : `pages ${range.from}–${range.to}`;
+}
+
+function ListingCoverageView({ showToast }) {
+  const [coverage, setCoverage] = useState([]);
+  const [failures, setFailures] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filling, setFilling] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    fetch('/api/admin/page-failures')
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load coverage');
+        setCoverage(data.coverage);
+        setFailures(data.failures);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load coverage', 'error'))
+      .finally(() => setLoading(false));
+  }, [reloadKey, showToast]);
+
+  const fillGaps = async (sourceType) => {
+    setFilling(sourceType);
+    try {
+      const res = await fetch('/api/admin/page-failures', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ source_type: sourceType }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(data.error || 'Failed to queue gap fill', 'error');
+      } else {
+        showToast(data.message, 'success');
+        setReloadKey(k => k + 1);
+      }
+    } catch (err) {
+      showToast('Failed to queue gap fill', 'error');
+    }
+    setFilling(null);
+  };
+
+  const sourceLabels = { disputes: 'Disputes', enforcement: 'Enforcement orders' };
+
+  return (
+    <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', gap: '12px' }}>
+        <div>
+          <div style={{ fontSize: '16px', fontWeight: 700 }}>📉 Listing Coverage</div>
+          <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
+            Pages of the rtb.ie listings that have never been fetched successfully. Failed pages are retried by any later sync that reaches them, or re-fetched on their own with a gap fill.
+          </div>
+        </div>
+        <button className="btn btn-glass btn-sm" onClick={() => { setLoading(true); setReloadKey(k => k + 1); }} disabled={loading}>
+          🔄 Refresh
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <div className="loading-text">Loading coverage...</div>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {coverage.map(c => (
+            <div key={c.source_type} style={{
+              padding: '12px 16px', borderRadius: '10px',
+              background: 'var(--glass-bg)', border: '1px solid var(--glass-border)',
+              display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap',
+            }}>
+              <div style={{ flex: 1, minWidth: '200px' }}>
+                <div style={{ fontSize: '14px', fontWeight: 600, color: 'var(--text-primary)' }}>
+                  {sourceLabels[c.source_type]}{' '}
+                  {c.total_pages === 0 ? (
+                    <span className="badge badge-glass">Never synced</span>
+                  ) : c.complete ? (
+                    <span className="badge badge-green">Complete</span>
+                  ) : (
+                    <span className="badge badge-amber">{c.missing_pages} page{c.missing_pages !== 1 ? 's' : ''} missing</span>
+                  )}
+                </div>
+                <div style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>
+                  {c.total_pages.toLocaleString()} pages · {c.total_rows.toLocaleString()} records listed
+                  {c.last_full_sync && ` · last full sync ${c.last_full_sync.status}${c.last_full_sync.status !== 'completed' ? ` at page ${c.last_full_sync.reached_page}` : ''}`}
+                </div>
+                {c.failed_ranges.length > 0 && (
+                  <div style={{ fontSize: '12px', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                    Failed: {c.failed_ranges.map(formatPageRange).join(', ')}
+                  </div>
+                )}
+                {c.unreached && (
+                  <div style={{ fontSize: '12px', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                    Not reached: {formatPageRange(c.unreached)} — resume or re-run the full sync
+                  </div>
+                )}
+              </div>
+              {c.unresolved_failures > 0 && (
+                <button
+                  className="btn btn-glass btn-sm"
+                  onClick={() => fillGaps(c.source_type)}
+                  disabled={filling !== null}
+                >
+                  {filling === c.source_type ? 'Queuing…' : `🩹 Re-fetch ${c.unresolved_failures} failed page${c.unresolved_failures !== 1 ? 's' : ''}`}
+                </button>
+              )}
+            </div>
+          ))}
+
+          {failures.length > 0 && (
+            <div style={{ marginTop: '8px' }}>
+              <div style={{ fontSize: '12px', fontWeight: 600, color: 'var(--text-secondary)', marginBottom: '6px' }}>
+                Unresolved failures
+              </div>
+              {failures.map(f => (
+                <div key={f.id} style={{ fontSize: '12px', color: 'var(--text-tertiary)', padding: '4px 0' }}>
+                  {sourceLabels[f.source_type]} page {f.page}
+                  {f.attempts > 1 && ` · ${f.attempts} attempts`}
+                  {' · '}{new Date(f.last_failed_at).toLocaleString('en-IE')}
+                  {f.error && ` — ${f.error}`}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // ============================================
 // AI PROCESSING VIEW
 // ============================================
@@ -1999,191 +2557,1874 @@ function AIProcessingView({ showToast }) {
 }
 
 // ============================================
-// API USERS VIEW
+// REPROCESS VIEW
 // ============================================
-function ApiUsersView({ showToast }) {
-  const [users, setUsers] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [showCreate, setShowCreate] = useState(false);
-  const [creating, setCreating] = useState(false);
-  const [newUser, setNewUser] = useState({ email: '', password: '', name: '', company: '', rate_limit_per_hour: 100 });
+const REPROCESS_STATUS_BADGES = {
+  queued: 'badge-blue', running: 'badge-blue', completed: 'badge-green', failed: 'badge-red', cancelled: 'badge-glass',
+};
 
-  useEffect(() => { fetchUsers(); }, []);
+const EMPTY_REPROCESS_FILTER = {
+  date_from: '', date_to: '', outcome: '', dispute_type: '', amount_min: '', amount_max: '',
+  prompt_version: '', model: '', has_error: '',
+};
 
-  const fetchUsers = async () => {
-    try {
-      const res = await fetch('/api/admin/api-users');
-      if (res.ok) setUsers(await res.json());
-    } catch (err) { console.error(err); }
-    setLoading(false);
+function formatAuditAmount(value) {
+  return value === null || value === undefined ? 'Refer to Order' : `€${parseFloat(value).toLocaleString()}`;
+}
+
+function ReprocessJobChanges({ job, showToast }) {
+  const [items, setItems] = useState(null);
+  const [status, setStatus] = useState('changed');
+
+  useEffect(() => {
+    fetch(`/api/admin/reprocess/${job.id}?status=${status}&limit=100`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load job records');
+        setItems(data.items);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load job records', 'error'));
+  }, [job.id, job.processed, status, showToast]);
+
+  return (
+    <div style={{ marginTop: '10px' }}>
+      <div style={{ display: 'flex', gap: '6px', marginBottom: '8px' }}>
+        {['changed', 'failed', 'done', 'pending'].map(s => (
+          <button key={s} className={`filter-chip ${status === s ? 'active' : ''}`} onClick={() => { setItems(null); setStatus(s); }}>
+            {s}
+          </button>
+        ))}
+      </div>
+      {!items ? (
+        <div className="spinner spinner-sm"></div>
+      ) : items.length === 0 ? (
+        <div style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>No {status} records.</div>
+      ) : (
+        <table className="data-table" style={{ fontSize: '12px' }}>
+          <thead>
+            <tr><th>Reference</th><th>Outcome</th><th>Amount</th><th>Model</th>{status === 'failed' && <th>Error</th>}</tr>
+          </thead>
+          <tbody>
+            {items.map(item => (
+              <tr key={item.id}>
+                <td>{item.reference}</td>
+                <td>{item.before?.outcome || '—'}{item.after && item.after.outcome !== item.before?.outcome && <> → <strong>{item.after.outcome}</strong></>}</td>
+                <td>
+                  {item.before ? formatAuditAmount(item.before.compensation_amount) : '—'}
+                  {item.after && item.changed && <> → <strong>{formatAuditAmount(item.after.compensation_amount)}</strong></>}
+                </td>
+                <td>{(item.after || item.before)?.model_used || '—'}</td>
+                {status === 'failed' && <td style={{ color: '#f87171' }}>{item.error}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+function ReprocessView({ showToast }) {
+  const [jobs, setJobs] = useState([]);
+  const [options, setOptions] = useState(null);
+  const [target, setTarget] = useState('disputes');
+  const [filter, setFilter] = useState(EMPTY_REPROCESS_FILTER);
+  const [note, setNote] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [expanded, setExpanded] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    fetch('/api/admin/reprocess')
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load reprocessing jobs');
+        setJobs(data.jobs);
+        setOptions(data.options);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load reprocessing jobs', 'error'));
+  }, [reloadKey, showToast]);
+
+  // Poll while a job is working
+  const active = jobs.some(j => ['queued', 'running'].includes(j.status) && !j.stalled);
+  useEffect(() => {
+    if (!active) return;
+    const timer = setInterval(() => setReloadKey(k => k + 1), 5000);
+    return () => clearInterval(timer);
+  }, [active]);
+
+  const updateFilter = (key, value) => {
+    setFilter(f => ({ ...f, [key]: value }));
+    setPreview(null);
   };
 
-  const createUser = async (e) => {
-    e.preventDefault();
-    setCreating(true);
+  const submit = async (dryRun) => {
+    if (!dryRun && !confirm(`Rerun the AI analysis on ${preview.count.toLocaleString()} ${target === 'disputes' ? 'disputes' : 'enforcement orders'}? Their current values will be replaced.`)) return;
+    setBusy(true);
     try {
-      const res = await fetch('/api/admin/api-users', {
+      const res = await fetch('/api/admin/reprocess', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newUser),
+        body: JSON.stringify({ target, filter, dry_run: dryRun, note: note || null }),
       });
       const data = await res.json();
-      if (res.ok) {
-        showToast('API user created! Key: ' + data.api_key, 'success');
-        setShowCreate(false);
-        setNewUser({ email: '', password: '', name: '', company: '', rate_limit_per_hour: 100 });
-        fetchUsers();
+      if (!res.ok) {
+        showToast(data.error || 'Reprocessing request failed', 'error');
+      } else if (dryRun) {
+        setPreview(data);
+      } else {
+        showToast(data.message, 'success');
+        setPreview(null);
+        setReloadKey(k => k + 1);
+      }
+    } catch (err) {
+      showToast('Reprocessing request failed', 'error');
+    }
+    setBusy(false);
+  };
+
+  const jobAction = async (job, action, extra = {}) => {
+    try {
+      const res = await fetch(`/api/admin/reprocess/${job.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, ...extra }),
+      });
+      const data = await res.json();
+      showToast(res.ok ? data.message : (data.error || `Could not ${action} job`), res.ok ? 'success' : 'error');
+      setReloadKey(k => k + 1);
+    } catch (err) {
+      showToast(`Could not ${action} job`, 'error');
+    }
+  };
+
+  const inputStyle = { fontSize: '13px', padding: '6px 10px' };
+
+  return (
+    <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
+      <div style={{ marginBottom: '16px' }}>
+        <div style={{ fontSize: '16px', fontWeight: 700 }}>♻️ Reprocess by Filter</div>
+        <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
+          Rerun the analysis on the records matching a filter. Count first; the job then works through its records in the background, keeping each one&apos;s values before and after. Reviewer-checked disputes are never included, and a failed rerun keeps the old values.
+        </div>
+      </div>
+
+      {options && (
+        <>
+          <div style={{ display: 'flex', gap: '6px', marginBottom: '12px' }}>
+            {options.targets.map(t => (
+              <button key={t} className={`filter-chip ${target === t ? 'active' : ''}`}
+                onClick={() => { setTarget(t); setFilter(EMPTY_REPROCESS_FILTER); setPreview(null); }}>
+                {t === 'disputes' ? 'Disputes' : 'Enforcement orders'}
+              </button>
+            ))}
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '8px', marginBottom: '12px' }}>
+            <label style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              Date from
+              <input type="date" value={filter.date_from} onChange={(e) => updateFilter('date_from', e.target.value)} className="search-input" style={inputStyle} />
+            </label>
+            <label style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              Date to
+              <input type="date" value={filter.date_to} onChange={(e) => updateFilter('date_to', e.target.value)} className="search-input" style={inputStyle} />
+            </label>
+            <label style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              Outcome
+              <select value={filter.outcome} onChange={(e) => updateFilter('outcome', e.target.value)} className="filter-select" style={{ width: '100%' }}>
+                <option value="">Any</option>
+                {options.outcomes[target].map(o => <option key={o} value={o}>{o}</option>)}
+              </select>
+            </label>
+            <label style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              Dispute type
+              <select value={filter.dispute_type} onChange={(e) => updateFilter('dispute_type', e.target.value)} className="filter-select" style={{ width: '100%' }}>
+                <option value="">Any</option>
+                {options.dispute_types.map(t => <option key={t} value={t}>{t}</option>)}
+              </select>
+            </label>
+            <label style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              Amount from (€)
+              <input type="number" min="0" value={filter.amount_min} onChange={(e) => updateFilter('amount_min', e.target.value)} className="search-input" style={inputStyle} />
+            </label>
+            <label style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              Amount to (€)
+              <input type="number" min="0" value={filter.amount_max} onChange={(e) => updateFilter('amount_max', e.target.value)} className="search-input" style={inputStyle} />
+            </label>
+            <label style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              Prompt version
+              <select value={filter.prompt_version} onChange={(e) => updateFilter('prompt_version', e.target.value)} className="filter-select" style={{ width: '100%' }}>
+                <option value="">Any</option>
+                <option value="none">None recorded</option>
+                {options.prompt_versions.map(v => (
+                  <option key={v} value={v}>{v}{v === options.unversioned_prompts[target] ? ' (incl. none recorded)' : ''}</option>
+                ))}
+              </select>
+            </label>
+            <label style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              Model
+              <input type="text" placeholder="e.g. gpt-4o-mini, rules, none" value={filter.model} onChange={(e) => updateFilter('model', e.target.value)} className="search-input" style={inputStyle} />
+            </label>
+            <label style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+              Error
+              <select value={filter.has_error} onChange={(e) => updateFilter('has_error', e.target.value)} className="filter-select" style={{ width: '100%' }}>
+                <option value="">Either</option>
+                <option value="true">Has an error</option>
+                <option value="false">No error</option>
+              </select>
+            </label>
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '16px' }}>
+            <input
+              type="text" placeholder="Why (kept with the job) — e.g. rerun awards over €25k with dispute-v2"
+              value={note} onChange={(e) => setNote(e.target.value)}
+              className="search-input" style={{ ...inputStyle, flex: 1, minWidth: '240px' }}
+            />
+            <button className="btn btn-glass btn-sm" onClick={() => submit(true)} disabled={busy}>
+              🔍 Count matches
+            </button>
+            <button className="btn btn-primary btn-sm" onClick={() => submit(false)}
+              disabled={busy || !preview || preview.count === 0 || preview.count > options.max_records}>
+              ♻️ Queue reprocessing
+            </button>
+          </div>
+
+          {preview && (
+            <div style={{ fontSize: '12px', marginBottom: '16px', padding: '10px 14px', borderRadius: '10px', background: 'var(--glass-bg)', border: '1px solid var(--glass-border)' }}>
+              <div style={{ fontWeight: 600, marginBottom: '4px' }}>
+                {preview.count.toLocaleString()} matching {target === 'disputes' ? 'disputes' : 'enforcement orders'}
+                {preview.count > options.max_records && <span className="badge badge-red" style={{ marginLeft: '6px' }}>over the {options.max_records.toLocaleString()} limit — narrow the filter</span>}
+              </div>
+              {preview.sample.length > 0 && (
+                <div style={{ color: 'var(--text-tertiary)' }}>
+                  e.g. {preview.sample.map(s => `${s.reference} (${s.outcome || 'unanalysed'}${s.model ? `, ${s.model}` : ''})`).join(' · ')}
+                </div>
+              )}
+            </div>
+          )}
+        </>
+      )}
+
+      {jobs.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {jobs.map(job => {
+            const done = job.processed + job.failed;
+            return (
+              <div key={job.id} style={{ padding: '12px 16px', borderRadius: '10px', background: 'var(--glass-bg)', border: '1px solid var(--glass-border)' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap' }}>
+                  <span className={`badge ${job.stalled ? 'badge-amber' : REPROCESS_STATUS_BADGES[job.status] || 'badge-glass'}`}>
+                    {job.stalled ? 'stalled' : job.status}
+                  </span>
+                  <span style={{ fontSize: '13px', fontWeight: 600 }}>
+                    {job.target === 'disputes' ? 'Disputes' : 'Enforcement orders'}: {done.toLocaleString()} / {job.total.toLocaleString()}
+                  </span>
+                  <span style={{ fontSize: '12px', color: 'var(--text-tertiary)', flex: 1 }}>
+                    {job.changed} changed · {job.failed} failed · {new Date(job.created_at).toLocaleString('en-IE')}
+                    {Object.keys(job.filter || {}).length > 0 && ` · ${Object.entries(job.filter).map(([k, v]) => `${k}=${v}`).join(', ')}`}
+                    {job.note && ` · “${job.note}”`}
+                  </span>
+                  {['queued', 'running'].includes(job.status) && (
+                    <button className="btn btn-glass btn-sm" onClick={() => jobAction(job, 'cancel')}>■ Cancel</button>
+                  )}
+                  {(['failed', 'cancelled'].includes(job.status) || job.stalled) && (
+                    <button className="btn btn-glass btn-sm" onClick={() => jobAction(job, 'resume')}>▶ Resume</button>
+                  )}
+                  {job.failed > 0 && !['queued', 'running'].includes(job.status) && (
+                    <button className="btn btn-glass btn-sm" onClick={() => jobAction(job, 'resume', { retry_failed: true })}>↻ Retry failed</button>
+                  )}
+                  <button className="btn btn-glass btn-sm" onClick={() => setExpanded(expanded === job.id ? null : job.id)}>
+                    {expanded === job.id ? 'Hide' : 'Records'}
+                  </button>
+                </div>
+                <div style={{ height: '6px', borderRadius: '3px', background: 'var(--glass-border)', overflow: 'hidden', marginTop: '8px' }}>
+                  <div style={{ width: `${job.total ? done / job.total * 100 : 0}%`, height: '100%', background: job.status === 'failed' ? '#f87171' : '#60a5fa' }} />
+                </div>
+                {job.last_error && (
+                  <div style={{ fontSize: '12px', color: '#f87171', marginTop: '6px' }}>{job.last_error}</div>
+                )}
+                {expanded === job.id && <ReprocessJobChanges job={job} showToast={showToast} />}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// AI SPEND VIEW
+// ============================================
+function formatUsd(value) {
+  const amount = parseFloat(value) || 0;
+  return `$${amount < 1 && amount > 0 ? amount.toFixed(4) : amount.toFixed(2)}`;
+}
+
+function formatTokens(value) {
+  const n = Number(value) || 0;
+  return n >= 1000000 ? `${(n / 1000000).toFixed(1)}M` : n >= 1000 ? `${(n / 1000).toFixed(1)}k` : String(n);
+}
+
+function AISpendView({ showToast }) {
+  const [usage, setUsage] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [days, setDays] = useState(30);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    fetch(`/api/admin/ai-usage?days=${days}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load AI spend');
+        setUsage(data);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load AI spend', 'error'))
+      .finally(() => setLoading(false));
+  }, [days, reloadKey, showToast]);
+
+  const changeDays = (value) => {
+    setLoading(true);
+    setDays(value);
+  };
+
+  const budget = usage?.budget;
+  const maxDaily = Math.max(0, ...(usage?.by_day || []).map(d => d.cost_usd));
+
+  return (
+    <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', gap: '12px', flexWrap: 'wrap' }}>
+        <div>
+          <div style={{ fontSize: '16px', fontWeight: 700 }}>💸 AI Spend</div>
+          <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
+            Tokens and estimated cost of every model call, from list prices. Batch processing pauses once the month reaches <strong>ai_monthly_budget_usd</strong>.
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: '6px' }}>
+          {[7, 30, 90].map(d => (
+            <button key={d} className={`filter-chip ${days === d ? 'active' : ''}`} onClick={() => changeDays(d)}>
+              {d} days
+            </button>
+          ))}
+          <button className="btn btn-glass btn-sm" onClick={() => { setLoading(true); setReloadKey(k => k + 1); }} disabled={loading}>
+            🔄
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <div className="loading-text">Loading AI spend...</div>
+        </div>
+      ) : usage && (
+        <>
+          <div style={{ marginBottom: '16px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '13px', marginBottom: '6px' }}>
+              <span style={{ fontWeight: 600 }}>This month: {formatUsd(budget.spent)}</span>
+              {budget.budget ? (
+                <span className={`badge ${budget.exceeded ? 'badge-red' : budget.spent / budget.budget > 0.8 ? 'badge-amber' : 'badge-green'}`}>
+                  {budget.exceeded ? 'Budget reached — batches paused' : `${Math.round(budget.spent / budget.budget * 100)}% of ${formatUsd(budget.budget)}`}
+                </span>
+              ) : (
+                <span className="badge badge-glass">No monthly budget set</span>
+              )}
+            </div>
+            {budget.budget && (
+              <div style={{ height: '8px', borderRadius: '4px', background: 'var(--glass-bg)', overflow: 'hidden' }}>
+                <div style={{
+                  width: `${Math.min(100, budget.spent / budget.budget * 100)}%`, height: '100%',
+                  background: budget.exceeded ? '#f87171' : '#4ade80',
+                }} />
+              </div>
+            )}
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '12px', marginBottom: '16px' }}>
+            {[
+              ['Calls', usage.totals.calls.toLocaleString(), usage.totals.failed ? `${usage.totals.failed} failed` : `last ${usage.days} days`],
+              ['Input tokens', formatTokens(usage.totals.input_tokens), 'prompt + PDF'],
+              ['Output tokens', formatTokens(usage.totals.output_tokens), 'responses'],
+              ['Estimated cost', formatUsd(usage.totals.cost_usd), `last ${usage.days} days`],
+            ].map(([label, value, note]) => (
+              <div key={label} className="glass-card stat-card">
+                <div className="stat-label">{label}</div>
+                <div className="stat-value blue">{value}</div>
+                <div className="stat-change">{note}</div>
+              </div>
+            ))}
+          </div>
+
+          {usage.by_day.length > 0 && (
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '80px', marginBottom: '16px' }}>
+              {usage.by_day.map(d => (
+                <div
+                  key={d.day}
+                  title={`${d.day}: ${formatUsd(d.cost_usd)} · ${d.calls} calls · ${formatTokens(d.input_tokens + d.output_tokens)} tokens`}
+                  style={{
+                    flex: 1, minWidth: '3px', borderRadius: '2px 2px 0 0', background: '#60a5fa',
+                    height: `${maxDaily > 0 ? Math.max(2, d.cost_usd / maxDaily * 100) : 2}%`,
+                  }}
+                />
+              ))}
+            </div>
+          )}
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(300px, 1fr))', gap: '16px' }}>
+            <div>
+              <div style={{ fontSize: '13px', fontWeight: 600, marginBottom: '6px' }}>By model</div>
+              <table className="data-table" style={{ fontSize: '12px' }}>
+                <thead><tr><th>Model</th><th>Calls</th><th>Tokens</th><th>Cost</th></tr></thead>
+                <tbody>
+                  {usage.by_model.map(m => (
+                    <tr key={m.model}>
+                      <td>{m.model}</td>
+                      <td>{m.calls.toLocaleString()}{m.failed > 0 && <span style={{ color: '#f87171' }}> ({m.failed} failed)</span>}</td>
+                      <td>{formatTokens(m.input_tokens)} / {formatTokens(m.output_tokens)}</td>
+                      <td>{formatUsd(m.cost_usd)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <div style={{ fontSize: '13px', fontWeight: 600, marginBottom: '6px' }}>Most expensive jobs</div>
+              <table className="data-table" style={{ fontSize: '12px' }}>
+                <thead><tr><th>Job</th><th>Started</th><th>Records</th><th>Cost</th></tr></thead>
+                <tbody>
+                  {usage.jobs.map(j => (
+                    <tr key={j.job_id}>
+                      <td title={j.job_id}>{j.job_type || 'job'}</td>
+                      <td>{new Date(j.started_at).toLocaleString('en-IE')}</td>
+                      <td>{Number(j.records).toLocaleString()} ({Number(j.calls).toLocaleString()} calls)</td>
+                      <td>{formatUsd(j.cost_usd)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div>
+              <div style={{ fontSize: '13px', fontWeight: 600, marginBottom: '6px' }}>Most expensive records</div>
+              <table className="data-table" style={{ fontSize: '12px' }}>
+                <thead><tr><th>Reference</th><th>Calls</th><th>Tokens</th><th>Cost</th></tr></thead>
+                <tbody>
+                  {usage.references.map(r => (
+                    <tr key={r.reference}>
+                      <td>{r.reference}</td>
+                      <td>{Number(r.calls).toLocaleString()}</td>
+                      <td>{formatTokens(Number(r.input_tokens) + Number(r.output_tokens))}</td>
+                      <td>{formatUsd(r.cost_usd)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// PROMPT EVALUATION VIEW
+// ============================================
+const EVAL_METRICS = [
+  { key: 'outcome_accuracy', label: 'Outcome' },
+  { key: 'type_accuracy', label: 'Type' },
+  { key: 'amount_exact', label: 'Amount exact' },
+  { key: 'amount_within_5pct', label: 'Amount ±5%' },
+  { key: 'cost_order_accuracy', label: 'Cost order' },
+  { key: 'amount_withheld', label: 'Withheld' },
+];
+
+const EVAL_STATUS_BADGES = { running: 'badge-blue', completed: 'badge-green', failed: 'badge-red' };
+
+function formatRate(rate) {
+  return rate === null || rate === undefined ? '—' : `${(rate * 100).toFixed(1)}%`;
+}
+
+function PromptEvalView({ showToast }) {
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [promptVersion, setPromptVersion] = useState('');
+  const [provider, setProvider] = useState('');
+  const [limit, setLimit] = useState('');
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    fetch('/api/admin/evals')
+      .then(async (res) => {
+        const body = await res.json();
+        if (!res.ok) throw new Error(body.error || 'Failed to load evaluations');
+        setData(body);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load evaluations', 'error'))
+      .finally(() => setLoading(false));
+  }, [reloadKey, showToast]);
+
+  const runEval = async () => {
+    setRunning(true);
+    showToast('Running the gold set — this can take a few minutes', 'info');
+    try {
+      const res = await fetch('/api/admin/evals', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ prompt_version: promptVersion || undefined, provider: provider || undefined, limit: limit || undefined }),
+      });
+      const body = await res.json();
+      if (!res.ok) {
+        showToast(body.error || 'Evaluation failed', 'error');
+      } else {
+        showToast(body.message, 'success');
+      }
+    } catch (err) {
+      showToast('Evaluation failed', 'error');
+    }
+    setRunning(false);
+    setReloadKey(k => k + 1);
+  };
+
+  return (
+    <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
+      <div style={{ marginBottom: '16px' }}>
+        <div style={{ fontSize: '16px', fontWeight: 700 }}>🎯 Prompt Evaluation</div>
+        <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
+          Score a prompt version and model against the gold set — determinations a reviewer has checked against the PDF. Add disputes from the Review Queue with ⭐. Runs here stop at {data?.max_limit || 25} disputes; <code>scripts/eval-prompts.mjs</code> runs the whole set.
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <div className="loading-text">Loading evaluations...</div>
+        </div>
+      ) : data && (
+        <>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '16px' }}>
+            <span className="badge badge-purple">{data.gold_set_size} in gold set</span>
+            <select
+              value={promptVersion}
+              onChange={(e) => setPromptVersion(e.target.value)}
+              className="filter-select"
+            >
+              <option value="">Current ({data.current})</option>
+              {data.prompts.map(p => (
+                <option key={p.version} value={p.version} title={p.notes}>{p.version}{p.unversioned ? ' (unversioned analyses)' : ''}</option>
+              ))}
+            </select>
+            <input
+              type="text" placeholder="Model, e.g. openai:gpt-4o (default: configured)"
+              value={provider} onChange={(e) => setProvider(e.target.value)}
+              className="search-input" style={{ width: '280px', fontSize: '13px', padding: '6px 10px' }}
+            />
+            <input
+              type="number" min="1" max={data.max_limit} placeholder={`Limit (${data.max_limit})`}
+              value={limit} onChange={(e) => setLimit(e.target.value)}
+              className="search-input" style={{ width: '110px', fontSize: '13px', padding: '6px 10px' }}
+            />
+            <button className="btn btn-primary btn-sm" onClick={runEval} disabled={running || data.gold_set_size === 0}>
+              {running ? 'Running…' : '▶ Run evaluation'}
+            </button>
+          </div>
+
+          {data.runs.length === 0 ? (
+            <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>No evaluations yet.</div>
+          ) : (
+            <div style={{ overflowX: 'auto' }}>
+              <table className="data-table" style={{ fontSize: '12px' }}>
+                <thead>
+                  <tr>
+                    <th>Started</th>
+                    <th>Prompt</th>
+                    <th>Model</th>
+                    <th>Disputes</th>
+                    {EVAL_METRICS.map(m => <th key={m.key}>{m.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.runs.map(run => (
+                    <tr key={run.id}>
+                      <td>{new Date(run.started_at).toLocaleString('en-IE')}</td>
+                      <td>
+                        {run.prompt_version}
+                        {run.prompt_version === data.current && <span className="badge badge-green" style={{ marginLeft: '6px' }}>current</span>}
+                      </td>
+                      <td>{run.model || '—'}</td>
+                      <td>
+                        <span className={`badge ${EVAL_STATUS_BADGES[run.status] || 'badge-glass'}`} title={run.error || ''}>
+                          {run.status === 'completed'
+                            ? `${run.metrics?.evaluated ?? run.completed}${run.metrics?.failed ? ` (+${run.metrics.failed} failed)` : ''}`
+                            : `${run.status} ${run.completed}/${run.total}`}
+                        </span>
+                      </td>
+                      {EVAL_METRICS.map(m => <td key={m.key}>{formatRate(run.metrics?.[m.key])}</td>)}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// API USERS VIEW
+// ============================================
+function ApiUsersView({ showToast }) {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [newUser, setNewUser] = useState({ email: '', password: '', name: '', company: '', rate_limit_per_hour: 100 });
+
+  useEffect(() => { fetchUsers(); }, []);
+
+  const fetchUsers = async () => {
+    try {
+      const res = await fetch('/api/admin/api-users');
+      if (res.ok) setUsers(await res.json());
+    } catch (err) { console.error(err); }
+    setLoading(false);
+  };
+
+  const createUser = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    try {
+      const res = await fetch('/api/admin/api-users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(newUser),
+      });
+      const data = await res.json();
+      if (res.ok) {
+        showToast('API user created! Key: ' + data.api_key, 'success');
+        setShowCreate(false);
+        setNewUser({ email: '', password: '', name: '', company: '', rate_limit_per_hour: 100 });
+        fetchUsers();
       } else {
         showToast(data.error || 'Failed to create user', 'error');
       }
     } catch (err) {
-      showToast('Error creating user', 'error');
+      showToast('Error creating user', 'error');
+    }
+    setCreating(false);
+  };
+
+  const copyKey = (key) => {
+    navigator.clipboard.writeText(key);
+    showToast('API key copied!', 'success');
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-container">
+        <div className="spinner"></div>
+        <div className="loading-text">Loading API users...</div>
+      </div>
+    );
+  }
+
+  return (
+    <>
+      <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)', marginBottom: 'var(--spacing-md)' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <div>
+            <div style={{ fontSize: '16px', fontWeight: 700 }}>🔑 API Users</div>
+            <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>{users.length} registered user{users.length !== 1 ? 's' : ''}</div>
+          </div>
+          <button
+            onClick={() => setShowCreate(!showCreate)}
+            style={{
+              padding: '8px 16px', borderRadius: '10px', fontSize: '13px', fontWeight: 600,
+              background: 'linear-gradient(135deg, var(--accent-indigo), var(--accent-purple))',
+              color: 'white', border: 'none', cursor: 'pointer',
+            }}
+          >
+            + New User
+          </button>
+        </div>
+
+        {showCreate && (
+          <form onSubmit={createUser} style={{
+            padding: '16px', borderRadius: '12px', marginBottom: '16px',
+            background: 'rgba(99, 102, 241, 0.05)', border: '1px solid rgba(99, 102, 241, 0.15)',
+          }}>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '12px' }}>
+              <input
+                type="email" placeholder="Email *" required value={newUser.email}
+                onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
+                className="search-input" style={{ fontSize: '13px' }}
+              />
+              <input
+                type="password" placeholder="Password * (min 8 chars)" required minLength={8}
+                value={newUser.password}
+                onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
+                className="search-input" style={{ fontSize: '13px' }}
+              />
+              <input
+                type="text" placeholder="Name" value={newUser.name}
+                onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
+                className="search-input" style={{ fontSize: '13px' }}
+              />
+              <input
+                type="text" placeholder="Company" value={newUser.company}
+                onChange={(e) => setNewUser({ ...newUser, company: e.target.value })}
+                className="search-input" style={{ fontSize: '13px' }}
+              />
+            </div>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <label style={{ fontSize: '12px', color: 'var(--text-secondary)' }}>Rate limit/hr:</label>
+              <input
+                type="number" value={newUser.rate_limit_per_hour} min={1}
+                onChange={(e) => setNewUser({ ...newUser, rate_limit_per_hour: parseInt(e.target.value) })}
+                className="search-input" style={{ width: '80px', fontSize: '13px' }}
+              />
+              <button type="submit" disabled={creating} style={{
+                marginLeft: 'auto', padding: '8px 20px', borderRadius: '8px', fontSize: '13px',
+                background: 'var(--accent-green)', color: 'white', border: 'none', cursor: 'pointer',
+                fontWeight: 600, opacity: creating ? 0.6 : 1,
+              }}>
+                {creating ? 'Creating…' : 'Create User'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {users.length === 0 ? (
+          <div style={{ textAlign: 'center', padding: '32px', color: 'var(--text-tertiary)' }}>
+            No API users yet. Create one to get started.
+          </div>
+        ) : (
+          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            {users.map(u => (
+              <div key={u.id} style={{
+                padding: '12px 16px', borderRadius: '10px',
+                background: 'var(--glass-bg)', border: '1px solid var(--glass-border)',
+                display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap',
+              }}>
+                <div style={{ flex: 1, minWidth: '200px' }}>
+                  <div style={{ fontSize: '14px', fontWeight: 600, color: 'var(--text-primary)' }}>
+                    {u.name || u.email}
+                    {!u.is_active && <span style={{ color: 'var(--accent-red)', fontSize: '11px', marginLeft: '8px' }}>DISABLED</span>}
+                  </div>
+                  <div style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>
+                    {u.email}{u.company ? ` · ${u.company}` : ''}
+                  </div>
+                </div>
+                <div style={{ fontSize: '11px', color: 'var(--text-secondary)', textAlign: 'center' }}>
+                  <div style={{ fontWeight: 600 }}>{u.total_api_calls || 0}</div>
+                  <div style={{ color: 'var(--text-tertiary)' }}>calls</div>
+                </div>
+                <div style={{ fontSize: '11px', color: 'var(--text-secondary)', textAlign: 'center' }}>
+                  <div style={{ fontWeight: 600 }}>{u.rate_limit_per_hour}/hr</div>
+                  <div style={{ color: 'var(--text-tertiary)' }}>limit</div>
+                </div>
+                <button
+                  onClick={() => copyKey(u.api_key)}
+                  style={{
+                    padding: '6px 12px', borderRadius: '6px', fontSize: '11px',
+                    background: 'rgba(99, 102, 241, 0.1)', border: '1px solid rgba(99, 102, 241, 0.2)',
+                    color: '#818cf8', cursor: 'pointer', fontFamily: 'monospace',
+                  }}
+                  title={u.api_key}
+                >
+                  📋 {u.api_key.substring(0, 18)}…
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
+        <div style={{ fontSize: '14px', fontWeight: 700, marginBottom: '12px' }}>📖 API Documentation</div>
+        <div style={{ fontSize: '12px', color: 'var(--text-secondary)', lineHeight: 1.8, fontFamily: 'monospace' }}>
+          <div style={{ marginBottom: '8px' }}><strong>Base URL:</strong> {typeof window !== 'undefined' ? window.location.origin : ''}/api/v1</div>
+          <div style={{ marginBottom: '4px' }}><strong>Auth:</strong> Authorization: Bearer rtb_live_xxx</div>
+          <div style={{ marginBottom: '16px', fontSize: '11px', color: 'var(--text-tertiary)' }}>All endpoints require a valid API key.</div>
+
+          <div style={{ marginBottom: '4px' }}>POST /auth/login — Login with email + password</div>
+          <div style={{ marginBottom: '4px' }}>GET /disputes — Search disputes (q, name, dr_no, outcome, type, date_from, date_to, min_award, max_award, exclude_removed)</div>
+          <div style={{ marginBottom: '4px' }}>GET /disputes/:dr_no — Single dispute with full analysis</div>
+          <div style={{ marginBottom: '4px' }}>GET /disputes/:dr_no/history — Changes RTB made to the record after publication</div>
+          <div style={{ marginBottom: '4px' }}>GET /parties — Search parties (q, type, min_disputes, has_awards)</div>
+          <div style={{ marginBottom: '4px' }}>GET /parties/:id — Party profile with aliases and dispute history</div>
+          <div>GET /search — Full-text search (q, type, limit)</div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+// ============================================
+// SOURCE CHANGES (disputes RTB removed or revised after publication)
+// ============================================
+const REVISION_FIELD_LABELS = {
+  heading: 'Heading',
+  tr_no: 'TR No.',
+  dispute_date: 'Date',
+  applicant_name: 'Applicant',
+  applicant_role: 'Applicant role',
+  respondent_name: 'Respondent',
+  respondent_role: 'Respondent role',
+  pdf_urls: 'PDFs',
+  raw_html: 'Listing HTML',
+};
+
+function formatRevisionValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (field === 'pdf_urls') return (value || []).map(p => p.name || p.url).join(', ') || '—';
+  return String(value);
+}
+
+function RemovedDisputesView({ showToast }) {
+  const [disputes, setDisputes] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [reconciling, setReconciling] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    fetch('/api/admin/removed-disputes?limit=50')
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load removed disputes');
+        setDisputes(data.disputes);
+        setTotal(data.total);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load removed disputes', 'error'))
+      .finally(() => setLoading(false));
+  }, [reloadKey, showToast]);
+
+  const reconcile = async () => {
+    setReconciling(true);
+    try {
+      const res = await fetch('/api/admin/removed-disputes', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(data.error || 'Reconciliation failed', 'error');
+      } else if (data.skipped) {
+        showToast(data.skipped, 'error');
+      } else {
+        showToast(`Reconciled — ${data.removed} newly flagged`, 'success');
+        setReloadKey(k => k + 1);
+      }
+    } catch (err) {
+      showToast('Reconciliation failed', 'error');
+    }
+    setReconciling(false);
+  };
+
+  return (
+    <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)', marginBottom: 'var(--spacing-md)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px', gap: '12px' }}>
+        <div>
+          <div style={{ fontSize: '16px', fontWeight: 700 }}>🚫 Removed from RTB</div>
+          <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
+            {total.toLocaleString()} dispute{total !== 1 ? 's' : ''} no longer listed on rtb.ie. Flagged after each full sync; cleared automatically if RTB lists them again.
+          </div>
+        </div>
+        <button className="btn btn-glass" onClick={reconcile} disabled={reconciling}>
+          {reconciling ? 'Reconciling…' : '🔍 Reconcile'}
+        </button>
+      </div>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <div className="loading-text">Loading removed disputes...</div>
+        </div>
+      ) : disputes.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '24px', color: 'var(--text-tertiary)' }}>
+          Every stored dispute was still listed at the last full sync.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {disputes.map(d => (
+            <div key={d.id} style={{
+              padding: '12px 16px', borderRadius: '10px',
+              background: 'var(--glass-bg)', border: '1px solid var(--glass-border)',
+              display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap',
+            }}>
+              <div style={{ flex: 1, minWidth: '200px' }}>
+                <div style={{ fontSize: '14px', fontWeight: 600, color: 'var(--text-primary)' }}>{d.dr_no}</div>
+                <div style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>{d.heading}</div>
+              </div>
+              <div style={{ fontSize: '11px', color: 'var(--text-secondary)', textAlign: 'right' }}>
+                <div>Removed {new Date(d.removed_from_source_at).toLocaleDateString('en-IE')}</div>
+                <div style={{ color: 'var(--text-tertiary)' }}>
+                  Last listed {d.last_seen_in_source_at ? new Date(d.last_seen_in_source_at).toLocaleDateString('en-IE') : 'before tracking began'}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function RevisionsView({ showToast }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [drNoInput, setDrNoInput] = useState('');
+  const [drNo, setDrNo] = useState('');
+  const [field, setField] = useState('');
+
+  // Loading is switched on by the handlers that change the query, not here
+  useEffect(() => {
+    const params = new URLSearchParams({ page: page.toString(), limit: '25' });
+    if (drNo) params.set('dr_no', drNo);
+    if (field) params.set('field', field);
+
+    fetch(`/api/admin/revisions?${params}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load revisions');
+        setRevisions(data.revisions);
+        setTotal(data.total);
+        setTotalPages(data.total_pages || 1);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load revisions', 'error'))
+      .finally(() => setLoading(false));
+  }, [page, drNo, field, showToast]);
+
+  const changeQuery = (update) => {
+    setLoading(true);
+    update();
+  };
+
+  const search = (e) => {
+    e.preventDefault();
+    const next = drNoInput.trim();
+    if (next === drNo && page === 1) return;
+    changeQuery(() => { setDrNo(next); setPage(1); });
+  };
+
+  return (
+    <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
+      <div style={{ marginBottom: '16px' }}>
+        <div style={{ fontSize: '16px', fontWeight: 700 }}>📝 Record Revisions</div>
+        <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
+          {total.toLocaleString()} change{total !== 1 ? 's' : ''} detected when RTB amended, redacted or added documents to a published dispute
+        </div>
+      </div>
+
+      <form onSubmit={search} style={{ display: 'flex', gap: '8px', marginBottom: '16px', flexWrap: 'wrap' }}>
+        <input
+          type="text" placeholder="DR number" value={drNoInput}
+          onChange={(e) => setDrNoInput(e.target.value)}
+          className="search-input" style={{ flex: 1, minWidth: '180px', fontSize: '13px' }}
+        />
+        <select
+          value={field}
+          onChange={(e) => changeQuery(() => { setField(e.target.value); setPage(1); })}
+          className="search-input" style={{ width: '180px', fontSize: '13px' }}
+        >
+          <option value="">All fields</option>
+          {Object.entries(REVISION_FIELD_LABELS).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <button type="submit" className="btn btn-glass">Search</button>
+      </form>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <div className="loading-text">Loading revisions...</div>
+        </div>
+      ) : revisions.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '32px', color: 'var(--text-tertiary)' }}>
+          No changes detected yet. Revisions are recorded when a sync finds a stored dispute has changed on rtb.ie.
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {revisions.map(r => (
+            <div key={r.id} style={{
+              padding: '12px 16px', borderRadius: '10px',
+              background: 'var(--glass-bg)', border: '1px solid var(--glass-border)',
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px', gap: '12px', flexWrap: 'wrap' }}>
+                <div style={{ fontSize: '14px', fontWeight: 600, color: 'var(--text-primary)' }}>{r.dr_no}</div>
+                <div style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>
+                  {new Date(r.detected_at).toLocaleString('en-IE')}
+                </div>
+              </div>
+              {(r.changed_fields || []).map(f => (
+                <div key={f} style={{ fontSize: '12px', marginBottom: '4px', display: 'grid', gridTemplateColumns: '120px 1fr', gap: '8px' }}>
+                  <span style={{ color: 'var(--text-tertiary)' }}>{REVISION_FIELD_LABELS[f] || f}</span>
+                  {f === 'raw_html' ? (
+                    <span style={{ color: 'var(--text-secondary)' }}>Listing markup changed</span>
+                  ) : (
+                    <span style={{ color: 'var(--text-secondary)', wordBreak: 'break-word' }}>
+                      <span style={{ color: '#f87171', textDecoration: 'line-through' }}>{formatRevisionValue(f, r.changes?.[f]?.from)}</span>
+                      {' → '}
+                      <span style={{ color: 'var(--accent-green)' }}>{formatRevisionValue(f, r.changes?.[f]?.to)}</span>
+                    </span>
+                  )}
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', marginTop: '16px' }}>
+          <button className="btn btn-glass btn-sm" disabled={page <= 1} onClick={() => changeQuery(() => setPage(page - 1))}>← Prev</button>
+          <span style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>Page {page} of {totalPages}</span>
+          <button className="btn btn-glass btn-sm" disabled={page >= totalPages} onClick={() => changeQuery(() => setPage(page + 1))}>Next →</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// AI REVIEW QUEUE VIEW
+// ============================================
+const REVIEW_FIELDS = [
+  { key: 'compensation_amount', column: 'ai_compensation_amount', label: 'Compensation', type: 'amount' },
+  { key: 'cost_order', column: 'ai_cost_order', label: 'Cost Order', type: 'amount' },
+  { key: 'outcome', column: 'ai_outcome', label: 'Outcome' },
+  { key: 'dispute_type', column: 'ai_dispute_type', label: 'Type' },
+  { key: 'property_address', column: 'ai_property_address', label: 'Property' },
+];
+
+const REVIEW_STATUS_LABELS = {
+  pending: 'Pending',
+  accepted: 'Accepted',
+  corrected: 'Corrected',
+};
+
+function formatReviewValue(field, value) {
+  if (value === null || value === undefined || value === '') return '—';
+  return field.type === 'amount' ? `€${parseFloat(value).toLocaleString()}` : value;
+}
+
+// What a model said for a field — withheld amounts show what it read
+function modelValue(result, field) {
+  if (!result) return null;
+  if (field.key === 'compensation_amount' && result.compensation_amount === null && result.claimed_compensation_amount != null) {
+    return `${formatReviewValue(field, result.claimed_compensation_amount)} (withheld)`;
+  }
+  return formatReviewValue(field, result[field.key]);
+}
+
+function formValuesFrom(source, fromResult) {
+  return Object.fromEntries(REVIEW_FIELDS.map(field => {
+    let value = fromResult ? source?.[field.key] : source?.[field.column];
+    if (fromResult && field.key === 'compensation_amount' && value === null) value = source?.claimed_compensation_amount;
+    return [field.key, value === null || value === undefined ? '' : String(value)];
+  }));
+}
+
+function ReviewPanel({ review, reasons, showToast, onResolved }) {
+  const dispute = review.dispute || {};
+  const [values, setValues] = useState(() => formValuesFrom(dispute, false));
+  const [note, setNote] = useState(review.note || '');
+  const [saving, setSaving] = useState(false);
+  const pending = review.status === 'pending';
+
+  const addToGoldSet = async () => {
+    setSaving(true);
+    try {
+      const res = await fetch('/api/admin/gold-set', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dispute_id: dispute.id, note: note || null }),
+      });
+      const data = await res.json();
+      showToast(res.ok ? `${dispute.dr_no}: ${data.message}` : (data.error || 'Failed to add to gold set'), res.ok ? 'success' : 'error');
+    } catch (err) {
+      showToast('Failed to add to gold set', 'error');
+    }
+    setSaving(false);
+  };
+
+  const submit = async (action) => {
+    setSaving(true);
+    try {
+      const res = await fetch(`/api/admin/reviews/${review.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, values: action === 'correct' ? values : undefined, note }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        showToast(data.error || 'Failed to save review', 'error');
+      } else {
+        showToast(data.message, 'success');
+        onResolved();
+      }
+    } catch (err) {
+      showToast('Failed to save review', 'error');
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'minmax(0, 1fr) minmax(0, 1fr)', gap: '16px', marginTop: '12px' }}>
+      <iframe
+        src={`/api/admin/reviews/${review.id}/pdf`}
+        title={`${dispute.dr_no} determination`}
+        style={{ width: '100%', height: '640px', border: '1px solid var(--glass-border)', borderRadius: '10px', background: '#fff' }}
+      />
+
+      <div>
+        <div style={{ fontSize: '12px', color: 'var(--text-tertiary)', marginBottom: '8px' }}>
+          <span className="badge badge-amber" style={{ marginRight: '6px' }}>{reasons[review.reason] || review.reason}</span>
+          {review.details}
+        </div>
+        {dispute.ai_summary && (
+          <div style={{ fontSize: '12px', color: 'var(--text-secondary)', lineHeight: 1.5, marginBottom: '12px' }}>
+            {dispute.ai_summary}
+          </div>
+        )}
+
+        <table className="data-table" style={{ fontSize: '12px' }}>
+          <thead>
+            <tr>
+              <th>Field</th>
+              <th>Stored</th>
+              <th>{review.primary_model || 'First model'}</th>
+              {review.review_result && <th>{review.review_model || 'Second model'}</th>}
+              <th>Correct value</th>
+            </tr>
+          </thead>
+          <tbody>
+            {REVIEW_FIELDS.map(field => (
+              <tr key={field.key}>
+                <td style={{ fontWeight: 600 }}>{field.label}</td>
+                <td>{formatReviewValue(field, dispute[field.column])}</td>
+                <td>{review.primary_result ? modelValue(review.primary_result, field) : '—'}</td>
+                {review.review_result && <td>{modelValue(review.review_result, field)}</td>}
+                <td>
+                  <input
+                    type={field.type === 'amount' ? 'number' : 'text'}
+                    step={field.type === 'amount' ? '0.01' : undefined}
+                    min={field.type === 'amount' ? '0' : undefined}
+                    value={values[field.key]}
+                    disabled={!pending || saving}
+                    onChange={(e) => setValues(v => ({ ...v, [field.key]: e.target.value }))}
+                    className="search-input"
+                    style={{ width: '100%', fontSize: '12px', padding: '4px 8px' }}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        {pending && (
+          <div style={{ display: 'flex', gap: '6px', flexWrap: 'wrap', margin: '10px 0' }}>
+            {review.primary_result && (
+              <button className="btn btn-glass btn-sm" onClick={() => setValues(formValuesFrom(review.primary_result, true))}>
+                Fill from {review.primary_model || 'first model'}
+              </button>
+            )}
+            {review.review_result && (
+              <button className="btn btn-glass btn-sm" onClick={() => setValues(formValuesFrom(review.review_result, true))}>
+                Fill from {review.review_model || 'second model'}
+              </button>
+            )}
+            <button className="btn btn-glass btn-sm" onClick={() => setValues(formValuesFrom(dispute, false))}>
+              Reset
+            </button>
+          </div>
+        )}
+
+        <input
+          type="text" placeholder="Note (optional) — e.g. where in the Order the amount is"
+          value={note} disabled={!pending || saving}
+          onChange={(e) => setNote(e.target.value)}
+          className="search-input" style={{ width: '100%', fontSize: '12px', marginBottom: '10px' }}
+        />
+
+        {pending ? (
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            <button className="btn btn-glass" onClick={() => submit('accept')} disabled={saving}>
+              ✓ Stored values are right
+            </button>
+            <button className="btn btn-primary" onClick={() => submit('correct')} disabled={saving}>
+              {saving ? 'Saving…' : '💾 Save correction'}
+            </button>
+          </div>
+        ) : (
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '12px', color: 'var(--text-tertiary)' }}>
+            <span>
+              {REVIEW_STATUS_LABELS[review.status]} {review.resolved_at ? new Date(review.resolved_at).toLocaleString('en-IE') : ''} — locked against reprocessing
+            </span>
+            <button className="btn btn-glass btn-sm" onClick={() => submit('reopen')} disabled={saving}>
+              ↩ Reopen
+            </button>
+            <button className="btn btn-glass btn-sm" onClick={addToGoldSet} disabled={saving} title="Use these values to score prompt versions (AI Processing → Prompt Evaluation)">
+              ⭐ Add to gold set
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ReviewQueueView({ showToast }) {
+  const [reviews, setReviews] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [reasons, setReasons] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [status, setStatus] = useState('pending');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [openId, setOpenId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Loading is switched on by the handlers that change the query, not here
+  useEffect(() => {
+    const params = new URLSearchParams({ status, page: page.toString(), limit: '25' });
+
+    fetch(`/api/admin/reviews?${params}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load review queue');
+        setReviews(data.reviews);
+        setCounts(data.counts);
+        setReasons(data.reasons);
+        setTotalPages(data.total_pages || 1);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load review queue', 'error'))
+      .finally(() => setLoading(false));
+  }, [status, page, reloadKey, showToast]);
+
+  const changeQuery = (update) => {
+    setLoading(true);
+    setOpenId(null);
+    update();
+  };
+
+  return (
+    <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
+      <div style={{ marginBottom: '16px' }}>
+        <div style={{ fontSize: '16px', fontWeight: 700 }}>🧑‍⚖️ AI Review Queue</div>
+        <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
+          Disputes where the model was unsure of the amount, its award items didn&apos;t add up, or a second model disagreed. Check each against the PDF; accepted and corrected values are locked against reprocessing.
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '16px', flexWrap: 'wrap' }}>
+        {Object.entries(REVIEW_STATUS_LABELS).map(([key, label]) => (
+          <button
+            key={key}
+            className={`filter-chip ${status === key ? 'active' : ''}`}
+            onClick={() => status !== key && changeQuery(() => { setStatus(key); setPage(1); })}
+          >
+            {label} {counts[key] !== undefined && <span style={{ opacity: 0.7 }}>({counts[key].toLocaleString()})</span>}
+          </button>
+        ))}
+      </div>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <div className="loading-text">Loading review queue...</div>
+        </div>
+      ) : reviews.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '32px', color: 'var(--text-tertiary)' }}>
+          {status === 'pending' ? 'Nothing waiting for review.' : `No ${REVIEW_STATUS_LABELS[status].toLowerCase()} reviews yet.`}
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {reviews.map(r => (
+            <div key={r.id} style={{
+              padding: '12px 16px', borderRadius: '10px',
+              background: 'var(--glass-bg)', border: '1px solid var(--glass-border)',
+            }}>
+              <div
+                style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '12px', flexWrap: 'wrap', cursor: 'pointer' }}
+                onClick={() => setOpenId(openId === r.id ? null : r.id)}
+              >
+                <div style={{ flex: 1, minWidth: '200px' }}>
+                  <div style={{ fontSize: '14px', fontWeight: 600, color: 'var(--text-primary)' }}>{r.dispute?.dr_no}</div>
+                  <div style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>{r.dispute?.heading}</div>
+                </div>
+                <span className={`badge ${r.reason === 'review_mismatch' ? 'badge-purple' : 'badge-amber'}`}>
+                  {reasons[r.reason] || r.reason}
+                </span>
+                <div style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>
+                  {new Date(r.created_at).toLocaleDateString('en-IE')} {openId === r.id ? '▲' : '▼'}
+                </div>
+              </div>
+              {openId === r.id && (
+                <ReviewPanel
+                  key={r.id}
+                  review={r}
+                  reasons={reasons}
+                  showToast={showToast}
+                  onResolved={() => changeQuery(() => setReloadKey(k => k + 1))}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', marginTop: '16px' }}>
+          <button className="btn btn-glass btn-sm" disabled={page <= 1} onClick={() => changeQuery(() => setPage(page - 1))}>← Prev</button>
+          <span style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>Page {page} of {totalPages}</span>
+          <button className="btn btn-glass btn-sm" disabled={page >= totalPages} onClick={() => changeQuery(() => setPage(page + 1))}>Next →</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// PARTY MATCHING (entity resolution)
+// ============================================
+const MATCH_STATUS_LABELS = {
+  pending: 'Pending',
+  confirmed: 'Same Party',
+  rejected: 'Different',
+};
+
+const MATCH_REASON_LABELS = {
+  variant_spelling: 'Spelling variant',
+  token_reorder: 'Reordered',
+  initials: 'Initials',
+  phonetic: 'Sounds alike',
+  trigram: 'Similar text',
+};
+
+function MatchParty({ party }) {
+  if (!party) return <div style={{ flex: 1, color: 'var(--text-tertiary)' }}>Deleted party</div>;
+  return (
+    <div style={{ flex: 1, minWidth: '180px' }}>
+      <div style={{ fontSize: '14px', fontWeight: 600, color: 'var(--text-primary)' }}>{party.name}</div>
+      <div style={{ fontSize: '11px', color: 'var(--text-tertiary)' }}>
+        {party.party_type || 'Unknown'} · {party.total_disputes || 0} dispute{party.total_disputes !== 1 ? 's' : ''}
+        {party.total_enforcement_orders > 0 && ` · ${party.total_enforcement_orders} enforcement`}
+      </div>
+    </div>
+  );
+}
+
+function PartyMatchesView({ showToast, changeKey, onChanged }) {
+  const [matches, setMatches] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [lastRunAt, setLastRunAt] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [status, setStatus] = useState('pending');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [savingId, setSavingId] = useState(null);
+  const [mergingId, setMergingId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Loading is switched on by the handlers that change the query, not here
+  useEffect(() => {
+    const params = new URLSearchParams({ status, page: page.toString(), limit: '25' });
+    if (search) params.set('search', search);
+
+    fetch(`/api/admin/party-matches?${params}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load party matches');
+        setMatches(data.matches);
+        setCounts(data.counts);
+        setLastRunAt(data.last_run_at);
+        setTotalPages(data.total_pages || 1);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load party matches', 'error'))
+      .finally(() => setLoading(false));
+  }, [status, search, page, reloadKey, changeKey, showToast]);
+
+  const changeQuery = (update) => {
+    setLoading(true);
+    update();
+  };
+
+  const runResolution = async () => {
+    setRunning(true);
+    try {
+      const res = await fetch('/api/admin/party-matches', { method: 'POST' });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Matching failed');
+      showToast(`${data.candidates.toLocaleString()} candidate pairs from ${data.parties.toLocaleString()} parties`, 'success');
+      changeQuery(() => setReloadKey(k => k + 1));
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    setRunning(false);
+  };
+
+  const decide = async (match, nextStatus) => {
+    setSavingId(match.id);
+    try {
+      const res = await fetch(`/api/admin/party-matches/${match.id}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status: nextStatus }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to save');
+      changeQuery(() => setReloadKey(k => k + 1));
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    setSavingId(null);
+  };
+
+  const mergePair = async (match, keep, drop) => {
+    if (!confirm(`Merge "${drop.name}" into "${keep.name}"? Its disputes and enforcement orders move to "${keep.name}". This can be undone from the merge log.`)) return;
+    setSavingId(match.id);
+    try {
+      const res = await fetch('/api/admin/party-merges', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'merge', canonical_id: keep.id, duplicate_ids: [drop.id], match_id: match.id }),
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Merge failed');
+      showToast(`Merged "${drop.name}" into "${keep.name}"`, 'success');
+      setMergingId(null);
+      onChanged();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    setSavingId(null);
+  };
+
+  return (
+    <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '12px', marginBottom: '16px', flexWrap: 'wrap' }}>
+        <div style={{ flex: 1, minWidth: '240px' }}>
+          <div style={{ fontSize: '16px', fontWeight: 700 }}>🧩 Party Matching</div>
+          <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
+            Parties that are probably the same person or company under different spellings — reordered names, initials, Ó/O&apos; and Mac/Mc forms, or names that sound alike. Rejected pairs are not raised again.
+            {lastRunAt && ` Last scored ${new Date(lastRunAt).toLocaleString('en-IE')}.`}
+          </div>
+        </div>
+        <button className="btn btn-primary btn-sm" onClick={runResolution} disabled={running}>
+          {running ? '⏳ Scoring parties...' : '🔍 Find Duplicates'}
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '16px', flexWrap: 'wrap', alignItems: 'center' }}>
+        {Object.entries(MATCH_STATUS_LABELS).map(([key, label]) => (
+          <button
+            key={key}
+            className={`filter-chip ${status === key ? 'active' : ''}`}
+            onClick={() => status !== key && changeQuery(() => { setStatus(key); setPage(1); })}
+          >
+            {label} {counts[key] !== undefined && <span style={{ opacity: 0.7 }}>({counts[key].toLocaleString()})</span>}
+          </button>
+        ))}
+        <input
+          type="text"
+          className="search-input"
+          placeholder="Filter by name..."
+          defaultValue={search}
+          onKeyDown={(e) => e.key === 'Enter' && changeQuery(() => { setSearch(e.target.value.trim()); setPage(1); })}
+          style={{ maxWidth: '220px', padding: '6px 12px', fontSize: '13px' }}
+        />
+      </div>
+
+      {loading ? (
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <div className="loading-text">Loading party matches...</div>
+        </div>
+      ) : matches.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '32px', color: 'var(--text-tertiary)' }}>
+          {status === 'pending' ? 'No candidate pairs waiting — run Find Duplicates to score the parties.' : `No ${MATCH_STATUS_LABELS[status].toLowerCase()} pairs yet.`}
+        </div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          {matches.map(m => (
+            <div key={m.id} style={{
+              padding: '12px 16px', borderRadius: '10px',
+              background: 'var(--glass-bg)', border: '1px solid var(--glass-border)',
+              display: 'flex', alignItems: 'center', gap: '12px', flexWrap: 'wrap',
+            }}>
+              <MatchParty party={m.party_a} />
+              <div style={{ textAlign: 'center', minWidth: '110px' }}>
+                <div style={{ fontSize: '16px', fontWeight: 700, color: m.score >= 0.9 ? 'var(--accent-green)' : m.score >= 0.8 ? 'var(--accent-amber)' : 'var(--text-secondary)' }}>
+                  {Math.round(m.score * 100)}%
+                </div>
+                <div style={{ display: 'flex', gap: '4px', justifyContent: 'center', flexWrap: 'wrap' }}>
+                  {(m.reasons || []).map(reason => (
+                    <span key={reason} className="badge badge-glass" style={{ fontSize: '10px' }}>{MATCH_REASON_LABELS[reason] || reason}</span>
+                  ))}
+                </div>
+              </div>
+              <MatchParty party={m.party_b} />
+              <div style={{ display: 'flex', gap: '6px' }}>
+                {m.status === 'pending' ? (
+                  <>
+                    <button className="btn btn-glass btn-sm" disabled={savingId === m.id} onClick={() => decide(m, 'confirmed')}>✓ Same</button>
+                    <button className="btn btn-glass btn-sm" disabled={savingId === m.id} onClick={() => decide(m, 'rejected')}>✗ Different</button>
+                  </>
+                ) : m.status === 'confirmed' && m.party_a && m.party_b && mergingId === m.id ? (
+                  <>
+                    <span style={{ fontSize: '12px', color: 'var(--text-tertiary)', alignSelf: 'center' }}>Keep:</span>
+                    <button className="btn btn-primary btn-sm" disabled={savingId === m.id} onClick={() => mergePair(m, m.party_a, m.party_b)}>← {m.party_a.name}</button>
+                    <button className="btn btn-primary btn-sm" disabled={savingId === m.id} onClick={() => mergePair(m, m.party_b, m.party_a)}>{m.party_b.name} →</button>
+                    <button className="btn btn-glass btn-sm" disabled={savingId === m.id} onClick={() => setMergingId(null)}>Cancel</button>
+                  </>
+                ) : (
+                  <>
+                    {m.status === 'confirmed' && m.party_a && m.party_b && (
+                      <button className="btn btn-primary btn-sm" onClick={() => setMergingId(m.id)}>🔗 Merge</button>
+                    )}
+                    <button className="btn btn-glass btn-sm" disabled={savingId === m.id} onClick={() => decide(m, 'pending')}>↩ Undo</button>
+                  </>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {totalPages > 1 && (
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', marginTop: '16px' }}>
+          <button className="btn btn-glass btn-sm" disabled={page <= 1} onClick={() => changeQuery(() => setPage(page - 1))}>← Prev</button>
+          <span style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>Page {page} of {totalPages}</span>
+          <button className="btn btn-glass btn-sm" disabled={page >= totalPages} onClick={() => changeQuery(() => setPage(page + 1))}>Next →</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ============================================
+// PARTY MERGE & SPLIT (undoable from the log)
+// ============================================
+function SplitLinkRow({ checked, onToggle, reference, date, role, heading }) {
+  return (
+    <label style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '13px', padding: '6px 0', cursor: 'pointer', borderBottom: '1px solid var(--glass-border)' }}>
+      <input type="checkbox" checked={checked} onChange={onToggle} style={{ width: '16px', height: '16px', accentColor: '#818cf8' }} />
+      <span style={{ fontWeight: 600, minWidth: '130px' }}>{reference || '—'}</span>
+      <span style={{ color: 'var(--text-tertiary)', minWidth: '80px' }}>{date ? new Date(date).toLocaleDateString('en-IE') : '—'}</span>
+      <span className={`badge ${role === 'Applicant' ? 'badge-blue' : 'badge-amber'}`} style={{ fontSize: '10px' }}>{role}</span>
+      <span style={{ color: 'var(--text-secondary)', flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{heading}</span>
+    </label>
+  );
+}
+
+function PartyMergeView({ showToast, changeKey, onChanged }) {
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [selected, setSelected] = useState([]);
+  const [keepId, setKeepId] = useState(null);
+  const [split, setSplit] = useState(null);
+  const [chosen, setChosen] = useState([]);
+  const [splitName, setSplitName] = useState('');
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [entries, setEntries] = useState([]);
+  const [logPage, setLogPage] = useState(1);
+  const [logPages, setLogPages] = useState(1);
+  const [undoingId, setUndoingId] = useState(null);
+
+  useEffect(() => {
+    fetch(`/api/admin/party-merges?page=${logPage}&limit=10`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Failed to load the merge log');
+        setEntries(data.entries);
+        setLogPages(data.total_pages || 1);
+      })
+      .catch((err) => showToast(err.message || 'Failed to load the merge log', 'error'));
+  }, [logPage, changeKey, showToast]);
+
+  const searchParties = async (term) => {
+    if (!term) {
+      setResults([]);
+      return;
+    }
+    setSearching(true);
+    try {
+      const params = new URLSearchParams({ search: term, min_disputes: '0', limit: '10' });
+      const res = await fetch(`/api/parties?${params}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Search failed');
+      setResults(data.parties);
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    setSearching(false);
+  };
+
+  const addToMerge = (party) => {
+    if (selected.some(p => p.id === party.id)) return;
+    setSelected([...selected, party]);
+    if (!keepId) setKeepId(party.id);
+  };
+
+  const removeFromMerge = (id) => {
+    const rest = selected.filter(p => p.id !== id);
+    setSelected(rest);
+    if (keepId === id) setKeepId(rest[0]?.id || null);
+  };
+
+  const post = async (url, body) => {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Request failed');
+    return data;
+  };
+
+  const merge = async () => {
+    const keep = selected.find(p => p.id === keepId);
+    const others = selected.filter(p => p.id !== keepId);
+    if (!keep || others.length === 0) return;
+    if (!confirm(`Merge ${others.map(p => `"${p.name}"`).join(', ')} into "${keep.name}"? This can be undone from the log below.`)) return;
+    setBusy(true);
+    try {
+      await post('/api/admin/party-merges', {
+        action: 'merge', canonical_id: keep.id, duplicate_ids: others.map(p => p.id), note: note || null,
+      });
+      showToast(`Merged ${others.length} ${others.length === 1 ? 'party' : 'parties'} into "${keep.name}"`, 'success');
+      setSelected([]);
+      setKeepId(null);
+      setResults([]);
+      setNote('');
+      onChanged();
+    } catch (err) {
+      showToast(err.message, 'error');
     }
-    setCreating(false);
+    setBusy(false);
   };
 
-  const copyKey = (key) => {
-    navigator.clipboard.writeText(key);
-    showToast('API key copied!', 'success');
+  const openSplit = async (party) => {
+    setBusy(true);
+    try {
+      const res = await fetch(`/api/admin/parties/${party.id}`);
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Failed to load the party');
+      setSplit(data);
+      setChosen([]);
+      setSplitName('');
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    setBusy(false);
   };
 
-  if (loading) {
-    return (
-      <div className="loading-container">
-        <div className="spinner"></div>
-        <div className="loading-text">Loading API users...</div>
-      </div>
-    );
-  }
+  const toggleChosen = (key) => {
+    setChosen(chosen.includes(key) ? chosen.filter(k => k !== key) : [...chosen, key]);
+  };
+
+  const runSplit = async () => {
+    const name = splitName.trim();
+    if (!name || chosen.length === 0) return;
+    if (!confirm(`Move ${chosen.length} record${chosen.length === 1 ? '' : 's'} from "${split.party.name}" to "${name}"? This can be undone from the log below.`)) return;
+    setBusy(true);
+    try {
+      const data = await post('/api/admin/party-merges', {
+        action: 'split',
+        party_id: split.party.id,
+        name,
+        dispute_link_ids: chosen.filter(k => k.startsWith('d:')).map(k => k.slice(2)),
+        enforcement_link_ids: chosen.filter(k => k.startsWith('e:')).map(k => k.slice(2)),
+        note: note || null,
+      });
+      showToast(`Moved ${chosen.length} record${chosen.length === 1 ? '' : 's'} to "${data.entry.other_party_names[0]}"`, 'success');
+      setSplit(null);
+      setChosen([]);
+      setSplitName('');
+      setNote('');
+      onChanged();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    setBusy(false);
+  };
+
+  const undo = async (entry) => {
+    const question = entry.action === 'merge'
+      ? `Undo merging ${entry.other_party_names.map(n => `"${n}"`).join(', ')} into "${entry.party_name}"? The merged parties come back with their own records.`
+      : `Undo the split of "${entry.party_name}"? The moved records go back to it.`;
+    if (!confirm(question)) return;
+    setUndoingId(entry.id);
+    try {
+      await post(`/api/admin/party-merges/${entry.id}`, { action: 'undo' });
+      showToast('Undone — counts and awards recomputed', 'success');
+      onChanged();
+    } catch (err) {
+      showToast(err.message, 'error');
+    }
+    setUndoingId(null);
+  };
+
+  const inputStyle = { fontSize: '13px', padding: '6px 10px' };
+  const boxStyle = { padding: '12px 16px', borderRadius: '10px', background: 'var(--glass-bg)', border: '1px solid var(--glass-border)', marginBottom: '16px' };
 
   return (
-    <>
-      <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)', marginBottom: 'var(--spacing-md)' }}>
-        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
-          <div>
-            <div style={{ fontSize: '16px', fontWeight: 700 }}>🔑 API Users</div>
-            <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>{users.length} registered user{users.length !== 1 ? 's' : ''}</div>
-          </div>
-          <button
-            onClick={() => setShowCreate(!showCreate)}
-            style={{
-              padding: '8px 16px', borderRadius: '10px', fontSize: '13px', fontWeight: 600,
-              background: 'linear-gradient(135deg, var(--accent-indigo), var(--accent-purple))',
-              color: 'white', border: 'none', cursor: 'pointer',
-            }}
-          >
-            + New User
-          </button>
+    <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
+      <div style={{ marginBottom: '16px' }}>
+        <div style={{ fontSize: '16px', fontWeight: 700 }}>🔗 Merge &amp; Split Parties</div>
+        <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
+          Find parties by name, then merge duplicates into the name to keep, or split records off a party that was merged by mistake. Counts and awards are recomputed automatically, and every change can be undone from the log.
         </div>
+      </div>
 
-        {showCreate && (
-          <form onSubmit={createUser} style={{
-            padding: '16px', borderRadius: '12px', marginBottom: '16px',
-            background: 'rgba(99, 102, 241, 0.05)', border: '1px solid rgba(99, 102, 241, 0.15)',
-          }}>
-            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', marginBottom: '12px' }}>
-              <input
-                type="email" placeholder="Email *" required value={newUser.email}
-                onChange={(e) => setNewUser({ ...newUser, email: e.target.value })}
-                className="search-input" style={{ fontSize: '13px' }}
-              />
-              <input
-                type="password" placeholder="Password * (min 8 chars)" required minLength={8}
-                value={newUser.password}
-                onChange={(e) => setNewUser({ ...newUser, password: e.target.value })}
-                className="search-input" style={{ fontSize: '13px' }}
-              />
-              <input
-                type="text" placeholder="Name" value={newUser.name}
-                onChange={(e) => setNewUser({ ...newUser, name: e.target.value })}
-                className="search-input" style={{ fontSize: '13px' }}
-              />
-              <input
-                type="text" placeholder="Company" value={newUser.company}
-                onChange={(e) => setNewUser({ ...newUser, company: e.target.value })}
-                className="search-input" style={{ fontSize: '13px' }}
-              />
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '12px' }}>
+        <input
+          type="text"
+          className="search-input"
+          placeholder="Find a party by name..."
+          onKeyDown={(e) => e.key === 'Enter' && searchParties(e.target.value.trim())}
+          style={{ ...inputStyle, flex: 1, minWidth: '240px' }}
+        />
+        {searching && <span style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>Searching...</span>}
+      </div>
+
+      {results.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', marginBottom: '16px' }}>
+          {results.map(p => (
+            <div key={p.id} style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '8px 12px', borderRadius: '8px', border: '1px solid var(--glass-border)' }}>
+              <MatchParty party={p} />
+              <button className="btn btn-glass btn-sm" disabled={selected.some(s => s.id === p.id)} onClick={() => addToMerge(p)}>+ Merge</button>
+              <button className="btn btn-glass btn-sm" disabled={busy} onClick={() => openSplit(p)}>✂ Split</button>
             </div>
-            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
-              <label style={{ fontSize: '12px', color: 'var(--text-secondary)' }}>Rate limit/hr:</label>
-              <input
-                type="number" value={newUser.rate_limit_per_hour} min={1}
-                onChange={(e) => setNewUser({ ...newUser, rate_limit_per_hour: parseInt(e.target.value) })}
-                className="search-input" style={{ width: '80px', fontSize: '13px' }}
-              />
-              <button type="submit" disabled={creating} style={{
-                marginLeft: 'auto', padding: '8px 20px', borderRadius: '8px', fontSize: '13px',
-                background: 'var(--accent-green)', color: 'white', border: 'none', cursor: 'pointer',
-                fontWeight: 600, opacity: creating ? 0.6 : 1,
-              }}>
-                {creating ? 'Creating…' : 'Create User'}
-              </button>
+          ))}
+        </div>
+      )}
+
+      {selected.length > 0 && (
+        <div style={boxStyle}>
+          <div style={{ fontSize: '13px', fontWeight: 600, marginBottom: '8px' }}>Merge — choose the name to keep</div>
+          {selected.map(p => (
+            <div key={p.id} style={{ display: 'flex', alignItems: 'center', gap: '10px', padding: '4px 0' }}>
+              <input type="radio" name="merge-keep" checked={keepId === p.id} onChange={() => setKeepId(p.id)} style={{ accentColor: '#818cf8' }} />
+              <MatchParty party={p} />
+              {keepId === p.id && <span className="badge badge-green" style={{ fontSize: '10px' }}>keep</span>}
+              <button className="btn btn-glass btn-sm" onClick={() => removeFromMerge(p.id)}>✕</button>
             </div>
-          </form>
-        )}
+          ))}
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '8px' }}>
+            <input
+              type="text" placeholder="Why (kept in the log) — optional"
+              value={note} onChange={(e) => setNote(e.target.value)}
+              className="search-input" style={{ ...inputStyle, flex: 1, minWidth: '200px' }}
+            />
+            <button className="btn btn-primary btn-sm" disabled={busy || selected.length < 2} onClick={merge}>
+              🔗 Merge {selected.length > 1 ? selected.length - 1 : ''} into kept party
+            </button>
+          </div>
+          {selected.length < 2 && (
+            <div style={{ fontSize: '12px', color: 'var(--text-tertiary)', marginTop: '6px' }}>Add at least one more party to merge.</div>
+          )}
+        </div>
+      )}
 
-        {users.length === 0 ? (
-          <div style={{ textAlign: 'center', padding: '32px', color: 'var(--text-tertiary)' }}>
-            No API users yet. Create one to get started.
+      {split && (
+        <div style={boxStyle}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+            <div style={{ fontSize: '13px', fontWeight: 600 }}>Split “{split.party.name}” — tick the records that belong to someone else</div>
+            <button className="btn btn-glass btn-sm" onClick={() => setSplit(null)}>Close</button>
           </div>
-        ) : (
-          <div style={{ display: 'flex', flexDirection: 'column', gap: '8px' }}>
-            {users.map(u => (
-              <div key={u.id} style={{
-                padding: '12px 16px', borderRadius: '10px',
-                background: 'var(--glass-bg)', border: '1px solid var(--glass-border)',
-                display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap',
-              }}>
-                <div style={{ flex: 1, minWidth: '200px' }}>
-                  <div style={{ fontSize: '14px', fontWeight: 600, color: 'var(--text-primary)' }}>
-                    {u.name || u.email}
-                    {!u.is_active && <span style={{ color: 'var(--accent-red)', fontSize: '11px', marginLeft: '8px' }}>DISABLED</span>}
-                  </div>
-                  <div style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>
-                    {u.email}{u.company ? ` · ${u.company}` : ''}
-                  </div>
-                </div>
-                <div style={{ fontSize: '11px', color: 'var(--text-secondary)', textAlign: 'center' }}>
-                  <div style={{ fontWeight: 600 }}>{u.total_api_calls || 0}</div>
-                  <div style={{ color: 'var(--text-tertiary)' }}>calls</div>
-                </div>
-                <div style={{ fontSize: '11px', color: 'var(--text-secondary)', textAlign: 'center' }}>
-                  <div style={{ fontWeight: 600 }}>{u.rate_limit_per_hour}/hr</div>
-                  <div style={{ color: 'var(--text-tertiary)' }}>limit</div>
-                </div>
-                <button
-                  onClick={() => copyKey(u.api_key)}
-                  style={{
-                    padding: '6px 12px', borderRadius: '6px', fontSize: '11px',
-                    background: 'rgba(99, 102, 241, 0.1)', border: '1px solid rgba(99, 102, 241, 0.2)',
-                    color: '#818cf8', cursor: 'pointer', fontFamily: 'monospace',
-                  }}
-                  title={u.api_key}
-                >
-                  📋 {u.api_key.substring(0, 18)}…
-                </button>
-              </div>
+          <div style={{ maxHeight: '320px', overflowY: 'auto', marginBottom: '8px' }}>
+            {split.dispute_links.map(link => (
+              <SplitLinkRow
+                key={link.id}
+                checked={chosen.includes(`d:${link.id}`)}
+                onToggle={() => toggleChosen(`d:${link.id}`)}
+                reference={link.disputes?.dr_no}
+                date={link.disputes?.dispute_date}
+                role={link.role}
+                heading={link.disputes?.heading}
+              />
+            ))}
+            {split.enforcement_links.map(link => (
+              <SplitLinkRow
+                key={link.id}
+                checked={chosen.includes(`e:${link.id}`)}
+                onToggle={() => toggleChosen(`e:${link.id}`)}
+                reference={link.enforcement_orders?.court_ref_no}
+                date={link.enforcement_orders?.order_date}
+                role={link.role}
+                heading={link.enforcement_orders?.heading}
+              />
             ))}
+            {split.dispute_links.length + split.enforcement_links.length === 0 && (
+              <div style={{ fontSize: '13px', color: 'var(--text-tertiary)', padding: '8px 0' }}>This party has no linked records.</div>
+            )}
           </div>
-        )}
-      </div>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            <input
+              type="text" placeholder="Move them to the party named... (an existing party of that name is used)"
+              value={splitName} onChange={(e) => setSplitName(e.target.value)}
+              className="search-input" style={{ ...inputStyle, flex: 2, minWidth: '240px' }}
+            />
+            <input
+              type="text" placeholder="Why (kept in the log) — optional"
+              value={note} onChange={(e) => setNote(e.target.value)}
+              className="search-input" style={{ ...inputStyle, flex: 1, minWidth: '180px' }}
+            />
+            <button className="btn btn-primary btn-sm" disabled={busy || chosen.length === 0 || !splitName.trim()} onClick={runSplit}>
+              ✂ Move {chosen.length || ''} record{chosen.length === 1 ? '' : 's'}
+            </button>
+          </div>
+        </div>
+      )}
 
-      <div className="glass-card-static" style={{ padding: 'var(--spacing-lg)' }}>
-        <div style={{ fontSize: '14px', fontWeight: 700, marginBottom: '12px' }}>📖 API Documentation</div>
-        <div style={{ fontSize: '12px', color: 'var(--text-secondary)', lineHeight: 1.8, fontFamily: 'monospace' }}>
-          <div style={{ marginBottom: '8px' }}><strong>Base URL:</strong> {typeof window !== 'undefined' ? window.location.origin : ''}/api/v1</div>
-          <div style={{ marginBottom: '4px' }}><strong>Auth:</strong> Authorization: Bearer rtb_live_xxx</div>
-          <div style={{ marginBottom: '16px', fontSize: '11px', color: 'var(--text-tertiary)' }}>All endpoints require a valid API key.</div>
+      <div style={{ fontSize: '14px', fontWeight: 600, marginBottom: '8px' }}>Merge log</div>
+      {entries.length === 0 ? (
+        <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>No merges or splits yet.</div>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: '6px' }}>
+          {entries.map(entry => (
+            <div key={entry.id} style={{ display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap', padding: '8px 12px', borderRadius: '8px', border: '1px solid var(--glass-border)', opacity: entry.undone_at ? 0.6 : 1 }}>
+              <span className={`badge ${entry.action === 'merge' ? 'badge-blue' : 'badge-purple'}`}>{entry.action}</span>
+              <span style={{ fontSize: '13px', flex: 1 }}>
+                {entry.action === 'merge'
+                  ? <>{entry.other_party_names.map(n => `“${n}”`).join(', ')} → <strong>{entry.party_name}</strong></>
+                  : <>Records of <strong>{entry.party_name}</strong> → “{entry.other_party_names[0]}”</>}
+                <span style={{ fontSize: '12px', color: 'var(--text-tertiary)' }}>
+                  {' · '}{new Date(entry.created_at).toLocaleString('en-IE')}
+                  {entry.note && ` · “${entry.note}”`}
+                </span>
+              </span>
+              {entry.undone_at ? (
+                <span className="badge badge-glass">undone {new Date(entry.undone_at).toLocaleDateString('en-IE')}</span>
+              ) : (
+                <button className="btn btn-glass btn-sm" disabled={undoingId === entry.id} onClick={() => undo(entry)}>
+                  {undoingId === entry.id ? '⏳ Undoing...' : '↩ Undo'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
 
-          <div style={{ marginBottom: '4px' }}>POST /auth/login — Login with email + password</div>
-          <div style={{ marginBottom: '4px' }}>GET /disputes — Search disputes (q, name, dr_no, outcome, type, date_from, date_to, min_award, max_award)</div>
-          <div style={{ marginBottom: '4px' }}>GET /disputes/:dr_no — Single dispute with full analysis</div>
-          <div style={{ marginBottom: '4px' }}>GET /parties — Search parties (q, type, min_disputes, has_awards)</div>
-          <div style={{ marginBottom: '4px' }}>GET /parties/:id — Party profile with dispute history</div>
-          <div>GET /search — Full-text search (q, type, limit)</div>
+      {logPages > 1 && (
+        <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'center', gap: '12px', marginTop: '12px' }}>
+          <button className="btn btn-glass btn-sm" disabled={logPage <= 1} onClick={() => setLogPage(logPage - 1)}>← Prev</button>
+          <span style={{ fontSize: '13px', color: 'var(--text-secondary)' }}>Page {logPage} of {logPages}</span>
+          <button className="btn btn-glass btn-sm" disabled={logPage >= logPages} onClick={() => setLogPage(logPage + 1)}>Next →</button>
         </div>
-      </div>
-    </>
+      )}
+    </div>
   );
 }
 
@@ -2268,6 +4509,16 @@ function SettingsView({ showToast }) {
     openai_model: '🧠',
     scrape_delay_ms: '⏱️',
     auto_sync_enabled: '🔄',
+    rule_extraction_enabled: '📄',
+    ai_provider_dispute_analysis: '🔀',
+    ai_provider_dispute_review: '🔀',
+    ai_provider_enforcement_analysis: '🔀',
+    local_ai_base_url: '🖥️',
+    local_ai_api_key: '🖥️',
+    prompt_version_dispute: '🏷️',
+    prompt_version_enforcement: '🏷️',
+    ai_monthly_budget_usd: '💸',
+    ai_model_prices: '💲',
   };
 
   if (loading) {
@@ -2510,12 +4761,32 @@ function SettingsView({ showToast }) {
             </li>
             <li style={{ marginBottom: '6px' }}>
               <span style={{ marginRight: '8px' }}>⏱️</span>
-              <strong>scrape_delay_ms</strong> — Delay between requests to avoid rate limiting
+              <strong>scrape_delay_ms</strong> — Base delay between rtb.ie requests; the crawler slows down further when rate limited
             </li>
-            <li>
+            <li style={{ marginBottom: '6px' }}>
               <span style={{ marginRight: '8px' }}>🔄</span>
               <strong>auto_sync_enabled</strong> — Enable the daily automatic sync via CRON job
             </li>
+            <li style={{ marginBottom: '6px' }}>
+              <span style={{ marginRight: '8px' }}>📄</span>
+              <strong>rule_extraction_enabled</strong> — Read the PDF text and parse the Order with rules first; the AI is only called when the rules are unsure
+            </li>
+            <li style={{ marginBottom: '6px' }}>
+              <span style={{ marginRight: '8px' }}>🔀</span>
+              <strong>ai_provider_*</strong> — Model per task as <code>provider:model</code> (gemini, openai, local or mock), e.g. <code>local:llama3.1:8b</code>; empty keeps the default above
+            </li>
+            <li style={{ marginBottom: '6px' }}>
+              <span style={{ marginRight: '8px' }}>🖥️</span>
+              <strong>local_ai_base_url</strong> — OpenAI-compatible endpoint for the <strong>local</strong> provider, e.g. Ollama at http://localhost:11434/v1 (gets the PDF text, not the PDF)
+            </li>
+            <li style={{ marginBottom: '6px' }}>
+              <span style={{ marginRight: '8px' }}>🏷️</span>
+              <strong>prompt_version_*</strong> — Pin a prompt version from <code>lib/prompts.js</code>; empty uses the current one. Score a version under AI Processing → Prompt Evaluation first
+            </li>
+            <li>
+              <span style={{ marginRight: '8px' }}>💸</span>
+              <strong>ai_monthly_budget_usd</strong> — Estimated AI spend per calendar month (USD) after which batch AI processing pauses; empty for no limit. Prices can be overridden in <strong>ai_model_prices</strong>
+            </li>
           </ul>
         </div>
       </div>
@@ -2603,6 +4874,31 @@ function EnforcementAISection({ showToast }) {
   );
 }
 
+// Scrape job statuses shared by ScraperView and EnforcementSyncView
+const SCRAPE_ACTIVE_STATUSES = ['queued', 'running'];
+
+function isResumableJob(job) {
+  return !!job && (job.status === 'paused' || job.status === 'failed' || job.stalled);
+}
+
+// One-line summary of scrape_jobs.crawl_metrics, e.g. "212 requests · 4 retries · 1 rate-limited"
+function crawlSummary(metrics) {
+  if (!metrics?.requests) return null;
+  const parts = [`${metrics.requests} requests`];
+  if (metrics.retries) parts.push(`${metrics.retries} retries`);
+  if (metrics.rate_limited) parts.push(`${metrics.rate_limited} rate-limited`);
+  if (metrics.server_errors) parts.push(`${metrics.server_errors} server errors`);
+  if (metrics.nonce_refreshes) parts.push(`${metrics.nonce_refreshes} nonce refreshes`);
+  if (metrics.backoff_ms) parts.push(`${Math.round(metrics.backoff_ms / 1000)}s backing off`);
+  return parts.join(' · ');
+}
+
+async function controlScrapeJob(jobId, action) {
+  const res = await fetch(`/api/scrape/jobs/${jobId}/${action}`, { method: 'POST' });
+  const data = await res.json();
+  return { ok: res.ok, data };
+}
+
 // ============================================
 // ENFORCEMENT SYNC VIEW (within Admin Sync tab)
 // ============================================
@@ -2622,7 +4918,7 @@ function EnforcementSyncView({ showToast }) {
       const res = await fetch('/api/scrape/enforcement');
       const data = await res.json();
       setStatus(data);
-      if (data.latest_job?.status === 'running') {
+      if (SCRAPE_ACTIVE_STATUSES.includes(data.latest_job?.status)) {
         setRunning(true);
         startPolling();
       }
@@ -2637,13 +4933,15 @@ function EnforcementSyncView({ showToast }) {
         const res = await fetch('/api/scrape/enforcement');
         const data = await res.json();
         setStatus(data);
-        if (data.latest_job?.status !== 'running') {
+        if (!SCRAPE_ACTIVE_STATUSES.includes(data.latest_job?.status)) {
           clearInterval(pollInterval.current);
           setRunning(false);
           if (data.latest_job?.status === 'completed') {
             showToast('Enforcement orders sync completed!', 'success');
           } else if (data.latest_job?.status === 'failed') {
             showToast(`Enforcement sync failed: ${data.latest_job.error_message}`, 'error');
+          } else if (data.latest_job?.status === 'paused') {
+            showToast('Enforcement sync paused', 'info');
           }
         }
       } catch (err) { console.error(err); }
@@ -2680,6 +4978,22 @@ function EnforcementSyncView({ showToast }) {
     } catch (err) { showToast('Failed to stop sync', 'error'); }
   };
 
+  const pauseScrape = async () => {
+    const { ok, data } = await controlScrapeJob(status.latest_job.id, 'pause');
+    showToast(ok ? 'Enforcement sync pausing after the current page' : (data.error || 'Failed to pause sync'), ok ? 'info' : 'error');
+  };
+
+  const resumeScrape = async () => {
+    const { ok, data } = await controlScrapeJob(status.latest_job.id, 'resume');
+    if (!ok) {
+      showToast(data.error || 'Failed to resume sync', 'error');
+      return;
+    }
+    showToast(data.message, 'info');
+    setRunning(true);
+    startPolling();
+  };
+
   const job = status?.latest_job;
   const progress = job && job.total_pages > 0 ? Math.round((job.current_page / job.total_pages) * 100) : 0;
 
@@ -2691,7 +5005,7 @@ function EnforcementSyncView({ showToast }) {
           Enforcement Orders Sync
         </div>
         {job && (
-          <span className={`badge ${job.status === 'completed' ? 'badge-green' : job.status === 'running' ? 'badge-blue' : job.status === 'failed' ? 'badge-red' : 'badge-glass'}`}>
+          <span className={`badge ${job.status === 'completed' ? 'badge-green' : SCRAPE_ACTIVE_STATUSES.includes(job.status) ? 'badge-blue' : job.status === 'failed' ? 'badge-red' : 'badge-glass'}`}>
             {job.status === 'running' && '⏳ '}{job.status}
           </span>
         )}
@@ -2716,6 +5030,11 @@ function EnforcementSyncView({ showToast }) {
               <span>New: {job.new_records || 0}</span>
               <span>Updated: {job.updated_records || 0}</span>
             </div>
+            {crawlSummary(job.crawl_metrics) && (
+              <div style={{ fontSize: '11px', color: 'var(--text-tertiary)', marginTop: '6px' }}>
+                {crawlSummary(job.crawl_metrics)}
+              </div>
+            )}
           </>
         ) : (
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '16px' }}>
@@ -2764,7 +5083,17 @@ function EnforcementSyncView({ showToast }) {
             <>⚖️ Sync Enforcement Orders</>
           )}
         </button>
+        {!running && isResumableJob(job) && (
+          <button className="btn btn-glass" onClick={resumeScrape} id="resume-enforcement-sync-btn">
+            ▶ Resume from page {(job.cursor?.page || 0) + 1}
+          </button>
+        )}
         {running && (
+          <button className="btn btn-glass" onClick={pauseScrape} id="pause-enforcement-sync-btn">
+            ⏸ Pause
+          </button>
+        )}
+        {(running || job?.status === 'paused') && (
           <button
             onClick={stopScrape}
             style={{
@@ -2784,6 +5113,13 @@ function EnforcementSyncView({ showToast }) {
 // ============================================
 // ENFORCEMENT ORDERS VIEW (main tab)
 // ============================================
+const LINK_METHOD_LABELS = {
+  prtb_no: 'PRTB No.',
+  pdf_reference: 'Reference in order',
+  party_date: 'Parties & date',
+  manual: 'Set by hand',
+};
+
 function EnforcementOrdersView({ showToast }) {
   const [orders, setOrders] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -2791,6 +5127,7 @@ function EnforcementOrdersView({ showToast }) {
   const [subject, setSubject] = useState('');
   const [dateFrom, setDateFrom] = useState('');
   const [dateTo, setDateTo] = useState('');
+  const [linked, setLinked] = useState('');
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(0);
   const [total, setTotal] = useState(0);
@@ -2812,6 +5149,7 @@ function EnforcementOrdersView({ showToast }) {
       if (subject) params.set('subject', subject);
       if (dateFrom) params.set('date_from', dateFrom);
       if (dateTo) params.set('date_to', dateTo);
+      if (linked) params.set('linked', linked);
 
       const res = await fetch(`/api/enforcement-orders?${params}`);
       const data = await res.json();
@@ -2823,7 +5161,7 @@ function EnforcementOrdersView({ showToast }) {
       showToast('Failed to fetch enforcement orders', 'error');
     }
     setLoading(false);
-  }, [page, search, subject, dateFrom, dateTo, sortBy, sortOrder, showToast]);
+  }, [page, search, subject, dateFrom, dateTo, linked, sortBy, sortOrder, showToast]);
 
   useEffect(() => {
     fetchOrders();
@@ -2896,6 +5234,16 @@ function EnforcementOrdersView({ showToast }) {
             <option value="Breach of Obligations">Breach of Obligations</option>
             <option value="Invalid Notice of Termination">Invalid Notice</option>
           </select>
+          <select
+            value={linked}
+            onChange={(e) => { setLinked(e.target.value); setPage(1); }}
+            className="filter-select"
+            id="enforcement-linked-filter"
+          >
+            <option value="">Linked & Orphaned</option>
+            <option value="yes">Linked to a Dispute</option>
+            <option value="no">Orphaned</option>
+          </select>
           <input
             type="date"
             className="date-input"
@@ -3066,6 +5414,21 @@ function EnforcementOrdersView({ showToast }) {
                 )}
               </div>
 
+              {selectedOrder.linked_dispute && (
+                <div className="modal-field">
+                  <div className="modal-field-label">Linked Dispute</div>
+                  <div className="modal-field-value" style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+                    <span style={{ fontFamily: "'SF Mono', monospace" }}>{selectedOrder.linked_dispute.dr_no}</span>
+                    {selectedOrder.link_method && (
+                      <span className={`badge ${parseFloat(selectedOrder.link_confidence) >= 0.9 ? 'badge-green' : parseFloat(selectedOrder.link_confidence) >= 0.7 ? 'badge-amber' : 'badge-red'}`}>
+                        {LINK_METHOD_LABELS[selectedOrder.link_method] || selectedOrder.link_method}
+                        {selectedOrder.link_confidence !== null && ` · ${Math.round(parseFloat(selectedOrder.link_confidence) * 100)}%`}
+                      </span>
+                    )}
+                  </div>
+                </div>
+              )}
+
               {selectedOrder.order_date && (
                 <div className="modal-field">
                   <div className="modal-field-label">Order Date</div>
@@ -3199,7 +5562,7 @@ function ScraperView({ showToast, onComplete }) {
       const data = await res.json();
       setScrapeStatus(data);
 
-      if (data.latest_job?.status === 'running') {
+      if (SCRAPE_ACTIVE_STATUSES.includes(data.latest_job?.status)) {
         setRunning(true);
         startPolling();
       }
@@ -3217,7 +5580,7 @@ function ScraperView({ showToast, onComplete }) {
         const data = await res.json();
         setScrapeStatus(data);
 
-        if (data.latest_job?.status !== 'running') {
+        if (!SCRAPE_ACTIVE_STATUSES.includes(data.latest_job?.status)) {
           clearInterval(pollInterval.current);
           setRunning(false);
           if (data.latest_job?.status === 'completed') {
@@ -3225,6 +5588,8 @@ function ScraperView({ showToast, onComplete }) {
             onComplete();
           } else if (data.latest_job?.status === 'failed') {
             showToast(`Sync failed: ${data.latest_job.error_message}`, 'error');
+          } else if (data.latest_job?.status === 'paused') {
+            showToast('Sync paused', 'info');
           }
         }
       } catch (err) {
@@ -3233,10 +5598,14 @@ function ScraperView({ showToast, onComplete }) {
     }, 3000);
   };
 
-  const startScrape = async () => {
+  const startScrape = async (mode = 'full') => {
     setRunning(true);
     try {
-      const res = await fetch('/api/scrape', { method: 'POST' });
+      const res = await fetch('/api/scrape', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode }),
+      });
       const data = await res.json();
 
       if (!res.ok) {
@@ -3245,7 +5614,7 @@ function ScraperView({ showToast, onComplete }) {
         return;
       }
 
-      showToast('Data sync started!', 'info');
+      showToast(mode === 'incremental' ? 'Quick sync started — new records only' : 'Data sync started!', 'info');
       startPolling();
     } catch (err) {
       showToast('Failed to start sync', 'error');
@@ -3271,6 +5640,22 @@ function ScraperView({ showToast, onComplete }) {
     }
   };
 
+  const pauseScrape = async () => {
+    const { ok, data } = await controlScrapeJob(scrapeStatus.latest_job.id, 'pause');
+    showToast(ok ? 'Sync pausing after the current page' : (data.error || 'Failed to pause sync'), ok ? 'info' : 'error');
+  };
+
+  const resumeScrape = async () => {
+    const { ok, data } = await controlScrapeJob(scrapeStatus.latest_job.id, 'resume');
+    if (!ok) {
+      showToast(data.error || 'Failed to resume sync', 'error');
+      return;
+    }
+    showToast(data.message, 'info');
+    setRunning(true);
+    startPolling();
+  };
+
   const job = scrapeStatus?.latest_job;
   const progress = job && job.total_pages > 0
     ? Math.round((job.current_page / job.total_pages) * 100)
@@ -3293,7 +5678,7 @@ function ScraperView({ showToast, onComplete }) {
                 Sync Status
               </div>
               {job && (
-                <span className={`badge ${job.status === 'completed' ? 'badge-green' : job.status === 'running' ? 'badge-blue' : job.status === 'failed' ? 'badge-red' : 'badge-glass'}`}>
+                <span className={`badge ${job.status === 'completed' ? 'badge-green' : SCRAPE_ACTIVE_STATUSES.includes(job.status) ? 'badge-blue' : job.status === 'failed' ? 'badge-red' : 'badge-glass'}`}>
                   {job.status === 'running' && '⏳ '}
                   {job.status}
                 </span>
@@ -3319,6 +5704,11 @@ function ScraperView({ showToast, onComplete }) {
                     <span>New: {job.new_records || 0}</span>
                     <span>Updated: {job.updated_records || 0}</span>
                   </div>
+                  {crawlSummary(job.crawl_metrics) && (
+                    <div style={{ fontSize: '11px', color: 'var(--text-tertiary)', marginTop: '6px' }}>
+                      {crawlSummary(job.crawl_metrics)}
+                    </div>
+                  )}
                 </>
               ) : (
                 <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '16px' }}>
@@ -3339,6 +5729,18 @@ function ScraperView({ showToast, onComplete }) {
                         <div style={{ fontSize: '14px', color: 'var(--text-primary)' }}>
                           {new Date(job.completed_at || job.created_at).toLocaleString('en-IE')}
                         </div>
+                        <div style={{ fontSize: '11px', color: 'var(--text-tertiary)', marginTop: '2px' }}>
+                          {job.mode === 'incremental'
+                            ? `Quick sync${job.stopped_at_page ? ` · stopped at page ${job.stopped_at_page}` : ''}`
+                            : job.mode === 'gaps' ? 'Gap fill' : 'Full sync'}
+                          {job.high_water_dr_no && ` · newest ${job.high_water_dr_no}`}
+                          {job.failed_pages > 0 && ` · ${job.failed_pages} page${job.failed_pages !== 1 ? 's' : ''} failed`}
+                        </div>
+                        {crawlSummary(job.crawl_metrics) && (
+                          <div style={{ fontSize: '11px', color: 'var(--text-tertiary)', marginTop: '2px' }}>
+                            {crawlSummary(job.crawl_metrics)}
+                          </div>
+                        )}
                       </div>
                       <div>
                         <div style={{ fontSize: '11px', color: 'var(--text-tertiary)', textTransform: 'uppercase', letterSpacing: '1px', marginBottom: '4px' }}>
@@ -3365,12 +5767,32 @@ function ScraperView({ showToast, onComplete }) {
                 <div style={{ fontSize: '13px', color: 'var(--text-tertiary)' }}>
                   {running
                     ? 'The scraper is downloading dispute records from rtb.ie. This may take several minutes.'
-                    : 'Download all dispute records from the RTB website. This will scrape all pages and update the database.'}
+                    : 'Download all dispute records from the RTB website. This will scrape all pages and update the database. Quick Sync stops at the first page of records already stored.'}
                 </div>
               </div>
+              {!running && isResumableJob(job) && (
+                <button
+                  className="btn btn-glass"
+                  onClick={resumeScrape}
+                  style={{ marginRight: '8px' }}
+                  id="resume-sync-btn"
+                >
+                  ▶ Resume from page {(job.cursor?.page || 0) + 1}
+                </button>
+              )}
+              {!running && (
+                <button
+                  className="btn btn-glass"
+                  onClick={() => startScrape('incremental')}
+                  style={{ marginRight: '8px' }}
+                  id="quick-sync-btn"
+                >
+                  ⚡ Quick Sync
+                </button>
+              )}
               <button
                 className="btn btn-primary"
-                onClick={startScrape}
+                onClick={() => startScrape('full')}
                 disabled={running}
                 id="start-sync-btn"
               >
@@ -3384,6 +5806,16 @@ function ScraperView({ showToast, onComplete }) {
                 )}
               </button>
               {running && (
+                <button
+                  className="btn btn-glass"
+                  onClick={pauseScrape}
+                  style={{ marginLeft: '8px' }}
+                  id="pause-sync-btn"
+                >
+                  ⏸ Pause
+                </button>
+              )}
+              {(running || job?.status === 'paused') && (
                 <button
                   onClick={stopScrape}
                   style={{
@@ -0,0 +1,274 @@
+/**
+ * AI Providers
+ * One interface over the models the analysis pipeline can call, and a
+ * registry that picks one per task from admin_settings.
+ *
+ * A provider is { name, needsText, isConfigured(settings), generate(settings, request) }
+ * where request is { model, system, prompt, pdfBase64, filename, text, reference, maxTokens }
+ * and generate resolves to { content, usage } — the raw JSON string the model
+ * returned and { inputTokens, outputTokens } as the API reported them. The
+ * registry logs every call's usage and cost (lib/ai-usage.js) and hands
+ * callers just the content.
+ *
+ *   gemini - Google Gemini, PDF sent inline (gemini_api_key)
+ *   openai - OpenAI chat completions, PDF as a file part (openai_api_key)
+ *   local  - any OpenAI-compatible endpoint such as Ollama (local_ai_base_url,
+ *            optional local_ai_api_key); gets the extracted PDF text instead
+ *            of the PDF, since local models can't read PDFs
+ *   mock   - deterministic answers from fixtures/ai/<task>.json, no network
+ *
+ * Per task, admin_settings `ai_provider_<task>` = "provider:model", e.g.
+ * "gemini:gemini-2.5-flash-lite", "openai:gpt-4o", "local:llama3.1:8b", "mock".
+ * Unset tasks keep the original choice (Gemini if keyed, else OpenAI).
+ * AI_PROVIDER=mock (or any "provider:model") in the environment overrides
+ * every task — handy for running the pipeline offline.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import OpenAI from 'openai';
+import { createServiceClient } from './supabase.js';
+import { recordUsage, estimateCost } from './ai-usage.js';
+
+export const AI_TASKS = {
+    dispute_analysis: 'Dispute determination analysis',
+    dispute_review: 'Second opinion on high-value dispute awards',
+    enforcement_analysis: 'Enforcement order analysis',
+};
+
+// Local models get the PDF text, trimmed to keep within small context windows
+const MAX_LOCAL_TEXT_CHARS = 60000;
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+// OpenAI-compatible servers report usage the same way (Ollama included)
+function chatUsage(completion) {
+    return {
+        inputTokens: completion.usage?.prompt_tokens,
+        outputTokens: completion.usage?.completion_tokens,
+    };
+}
+
+const gemini = {
+    name: 'gemini',
+    needsText: false,
+    isConfigured: settings => !!settings.gemini_api_key,
+    async generate(settings, { model, system, prompt, pdfBase64, maxTokens }) {
+        const genAI = new GoogleGenerativeAI(settings.gemini_api_key);
+        const client = genAI.getGenerativeModel({
+            model,
+            generationConfig: {
+                temperature: 0,
+                responseMimeType: 'application/json',
+                maxOutputTokens: maxTokens,
+            },
+        });
+
+        // Send PDF directly — Gemini has native PDF understanding with Google's OCR
+        const result = await client.generateContent([
+            system + '\n\n' + prompt,
+            {
+                inlineData: {
+                    mimeType: 'application/pdf',
+                    data: pdfBase64,
+                },
+            },
+        ]);
+
+        const content = result.response.text();
+        if (!content) throw new Error('No response from Gemini');
+        const usage = result.response.usageMetadata || {};
+        return {
+            content,
+            usage: { inputTokens: usage.promptTokenCount, outputTokens: usage.candidatesTokenCount },
+        };
+    },
+};
+
+const openai = {
+    name: 'openai',
+    needsText: false,
+    isConfigured: settings => !!settings.openai_api_key,
+    async generate(settings, { model, system, prompt, pdfBase64, filename, maxTokens }) {
+        const client = new OpenAI({ apiKey: settings.openai_api_key });
+
+        const completion = await client.chat.completions.create({
+            model,
+            messages: [
+                { role: 'system', content: system },
+                {
+                    role: 'user',
+                    content: [
+                        { type: 'text', text: prompt },
+                        {
+                            type: 'file',
+                            file: {
+                                filename,
+                                file_data: `data:application/pdf;base64,${pdfBase64}`,
+                            },
+                        },
+                    ],
+                },
+            ],
+            temperature: 0,
+            max_tokens: maxTokens,
+            response_format: { type: 'json_object' },
+        });
+
+        const content = completion.choices[0]?.message?.content;
+        if (!content) throw new Error('No response from OpenAI');
+        return { content, usage: chatUsage(completion) };
+    },
+};
+
+const local = {
+    name: 'local',
+    needsText: true,
+    isConfigured: settings => !!settings.local_ai_base_url,
+    async generate(settings, { model, system, prompt, text, maxTokens }) {
+        if (!text) throw new Error('Local models need the PDF text, and none could be extracted (scanned PDF?)');
+
+        // Ollama and friends ignore the key, but the SDK insists on one
+        const client = new OpenAI({
+            baseURL: settings.local_ai_base_url,
+            apiKey: settings.local_ai_api_key || 'local',
+        });
+
+        const completion = await client.chat.completions.create({
+            model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: `${prompt}\n\n--- DOCUMENT TEXT ---\n${text.slice(0, MAX_LOCAL_TEXT_CHARS)}` },
+            ],
+            temperature: 0,
+            max_tokens: maxTokens,
+            response_format: { type: 'json_object' },
+        });
+
+        const content = completion.choices[0]?.message?.content;
+        if (!content) throw new Error(`No response from local model at ${settings.local_ai_base_url}`);
+        return { content, usage: chatUsage(completion) };
+    },
+};
+
+function getAiFixtureDir() {
+    return process.env.AI_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'ai');
+}
+
+const mock = {
+    name: 'mock',
+    needsText: false,
+    isConfigured: () => true,
+    // fixtures/ai/<task>.json: { "default": {...}, "by_reference": { "DR0425-104598": {...} } }
+    async generate(settings, { task, reference }) {
+        const file = path.join(getAiFixtureDir(), `${task}.json`);
+        let fixtures;
+        try {
+            fixtures = JSON.parse(await fs.readFile(file, 'utf-8'));
+        } catch (error) {
+            throw new Error(`No AI fixture for ${task} (${file}): ${error.message}`);
+        }
+
+        const answer = fixtures.by_reference?.[reference] || fixtures.default;
+        if (!answer) throw new Error(`AI fixture ${file} has no answer for ${reference} and no default`);
+        return { content: JSON.stringify(answer), usage: { inputTokens: 0, outputTokens: 0 } };
+    },
+};
+
+export const PROVIDERS = { gemini, openai, local, mock };
+
+// ============================================
+// REGISTRY
+// ============================================
+
+// What each task used before providers were configurable
+const DEFAULT_CHOICES = {
+    dispute_analysis: settings => settings.gemini_api_key
+        ? 'gemini:gemini-2.5-flash-lite'
+        : settings.openai_api_key ? `openai:${settings.openai_model || 'gpt-4o-mini'}` : null,
+    dispute_review: settings => settings.openai_api_key
+        ? 'openai:gpt-4o'
+        : settings.gemini_api_key ? 'gemini:gemini-2.5-flash-lite' : null,
+    enforcement_analysis: settings => settings.gemini_api_key
+        ? 'gemini:gemini-2.5-flash-lite'
+        : settings.openai_api_key ? 'openai:gpt-4o-mini' : null,
+};
+
+async function loadSettings() {
+    const supabase = createServiceClient();
+    const { data } = await supabase
+        .from('admin_settings')
+        .select('key, value');
+
+    return Object.fromEntries((data || []).filter(s => s.value).map(s => [s.key, s.value]));
+}
+
+/**
+ * Split "provider:model" — only on the first colon, so "local:llama3.1:8b" works
+ */
+export function parseChoice(choice) {
+    const at = choice.indexOf(':');
+    return at === -1
+        ? { name: choice.trim(), model: null }
+        : { name: choice.slice(0, at).trim(), model: choice.slice(at + 1).trim() || null };
+}
+
+/**
+ * The provider and model to use for a task
+ * @param {string} task - a key of AI_TASKS
+ * @param {string|null} override - "provider:model" to use instead of the configured
+ *   choice (prompt evaluation runs candidates this way)
+ * @returns {Object|null} { task, provider, model, needsText, generate(request) },
+ *   or null when no provider is configured at all
+ */
+export async function resolveProvider(task, override = null) {
+    if (!AI_TASKS[task]) throw new Error(`Unknown AI task "${task}"`);
+
+    const settings = await loadSettings();
+    const choice = override || process.env.AI_PROVIDER || settings[`ai_provider_${task}`] || DEFAULT_CHOICES[task](settings);
+    if (!choice) return null;
+
+    const { name, model } = parseChoice(choice);
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown AI provider "${name}" for ${task} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    if (!provider.isConfigured(settings)) {
+        throw new Error(`AI provider "${name}" is selected for ${task} but not configured in Admin → Settings`);
+    }
+    if (!model && name !== 'mock') {
+        throw new Error(`No model given for ${task} — set ai_provider_${task} to "${name}:<model>"`);
+    }
+
+    const resolvedModel = model || 'mock';
+
+    // Every call is logged with its tokens and cost, failed ones included
+    const generate = async (request) => {
+        const started = Date.now();
+        const call = { task, provider: name, model: resolvedModel, reference: request.reference };
+        try {
+            const { content, usage } = await provider.generate(settings, { ...request, task, model: resolvedModel });
+            await recordUsage({
+                ...call,
+                ...usage,
+                latencyMs: Date.now() - started,
+                costUsd: estimateCost(name, resolvedModel, usage.inputTokens, usage.outputTokens, settings.ai_model_prices),
+            });
+            return content;
+        } catch (error) {
+            await recordUsage({ ...call, latencyMs: Date.now() - started, costUsd: null, error: error.message });
+            throw error;
+        }
+    };
+
+    return {
+        task,
+        provider: name,
+        model: resolvedModel,
+        needsText: provider.needsText,
+        generate,
+    };
+}
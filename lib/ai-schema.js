@@ -0,0 +1,165 @@
+/**
+ * AI Output Schemas
+ * The shape a model's JSON must have before it is written to disputes /
+ * enforcement_orders: required keys, types, allowed values and sane ranges.
+ * lib/openai-service.js validates every response against these and re-prompts
+ * the model with the violations when it gets one wrong.
+ *
+ * The enums are also what the prompts list, so charts grouping by outcome or
+ * type only ever see these values.
+ */
+
+export const DISPUTE_OUTCOMES = ['Upheld', 'Partially Upheld', 'Dismissed', 'Withdrawn', 'Settled', 'Other'];
+
+export const ENFORCEMENT_OUTCOMES = [
+    'Enforcement Order Granted', 'Partially Granted', 'Dismissed', 'Withdrawn', 'Settled', 'Adjourned', 'Other',
+];
+
+export const DISPUTE_TYPES = [
+    'Rent Arrears', 'Deposit Retention', 'Breach of Obligations', 'Invalid Notice of Termination',
+    'Overholding', 'Anti-Social Behaviour', 'Other',
+];
+
+// Well above any RTB award — anything bigger is a misread digit
+const MAX_AMOUNT = 1000000;
+
+const AWARD_ITEM = {
+    type: 'object',
+    fields: {
+        description: { type: 'string', maxLength: 300 },
+        amount: { type: 'number', min: 0, max: MAX_AMOUNT },
+    },
+};
+
+const COMMON_FIELDS = {
+    summary: { type: 'string', maxLength: 2000 },
+    compensation_amount: { type: 'number', min: 0, max: MAX_AMOUNT },
+    amount_confident: { type: 'boolean' },
+    cost_order: { type: 'number', min: 0, max: MAX_AMOUNT },
+    property_address: { type: 'string', nullable: true, maxLength: 300 },
+    dispute_type: { type: 'string', enum: DISPUTE_TYPES },
+    award_items: { type: 'array', items: AWARD_ITEM, maxItems: 50 },
+};
+
+// Supporting quote for one value (lib/provenance.js)
+const EVIDENCE = {
+    type: 'object',
+    fields: {
+        quote: { type: 'string', nullable: true, maxLength: 2000 },
+        page: { type: 'number', nullable: true, min: 1, max: 500 },
+        confidence: { type: 'number', min: 0, max: 1 },
+    },
+};
+
+export const DISPUTE_RESULT_SCHEMA = {
+    type: 'object',
+    fields: {
+        ...COMMON_FIELDS,
+        outcome: { type: 'string', enum: DISPUTE_OUTCOMES },
+        amount_quote: { type: 'string', nullable: true, maxLength: 2000 },
+        evidence: {
+            type: 'object',
+            fields: {
+                compensation_amount: EVIDENCE,
+                cost_order: EVIDENCE,
+                outcome: EVIDENCE,
+                property_address: EVIDENCE,
+                dispute_type: EVIDENCE,
+            },
+        },
+    },
+};
+
+// dispute-v1 asked for no evidence
+const { evidence, ...DISPUTE_FIELDS_V1 } = DISPUTE_RESULT_SCHEMA.fields;
+
+export const DISPUTE_RESULT_SCHEMA_V1 = {
+    type: 'object',
+    fields: DISPUTE_FIELDS_V1,
+};
+
+export const ENFORCEMENT_RESULT_SCHEMA = {
+    type: 'object',
+    fields: {
+        ...COMMON_FIELDS,
+        outcome: { type: 'string', enum: ENFORCEMENT_OUTCOMES },
+        original_determination_summary: { type: 'string', nullable: true, maxLength: 2000 },
+        enforcement_details: { type: 'string', nullable: true, maxLength: 2000 },
+    },
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+    return typeof value;
+}
+
+/**
+ * Check a value against a schema node, pushing each violation onto `errors`
+ * (e.g. 'outcome: "Partly upheld" is not one of ...').
+ * @returns {*} the value, with enum values that differ only in case corrected ("upheld" → "Upheld")
+ */
+function check(schema, value, where, errors) {
+    if (value === null || value === undefined) {
+        if (!schema.nullable) errors.push(`${where}: required`);
+        return value;
+    }
+
+    const actual = typeOf(value);
+    if (actual !== schema.type) {
+        errors.push(`${where}: expected ${schema.type}, got ${actual}${actual === 'string' ? ` "${value.slice(0, 40)}"` : ''}`);
+        return value;
+    }
+
+    if (schema.type === 'object') {
+        for (const [key, field] of Object.entries(schema.fields)) {
+            const path = where === 'response' ? key : `${where}.${key}`;
+            if (!(key in value)) {
+                errors.push(`${path}: required`);
+                continue;
+            }
+            value[key] = check(field, value[key], path, errors);
+        }
+        return value;
+    }
+
+    if (schema.type === 'array') {
+        if (schema.maxItems && value.length > schema.maxItems) {
+            errors.push(`${where}: more than ${schema.maxItems} items`);
+        }
+        return value.map((item, i) => check(schema.items, item, `${where}[${i}]`, errors));
+    }
+
+    if (schema.enum) {
+        const canonical = schema.enum.find(option => option.toLowerCase() === value.trim().toLowerCase());
+        if (!canonical) {
+            errors.push(`${where}: "${value}" is not one of ${schema.enum.map(o => `"${o}"`).join(', ')}`);
+            return value;
+        }
+        return canonical;
+    }
+
+    if (schema.type === 'number') {
+        if (schema.min !== undefined && value < schema.min) errors.push(`${where}: ${value} is below ${schema.min}`);
+        if (schema.max !== undefined && value > schema.max) errors.push(`${where}: ${value} is above ${schema.max}`);
+    }
+
+    if (schema.type === 'string' && schema.maxLength && value.length > schema.maxLength) {
+        errors.push(`${where}: longer than ${schema.maxLength} characters`);
+    }
+
+    return value;
+}
+
+/**
+ * Validate a parsed model response
+ * @param {Object} schema - DISPUTE_RESULT_SCHEMA or ENFORCEMENT_RESULT_SCHEMA
+ * @param {*} value - the parsed JSON
+ * @returns {Object} { valid, errors, value } — value has enum casing normalised
+ */
+export function validateResult(schema, value) {
+    const errors = [];
+    const checked = check(schema, value, 'response', errors);
+    return { valid: errors.length === 0, errors, value: checked };
+}
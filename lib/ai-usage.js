@@ -0,0 +1,143 @@
+/**
+ * AI Usage Accounting
+ * Every model call made through lib/ai-providers.js is logged to ai_usage —
+ * task, model, input/output tokens, latency and estimated cost — tagged with
+ * the record it was for and the job that made it. The admin dashboard
+ * (/api/admin/ai-usage) sums it per day, model, job and record, and the batch
+ * routes stop once the month's spend reaches the ai_monthly_budget_usd setting.
+ *
+ * Jobs tag their calls by running inside withUsageContext({ jobId, jobType }),
+ * so the context doesn't have to be threaded through processDispute().
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { createServiceClient } from './supabase.js';
+
+// USD per million tokens [input, output], from the providers' price lists.
+// The ai_model_prices setting ({"model": [input, output]}) overrides or adds to these.
+export const MODEL_PRICES = {
+    'gemini-2.5-flash-lite': [0.10, 0.40],
+    'gemini-2.5-flash': [0.30, 2.50],
+    'gemini-2.5-pro': [1.25, 10.00],
+    'gemini-2.0-flash': [0.10, 0.40],
+    'gpt-4o-mini': [0.15, 0.60],
+    'gpt-4o': [2.50, 10.00],
+    'gpt-4.1-mini': [0.40, 1.60],
+    'gpt-4.1': [2.00, 8.00],
+};
+
+// Providers whose calls cost nothing
+const FREE_PROVIDERS = ['local', 'mock'];
+
+const usageContext = new AsyncLocalStorage();
+
+/**
+ * Run fn with its AI calls tagged as belonging to a job
+ * @param {Object} context - { jobId, jobType } e.g. a batch run id and 'ai-batch'
+ */
+export function withUsageContext(context, fn) {
+    return usageContext.run(context, fn);
+}
+
+function parsePriceOverrides(value) {
+    if (!value) return {};
+    try {
+        return JSON.parse(value);
+    } catch {
+        console.warn('[AI Usage] ai_model_prices is not valid JSON — using the built-in prices');
+        return {};
+    }
+}
+
+/**
+ * Price for a model — exact name first, then the longest known prefix, so
+ * dated snapshots like "gpt-4o-2024-08-06" price as "gpt-4o"
+ * @returns {number[]|null} [input, output] USD per million tokens
+ */
+export function priceFor(model, overrides = {}) {
+    const prices = { ...MODEL_PRICES, ...overrides };
+    if (prices[model]) return prices[model];
+
+    const prefix = Object.keys(prices)
+        .filter(name => model.startsWith(name))
+        .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+}
+
+/**
+ * Estimated cost of a call in USD, or null when the model's price is unknown
+ * @param {string} priceSetting - the ai_model_prices admin setting, if any
+ */
+export function estimateCost(provider, model, inputTokens, outputTokens, priceSetting = null) {
+    if (FREE_PROVIDERS.includes(provider)) return 0;
+
+    const price = priceFor(model, parsePriceOverrides(priceSetting));
+    if (!price) return null;
+    return ((inputTokens || 0) * price[0] + (outputTokens || 0) * price[1]) / 1000000;
+}
+
+/**
+ * Log one model call. Never throws — accounting must not fail an analysis.
+ * @param {Object} call - { task, provider, model, reference, inputTokens, outputTokens, latencyMs, costUsd, error }
+ */
+export async function recordUsage(call) {
+    const context = usageContext.getStore() || {};
+
+    try {
+        const supabase = createServiceClient();
+        const { error } = await supabase
+            .from('ai_usage')
+            .insert({
+                task: call.task,
+                provider: call.provider,
+                model: call.model,
+                reference: call.reference || null,
+                job_id: context.jobId || null,
+                job_type: context.jobType || null,
+                input_tokens: call.inputTokens ?? null,
+                output_tokens: call.outputTokens ?? null,
+                latency_ms: call.latencyMs,
+                cost_usd: call.costUsd,
+                error: call.error || null,
+            });
+        if (error) throw error;
+    } catch (err) {
+        console.warn(`[AI Usage] Could not record ${call.task} call for ${call.reference}:`, err.message);
+    }
+}
+
+function startOfMonth() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+}
+
+/**
+ * This calendar month's (UTC) estimated spend against ai_monthly_budget_usd
+ * @returns {Object} { budget, spent, exceeded } — budget is null when unset
+ */
+export async function getBudgetStatus(supabase) {
+    const [{ data: setting }, { data: spent, error }] = await Promise.all([
+        supabase
+            .from('admin_settings')
+            .select('value')
+            .eq('key', 'ai_monthly_budget_usd')
+            .maybeSingle(),
+        supabase.rpc('ai_usage_spend', { p_since: startOfMonth() }),
+    ]);
+    if (error) throw new Error(`Could not read AI spend: ${error.message}`);
+
+    const budget = setting?.value ? parseFloat(setting.value) : null;
+    const total = parseFloat(spent) || 0;
+    return {
+        budget: Number.isFinite(budget) && budget > 0 ? budget : null,
+        spent: Math.round(total * 100) / 100,
+        exceeded: Number.isFinite(budget) && budget > 0 && total >= budget,
+    };
+}
+
+/**
+ * The message batch routes stop with when the budget is spent
+ */
+export function budgetExceededMessage(status) {
+    return `Monthly AI budget reached: $${status.spent.toFixed(2)} of $${status.budget.toFixed(2)} spent — raise ai_monthly_budget_usd or wait for next month`;
+}
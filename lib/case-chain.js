@@ -0,0 +1,412 @@
+/**
+ * Case Chains
+ * Groups an adjudication, its Tribunal appeal and any court enforcement order
+ * into one case with a timeline. The records are stored independently, so the
+ * chain is rebuilt from what ties them together:
+ *
+ *   - DR and TR numbers shared between disputes (a Tribunal order is listed
+ *     with the DR number it appeals, or with its TR number in the DR field)
+ *   - enforcement_orders.linked_dispute_id (lib/enforcement-linker.js), or an
+ *     unlinked order's PRTB No.
+ *
+ * RTB lists one record per DR number, so when a Tribunal order comes out under
+ * the adjudication's DR number the row is overwritten with the TR number. The
+ * adjudication is then only known from dispute_revisions: its listing date is
+ * the dispute_date the row had before tr_no was set.
+ *
+ * Used by /api/cases/[id], /api/v1/cases/[id] and /api/parties/[id].
+ */
+
+import { normalisePrtbNo } from './enforcement-linker.js';
+
+export const STAGES = ['adjudication', 'tribunal', 'enforcement'];
+
+const DISPUTE_COLUMNS = 'id, dr_no, tr_no, heading, dispute_date, applicant_name, applicant_role, respondent_name, respondent_role, pdf_urls, ai_outcome, ai_compensation_amount, ai_cost_order, ai_summary, ai_reviewed_at';
+const ORDER_COLUMNS = 'id, court_ref_no, prtb_no, heading, order_date, subject, pdf_url, ai_outcome, ai_compensation_amount, ai_cost_order, linked_dispute_id, link_method, link_confidence';
+
+// Chains are short; this bounds the lookups if reference data is ever badly malformed
+const MAX_DISPUTES = 20;
+
+const WON = ['Upheld', 'Partially Upheld'];
+
+/**
+ * Reference tokens in a dr_no / tr_no / prtb_no value, normalised the way the
+ * enforcement linker reads them — some rows hold several ("DR0623-90001 DR0723-10002")
+ */
+export function referenceTokens(value) {
+    if (!value) return [];
+    const tokens = [];
+    for (const token of String(value).toUpperCase().split(/[\s,;]+/)) {
+        if (!/\d/.test(token)) continue;
+        const normalised = normalisePrtbNo(token);
+        tokens.push(...(normalised.length > 0 ? normalised.map(r => r.ref) : [token]));
+    }
+    return [...new Set(tokens)];
+}
+
+function disputeReferences(dispute) {
+    return [...referenceTokens(dispute.dr_no), ...referenceTokens(dispute.tr_no)];
+}
+
+function tribunalReference(dispute) {
+    return referenceTokens(dispute.tr_no)[0] || referenceTokens(dispute.dr_no).find(ref => ref.startsWith('TR')) || null;
+}
+
+function toAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+function sameAmount(a, b) {
+    if (a === null || b === null) return a === b;
+    return Math.abs(a - b) <= 1;
+}
+
+/**
+ * What the Tribunal made of the adjudication
+ * @returns {Object} { result, detail } — result is 'not_appealed', 'pending', 'withdrawn',
+ *   'upheld', 'varied', 'overturned' or 'unknown'
+ */
+export function appealResult(adjudication, tribunal) {
+    if (!tribunal) return { result: 'not_appealed', detail: 'No Tribunal appeal on record' };
+    if (!tribunal.outcome) return { result: 'pending', detail: 'Tribunal order not analysed yet' };
+    if (tribunal.outcome === 'Withdrawn') return { result: 'withdrawn', detail: 'Appeal withdrawn — the adjudication stands' };
+    if (!adjudication?.outcome) return { result: 'unknown', detail: 'The adjudication\'s outcome is not on record' };
+
+    const before = WON.includes(adjudication.outcome);
+    const after = WON.includes(tribunal.outcome);
+    if (adjudication.outcome === 'Dismissed' && after || tribunal.outcome === 'Dismissed' && before) {
+        return { result: 'overturned', detail: `${adjudication.outcome} at adjudication, ${tribunal.outcome} on appeal` };
+    }
+    if (adjudication.outcome !== tribunal.outcome || !sameAmount(adjudication.compensation_amount, tribunal.compensation_amount)) {
+        return { result: 'varied', detail: `${adjudication.outcome} at adjudication, ${tribunal.outcome} on appeal` };
+    }
+    return { result: 'upheld', detail: 'The Tribunal reached the same outcome and amount' };
+}
+
+function disputeEvent(stage, dispute, { date = dispute.dispute_date, analysis = true, documents = dispute.pdf_urls || [] } = {}) {
+    return {
+        stage,
+        date: date || null,
+        reference: stage === 'tribunal'
+            ? tribunalReference(dispute) || dispute.dr_no
+            : referenceTokens(dispute.dr_no).find(ref => !ref.startsWith('TR')) || dispute.dr_no,
+        dispute_id: dispute.id,
+        dr_no: dispute.dr_no,
+        heading: dispute.heading,
+        outcome: analysis ? dispute.ai_outcome || null : null,
+        compensation_amount: analysis ? toAmount(dispute.ai_compensation_amount) : null,
+        cost_order: analysis ? toAmount(dispute.ai_cost_order) : null,
+        summary: analysis ? dispute.ai_summary || null : null,
+        reviewed: analysis && Boolean(dispute.ai_reviewed_at),
+        implied: !analysis,
+        documents,
+    };
+}
+
+function orderEvent(order) {
+    return {
+        stage: 'enforcement',
+        date: order.order_date || null,
+        reference: order.court_ref_no,
+        enforcement_order_id: order.id,
+        heading: order.heading,
+        subject: order.subject || null,
+        outcome: order.ai_outcome || null,
+        compensation_amount: toAmount(order.ai_compensation_amount),
+        cost_order: toAmount(order.ai_cost_order),
+        link_method: order.link_method || null,
+        link_confidence: toAmount(order.link_confidence),
+        documents: order.pdf_url ? [{ label: 'Court Order', url: order.pdf_url }] : [],
+    };
+}
+
+/**
+ * Timeline events for one dispute row — two when a Tribunal order overwrote its adjudication
+ */
+function eventsForDispute(dispute, revisions) {
+    if (!tribunalReference(dispute)) return [disputeEvent('adjudication', dispute)];
+    if (!dispute.tr_no || !referenceTokens(dispute.dr_no).some(ref => ref.startsWith('DR'))) return [disputeEvent('tribunal', dispute)];
+
+    // DR number with a TR number: the listing now shows the Tribunal order; the analysis is of the latest PDFs
+    const isTribunalPdf = pdf => /tribunal/i.test(pdf.label || '');
+    const pdfs = dispute.pdf_urls || [];
+    const earlier = (revisions || []).find(r => r.dispute_id === dispute.id && r.changes?.tr_no && !r.changes.tr_no.from);
+    return [
+        disputeEvent('adjudication', dispute, {
+            date: earlier?.changes?.dispute_date?.from || null,
+            analysis: false,
+            documents: pdfs.filter(pdf => !isTribunalPdf(pdf)),
+        }),
+        disputeEvent('tribunal', dispute, { documents: pdfs.some(isTribunalPdf) ? pdfs.filter(isTribunalPdf) : pdfs }),
+    ];
+}
+
+function byDate(a, b) {
+    if (a.date && b.date && a.date !== b.date) return a.date.localeCompare(b.date);
+    return STAGES.indexOf(a.stage) - STAGES.indexOf(b.stage);
+}
+
+/**
+ * Group disputes and enforcement orders into cases
+ * @param {Object[]} disputes - rows with DISPUTE_COLUMNS
+ * @param {Object[]} orders - rows with ORDER_COLUMNS
+ * @param {Object[]} revisions - dispute_revisions rows where tr_no was set (dispute_id, changes)
+ * @returns {Object[]} cases — { id, status, appeal, applicant, respondent, dispute_ids, timeline }
+ */
+export function buildCases(disputes, orders = [], revisions = []) {
+    // Union-find over 'd:<id>' / 'e:<id>' nodes
+    const parent = new Map();
+    const find = node => {
+        while (parent.get(node) !== node) {
+            parent.set(node, parent.get(parent.get(node)));
+            node = parent.get(node);
+        }
+        return node;
+    };
+    const union = (a, b) => parent.set(find(a), find(b));
+
+    const byReference = new Map();
+    for (const dispute of disputes) {
+        const node = `d:${dispute.id}`;
+        parent.set(node, node);
+        for (const ref of disputeReferences(dispute)) {
+            if (byReference.has(ref)) union(node, byReference.get(ref));
+            else byReference.set(ref, node);
+        }
+    }
+
+    const disputeIds = new Set(disputes.map(d => d.id));
+    for (const order of orders) {
+        const node = `e:${order.id}`;
+        parent.set(node, node);
+        if (order.linked_dispute_id) {
+            if (disputeIds.has(order.linked_dispute_id)) union(node, `d:${order.linked_dispute_id}`);
+            continue;
+        }
+        for (const ref of referenceTokens(order.prtb_no)) {
+            if (byReference.has(ref)) union(node, byReference.get(ref));
+        }
+    }
+
+    const groups = new Map();
+    const add = (node, item) => {
+        const root = find(node);
+        if (!groups.has(root)) groups.set(root, { disputes: [], orders: [] });
+        groups.get(root)[item.kind].push(item.row);
+    };
+    disputes.forEach(row => add(`d:${row.id}`, { kind: 'disputes', row }));
+    orders.forEach(row => add(`e:${row.id}`, { kind: 'orders', row }));
+
+    const cases = [];
+    for (const group of groups.values()) {
+        if (group.disputes.length === 0) continue;
+
+        const events = group.disputes.flatMap(d => eventsForDispute(d, revisions));
+        // An overwritten adjudication that is also listed in its own right
+        const listed = new Set(events.filter(e => e.stage === 'adjudication' && !e.implied).map(e => e.reference));
+        const timeline = [
+            ...events.filter(e => !(e.implied && listed.has(e.reference))),
+            ...group.orders.map(orderEvent),
+        ].sort(byDate);
+
+        const adjudication = timeline.find(e => e.stage === 'adjudication');
+        const tribunal = [...timeline].reverse().find(e => e.stage === 'tribunal');
+        const enforced = timeline.some(e => e.stage === 'enforcement');
+        const first = adjudication || timeline[0];
+        const parties = group.disputes.find(d => d.id === first.dispute_id) || group.disputes[0];
+
+        cases.push({
+            id: first.reference,
+            status: enforced ? 'enforced' : tribunal ? 'appealed' : 'adjudicated',
+            appeal: appealResult(adjudication, tribunal),
+            applicant: { name: parties.applicant_name, role: parties.applicant_role },
+            respondent: { name: parties.respondent_name, role: parties.respondent_role },
+            dispute_ids: group.disputes.map(d => d.id),
+            timeline,
+        });
+    }
+    return cases;
+}
+
+function quoted(values) {
+    return values.map(v => `"${String(v).replace(/"/g, '')}"`).join(',');
+}
+
+/**
+ * Disputes whose dr_no or tr_no is one of these values — with partial, also
+ * rows listing one of them among several ("DR0623-90001 TR0823-005001")
+ */
+async function disputesByReferences(supabase, refs, { limit = MAX_DISPUTES, partial = false } = {}) {
+    if (refs.length === 0) return [];
+    const conditions = [`dr_no.in.(${quoted(refs)})`, `tr_no.in.(${quoted(refs)})`];
+    if (partial) {
+        for (const ref of refs.filter(r => /^(DR|TR)[\w/-]+$/.test(r))) {
+            conditions.push(`dr_no.ilike.%${ref}%`, `tr_no.ilike.%${ref}%`);
+        }
+    }
+
+    const { data, error } = await supabase
+        .from('disputes')
+        .select(DISPUTE_COLUMNS)
+        .or(conditions.join(','))
+        .limit(limit);
+    if (error) throw error;
+    return data || [];
+}
+
+/**
+ * Everything chained to the given disputes: related disputes (two rounds of
+ * shared references), their enforcement orders, and tr_no revisions
+ */
+async function loadChainRecords(supabase, seeds) {
+    const disputes = new Map(seeds.map(d => [d.id, d]));
+    const seen = new Set();
+
+    for (let round = 0; round < 2 && disputes.size < MAX_DISPUTES; round++) {
+        const refs = [...disputes.values()]
+            .flatMap(d => [d.dr_no, d.tr_no, ...disputeReferences(d)])
+            .filter(ref => ref && !seen.has(ref));
+        if (refs.length === 0) break;
+        refs.forEach(ref => seen.add(ref));
+
+        const before = disputes.size;
+        for (const dispute of await disputesByReferences(supabase, [...new Set(refs)], { partial: true })) {
+            disputes.set(dispute.id, dispute);
+        }
+        if (disputes.size === before) break;
+    }
+
+    const ids = [...disputes.keys()];
+    const refs = [...seen];
+
+    const { data: linked, error: linkedError } = await supabase
+        .from('enforcement_orders')
+        .select(ORDER_COLUMNS)
+        .in('linked_dispute_id', ids);
+    if (linkedError) throw linkedError;
+
+    const { data: byPrtb, error: prtbError } = refs.length > 0
+        ? await supabase
+            .from('enforcement_orders')
+            .select(ORDER_COLUMNS)
+            .is('linked_dispute_id', null)
+            .in('prtb_no', refs)
+        : { data: [] };
+    if (prtbError) throw prtbError;
+
+    const withTribunal = [...disputes.values()].filter(d => d.tr_no).map(d => d.id);
+    const { data: revisions } = withTribunal.length > 0
+        ? await supabase
+            .from('dispute_revisions')
+            .select('dispute_id, changes, detected_at')
+            .in('dispute_id', withTribunal)
+            .contains('changed_fields', ['tr_no'])
+            .order('detected_at', { ascending: true })
+        : { data: [] };
+
+    return {
+        disputes: [...disputes.values()],
+        orders: [...new Map([...(linked || []), ...(byPrtb || [])].map(o => [o.id, o])).values()],
+        revisions: revisions || [],
+    };
+}
+
+/**
+ * The case a dispute or enforcement order belongs to
+ * @param {string} id - a DR number, TR number, court reference, or dispute / enforcement order id
+ * @returns {Object|null} the case (see buildCases()), or null when nothing matches
+ */
+export async function loadCase(supabase, id) {
+    const value = String(id).trim();
+    const isUuid = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+    let seed = null;
+    if (isUuid) {
+        const { data } = await supabase.from('disputes').select(DISPUTE_COLUMNS).eq('id', value).maybeSingle();
+        seed = data;
+    } else {
+        const found = await disputesByReferences(supabase, [value, ...referenceTokens(value)], { partial: true });
+        seed = found[0] || null;
+    }
+
+    // An enforcement order — start from its dispute, or stand alone without one
+    if (!seed) {
+        const query = supabase.from('enforcement_orders').select(ORDER_COLUMNS);
+        const { data: order } = await (isUuid ? query.eq('id', value) : query.eq('court_ref_no', value)).maybeSingle();
+        if (!order) return null;
+
+        if (order.linked_dispute_id) {
+            const { data } = await supabase.from('disputes').select(DISPUTE_COLUMNS).eq('id', order.linked_dispute_id).maybeSingle();
+            seed = data;
+        }
+        if (!seed) {
+            return {
+                id: order.court_ref_no,
+                status: 'enforced',
+                appeal: appealResult(null, null),
+                applicant: null,
+                respondent: null,
+                dispute_ids: [],
+                timeline: [orderEvent(order)],
+            };
+        }
+    }
+
+    const records = await loadChainRecords(supabase, [seed]);
+    const cases = buildCases(records.disputes, records.orders, records.revisions);
+    return cases.find(c => c.dispute_ids.includes(seed.id)) || null;
+}
+
+/**
+ * Cases for a list of disputes (a party's history) — only those with more than
+ * one event, as single adjudications are already in the history
+ * @returns {Object[]} cases (see buildCases())
+ */
+export async function loadCasesForDisputes(supabase, disputeIds) {
+    if (disputeIds.length === 0) return [];
+
+    const seeds = [];
+    for (let i = 0; i < disputeIds.length; i += 200) {
+        const { data, error } = await supabase
+            .from('disputes')
+            .select(DISPUTE_COLUMNS)
+            .in('id', disputeIds.slice(i, i + 200));
+        if (error) throw error;
+        seeds.push(...(data || []));
+    }
+
+    // One round of shared references — a party's own records already cover most of each chain
+    const refs = [...new Set(seeds.flatMap(d => disputeReferences(d)))];
+    const related = [];
+    for (let i = 0; i < refs.length; i += 100) {
+        related.push(...await disputesByReferences(supabase, refs.slice(i, i + 100), { limit: 1000 }));
+    }
+    const disputes = [...new Map([...seeds, ...related].map(d => [d.id, d])).values()];
+    const ids = disputes.map(d => d.id);
+
+    const orders = [];
+    for (let i = 0; i < ids.length; i += 200) {
+        const { data, error } = await supabase
+            .from('enforcement_orders')
+            .select(ORDER_COLUMNS)
+            .in('linked_dispute_id', ids.slice(i, i + 200));
+        if (error) throw error;
+        orders.push(...(data || []));
+    }
+
+    const withTribunal = disputes.filter(d => d.tr_no).map(d => d.id);
+    const { data: revisions } = withTribunal.length > 0
+        ? await supabase
+            .from('dispute_revisions')
+            .select('dispute_id, changes, detected_at')
+            .in('dispute_id', withTribunal.slice(0, 200))
+            .contains('changed_fields', ['tr_no'])
+            .order('detected_at', { ascending: true })
+        : { data: [] };
+
+    const wanted = new Set(disputeIds);
+    return buildCases(disputes, orders, revisions || [])
+        .filter(c => c.timeline.length > 1 && c.dispute_ids.some(id => wanted.has(id)));
+}
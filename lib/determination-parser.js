@@ -0,0 +1,270 @@
+/**
+ * Determination Order Parser
+ * Rule-based reading of the Order section of an RTB adjudication or tribunal
+ * determination — who pays what, cost orders and the outcome — from the text
+ * extracted by lib/pdf-text.js.
+ *
+ * The rules only claim `confident: true` when the order reads one way: every
+ * payment runs from the Respondent to the Applicant, each payment clause
+ * states a single amount (or a "total sum"), and the outcome is explicit.
+ * Anything else — cross payments, several amounts with no total, settlement
+ * terms, appellant wording — is left to the LLM, with the reasons recorded.
+ */
+
+// Recorded as the prompt_version of rule-based results — bump when the rules change
+export const PARSER_VERSION = 'rules-v1';
+
+// Above this the rules defer to the LLM's dual review (see HIGH_VALUE_THRESHOLD)
+const MAX_CONFIDENT_AMOUNT = 100000;
+
+// "€2,500", "€ 2500.00", "€€8,282" (doubled symbol is a PDF artefact), "EUR 300"
+const MONEY = /(?:(?:€\s*)+|\bEUR\s?)(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?/g;
+
+// An amount followed by one of these is a rate, not a sum
+const RECURRING = /^\s*(?:per|a|each|every)\s+(?:calendar\s+)?(?:month|week|fortnight|annum|year)|^\s*(?:monthly|weekly)\b/i;
+
+const PAYMENT = /\bshall\s+(?:also\s+)?(?:pay|refund|return|repay|reimburse)\b/i;
+const TOTAL = /\btotal\s+(?:sum|amount)\s+of\s*$/i;
+const PARTIAL = /\b(?:partially|partly)\s+upheld\b|\bupheld\s+in\s+part\b/i;
+const NOT_UPHELD = /\bnot\s+(?:been\s+)?upheld\b|\bdismissed\b|\brejected\b|\bfails\b/i;
+
+const DISPUTE_TYPES = [
+    [/\brent\s+arrears\b|\barrears\s+of\s+rent\b/i, 'Rent Arrears'],
+    [/\boverholding\b/i, 'Overholding'],
+    [/\bnotice\s+of\s+termination\b/i, 'Invalid Notice of Termination'],
+    [/\banti-social\b/i, 'Anti-Social Behaviour'],
+    [/\bdeposit\b/i, 'Deposit Retention'],
+    [/\bobligations\b/i, 'Breach of Obligations'],
+];
+
+/**
+ * Every euro amount in a piece of text
+ * @returns {Array<Object>} [{ amount, index, raw, recurring }]
+ */
+export function findAmounts(text) {
+    const amounts = [];
+    for (const match of text.matchAll(MONEY)) {
+        const euros = parseInt(match[1].replace(/,/g, ''), 10);
+        const cents = match[2] ? parseInt(match[2].padEnd(2, '0'), 10) : 0;
+        amounts.push({
+            amount: euros + cents / 100,
+            index: match.index,
+            raw: match[0],
+            recurring: RECURRING.test(text.slice(match.index + match[0].length, match.index + match[0].length + 30)),
+        });
+    }
+    return amounts;
+}
+
+/**
+ * The operative part of the order: after the last "determines that", or
+ * failing that the last DETERMINATION/TRIBUNAL ORDER heading
+ * @returns {string|null}
+ */
+export function locateOrderSection(text) {
+    const lastMatch = (pattern) => {
+        let last = null;
+        for (const match of text.matchAll(pattern)) last = match;
+        return last;
+    };
+
+    const marker = lastMatch(/\bdetermines?\s+that\s*:?/gi) || lastMatch(/\b(?:DETERMINATION|TRIBUNAL)\s+ORDER\b/g);
+    if (!marker) return null;
+
+    let section = text.slice(marker.index + marker[0].length, marker.index + marker[0].length + 4000);
+    const signature = section.search(/\n\s*Signed\b/);
+    if (signature > 0) section = section.slice(0, signature);
+
+    return section.trim() || null;
+}
+
+/**
+ * Split an order into its numbered clauses / sentences
+ */
+export function splitClauses(section) {
+    const NUMBERING = /^\(?(?:\d{1,2}|[a-h]|[ivx]{1,4})[.)]\s+/;
+
+    return section
+        .replace(/\s+/g, ' ')
+        .split(/\s(?=\(?(?:\d{1,2}|[a-h]|[ivx]{1,4})[.)]\s+[A-Z])|(?<=[a-z\d)]{2}[.;])\s+(?=[A-Z])/)
+        .map(clause => clause.replace(NUMBERING, '').trim())
+        .filter(clause => clause.length > 3);
+}
+
+/**
+ * Who pays in a clause: "respondent", "applicant", or null if it doesn't say
+ */
+function clausePayer(clause) {
+    const subject = clause.match(/^(?:that\s+)?(?:the\s+)?(respondent|applicant|appellant)s?\b/i);
+    return subject ? subject[1].toLowerCase() : null;
+}
+
+/**
+ * Short label for what a payment is for
+ */
+function describePayment(clause) {
+    const being = clause.match(/\bbeing\s+(?:the\s+)?(.{3,80}?)(?:[,;.](?:\s|$)|\s+(?:within|on or before|and)\b|$)/i);
+    if (being) return being[1].trim();
+    if (/\bdeposit\b/i.test(clause)) return 'Deposit';
+    if (/\brent\s+arrears\b|\barrears\b/i.test(clause)) return 'Rent arrears';
+    if (/\bdamages\b/i.test(clause)) return 'Damages';
+    return 'Payment';
+}
+
+/**
+ * The single amount a payment clause orders, or null if it is ambiguous
+ */
+function clauseAmount(clause, amounts) {
+    const total = amounts.find(a => TOTAL.test(clause.slice(0, a.index)));
+    if (total) return total.amount;
+
+    const sums = amounts.filter(a => !a.recurring);
+    if (sums.length === 1) return sums[0].amount;
+
+    // "€3,000, comprising €2,000 damages and €1,000 rent" — the first is the sum of the rest
+    if (sums.length > 2) {
+        const [first, ...rest] = sums;
+        const parts = rest.reduce((sum, a) => sum + a.amount, 0);
+        if (Math.abs(first.amount - parts) < 0.01) return first.amount;
+    }
+
+    return null;
+}
+
+/**
+ * @returns {Object|null} { address, quote }
+ */
+function findPropertyAddress(text) {
+    const flat = text.replace(/\s+/g, ' ');
+    const match = flat.match(/\b(?:dwelling|property|premises)\s+(?:situated\s+|located\s+)?at,?\s+(.{5,150}?)(?:,?\s+(?:shall|within|being|and the|on or before)\b|[.;:](?:\s|$))/i);
+    return match ? { address: match[1].replace(/,\s*$/, '').trim(), quote: match[0].trim() } : null;
+}
+
+/**
+ * The sentence around a match, for evidence quotes
+ */
+function sentenceAround(text, index) {
+    const stop = text.lastIndexOf('. ', index);
+    const start = Math.max(stop === -1 ? 0 : stop + 2, index - 200);
+    const end = text.indexOf('.', index);
+    return text.slice(start, end === -1 ? index + 200 : Math.min(end + 1, index + 200)).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parse a determination's text
+ * @param {string} text - full document text (lib/pdf-text.js)
+ * @returns {Object} { confident, reasons, order_text, outcome, compensation_amount,
+ *   cost_order, award_items, amount_quote, property_address, dispute_type, summary, evidence }
+ *   Field names match the LLM's JSON so either result feeds the same update.
+ */
+export function parseDetermination(text) {
+    const reasons = [];
+    const result = {
+        confident: false,
+        reasons,
+        order_text: null,
+        outcome: null,
+        compensation_amount: null,
+        cost_order: 0,
+        award_items: [],
+        amount_quote: null,
+        property_address: null,
+        dispute_type: null,
+        summary: null,
+        evidence: {},
+    };
+
+    if (!text || !text.trim()) {
+        reasons.push('no text');
+        return result;
+    }
+
+    const order = locateOrderSection(text);
+    if (!order) {
+        reasons.push('order section not found');
+        return result;
+    }
+    result.order_text = order;
+    const address = findPropertyAddress(text);
+    result.property_address = address?.address || null;
+
+    const type = DISPUTE_TYPES.find(([pattern]) => pattern.test(order));
+    result.dispute_type = type?.[1] || null;
+
+    const payments = [];
+    const costQuotes = [];
+    let notUpheld = null;
+
+    for (const clause of splitClauses(order)) {
+        const amounts = findAmounts(clause);
+        if (NOT_UPHELD.test(clause)) notUpheld = notUpheld || clause;
+
+        if (!PAYMENT.test(clause)) {
+            if (amounts.some(a => !a.recurring) && /\bcosts?\b/i.test(clause)) {
+                reasons.push(`costs mentioned outside a payment clause: "${clause.slice(0, 80)}"`);
+            }
+            continue;
+        }
+        if (amounts.length === 0) continue;
+
+        const payer = clausePayer(clause);
+        if (payer !== 'respondent') {
+            reasons.push(payer ? `${payer} ordered to pay` : `payer unclear: "${clause.slice(0, 80)}"`);
+            continue;
+        }
+
+        const amount = clauseAmount(clause, amounts);
+        if (amount === null) {
+            reasons.push(`several amounts in one clause: "${clause.slice(0, 80)}"`);
+            continue;
+        }
+
+        if (/\bcosts\b/i.test(clause) && !/\b(?:damages|deposit|arrears|rent)\b/i.test(clause)) {
+            result.cost_order += amount;
+            costQuotes.push(clause);
+            continue;
+        }
+
+        payments.push({ description: describePayment(clause), amount, quote: clause });
+    }
+
+    result.award_items = payments.map(({ description, amount }) => ({ description, amount }));
+    result.amount_quote = payments.map(p => p.quote).join(' … ') || null;
+
+    let outcomeQuote = null;
+    if (payments.length > 0) {
+        result.compensation_amount = Math.round(payments.reduce((sum, p) => sum + p.amount, 0) * 100) / 100;
+        const partial = text.match(PARTIAL);
+        result.outcome = partial || notUpheld ? 'Partially Upheld' : 'Upheld';
+        outcomeQuote = partial ? sentenceAround(text, partial.index) : notUpheld || payments[0].quote;
+        result.summary = payments.map(p => p.quote).join(' ').slice(0, 500);
+    } else {
+        result.compensation_amount = 0;
+        const withdrawn = order.match(/\bwithdrawn\b/i);
+        if (withdrawn) {
+            result.outcome = 'Withdrawn';
+            outcomeQuote = sentenceAround(order, withdrawn.index);
+        } else if (notUpheld) {
+            result.outcome = 'Dismissed';
+            outcomeQuote = notUpheld;
+        }
+        result.summary = splitClauses(order)[0]?.slice(0, 500) || null;
+    }
+
+    // Rules either read a value verbatim or give up, so a quoted value is certain
+    const cite = quote => ({ quote: quote || null, page: null, confidence: quote ? 1 : null });
+    result.evidence = {
+        compensation_amount: cite(result.amount_quote),
+        cost_order: cite(costQuotes.join(' … ')),
+        outcome: cite(outcomeQuote),
+        property_address: cite(address?.quote),
+        dispute_type: cite(type ? sentenceAround(order, order.search(type[0])) : null),
+    };
+
+    if (/\bagree(?:d|ment)\b/i.test(order)) reasons.push('settlement terms');
+    if (!result.outcome) reasons.push('outcome not stated in the order');
+    if (result.compensation_amount > MAX_CONFIDENT_AMOUNT) reasons.push(`amount €${result.compensation_amount} above rule limit`);
+
+    result.confident = reasons.length === 0;
+    return result;
+}
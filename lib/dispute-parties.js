@@ -0,0 +1,72 @@
+/**
+ * Dispute party links
+ * A dispute is linked to one party per person named on each side of its
+ * heading (splitPartyNames in lib/normalize-name.js). When the names on a
+ * stored dispute change — RTB corrects a heading, or the splitting rules
+ * improve — the parties are linked again and unlinkReplacedParties() drops
+ * the side's old links, such as a combined "John Smith and Mary Smith" party.
+ *
+ * Used by /api/scrape, /api/cron and scripts/split-multi-party-disputes.mjs.
+ */
+
+import { normalizeName } from './normalize-name.js';
+import { recomputePartyCounts } from './party-merge.js';
+
+function words(name) {
+    return normalizeName(name).split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Links to parties a side's names no longer produce. A linked party is
+ * replaced when it isn't one of `linked` and every word of its name appears
+ * in the side's old or new name — the combined party, or one split by older
+ * rules ("Mr. Smith" from "Mr. and Mrs. Smith"). A party an admin split moved
+ * onto the dispute under a different name is left alone.
+ * @param {Array<Object>} links - dispute_parties rows with parties(normalized_name)
+ * @param {Object} names - { Applicant: [old name, new name], Respondent: [...] }
+ * @param {Object} linked - { Applicant: Set of party ids it should link, Respondent: Set }
+ * @returns {Array<Object>} the links to drop
+ */
+export function replacedLinks(links, names, linked) {
+    return (links || []).filter(link => {
+        const keep = linked[link.role];
+        // Nothing parsed for this side — keep what is there rather than unlink it all
+        if (!keep || keep.size === 0 || keep.has(link.party_id)) return false;
+
+        const sideWords = new Set((names[link.role] || []).flatMap(words));
+        const partyWords = (link.parties?.normalized_name || '').split(/\s+/).filter(Boolean);
+        return partyWords.length > 0 && partyWords.every(word => sideWords.has(word));
+    });
+}
+
+/**
+ * Drop a dispute's replacedLinks() and recompute the unlinked parties' counts
+ * @param {Object} [options] - { recomputeAwards } — false leaves recompute_party_awards() to the caller
+ * @returns {string[]} ids of the parties unlinked
+ */
+export async function unlinkReplacedParties(supabase, disputeId, names, linked, { recomputeAwards = true } = {}) {
+    const { data: links, error } = await supabase
+        .from('dispute_parties')
+        .select('id, party_id, role, parties(normalized_name)')
+        .eq('dispute_id', disputeId);
+    if (error) throw error;
+
+    const stale = replacedLinks(links, names, linked);
+    if (stale.length === 0) return [];
+
+    const { error: deleteError } = await supabase
+        .from('dispute_parties')
+        .delete()
+        .in('id', stale.map(link => link.id));
+    if (deleteError) throw deleteError;
+
+    const partyIds = [...new Set(stale.map(link => link.party_id))];
+    await recomputePartyCounts(supabase, partyIds);
+    if (recomputeAwards) {
+        const { error: awardsError } = await supabase.rpc('recompute_party_awards');
+        if (awardsError) console.warn('[DisputeParties] recompute_party_awards failed:', awardsError.message);
+    }
+
+    console.log(`[DisputeParties] Dispute ${disputeId}: unlinked ${partyIds.length} replaced part${partyIds.length === 1 ? 'y' : 'ies'}`);
+    return partyIds;
+}
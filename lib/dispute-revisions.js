@@ -0,0 +1,83 @@
+/**
+ * Dispute revision history
+ * When a re-scrape changes a stored dispute, the field-level diff is written to
+ * dispute_revisions before the row is overwritten — so RTB amendments (a new
+ * tribunal PDF, a corrected or redacted party name) leave a trace.
+ */
+
+// Scraped fields compared on every re-scrape; AI fields are never touched by the scrapers
+export const TRACKED_FIELDS = [
+    'heading',
+    'tr_no',
+    'dispute_date',
+    'applicant_name',
+    'applicant_role',
+    'respondent_name',
+    'respondent_role',
+    'pdf_urls',
+    'raw_html',
+];
+
+// jsonb does not keep key order, so objects are serialised with sorted keys —
+// otherwise a stored {label, url} and a scraped {url, label} look like a change
+function canonical(value) {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.keys(value).sort().map(key => [key, canonical(value[key])])
+        );
+    }
+    return value;
+}
+
+function comparable(value) {
+    if (value === undefined || value === null || value === '') return null;
+    return JSON.stringify(canonical(value));
+}
+
+/**
+ * Field-level diff between the stored dispute and a freshly scraped record
+ * @param {Object} existing - stored row (must include TRACKED_FIELDS)
+ * @param {Object} record - parsed record from the scraper
+ * @returns {Object} { field: { from, to } } — empty when nothing changed
+ */
+export function diffDispute(existing, record) {
+    const changes = {};
+    for (const field of TRACKED_FIELDS) {
+        if (comparable(existing[field]) !== comparable(record[field])) {
+            changes[field] = { from: existing[field] ?? null, to: record[field] ?? null };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Store one revision row for a changed dispute
+ * @param {Object} supabase - service client
+ * @param {Object} existing - stored row (id, dr_no)
+ * @param {Object} changes - output of diffDispute()
+ * @param {string} [jobId] - scrape job that detected the change
+ * @returns {boolean} whether a revision was written
+ */
+export async function recordDisputeRevision(supabase, existing, changes, jobId = null) {
+    const fields = Object.keys(changes);
+    if (fields.length === 0) return false;
+
+    const { error } = await supabase
+        .from('dispute_revisions')
+        .insert({
+            dispute_id: existing.id,
+            dr_no: existing.dr_no,
+            changed_fields: fields,
+            changes,
+            scrape_job_id: jobId,
+        });
+
+    if (error) {
+        console.error(`[Revisions] Could not record revision for ${existing.dr_no}:`, error.message);
+        return false;
+    }
+
+    console.log(`[Revisions] ${existing.dr_no} changed: ${fields.join(', ')}`);
+    return true;
+}
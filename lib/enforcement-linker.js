@@ -0,0 +1,302 @@
+/**
+ * Enforcement Order Linker
+ * Finds the dispute an enforcement order enforces. The listing's PRTB No. is
+ * often blank, or written differently from disputes.dr_no ("DR 0924/100040",
+ * "DR0924-100040 TR0125-000123"), so the linker tries, in order:
+ *
+ *   prtb_no        the listing's reference, as given                 1.0
+ *   prtb_no        the listing's reference, normalised               0.95
+ *   pdf_reference  a DR/TR number quoted in the court order's text   0.9 (0.95 when the parties agree)
+ *   party_date     the same parties in a dispute decided before it   0.5 – 0.85, by date gap and ambiguity
+ *
+ * The result is stored on enforcement_orders (linked_dispute_id, link_method,
+ * link_confidence, link_candidates). A link set by hand (link_method 'manual')
+ * is never replaced, and a weaker match never replaces a stronger one.
+ */
+
+import { normalizeName, splitPartyNames } from './normalize-name.js';
+
+// Below this a party/date match is only kept as a candidate
+export const MIN_LINK_CONFIDENCE = 0.5;
+
+// Disputes more than this long before the order are unlikely to be the one enforced
+const MAX_GAP_DAYS = 4 * 365;
+
+// The RTB applies for enforcement itself in some cases — it's in no dispute heading
+const NON_PARTIES = ['residential tenancies board', 'the residential tenancies board', 'rtb', 'private residential tenancies board'];
+
+// "DR0924-100040", "DR 0924/100040", "dr0924 100040", "TR0125-000123"
+const REFERENCE_PATTERN = /\b(DR|TR)\s*[-/]?\s*(\d{4})\s*[-/ ]\s*(\d{5,6})\b/gi;
+
+// Older style "DR123/2015"
+const LEGACY_REFERENCE_PATTERN = /\b(DR|TR)\s*(\d{1,5})\s*\/\s*((?:19|20)\d{2})\b/gi;
+
+/**
+ * Every DR/TR reference in a piece of text, in the form disputes stores them
+ * @returns {Object[]} [{ kind: 'DR'|'TR', ref }] — unique, in order of appearance
+ */
+export function extractReferences(text) {
+    if (!text) return [];
+    const found = [];
+    const seen = new Set();
+    const add = (kind, ref) => {
+        if (seen.has(ref)) return;
+        seen.add(ref);
+        found.push({ kind, ref });
+    };
+
+    for (const m of text.matchAll(REFERENCE_PATTERN)) {
+        const kind = m[1].toUpperCase();
+        add(kind, `${kind}${m[2]}-${m[3]}`);
+    }
+    for (const m of text.matchAll(LEGACY_REFERENCE_PATTERN)) {
+        const kind = m[1].toUpperCase();
+        add(kind, `${kind}${m[2]}/${m[3]}`);
+    }
+    return found;
+}
+
+/**
+ * References from the listing's PRTB No. — a bare "0924-100040" counts as a DR number
+ */
+export function normalisePrtbNo(prtbNo) {
+    if (!prtbNo) return [];
+    const refs = extractReferences(prtbNo);
+    if (refs.length > 0) return refs;
+
+    const bare = prtbNo.match(/^\s*(\d{4})\s*[-/ ]\s*(\d{5,6})\s*$/);
+    return bare ? [{ kind: 'DR', ref: `DR${bare[1]}-${bare[2]}` }] : [];
+}
+
+/**
+ * Disputes with any of these references (dr_no for DR, tr_no for TR) — a
+ * column can list several ("DR0924-100040 TR0125-000123"), so each is matched
+ * as a token rather than the whole value
+ */
+async function disputesByReference(supabase, refs) {
+    const found = [];
+
+    for (const [kind, column] of [['DR', 'dr_no'], ['TR', 'tr_no']]) {
+        const values = refs.filter(r => r.kind === kind).map(r => r.ref);
+        if (values.length === 0) continue;
+        const { data, error } = await supabase
+            .from('disputes')
+            .select('id, dr_no, tr_no, dispute_date')
+            .or(values.map(ref => `${column}.ilike.%${ref}%`).join(','));
+        if (error) throw error;
+
+        // ilike also matches longer numbers that start with the reference
+        const wanted = new Set(values.map(v => v.toUpperCase()));
+        found.push(...(data || []).filter(d =>
+            (d[column] || '').toUpperCase().split(/\s+/).some(token => wanted.has(token))
+        ));
+    }
+
+    return [...new Map(found.map(d => [d.id, d])).values()];
+}
+
+/**
+ * Normalised names on each side of the order, without the RTB itself
+ */
+function orderSides(order) {
+    const side = name => splitPartyNames(name)
+        .map(normalizeName)
+        .filter(n => n && !NON_PARTIES.includes(n));
+    return { applicant: side(order.applicant_name), respondent: side(order.respondent_name) };
+}
+
+/**
+ * Disputes sharing parties with the order
+ * @returns {Map} dispute id → Set of order sides ('applicant', 'respondent') found in it
+ */
+async function disputesByParties(supabase, order) {
+    const sides = orderSides(order);
+    const names = [...sides.applicant, ...sides.respondent];
+    if (names.length === 0) return new Map();
+
+    const { data: parties, error } = await supabase
+        .from('parties')
+        .select('id, normalized_name')
+        .in('normalized_name', names);
+    if (error) throw error;
+    if (!parties || parties.length === 0) return new Map();
+
+    const sideOf = new Map(parties.map(p => [
+        p.id,
+        sides.applicant.includes(p.normalized_name) ? 'applicant' : 'respondent',
+    ]));
+
+    const { data: links, error: linkError } = await supabase
+        .from('dispute_parties')
+        .select('dispute_id, party_id')
+        .in('party_id', [...sideOf.keys()])
+        .limit(1000);
+    if (linkError) throw linkError;
+
+    const matches = new Map();
+    for (const link of links || []) {
+        if (!matches.has(link.dispute_id)) matches.set(link.dispute_id, new Set());
+        matches.get(link.dispute_id).add(sideOf.get(link.party_id));
+    }
+    return matches;
+}
+
+function daysBetween(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Score disputes found by party names: both sides beat one, a recent prior
+ * decision beats an old one, and several equally good disputes lower the score
+ */
+async function scorePartyMatches(supabase, order, matches) {
+    const ids = [...matches.keys()].slice(0, 200);
+    if (ids.length === 0) return [];
+
+    const { data: disputes, error } = await supabase
+        .from('disputes')
+        .select('id, dr_no, tr_no, dispute_date')
+        .in('id', ids);
+    if (error) throw error;
+
+    const scored = [];
+    for (const dispute of disputes || []) {
+        let confidence = matches.get(dispute.id).size === 2 ? 0.75 : 0.5;
+
+        if (order.order_date && dispute.dispute_date) {
+            const gap = daysBetween(dispute.dispute_date, order.order_date);
+            // An order can't enforce a decision made after it (a month's slack for listing dates)
+            if (gap < -31 || gap > MAX_GAP_DAYS) continue;
+            if (gap <= 2 * 365) confidence += 0.1;
+        }
+
+        scored.push({ dispute, confidence });
+    }
+
+    scored.sort((a, b) => b.confidence - a.confidence);
+    if (scored.length > 1 && scored[1].confidence === scored[0].confidence) {
+        // Same parties, several plausible disputes — prefer the most recent, but say it's a guess
+        const tied = scored.filter(s => s.confidence === scored[0].confidence);
+        tied.sort((a, b) => String(b.dispute.dispute_date).localeCompare(String(a.dispute.dispute_date)));
+        const rest = scored.slice(tied.length);
+        return [...tied.map((s, i) => ({ ...s, confidence: s.confidence - (i === 0 ? 0.15 : 0.2) })), ...rest];
+    }
+    return scored;
+}
+
+function round(confidence) {
+    return Math.round(Math.min(1, confidence) * 100) / 100;
+}
+
+/**
+ * Work out which dispute an enforcement order belongs to
+ * @param {Object} order - needs prtb_no, applicant_name, respondent_name, order_date
+ * @param {Object} options - { text } — the order PDF's extracted text, if known
+ * @returns {Object|null} { dispute_id, method, confidence, candidates } — candidates are the
+ *   alternatives considered, [{ dispute_id, dr_no, method, confidence }]; null when nothing matched
+ */
+export async function findDisputeLink(supabase, order, { text = null } = {}) {
+    const candidates = [];
+    const add = (dispute, method, confidence) => {
+        if (candidates.some(c => c.dispute_id === dispute.id)) return;
+        candidates.push({ dispute_id: dispute.id, dr_no: dispute.dr_no, method, confidence: round(confidence) });
+    };
+
+    // 1. The listing's PRTB No.
+    const prtbRefs = normalisePrtbNo(order.prtb_no);
+    if (prtbRefs.length > 0) {
+        const exact = (order.prtb_no || '').trim().toUpperCase();
+        for (const dispute of await disputesByReference(supabase, prtbRefs)) {
+            add(dispute, 'prtb_no', dispute.dr_no === exact || dispute.tr_no === exact ? 1 : 0.95);
+        }
+    }
+
+    // 2. References quoted in the court order
+    const partyMatches = await disputesByParties(supabase, order);
+    if (candidates.length === 0 && text) {
+        const textRefs = extractReferences(text);
+        if (textRefs.length > 0) {
+            const found = await disputesByReference(supabase, textRefs);
+            for (const dispute of found) {
+                const agrees = partyMatches.has(dispute.id);
+                // Several references and no party agreement — probably citing other cases
+                add(dispute, 'pdf_reference', agrees ? 0.95 : found.length === 1 ? 0.9 : 0.6);
+            }
+        }
+    }
+
+    // 3. Same parties, decided shortly before the order
+    for (const { dispute, confidence } of await scorePartyMatches(supabase, order, partyMatches)) {
+        add(dispute, 'party_date', confidence);
+    }
+
+    if (candidates.length === 0) return null;
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+    const best = candidates[0];
+    return {
+        dispute_id: best.confidence >= MIN_LINK_CONFIDENCE ? best.dispute_id : null,
+        method: best.method,
+        confidence: best.confidence,
+        candidates: candidates.slice(0, 5),
+    };
+}
+
+/**
+ * Link an enforcement order and store the result. Never throws — linking is
+ * best effort, and the order is stored either way.
+ * @param {Object} order - an enforcement_orders row (at least id); missing fields are loaded
+ * @param {Object} options - { text, force } — force re-links over a stronger existing match
+ *   (never over a manual one)
+ * @returns {Object|null} the stored link fields, or null when nothing changed
+ */
+export async function linkEnforcementOrder(supabase, order, { text = null, force = false } = {}) {
+    try {
+        const { data: current, error } = await supabase
+            .from('enforcement_orders')
+            .select('id, court_ref_no, prtb_no, applicant_name, respondent_name, order_date, linked_dispute_id, link_method, link_confidence')
+            .eq('id', order.id)
+            .single();
+        if (error) throw error;
+
+        if (current.link_method === 'manual') return null;
+
+        let orderText = text;
+        if (!orderText) {
+            const { data: document } = await supabase
+                .from('enforcement_documents')
+                .select('text')
+                .eq('enforcement_order_id', order.id)
+                .maybeSingle();
+            orderText = document?.text || null;
+        }
+
+        const link = await findDisputeLink(supabase, current, { text: orderText });
+        if (!link) return null;
+
+        const existing = current.linked_dispute_id ? parseFloat(current.link_confidence ?? 1) : 0;
+        if (!force && link.dispute_id && link.confidence < existing) return null;
+        if (!link.dispute_id && current.linked_dispute_id && !force) return null;
+
+        const fields = {
+            linked_dispute_id: link.dispute_id,
+            link_method: link.dispute_id ? link.method : null,
+            link_confidence: link.dispute_id ? link.confidence : null,
+            link_candidates: link.candidates,
+            linked_at: new Date().toISOString(),
+        };
+        const { error: updateError } = await supabase
+            .from('enforcement_orders')
+            .update(fields)
+            .eq('id', order.id);
+        if (updateError) throw updateError;
+
+        if (link.dispute_id && link.dispute_id !== current.linked_dispute_id) {
+            console.log(`[Linker] ${current.court_ref_no} → ${link.candidates[0].dr_no} (${link.method}, ${link.confidence})`);
+        }
+        return fields;
+    } catch (err) {
+        console.warn(`[Linker] Could not link enforcement order ${order.court_ref_no || order.id}:`, err.message);
+        return null;
+    }
+}
@@ -5,45 +5,37 @@
  */
 
 import * as cheerio from 'cheerio';
+import { createCrawler } from './polite-crawler.js';
 
 const RTB_BASE_URL = 'https://rtb.ie/disputes/dispute-outcomes-and-orders/court-decisions-enforcement-orders';
 const RTB_API_URL = 'https://rtb.ie/wp-json/facetwp/v1/refresh';
 const RTB_TEMPLATE = 'court_decisions_enforcement_of_orders';
+// Consecutive failed pages (each after the crawler's own retries) before giving up
+const MAX_CONSECUTIVE_FAILURES = 3;
 const REQUEST_TIMEOUT = 20000;
 
 /**
  * Fetch a URL with redirect support
  */
-async function fetchWithRedirects(url, maxRedirects = 5) {
+async function fetchWithRedirects(crawler, url, maxRedirects = 5) {
     let currentUrl = url;
     for (let i = 0; i < maxRedirects; i++) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-
-        try {
-            const response = await fetch(currentUrl, {
-                redirect: 'manual',
-                signal: controller.signal,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-                    'Accept': 'text/html,application/xhtml+xml',
-                },
-            });
-
-            clearTimeout(timeoutId);
-
-            if (response.status >= 300 && response.status < 400) {
-                const location = response.headers.get('location');
-                if (!location) throw new Error('Redirect without location header');
-                currentUrl = location.startsWith('http') ? location : new URL(location, currentUrl).toString();
-                continue;
-            }
+        const response = await crawler.fetch(currentUrl, {
+            redirect: 'manual',
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+                'Accept': 'text/html,application/xhtml+xml',
+            },
+        });
 
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
+        if (response.status >= 300 && response.status < 400) {
+            const location = response.headers.get('location');
+            if (!location) throw new Error('Redirect without location header');
+            currentUrl = location.startsWith('http') ? location : new URL(location, currentUrl).toString();
+            continue;
         }
+
+        return response;
     }
     throw new Error('Too many redirects');
 }
@@ -51,9 +43,9 @@ async function fetchWithRedirects(url, maxRedirects = 5) {
 /**
  * Fetch the CSRF nonce from the RTB enforcement orders page
  */
-async function fetchNonce() {
+async function fetchNonce(crawler) {
     try {
-        const response = await fetchWithRedirects(RTB_BASE_URL);
+        const response = await fetchWithRedirects(crawler, RTB_BASE_URL);
         if (!response.ok) return null;
 
         const html = await response.text();
@@ -67,39 +59,36 @@ async function fetchNonce() {
 
 /**
  * Call the FacetWP API for enforcement orders
+ * Throws once the crawler has exhausted its retries.
  */
-async function callFacetApi(nonce, page = 1, searchTerm = '') {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-
-    try {
-        const facets = {
-            search: searchTerm,
-            court_decisions_enforcement_of_orders_year: [],
-        };
-
-        const body = {
-            action: 'facetwp_refresh',
-            data: {
-                facets,
-                frozen_facets: {},
-                http_params: {
-                    get: searchTerm ? { '_search': searchTerm } : {},
-                    uri: 'disputes/dispute-outcomes-and-orders/court-decisions-enforcement-orders',
-                    url_vars: {},
-                },
-                template: RTB_TEMPLATE,
-                extras: { counts: true, pager: true },
-                soft_refresh: 0,
-                is_bfcache: 0,
-                first_load: 0,
-                paged: page,
+async function callFacetApi(crawler, page = 1, searchTerm = '') {
+    const facets = {
+        search: searchTerm,
+        court_decisions_enforcement_of_orders_year: [],
+    };
+
+    const body = {
+        action: 'facetwp_refresh',
+        data: {
+            facets,
+            frozen_facets: {},
+            http_params: {
+                get: searchTerm ? { '_search': searchTerm } : {},
+                uri: 'disputes/dispute-outcomes-and-orders/court-decisions-enforcement-orders',
+                url_vars: {},
             },
-        };
+            template: RTB_TEMPLATE,
+            extras: { counts: true, pager: true },
+            soft_refresh: 0,
+            is_bfcache: 0,
+            first_load: 0,
+            paged: page,
+        },
+    };
 
-        const response = await fetch(RTB_API_URL, {
+    try {
+        const response = await crawler.fetch(RTB_API_URL, {
             method: 'POST',
-            signal: controller.signal,
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
                 'Content-Type': 'application/json',
@@ -107,39 +96,86 @@ async function callFacetApi(nonce, page = 1, searchTerm = '') {
             body: JSON.stringify(body),
         });
 
-        clearTimeout(timeoutId);
-
         if (!response.ok) {
-            console.warn(`[EnforcementScraper] HTTP ${response.status} for page ${page}: ${response.statusText}`);
-            return null;
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
         }
 
         const json = await response.json();
+        if (!json?.template) {
+            throw new Error('response has no listing template');
+        }
         return json;
     } catch (error) {
-        clearTimeout(timeoutId);
         console.error(`[EnforcementScraper] API call failed for page ${page}:`, error.message);
-        return null;
+        const pageError = new Error(`RTB enforcement page ${page} failed: ${error.message}`);
+        // Lets the job record the retries spent on the page that sank it
+        pageError.metrics = crawler.snapshot();
+        throw pageError;
     }
 }
 
+/**
+ * Crawler for one scrape run — refreshes the nonce on a 403 (see rtb-scraper.js)
+ * @param {Object} session - { nonce } — updated in place on refresh
+ */
+function createSessionCrawler(session, { delayMs, metrics } = {}) {
+    const crawler = createCrawler({
+        name: 'EnforcementScraper',
+        delayMs,
+        metrics,
+        timeoutMs: REQUEST_TIMEOUT,
+        onForbidden: async () => {
+            console.warn('[EnforcementScraper] 403 from rtb.ie — fetching a fresh nonce');
+            const nonce = await fetchNonce(crawler);
+            if (nonce) session.nonce = nonce;
+            return Boolean(nonce);
+        },
+    });
+    return crawler;
+}
+
 /**
  * Parse the "X v Y" heading into applicant/respondent names
+ * Accepts "v", "v.", "vs", "vs." and "-v-" separators; splits on the first one only.
  */
 function parseVsHeading(heading) {
     const result = { applicant_name: null, respondent_name: null };
     if (!heading) return result;
 
     // Enforcement orders use "A v B" format (not "Applicant Landlord : A – Respondent Tenant : B")
-    const match = heading.match(/^(.+?)\s+v\s+(.+)$/i);
+    const match = heading.match(/^(.+?)\s*(?:\s-v-\s|\s+vs?\.?\s+)\s*(.+)$/i);
     if (match) {
-        result.applicant_name = match[1].trim();
-        result.respondent_name = match[2].trim();
+        result.applicant_name = match[1].trim() || null;
+        result.respondent_name = match[2].trim() || null;
     }
 
     return result;
 }
 
+/**
+ * List the reasons a parsed enforcement order is not safe to insert.
+ * An empty array means the record parsed cleanly.
+ */
+function findParseIssues(record) {
+    const issues = [];
+    if (!record.heading) issues.push('missing_heading');
+    if (!record.court_ref_no) issues.push('missing_court_ref_no');
+    if (!record.applicant_name) issues.push('missing_applicant');
+    if (!record.respondent_name) issues.push('missing_respondent');
+    return issues;
+}
+
+/**
+ * Split parsed records into clean results and quarantined parse failures
+ */
+function partitionResults(records, quarantine) {
+    if (!quarantine) return { results: records, failures: [] };
+    return {
+        results: records.filter(r => r.parse_issues.length === 0),
+        failures: records.filter(r => r.parse_issues.length > 0),
+    };
+}
+
 /**
  * Parse HTML results from the FacetWP API into structured enforcement order records
  */
@@ -200,7 +236,7 @@ function parseResults(html) {
             }
         }
 
-        results.push({
+        const record = {
             heading,
             court_ref_no: courtRefNo,
             prtb_no: prtbNo,
@@ -210,7 +246,10 @@ function parseResults(html) {
             pdf_label: pdfLabel,
             ...parties,
             raw_html: $.html($article),
-        });
+        };
+        record.parse_issues = findParseIssues(record);
+
+        results.push(record);
     });
 
     return results;
@@ -256,29 +295,32 @@ function getTotalPages(apiResponse) {
 /**
  * Main scraper: Fetch all enforcement order records, page by page
  * Returns an async generator that yields batches of records
- * @param {Object} options - { startPage, endPage, onProgress }
+ * @param {Object} options - { startPage, endPage, onProgress, quarantine, nonce, delayMs, metrics, pages }
+ *   quarantine: move records with parse issues out of `results` into `failures`
+ *   nonce: FacetWP nonce from an earlier run — refreshed if the site answers 403
+ *   delayMs / metrics: crawler pacing and carried-over totals, as for scrapeAllDisputes
+ *   pages: fetch only these page numbers (gap fill) instead of startPage..endPage
+ * Each batch carries the `nonce` in use, the crawler's running `metrics` and `perPage`.
+ * Failed pages are yielded with `failed: true`, as in scrapeAllDisputes.
  */
-export async function* scrapeAllEnforcementOrders({ startPage = 1, endPage = null, onProgress } = {}) {
+export async function* scrapeAllEnforcementOrders({ startPage = 1, endPage = null, onProgress, quarantine = false, nonce: cachedNonce = null, delayMs, metrics, pages = null } = {}) {
     console.log(`[EnforcementScraper] Starting scrape from page ${startPage}...`);
 
-    const BASE_DELAY_MS = 3000;
-    const MAX_RETRIES = 3;
-    let consecutiveErrors = 0;
+    const session = { nonce: cachedNonce };
+    const crawler = createSessionCrawler(session, { delayMs, metrics });
 
     // Step 1: Get nonce
-    const nonce = await fetchNonce();
-    if (!nonce) {
+    if (!session.nonce) session.nonce = await fetchNonce(crawler);
+    if (!session.nonce) {
         throw new Error('Could not connect to RTB enforcement orders page - failed to get nonce');
     }
 
     // Step 2: Fetch first page to get total count
-    const firstPage = await callFacetApi(nonce, 1);
-    if (!firstPage || !firstPage.template) {
-        throw new Error('RTB enforcement orders API failed on first page');
-    }
+    const firstPage = await callFacetApi(crawler, 1);
 
     const totalPages = getTotalPages(firstPage);
     const totalResults = firstPage.settings?.pager?.total_rows || 0;
+    const perPage = firstPage.settings?.pager?.per_page || null;
     const lastPage = endPage ? Math.min(endPage, totalPages) : totalPages;
 
     console.log(`[EnforcementScraper] Total: ${totalResults} results across ${totalPages} pages. Processing pages ${startPage} to ${lastPage}`);
@@ -288,9 +330,9 @@ export async function* scrapeAllEnforcementOrders({ startPage = 1, endPage = nul
     }
 
     // If starting from page 1, yield page 1 results
-    if (startPage === 1) {
-        const firstResults = parseResults(firstPage.template);
-        yield { page: 1, results: firstResults, totalPages, totalResults };
+    if (startPage === 1 && (!pages || pages.includes(1))) {
+        const { results, failures } = partitionResults(parseResults(firstPage.template), quarantine);
+        yield { page: 1, results, failures, totalPages, totalResults, perPage, nonce: session.nonce, metrics: crawler.snapshot() };
 
         if (onProgress) {
             onProgress({ totalPages, totalResults, currentPage: 1 });
@@ -299,43 +341,28 @@ export async function* scrapeAllEnforcementOrders({ startPage = 1, endPage = nul
 
     // Step 3: Fetch remaining pages
     const fromPage = startPage <= 1 ? 2 : startPage;
-    for (let page = fromPage; page <= lastPage; page++) {
-        const delay = BASE_DELAY_MS * (1 + consecutiveErrors);
-        await new Promise(resolve => setTimeout(resolve, delay));
-
-        let success = false;
-        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-            try {
-                const pageData = await callFacetApi(nonce, page);
-                if (pageData && pageData.template) {
-                    const results = parseResults(pageData.template);
-                    yield { page, results, totalPages, totalResults };
-                    consecutiveErrors = 0;
-                    success = true;
-                    break;
-                } else {
-                    console.warn(`[EnforcementScraper] No data for page ${page}, attempt ${attempt}/${MAX_RETRIES}`);
-                }
-            } catch (error) {
-                console.error(`[EnforcementScraper] Error on page ${page} (attempt ${attempt}/${MAX_RETRIES}):`, error.message);
-            }
+    const queue = pages
+        ? [...new Set(pages)].filter(p => p >= fromPage && p <= lastPage).sort((a, b) => a - b)
+        : Array.from({ length: Math.max(0, lastPage - fromPage + 1) }, (_, i) => fromPage + i);
+    let consecutiveFailures = 0;
 
-            if (attempt < MAX_RETRIES) {
-                const backoff = BASE_DELAY_MS * Math.pow(2, attempt - 1);
-                console.log(`[EnforcementScraper] Retrying page ${page} in ${backoff / 1000}s...`);
-                await new Promise(resolve => setTimeout(resolve, backoff));
+    for (const page of queue) {
+        let pageData;
+        try {
+            pageData = await callFacetApi(crawler, page);
+            consecutiveFailures = 0;
+        } catch (error) {
+            consecutiveFailures++;
+            if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+                console.error(`[EnforcementScraper] ${consecutiveFailures} pages in a row failed — stopping`);
+                throw error;
             }
+            yield { page, failed: true, error: error.message, results: [], failures: [], totalPages, totalResults, perPage, nonce: session.nonce, metrics: crawler.snapshot() };
+            continue;
         }
 
-        if (!success) {
-            consecutiveErrors++;
-            console.warn(`[EnforcementScraper] Failed all retries for page ${page}, skipping (${consecutiveErrors} consecutive errors)`);
-
-            if (consecutiveErrors >= 5) {
-                console.error(`[EnforcementScraper] Too many consecutive errors (${consecutiveErrors}), stopping scrape`);
-                break;
-            }
-        }
+        const { results, failures } = partitionResults(parseResults(pageData.template), quarantine);
+        yield { page, results, failures, totalPages, totalResults, perPage, nonce: session.nonce, metrics: crawler.snapshot() };
 
         if (onProgress) {
             onProgress({ totalPages, totalResults, currentPage: page });
@@ -345,4 +372,4 @@ export async function* scrapeAllEnforcementOrders({ startPage = 1, endPage = nul
     console.log('[EnforcementScraper] Scrape complete');
 }
 
-export { parseVsHeading, parseResults };
+export { parseVsHeading, parseResults, findParseIssues };
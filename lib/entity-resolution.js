@@ -0,0 +1,304 @@
+/**
+ * Entity Resolution
+ * Finds parties that are probably the same person or organisation under
+ * different spellings. normalizeName() only catches case, punctuation and
+ * legal suffixes, so each pair of parties sharing a block (below) is scored on:
+ *
+ *   variant_spelling  identical once titles, accents and Irish prefixes are folded
+ *                     ("Mr Seán Ó Briain" / "Sean O'Briain", "MacDonald" / "Mc Donald")
+ *   token_reorder     the same words in another order ("Smith John" / "John Smith")
+ *   initials          same surname, given names matching as initials or short forms
+ *                     ("P. O'Brien" / "Patrick O'Brien", "Pat Murphy" / "Patrick Murphy")
+ *   phonetic          every word sounds alike ("Jon Smyth" / "John Smith")
+ *   trigram           pg_trgm-style similarity of the folded names
+ *
+ * Pairs scoring MIN_MATCH_SCORE or more are stored in party_match_candidates
+ * for an admin to confirm or reject — nothing is merged here.
+ *
+ * Used by scripts/resolve-parties.mjs and /api/admin/party-matches.
+ */
+
+import { normalizeName, isOrganisationName } from './normalize-name.js';
+
+export const MIN_MATCH_SCORE = 0.75;
+
+// Blocks bigger than this (a very common surname and initial) are skipped — too many pairs, too few real matches
+const MAX_BLOCK_SIZE = 250;
+
+const TITLES = ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'rev', 'fr', 'sr', 'sir', 'master', 'messrs'];
+
+const SCORES = {
+    variant_spelling: 0.97,
+    token_reorder: 0.93,
+    initials: 0.85,
+    phonetic: 0.82,
+};
+
+// One looks like a company and the other a person — still shown, but ranked lower
+const ORGANISATION_MISMATCH_PENALTY = 0.15;
+
+/**
+ * Words of a name with titles, accents and Irish prefixes folded
+ * "Mr. Seán Ó Briain" → ["sean", "obriain"]; "Mary Mac Donald" → ["mary", "mcdonald"]
+ */
+export function foldedTokens(name) {
+    const words = normalizeName(name)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9&\s-]/g, ' ')
+        .split(/[\s-]+/)
+        .filter(word => word && !TITLES.includes(word));
+
+    const tokens = [];
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        const next = words[i + 1];
+        // "O Brien" (from O'Brien / Ó Briain), "Mac Donald", "Mc Donald"
+        if ((word === 'o' || word === 'mac' || word === 'mc') && next && next.length > 1) {
+            tokens.push((word === 'o' ? 'o' : 'mc') + next);
+            i++;
+        } else if (word.startsWith('mac') && word.length > 5) {
+            tokens.push('mc' + word.slice(3));
+        } else {
+            tokens.push(word);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Rough sound-alike key for one word: "smyth" / "smith" → "smit", "john" / "jon" → "jon"
+ */
+export function phoneticKey(token) {
+    return token
+        .replace(/ph/g, 'f')
+        .replace(/ck/g, 'k')
+        .replace(/y/g, 'i')
+        .replace(/(?!^)h/g, '')
+        .replace(/(.)\1+/g, '$1')
+        .replace(/(?<=.{3})e$/, '');
+}
+
+/**
+ * Trigrams as Postgres pg_trgm makes them (each word padded with two spaces
+ * before, one after); similarity is shared / total distinct trigrams
+ */
+function trigrams(text) {
+    const grams = new Set();
+    for (const word of text.split(' ')) {
+        if (!word) continue;
+        const padded = `  ${word} `;
+        for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+    }
+    return grams;
+}
+
+/**
+ * Same surname, and each given name equal, an initial of the other's, or the
+ * start of it (three letters or more)
+ */
+function initialsMatch(a, b) {
+    if (a.length < 2 || b.length < 2) return false;
+    if (a[a.length - 1] !== b[b.length - 1]) return false;
+
+    const givenA = a.slice(0, -1);
+    const givenB = b.slice(0, -1);
+    const shorter = givenA.length <= givenB.length ? givenA : givenB;
+    const longer = shorter === givenA ? givenB : givenA;
+
+    let expanded = false;
+    for (let i = 0; i < shorter.length; i++) {
+        const x = shorter[i];
+        const y = longer[i];
+        if (x === y) continue;
+        const [short, long] = x.length <= y.length ? [x, y] : [y, x];
+        if ((short.length === 1 || short.length >= 3) && long.startsWith(short)) {
+            expanded = true;
+            continue;
+        }
+        return false;
+    }
+    return expanded;
+}
+
+/**
+ * Everything scorePair() compares, worked out once per party
+ */
+function profile(party) {
+    const tokens = foldedTokens(party.name);
+    const sorted = [...tokens].sort().join(' ');
+    return {
+        tokens,
+        joined: tokens.join(' '),
+        sorted,
+        phonetic: tokens.map(phoneticKey).sort().join(' '),
+        trigrams: trigrams(sorted),
+        organisation: isOrganisationName(party.name),
+    };
+}
+
+function compareProfiles(a, b) {
+    if (a.tokens.length === 0 || b.tokens.length === 0) return null;
+
+    const reasons = [];
+    if (a.joined === b.joined) reasons.push('variant_spelling');
+    else if (a.sorted === b.sorted) reasons.push('token_reorder');
+    if (initialsMatch(a.tokens, b.tokens)) reasons.push('initials');
+    if (a.tokens.length === b.tokens.length && a.sorted !== b.sorted && a.phonetic === b.phonetic) {
+        reasons.push('phonetic');
+    }
+
+    let shared = 0;
+    for (const gram of a.trigrams) if (b.trigrams.has(gram)) shared++;
+    const total = a.trigrams.size + b.trigrams.size - shared;
+    const trigram = total > 0 ? Math.round(shared / total * 1000) / 1000 : 0;
+
+    let score = Math.max(0, ...reasons.map(reason => SCORES[reason]));
+    if (trigram >= 0.6) {
+        reasons.push('trigram');
+        score = Math.max(score, trigram * 0.95);
+    }
+    if (reasons.length === 0) return null;
+
+    if (a.organisation !== b.organisation) {
+        score -= ORGANISATION_MISMATCH_PENALTY;
+    }
+    return { score: Math.round(score * 1000) / 1000, reasons, trigram };
+}
+
+/**
+ * Score two parties as a possible duplicate
+ * @param {Object} a - { name } (and anything else — it's passed through)
+ * @returns {Object|null} { score, reasons, trigram } — null when nothing matched
+ */
+export function scorePair(a, b) {
+    return compareProfiles(profile(a), profile(b));
+}
+
+/**
+ * Block keys for a party: each word's sound-alike key with another word's
+ * initial, so parties are only compared when some word sounds alike and the
+ * names share an initial — word order doesn't matter
+ */
+function blockKeys(tokens) {
+    if (tokens.length === 1) return [`${phoneticKey(tokens[0])}|`];
+    const keys = new Set();
+    for (let i = 0; i < tokens.length; i++) {
+        if (tokens[i].length < 2) continue;
+        for (let j = 0; j < tokens.length; j++) {
+            if (i !== j) keys.add(`${phoneticKey(tokens[i])}|${tokens[j][0]}`);
+        }
+    }
+    return [...keys];
+}
+
+/**
+ * Candidate duplicate pairs among a list of parties
+ * @param {Object[]} parties - rows with id and name
+ * @param {Object} options - { minScore }
+ * @returns {Object} { pairs: [{ a, b, score, reasons, trigram }] best first, compared, skippedBlocks }
+ */
+export function findCandidatePairs(parties, { minScore = MIN_MATCH_SCORE } = {}) {
+    const profiles = new Map();
+    const blocks = new Map();
+    for (const party of parties) {
+        const p = profile(party);
+        profiles.set(party.id, p);
+        for (const key of blockKeys(p.tokens)) {
+            if (!blocks.has(key)) blocks.set(key, []);
+            blocks.get(key).push(party);
+        }
+    }
+
+    const seen = new Set();
+    const pairs = [];
+    let compared = 0;
+    let skippedBlocks = 0;
+
+    for (const members of blocks.values()) {
+        if (members.length < 2) continue;
+        if (members.length > MAX_BLOCK_SIZE) {
+            skippedBlocks++;
+            continue;
+        }
+        for (let i = 0; i < members.length; i++) {
+            for (let j = i + 1; j < members.length; j++) {
+                const [a, b] = members[i].id < members[j].id ? [members[i], members[j]] : [members[j], members[i]];
+                const key = `${a.id}|${b.id}`;
+                if (a.id === b.id || seen.has(key)) continue;
+                seen.add(key);
+                compared++;
+
+                const match = compareProfiles(profiles.get(a.id), profiles.get(b.id));
+                if (match && match.score >= minScore) pairs.push({ a, b, ...match });
+            }
+        }
+    }
+
+    pairs.sort((x, y) => y.score - x.score);
+    return { pairs, compared, skippedBlocks };
+}
+
+/**
+ * Score every party against its block and store the candidates. Pairs already
+ * confirmed or rejected keep their status; pending pairs that no longer score
+ * are removed.
+ * @param {Object} options - { minScore, dryRun, onProgress(message) }
+ * @returns {Object} { parties, compared, candidates, skipped_blocks, removed, pairs (dry run only) }
+ */
+export async function runEntityResolution(supabase, { minScore = MIN_MATCH_SCORE, dryRun = false, onProgress } = {}) {
+    const startedAt = new Date().toISOString();
+
+    // Keyset pagination — the table is too big for one select
+    const parties = [];
+    let lastId = null;
+    while (true) {
+        let query = supabase
+            .from('parties')
+            .select('id, name')
+            .order('id', { ascending: true })
+            .limit(1000);
+        if (lastId) query = query.gt('id', lastId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+        parties.push(...data);
+        lastId = data[data.length - 1].id;
+    }
+    if (onProgress) onProgress(`Loaded ${parties.length} parties`);
+
+    const { pairs, compared, skippedBlocks } = findCandidatePairs(parties, { minScore });
+    if (onProgress) onProgress(`Compared ${compared} pairs, ${pairs.length} candidates`);
+
+    const summary = { parties: parties.length, compared, candidates: pairs.length, skipped_blocks: skippedBlocks, removed: 0 };
+    if (dryRun) return { ...summary, pairs };
+
+    for (let i = 0; i < pairs.length; i += 500) {
+        const rows = pairs.slice(i, i + 500).map(pair => ({
+            party_a_id: pair.a.id,
+            party_b_id: pair.b.id,
+            name_a: pair.a.name,
+            name_b: pair.b.name,
+            score: pair.score,
+            reasons: pair.reasons,
+            trigram: pair.trigram,
+            last_seen_at: startedAt,
+        }));
+        const { error } = await supabase
+            .from('party_match_candidates')
+            .upsert(rows, { onConflict: 'party_a_id,party_b_id' });
+        if (error) throw error;
+    }
+
+    const { count, error: removeError } = await supabase
+        .from('party_match_candidates')
+        .delete({ count: 'exact' })
+        .eq('status', 'pending')
+        .lt('last_seen_at', startedAt);
+    if (removeError) throw removeError;
+    summary.removed = count || 0;
+
+    console.log(`[EntityResolution] ${summary.candidates} candidates from ${summary.compared} comparisons (${summary.removed} stale removed)`);
+    return summary;
+}
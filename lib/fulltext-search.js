@@ -0,0 +1,124 @@
+/**
+ * Full-Text Search over PDF text
+ * Turns a search box query into Postgres to_tsquery() text and fetches
+ * highlighted snippets for a page of results (see fulltext-search-schema.sql).
+ *
+ * Query syntax:
+ *   part 4 tenancy          all words, anywhere (English stemming: tenancy ≈ tenancies)
+ *   "part 4 tenancy"        exact phrase
+ *   deposit OR arrears      either
+ *   -deposit                exclude
+ *   notice NEAR/5 invalid   within 5 words of each other (NEAR alone = 5)
+ *
+ * Only letters and digits reach to_tsquery, so user input can't break the
+ * query syntax.
+ */
+
+const MAX_OPERANDS = 12;
+const DEFAULT_NEAR = 5;
+const MAX_NEAR = 10;
+
+// Groups: phrase (negation, text) | OR | NEAR (distance) | word (negation, text)
+const TOKEN = /(-?)"([^"]*)"?|\b(OR)\b|\b(NEAR)(?:\/(\d+))?\b|(-?)([^\s"]+)/g;
+
+/**
+ * Words of a term or phrase as a tsquery phrase: "Part 4" → "part <-> 4"
+ * @returns {string|null}
+ */
+function phrase(text) {
+    const words = text
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+    if (words.length === 0) return null;
+    return words.length === 1 ? words[0] : `(${words.join(' <-> ')})`;
+}
+
+/**
+ * Within `distance` words, either order
+ */
+function near(left, right, distance) {
+    const options = [];
+    for (let d = 1; d <= distance; d++) {
+        options.push(`${left} <${d}> ${right}`, `${right} <${d}> ${left}`);
+    }
+    return `(${options.join(' | ')})`;
+}
+
+/**
+ * Build to_tsquery('english', …) text from a search box query
+ * @param {string} input
+ * @returns {string|null} null when the query has no searchable words
+ */
+export function toTsQuery(input) {
+    if (!input || !input.trim()) return null;
+
+    const parts = [];
+    let operator = '&';
+    let nearDistance = null;
+    let operands = 0;
+
+    for (const match of input.matchAll(TOKEN)) {
+        const [, phraseNegated, quoted, or, nearOperator, nearWords, wordNegated, word] = match;
+
+        if (or) {
+            operator = '|';
+            continue;
+        }
+        if (nearOperator) {
+            nearDistance = Math.min(MAX_NEAR, parseInt(nearWords || DEFAULT_NEAR, 10) || DEFAULT_NEAR);
+            continue;
+        }
+
+        const term = phrase(quoted !== undefined ? quoted : word);
+        if (!term || operands >= MAX_OPERANDS) continue;
+        operands++;
+
+        const negated = (phraseNegated || wordNegated) === '-';
+
+        if (parts.length === 0) {
+            parts.push(negated ? `!${term}` : term);
+        } else if (nearDistance && !negated) {
+            parts.push(near(parts.pop(), term, nearDistance));
+        } else {
+            parts.push(operator, negated ? `!${term}` : term);
+        }
+
+        operator = '&';
+        nearDistance = null;
+    }
+
+    return parts.length > 0 ? parts.join(' ') : null;
+}
+
+const SNIPPET_FUNCTIONS = {
+    disputes: 'dispute_document_snippets',
+    enforcement: 'enforcement_document_snippets',
+};
+
+/**
+ * Add `snippet` (matches wrapped in <mark>…</mark>) and `text_rank` to rows
+ * whose PDF text matched. Rows that matched on listing fields alone are
+ * returned unchanged. Never throws — snippets are a nicety.
+ * @param {string} source - "disputes" or "enforcement"
+ * @param {string|null} tsquery - from toTsQuery()
+ * @param {Array<Object>} rows - each with an `id`
+ */
+export async function attachSnippets(supabase, source, tsquery, rows) {
+    if (!tsquery || !rows || rows.length === 0) return rows || [];
+
+    const { data, error } = await supabase.rpc(SNIPPET_FUNCTIONS[source], {
+        p_tsquery: tsquery,
+        p_ids: rows.map(row => row.id),
+    });
+
+    if (error) {
+        console.warn(`[FullText] Snippets failed for ${source}:`, error.message);
+        return rows;
+    }
+
+    const byId = new Map((data || []).map(s => [s.id, s]));
+    return rows.map(row => byId.has(row.id)
+        ? { ...row, snippet: byId.get(row.id).snippet, text_rank: byId.get(row.id).rank }
+        : row);
+}
@@ -0,0 +1,86 @@
+/**
+ * Distributed job lock
+ * Scrape jobs, the cron sync and batch AI runs all hit rtb.ie and write the
+ * same tables, so only one may run at a time — across every serverless
+ * instance. The lock is a lease in the job_locks table: the holder renews it
+ * with a heartbeat while it works (each page, each AI batch), and a holder that
+ * dies simply lets it lapse after LOCK_TTL_SECONDS.
+ *
+ * Holders are scrape_jobs ids for sync jobs (held across every slice of a
+ * checkpointed job) and a run id for batch AI (carried on its self-retrigger).
+ */
+
+// Every long-running route shares this one lock
+export const SYNC_LOCK = 'sync';
+
+// Same window after which a scrape job counts as stalled (STALL_AFTER_MS)
+export const LOCK_TTL_SECONDS = 10 * 60;
+
+/**
+ * Take the lock, or renew it if this holder already has it
+ * @param {Object} supabase - service client
+ * @param {string} holder - scrape job id or batch run id
+ * @param {string} kind - what the holder is, e.g. 'disputes-sync', 'ai-batch'
+ * @param {Object} [options]
+ * @param {string} [options.name] - lock name (default SYNC_LOCK)
+ * @param {number} [options.ttlSeconds] - lease length (default LOCK_TTL_SECONDS)
+ * @returns {Object} { acquired, lock } — lock is the current row, whoever holds it
+ */
+export async function acquireLock(supabase, holder, kind, { name = SYNC_LOCK, ttlSeconds = LOCK_TTL_SECONDS } = {}) {
+    const { data: lock, error } = await supabase.rpc('acquire_job_lock', {
+        p_name: name,
+        p_holder: holder,
+        p_kind: kind,
+        p_ttl_seconds: ttlSeconds,
+    });
+
+    if (error) throw new Error(`Could not acquire ${name} lock: ${error.message}`);
+
+    return { acquired: lock?.holder === holder, lock };
+}
+
+/**
+ * Extend the lease while working
+ * @returns {boolean} false if the lease lapsed and another holder took it
+ */
+export async function heartbeatLock(supabase, holder, { name = SYNC_LOCK, ttlSeconds = LOCK_TTL_SECONDS } = {}) {
+    const { data, error } = await supabase.rpc('heartbeat_job_lock', {
+        p_name: name,
+        p_holder: holder,
+        p_ttl_seconds: ttlSeconds,
+    });
+
+    // A failed heartbeat call is not a lost lease — carry on and let expiry decide
+    if (error) {
+        console.error(`[JobLock] Heartbeat for ${holder} failed:`, error.message);
+        return true;
+    }
+    return data === true;
+}
+
+/**
+ * Release the lock if this holder still has it
+ */
+export async function releaseLock(supabase, holder, { name = SYNC_LOCK } = {}) {
+    const { error } = await supabase.rpc('release_job_lock', {
+        p_name: name,
+        p_holder: holder,
+    });
+
+    if (error) {
+        console.error(`[JobLock] Could not release ${name} lock for ${holder}:`, error.message);
+    }
+}
+
+/**
+ * 409 response naming the job that holds the lock
+ * @param {Object} lock - row returned by acquireLock
+ */
+export function lockConflict(lock) {
+    return Response.json({
+        error: `Another job is already running (${lock?.holder_kind || 'unknown'} ${lock?.holder})`,
+        job_id: lock?.holder || null,
+        holder_kind: lock?.holder_kind || null,
+        expires_at: lock?.expires_at || null,
+    }, { status: 409 });
+}
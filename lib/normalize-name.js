@@ -43,3 +43,60 @@ export function normalizeName(name) {
     n = n.replace(/\s+/g, ' ').trim();
     return n;
 }
+
+// Words that mark a name as an organisation — never split these on "and"/"&"
+const ORGANISATION_PATTERN = /\b(?:ltd|limited|plc|inc|dac|clg|uc|teoranta|llp|company|co|corp|corporation|council|association|housing|trust|society|partners|partnership|solicitors|estates?|lettings|properties|property|management|investments|holdings|group|fund|reit|services|receivers?|executors?|t\/a|trading as|c\/o)\b/i;
+
+/**
+ * Whether a name reads as a company, council, charity or other organisation
+ */
+export function isOrganisationName(name) {
+    return ORGANISATION_PATTERN.test(name || '');
+}
+
+// Honorifics — "Mr." on its own is half of a couple, not a person
+const TITLE_PATTERN = /^(?:mr|mrs|ms|miss|mx|dr|prof|rev|fr|sir|dame)\.?$/i;
+
+/**
+ * Split a multi-party name into individual people.
+ * "John Smith and Mary Smith"   → ["John Smith", "Mary Smith"]
+ * "John, Mary & Peter Smith"    → ["John Smith", "Mary Smith", "Peter Smith"]
+ * "John and Mary De Burca"      → ["John De Burca", "Mary De Burca"]
+ * "Mr. John and Mary Smith"     → ["Mr. John Smith", "Mary Smith"]
+ * "Mr. and Mrs. Smith"          → ["Mr. and Mrs. Smith"] (a title alone isn't a person)
+ * "Smith & Sons Ltd"            → ["Smith & Sons Ltd"] (organisations are left whole)
+ */
+export function splitPartyNames(name) {
+    if (!name) return [];
+    const cleaned = name.replace(/\s+/g, ' ').trim();
+    if (!cleaned) return [];
+    if (isOrganisationName(cleaned)) return [cleaned];
+
+    const parts = cleaned
+        .split(/\s*(?:,|&|\+|\band\b)\s*/i)
+        .map(p => p.trim())
+        .filter(Boolean);
+    if (parts.length < 2) return [cleaned];
+    if (parts.some(part => TITLE_PATTERN.test(part))) return [cleaned];
+
+    // "John and Mary De Burca" — bare first names borrow the whole surname of the
+    // last person: everything after their (title and) given name
+    const lastTokens = parts[parts.length - 1].split(' ').filter(t => !TITLE_PATTERN.test(t));
+    const surname = lastTokens.length > 1 ? lastTokens.slice(1).join(' ') : null;
+
+    const names = [];
+    for (const part of parts) {
+        // "Mr. John" is still a bare given name — the title doesn't count
+        const given = part.split(' ').filter(t => !TITLE_PATTERN.test(t));
+        if (given.length > 1) {
+            names.push(part);
+        } else if (surname) {
+            names.push(`${part} ${surname}`);
+        } else {
+            // "Smith, John" style — can't tell people apart, keep the name whole
+            return [cleaned];
+        }
+    }
+
+    return [...new Set(names)];
+}
@@ -1,13 +1,24 @@
 /**
  * AI Service for RTB Dispute PDF Analysis
- * Uses Gemini 2.0 Flash (primary) with OpenAI GPT-4o as secondary reviewer
- * Downloads PDFs and sends directly to Gemini's native PDF processing
+ * Downloads PDFs and sends them to the model chosen for each task in
+ * lib/ai-providers.js — by default Gemini (primary) with OpenAI GPT-4o as
+ * secondary reviewer of high-value awards
+ *
+ * Disputes go through local text extraction and the rule-based order parser
+ * first (lib/pdf-text.js, lib/determination-parser.js); the LLM is only called
+ * when the rules are not confident.
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
 import { S3Client, GetObjectCommand } from '@aws-sdk/client-s3';
 import { createServiceClient } from './supabase.js';
+import { extractPdfText, saveDisputeDocument, saveEnforcementDocument } from './pdf-text.js';
+import { parseDetermination, PARSER_VERSION } from './determination-parser.js';
+import { buildProvenance } from './provenance.js';
+import { queueForReview } from './review-queue.js';
+import { resolveProvider } from './ai-providers.js';
+import { validateResult } from './ai-schema.js';
+import { getPrompt, promptForSetting } from './prompts.js';
+import { linkEnforcementOrder } from './enforcement-linker.js';
 
 // S3 client for PDF archive
 const s3 = new S3Client({
@@ -21,6 +32,9 @@ const S3_BUCKET = process.env.S3_BUCKET_NAME || 'rtb-dispute-pdfs-private';
 
 const REQUEST_TIMEOUT = 30000;
 const HIGH_VALUE_THRESHOLD = 20000;
+const MAX_OUTPUT_TOKENS = 2048;
+// Re-prompts after a response fails schema validation, before giving up
+const MAX_REPAIR_ATTEMPTS = 2;
 
 // ============================================
 // SETTINGS HELPERS
@@ -36,12 +50,15 @@ async function getSetting(key) {
     return data?.value || null;
 }
 
-async function getGeminiApiKey() {
-    return getSetting('gemini_api_key');
-}
-
-async function getOpenAIApiKey() {
-    return getSetting('openai_api_key');
+/**
+ * The provider for an AI task, or an error explaining how to configure one
+ */
+async function requireProvider(task) {
+    const resolved = await resolveProvider(task);
+    if (!resolved) {
+        throw new Error('No AI API key configured. Set gemini_api_key or openai_api_key (or ai_provider_* for a local model) in Admin → Settings.');
+    }
+    return resolved;
 }
 
 // ============================================
@@ -59,7 +76,7 @@ async function downloadPdfFromS3(s3Key) {
     }
     const buffer = Buffer.concat(chunks);
     if (buffer.length < 1000) throw new Error('S3 PDF too small');
-    return buffer.toString('base64');
+    return buffer;
 }
 
 async function downloadPdfFromUrl(url) {
@@ -85,50 +102,13 @@ async function downloadPdfFromUrl(url) {
             throw new Error('PDF too small, likely an error page');
         }
 
-        return buffer.toString('base64');
+        return buffer;
     } catch (error) {
         clearTimeout(timeoutId);
         throw new Error(`PDF download failed: ${error.message}`);
     }
 }
 
-// ============================================
-// ANALYSIS PROMPTS
-// ============================================
-
-const SYSTEM_PROMPT = `You are an expert legal analyst specialising in Irish residential tenancy disputes.
-You analyse RTB (Residential Tenancies Board) dispute determinations and extract key information.
-
-CRITICAL RULES FOR ACCURACY:
-- When extracting monetary amounts, copy the EXACT numbers from the document. Do NOT round, estimate, or add/drop digits.
-- If the document says "€52,800", the amount is 52800, NOT 652800 or 5280.
-- WATCH OUT for double currency symbols: "€€8,282" means €8,282, NOT €68,282. The extra € is a PDF formatting artifact.
-- If a number looks unusually large, re-read it carefully. RTB awards rarely exceed €50,000.
-- Double-check every digit of every amount before including it in your response.
-- If you are uncertain about an amount, set compensation_amount to 0 and set amount_confident to false.
-- It is BETTER to return 0 than to return a wrong number. Wrong numbers cause real harm.
-- Always respond in valid JSON format only, with no additional text.`;
-
-function getAnalysisPrompt(disputeInfo) {
-    return `Analyse this RTB dispute determination and extract the following information.
-Return a JSON object with these exact keys:
-
-- "summary": A concise 2-3 sentence summary of the dispute and outcome
-- "outcome": One of: "Upheld", "Partially Upheld", "Dismissed", "Withdrawn", "Settled", "Other"
-- "compensation_amount": The total compensation/damages awarded in euros as a numeric value (e.g. 7697.47, NOT 769747). Use a decimal point for cents. Set to 0 if none. Copy amounts EXACTLY as written in the determination — do not add or remove digits. If you cannot read the amount clearly, set to 0.
-- "amount_confident": true if you are highly confident the compensation_amount is exactly correct, false if there is any doubt. When false, set compensation_amount to 0.
-- "cost_order": Any cost order amount in euros (number only, 0 if none)
-- "property_address": The property address if mentioned (null if not found)
-- "dispute_type": The category, e.g. "Rent Arrears", "Deposit Retention", "Breach of Obligations", "Invalid Notice of Termination", "Overholding", "Anti-Social Behaviour", "Other"
-- "award_items": An array of individual awards, each with {"description": "what the award is for", "amount": number}. This helps verify the total.
-- "amount_quote": The exact text from the determination where the main award amount is stated (copy the sentence verbatim)
-
-Dispute reference: ${disputeInfo.dr_no || 'Unknown'}
-Parties: ${disputeInfo.heading || 'Unknown'}
-
-Read the document carefully, paying special attention to the Order/Determination section where awards are listed. Extract amounts exactly as written.`;
-}
-
 // ============================================
 // POST-PROCESSING (shared across models)
 // ============================================
@@ -137,8 +117,9 @@ function postProcessResult(parsed, disputeInfo) {
     // If AI is not confident, null out the amount (UI shows "Refer to Order")
     if (parsed.amount_confident === false) {
         console.warn(`[AI] Low confidence for ${disputeInfo.dr_no}: claimed €${parsed.compensation_amount}. Setting to null — refer to PDF.`);
+        parsed.claimed_compensation_amount = parsed.compensation_amount;
         parsed.compensation_amount = null;
-        parsed._uncertain = true;
+        parsed._uncertain = 'low_confidence';
     }
 
     // Cross-check: if award_items exist, verify the total is in the right ballpark
@@ -150,8 +131,9 @@ function postProcessResult(parsed, disputeInfo) {
             if (pctDiff > 0.25) {
                 // More than 25% discrepancy — AI is confused, null it out
                 console.warn(`[AI] Large amount mismatch for ${disputeInfo.dr_no}: total=${claimed}, items sum=${itemsTotal} (${(pctDiff * 100).toFixed(0)}% off). Setting to null.`);
+                parsed.claimed_compensation_amount = claimed;
                 parsed.compensation_amount = null;
-                parsed._uncertain = true;
+                parsed._uncertain = 'amount_mismatch';
             } else if (pctDiff > 0.01) {
                 // Small discrepancy — trust the stated total, just log
                 console.log(`[AI] Minor mismatch for ${disputeInfo.dr_no}: total=${claimed}, items=${itemsTotal} (${(pctDiff * 100).toFixed(0)}% off). Keeping stated total.`);
@@ -163,91 +145,113 @@ function postProcessResult(parsed, disputeInfo) {
 }
 
 // ============================================
-// GEMINI ANALYSIS (Primary)
+// MODEL ANALYSIS
 // ============================================
 
-async function analyseWithGemini(apiKey, pdfBase64, disputeInfo) {
-    const genAI = new GoogleGenerativeAI(apiKey);
-    const model = genAI.getGenerativeModel({
-        model: 'gemini-2.5-flash-lite',
-        generationConfig: {
-            temperature: 0,
-            responseMimeType: 'application/json',
-            maxOutputTokens: 1024,
-        },
-    });
-
-    const prompt = SYSTEM_PROMPT + '\n\n' + getAnalysisPrompt(disputeInfo);
-
-    // Send PDF directly — Gemini has native PDF understanding with Google's OCR
-    const result = await model.generateContent([
-        prompt,
-        {
-            inlineData: {
-                mimeType: 'application/pdf',
-                data: pdfBase64,
-            },
-        },
-    ]);
+/**
+ * Call a provider and validate its JSON against a schema, re-prompting with
+ * the violations until it complies. Throws once MAX_REPAIR_ATTEMPTS are used
+ * up — the message lists the violations and ends up in ai_error.
+ * @returns {Object} the validated result
+ */
+async function generateValidated(resolved, request, schema) {
+    let prompt = request.prompt;
+    let errors = [];
 
-    const content = result.response.text();
-    if (!content) throw new Error('No response from Gemini');
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const content = await resolved.generate({ ...request, prompt });
 
-    const parsed = JSON.parse(content);
-    return postProcessResult(parsed, disputeInfo);
-}
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (err) {
+            errors = [`response is not valid JSON (${err.message})`];
+        }
 
-// ============================================
-// OPENAI ANALYSIS (Secondary reviewer for high-value)
-// ============================================
+        if (parsed !== undefined) {
+            const validation = validateResult(schema, parsed);
+            if (validation.valid) {
+                if (attempt > 0) console.log(`[AI] ${request.reference} — response repaired after ${attempt} retr${attempt === 1 ? 'y' : 'ies'}`);
+                return validation.value;
+            }
+            errors = validation.errors;
+        }
 
-async function analyseWithOpenAI(apiKey, model, pdfBase64, disputeInfo) {
-    const openai = new OpenAI({ apiKey });
-
-    const completion = await openai.chat.completions.create({
-        model,
-        messages: [
-            { role: 'system', content: SYSTEM_PROMPT },
-            {
-                role: 'user',
-                content: [
-                    { type: 'text', text: getAnalysisPrompt(disputeInfo) },
-                    {
-                        type: 'file',
-                        file: {
-                            filename: `${disputeInfo.dr_no || 'dispute'}.pdf`,
-                            file_data: `data:application/pdf;base64,${pdfBase64}`,
-                        },
-                    },
-                ],
-            },
-        ],
-        temperature: 0,
-        max_tokens: 800,
-        response_format: { type: 'json_object' },
-    });
+        console.warn(`[AI] ${request.reference} — ${resolved.model} response failed validation (attempt ${attempt + 1}): ${errors.join('; ')}`);
+        prompt = `${request.prompt}
+
+Your previous response was rejected:
+${errors.map(e => `- ${e}`).join('\n')}
 
-    const content = completion.choices[0]?.message?.content;
-    if (!content) throw new Error('No response from OpenAI');
+Previous response:
+${String(content).slice(0, 4000)}
+
+Return the corrected JSON object only, with every key listed above and only the allowed values.`;
+    }
+
+    throw new Error(`AI response failed validation after ${MAX_REPAIR_ATTEMPTS + 1} attempts (${resolved.model}): ${errors.join('; ')}`);
+}
+
+/**
+ * Ask a resolved provider to analyse a dispute determination
+ * @param {Object} resolved - from resolveProvider()
+ * @param {Object} prompt - from getPrompt('dispute', ...)
+ * @param {Object} pdf - { buffer } from downloadDisputePdf()
+ * @param {string|null} text - extracted PDF text, for providers that can't read PDFs
+ */
+async function analyseDispute(resolved, prompt, pdf, text, disputeInfo) {
+    const parsed = await generateValidated(resolved, {
+        system: prompt.system,
+        prompt: prompt.user(disputeInfo),
+        pdfBase64: pdf.buffer.toString('base64'),
+        filename: `${disputeInfo.dr_no || 'dispute'}.pdf`,
+        text,
+        reference: disputeInfo.dr_no,
+        maxTokens: MAX_OUTPUT_TOKENS,
+    }, prompt.schema);
 
-    const parsed = JSON.parse(content);
     return postProcessResult(parsed, disputeInfo);
 }
 
 // ============================================
-// PROCESS SINGLE DISPUTE
+// LOCAL TEXT PASS (before any LLM call)
 // ============================================
 
-export async function processDispute(dispute) {
-    const geminiKey = await getGeminiApiKey();
-    const openaiKey = await getOpenAIApiKey();
+/**
+ * Extract the PDF's text, parse the order with rules (unless disabled) and
+ * store both in dispute_documents, where full-text search picks the text up.
+ * Never throws — a failed extraction just means the LLM runs.
+ * @returns {Object} { parsed, text, pages } — parseDetermination() result (null
+ *   when rules are off) and the extracted text and pages (null when extraction failed)
+ */
+async function readDetermination(dispute, pdf, useRules = true) {
+    let extraction = null;
+    let parsed = null;
+    let error = null;
+
+    try {
+        extraction = await extractPdfText(pdf.buffer);
+        if (useRules) {
+            parsed = extraction.hasTextLayer
+                ? parseDetermination(extraction.text)
+                : { confident: false, reasons: ['no text layer (scanned PDF)'] };
+        }
+    } catch (err) {
+        error = err.message;
+        console.warn(`[AI] Text extraction failed for ${dispute.dr_no}:`, err.message);
+    }
 
-    if (!geminiKey && !openaiKey) {
-        throw new Error('No AI API key configured. Set gemini_api_key or openai_api_key in Admin → Settings.');
+    if (dispute.id) {
+        await saveDisputeDocument(createServiceClient(), dispute.id, { ...pdf, extraction, parsed, error });
     }
+    return { parsed, text: extraction?.text || null, pages: extraction?.pages || null };
+}
 
-    // Try S3 first (faster, no RTB dependency), then fall back to RTB URLs
-    let pdfBase64 = null;
+/**
+ * Download a dispute's PDF — S3 first (faster, no RTB dependency), then RTB URLs
+ * @returns {Object} { buffer, source, sourceKey }
+ */
+export async function downloadDisputePdf(dispute) {
     const s3Keys = dispute.s3_pdf_keys || [];
     const pdfUrls = dispute.pdf_urls || [];
 
@@ -258,84 +262,182 @@ export async function processDispute(dispute) {
     // 1. Try S3 archive
     for (const entry of s3Keys) {
         try {
-            pdfBase64 = await downloadPdfFromS3(entry.s3_key);
-            if (pdfBase64) break;
+            return { buffer: await downloadPdfFromS3(entry.s3_key), source: 's3', sourceKey: entry.s3_key };
         } catch (err) {
             console.warn(`[AI] S3 download failed for ${dispute.dr_no}:`, err.message);
         }
     }
 
     // 2. Fall back to RTB website
-    if (!pdfBase64) {
-        for (const pdf of pdfUrls) {
-            try {
-                pdfBase64 = await downloadPdfFromUrl(pdf.url);
-                if (pdfBase64) break;
-            } catch (err) {
-                console.warn(`[AI] RTB download failed for ${pdf.url}:`, err.message);
-            }
+    for (const entry of pdfUrls) {
+        try {
+            return { buffer: await downloadPdfFromUrl(entry.url), source: 'rtb', sourceKey: entry.url };
+        } catch (err) {
+            console.warn(`[AI] RTB download failed for ${entry.url}:`, err.message);
         }
     }
 
-    if (!pdfBase64) {
-        throw new Error('Could not download any PDF for this dispute (tried S3 + RTB)');
+    throw new Error('Could not download any PDF for this dispute (tried S3 + RTB)');
+}
+
+/**
+ * Store an enforcement order PDF's text for full-text search, and use it to
+ * link the order to its dispute (lib/enforcement-linker.js). Never throws.
+ * @returns {string|null} the extracted text
+ */
+async function readEnforcementText(order, buffer) {
+    let extraction = null;
+    let error = null;
+
+    try {
+        extraction = await extractPdfText(buffer);
+    } catch (err) {
+        error = err.message;
+        console.warn(`[AI] Text extraction failed for ${order.court_ref_no}:`, err.message);
     }
 
-    // Primary analysis — prefer Gemini, fall back to OpenAI
-    let result;
-    let primaryModel;
+    if (order.id) {
+        const supabase = createServiceClient();
+        await saveEnforcementDocument(supabase, order.id, { sourceKey: order.pdf_url, buffer, extraction, error });
+        if (extraction?.text) {
+            await linkEnforcementOrder(supabase, order, { text: extraction.text });
+        }
+    }
+    return extraction?.text || null;
+}
+
+/**
+ * Extract and store a dispute's PDF text without any AI analysis
+ * (backfill for full-text search — scripts/extract-pdf-text.mjs)
+ */
+export async function extractDisputeText(dispute) {
+    const pdf = await downloadDisputePdf(dispute);
+    return readDetermination(dispute, pdf);
+}
+
+/**
+ * Extract and store an enforcement order's PDF text without any AI analysis
+ */
+export async function extractEnforcementText(order) {
+    if (!order.pdf_url) throw new Error('No PDF URL available for this enforcement order');
+    await readEnforcementText(order, await downloadPdfFromUrl(order.pdf_url));
+}
+
+// ============================================
+// PROCESS SINGLE DISPUTE
+// ============================================
 
-    if (geminiKey) {
-        primaryModel = 'gemini-2.5-flash-lite';
-        result = await analyseWithGemini(geminiKey, pdfBase64, dispute);
-    } else {
-        primaryModel = 'gpt-4o-mini';
-        result = await analyseWithOpenAI(openaiKey, 'gpt-4o-mini', pdfBase64, dispute);
+export async function processDispute(dispute) {
+    if (dispute.ai_reviewed_at) {
+        throw new Error(`${dispute.dr_no} was checked by a reviewer — reopen its review to reprocess it`);
+    }
+
+    const pdf = await downloadDisputePdf(dispute);
+
+    // Rules first — a confident parse of the order needs no LLM call
+    const useRules = await getSetting('rule_extraction_enabled') !== 'false';
+    const { parsed, text, pages } = await readDetermination(dispute, pdf, useRules);
+    if (parsed?.confident) {
+        console.log(`[AI] ${dispute.dr_no} — read from PDF text by rules, no LLM call`);
+        return toDisputeUpdate(parsed, { model: 'rules', promptVersion: PARSER_VERSION, pages });
+    }
+    if (parsed) {
+        console.log(`[AI] ${dispute.dr_no} — rules not confident (${parsed.reasons.join('; ')}), using LLM`);
     }
 
+    const primary = await requireProvider('dispute_analysis');
+    const prompt = promptForSetting('dispute', await getSetting('prompt_version_dispute'));
+
+    const first = await analyseDispute(primary, prompt, pdf, text, dispute);
+    let result = first;
+    let modelUsed = primary.model;
+    let review = null;
+
     let amount = parseFloat(result.compensation_amount) || 0;
 
-    // Dual-review for high-value awards using a DIFFERENT provider
+    // Dual-review for high-value awards — by default with a DIFFERENT provider
     if (amount >= HIGH_VALUE_THRESHOLD) {
-        let result2 = null;
-        let reviewModel = null;
-
-        if (geminiKey && openaiKey) {
-            // Cross-provider review: Gemini primary → OpenAI reviewer
-            reviewModel = 'gpt-4o';
-            console.log(`[AI] High value (€${amount.toLocaleString()}) — cross-reviewing with ${reviewModel}...`);
-            result2 = await analyseWithOpenAI(openaiKey, 'gpt-4o', pdfBase64, dispute);
-        } else if (geminiKey) {
-            // Same-provider review with a different Gemini model
-            reviewModel = 'gemini-2.0-flash (2nd pass)';
-            console.log(`[AI] High value (€${amount.toLocaleString()}) — re-verifying with second Gemini pass...`);
-            result2 = await analyseWithGemini(geminiKey, pdfBase64, dispute);
-        } else if (openaiKey) {
-            reviewModel = 'gpt-4o';
-            console.log(`[AI] High value (€${amount.toLocaleString()}) — re-verifying with ${reviewModel}...`);
-            result2 = await analyseWithOpenAI(openaiKey, 'gpt-4o', pdfBase64, dispute);
-        }
+        const reviewer = await resolveProvider('dispute_review');
 
-        if (result2) {
+        if (reviewer) {
+            console.log(`[AI] High value (€${amount.toLocaleString()}) — reviewing with ${reviewer.provider}:${reviewer.model}...`);
+            const result2 = await analyseDispute(reviewer, prompt, pdf, text, dispute);
             const amount2 = parseFloat(result2.compensation_amount) || 0;
             if (Math.abs(amount - amount2) > 1) {
-                console.warn(`[AI] Dual-review mismatch for ${dispute.dr_no}: ${primaryModel}=€${amount}, ${reviewModel}=€${amount2}. Using ${reviewModel}.`);
+                console.warn(`[AI] Dual-review mismatch for ${dispute.dr_no}: ${primary.model}=€${amount}, ${reviewer.model}=€${amount2}. Using ${reviewer.model}, queued for review.`);
+                review = {
+                    reason: 'review_mismatch',
+                    details: `${primary.model} read €${amount}, ${reviewer.model} read €${amount2}`,
+                    reviewModel: reviewer.model,
+                    review: result2,
+                };
                 result = result2;
                 amount = amount2;
+                modelUsed = reviewer.model;
             }
         }
     }
 
-    return {
+    // Uncertain amounts ("Refer to Order") and model disagreements go to a person
+    if (!review && result._uncertain) {
+        review = {
+            reason: result._uncertain,
+            details: result.claimed_compensation_amount != null ? `Model read €${result.claimed_compensation_amount}` : null,
+        };
+    }
+    if (review && dispute.id) {
+        await queueForReview(createServiceClient(), dispute.id, { ...review, primaryModel: primary.model, primary: first });
+    }
+
+    return toDisputeUpdate({ ...result, compensation_amount: amount }, { model: modelUsed, promptVersion: prompt.version, pages });
+}
+
+/**
+ * Map a rules or LLM result onto the disputes columns, with the provenance of each value
+ * @param {Object} source - { model, promptVersion, pages }
+ */
+function toDisputeUpdate(result, source) {
+    const update = {
         ai_summary: result.summary || null,
         ai_outcome: result.outcome || null,
-        ai_compensation_amount: result._uncertain ? null : amount,
+        ai_compensation_amount: result._uncertain ? null : parseFloat(result.compensation_amount) || 0,
         ai_cost_order: parseFloat(result.cost_order) || 0,
         ai_property_address: result.property_address || null,
         ai_dispute_type: result.dispute_type || null,
+        ai_award_items: Array.isArray(result.award_items) ? result.award_items : null,
+        ai_amount_quote: result.amount_quote || null,
+        ai_model_used: source.model,
+        ai_prompt_version: source.promptVersion,
         ai_processed_at: new Date().toISOString(),
         ai_error: null,
     };
+    update.ai_provenance = buildProvenance(result, update, source);
+    return update;
+}
+
+// ============================================
+// EVALUATION (no rules, no review, nothing stored)
+// ============================================
+
+/**
+ * Analyse a dispute with a given prompt version and provider, for comparing
+ * against the gold set (lib/prompt-eval.js). Writes nothing.
+ * @param {Object} options - { promptVersion, providerChoice } — "provider:model", default per admin settings
+ * @returns {Object} { result, model, promptVersion }
+ */
+export async function analyseDisputeForEval(dispute, { promptVersion = null, providerChoice = null } = {}) {
+    const resolved = await resolveProvider('dispute_analysis', providerChoice);
+    if (!resolved) throw new Error('No AI API key configured');
+    const prompt = getPrompt('dispute', promptVersion);
+
+    const pdf = await downloadDisputePdf(dispute);
+    let text = null;
+    if (resolved.needsText) {
+        text = (await extractPdfText(pdf.buffer)).text || null;
+    }
+
+    const result = await analyseDispute(resolved, prompt, pdf, text, dispute);
+    return { result, model: `${resolved.provider}:${resolved.model}`, promptVersion: prompt.version };
 }
 
 // ============================================
@@ -345,10 +447,8 @@ export async function processDispute(dispute) {
 export async function processUnanalysedDisputes(limit = 10, onProgress) {
     const supabase = createServiceClient();
 
-    // Check at least one API key exists
-    const geminiKey = await getGeminiApiKey();
-    const openaiKey = await getOpenAIApiKey();
-    if (!geminiKey && !openaiKey) {
+    // Check a provider is configured
+    if (!await resolveProvider('dispute_analysis')) {
         return { processed: 0, failed: 0, skipped: 0, error: 'No AI API key configured' };
     }
 
@@ -453,120 +553,38 @@ export async function processUnanalysedDisputes(limit = 10, onProgress) {
 // ENFORCEMENT ORDER AI PROCESSING
 // ============================================
 
-const ENFORCEMENT_SYSTEM_PROMPT = `You are an expert legal analyst specialising in Irish residential tenancy law.
-You analyse RTB (Residential Tenancies Board) Court Enforcement Orders and extract key information.
-These are court orders enforcing previous RTB determinations — they carry the weight of a court judgment.
-
-CRITICAL RULES FOR ACCURACY:
-- When extracting monetary amounts, copy the EXACT numbers from the document. Do NOT round, estimate, or add/drop digits.
-- WATCH OUT for double currency symbols: "€€8,282" means €8,282. The extra € is a PDF formatting artifact.
-- If you are uncertain about an amount, set compensation_amount to 0 and set amount_confident to false.
-- It is BETTER to return 0 than to return a wrong number.
-- Always respond in valid JSON format only, with no additional text.`;
-
-function getEnforcementAnalysisPrompt(orderInfo) {
-    return `Analyse this RTB Court Enforcement Order and extract the following information.
-Return a JSON object with these exact keys:
-
-- "summary": A concise 2-3 sentence summary of what was enforced and the court's order
-- "outcome": One of: "Enforcement Order Granted", "Partially Granted", "Dismissed", "Withdrawn", "Settled", "Adjourned", "Other"
-- "compensation_amount": The total monetary amount ordered by the court in euros as a numeric value (e.g. 7697.47, NOT 769747). Use a decimal point for cents. Set to 0 if none or if the order is non-monetary. Copy amounts EXACTLY as written. If unsure, set to 0.
-- "amount_confident": true if you are highly confident the amount is correct, false if any doubt
-- "cost_order": Any separate cost order amount in euros (0 if none)
-- "property_address": The property address if mentioned (null if not found)
-- "dispute_type": The category of the underlying dispute, e.g. "Rent Arrears", "Deposit Retention", "Overholding", "Breach of Obligations", "Invalid Notice of Termination", "Anti-Social Behaviour", "Other"
-- "original_determination_summary": Brief note on what the original RTB determination ordered (if mentioned)
-- "enforcement_details": Key details about the enforcement, e.g. whether the respondent appeared, any payment plans, etc.
-- "award_items": Array of individual amounts ordered, each with {"description": "...", "amount": number}
-
-Court Reference: ${orderInfo.court_ref_no || 'Unknown'}
-PRTB/DR Number: ${orderInfo.prtb_no || 'Unknown'}
-Parties: ${orderInfo.heading || 'Unknown'}
-Subject: ${orderInfo.subject || 'Unknown'}
-
-Read the document carefully. These are court orders, not RTB determinations — focus on what the court ordered.`;
-}
-
 /**
  * Process a single enforcement order's PDF with AI
  */
 export async function processEnforcementOrder(order) {
-    const geminiKey = await getGeminiApiKey();
-    const openaiKey = await getOpenAIApiKey();
-
-    if (!geminiKey && !openaiKey) {
-        throw new Error('No AI API key configured.');
-    }
+    const provider = await requireProvider('enforcement_analysis');
+    const prompt = promptForSetting('enforcement', await getSetting('prompt_version_enforcement'));
 
     if (!order.pdf_url) {
         throw new Error('No PDF URL available for this enforcement order');
     }
 
     // Download the PDF
-    let pdfBase64;
+    let pdfBuffer;
     try {
-        pdfBase64 = await downloadPdfFromUrl(order.pdf_url);
+        pdfBuffer = await downloadPdfFromUrl(order.pdf_url);
     } catch (err) {
         throw new Error(`Could not download PDF: ${err.message}`);
     }
 
-    // Analyse with AI
-    let result;
-    const prompt = ENFORCEMENT_SYSTEM_PROMPT + '\n\n' + getEnforcementAnalysisPrompt(order);
-
-    if (geminiKey) {
-        const genAI = new GoogleGenerativeAI(geminiKey);
-        const model = genAI.getGenerativeModel({
-            model: 'gemini-2.5-flash-lite',
-            generationConfig: {
-                temperature: 0,
-                responseMimeType: 'application/json',
-                maxOutputTokens: 1024,
-            },
-        });
-
-        const genResult = await model.generateContent([
-            prompt,
-            {
-                inlineData: {
-                    mimeType: 'application/pdf',
-                    data: pdfBase64,
-                },
-            },
-        ]);
-
-        const content = genResult.response.text();
-        if (!content) throw new Error('No response from Gemini');
-        result = JSON.parse(content);
-    } else {
-        const openai = new OpenAI({ apiKey: openaiKey });
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: ENFORCEMENT_SYSTEM_PROMPT },
-                {
-                    role: 'user',
-                    content: [
-                        { type: 'text', text: getEnforcementAnalysisPrompt(order) },
-                        {
-                            type: 'file',
-                            file: {
-                                filename: `${order.court_ref_no || 'enforcement'}.pdf`,
-                                file_data: `data:application/pdf;base64,${pdfBase64}`,
-                            },
-                        },
-                    ],
-                },
-            ],
-            temperature: 0,
-            max_tokens: 800,
-            response_format: { type: 'json_object' },
-        });
+    // Keep the text for full-text search before handing the PDF to the AI
+    const text = await readEnforcementText(order, pdfBuffer);
 
-        const content = completion.choices[0]?.message?.content;
-        if (!content) throw new Error('No response from OpenAI');
-        result = JSON.parse(content);
-    }
+    // Analyse with AI
+    const result = await generateValidated(provider, {
+        system: prompt.system,
+        prompt: prompt.user(order),
+        pdfBase64: pdfBuffer.toString('base64'),
+        filename: `${order.court_ref_no || 'enforcement'}.pdf`,
+        text,
+        reference: order.court_ref_no,
+        maxTokens: MAX_OUTPUT_TOKENS,
+    }, prompt.schema);
 
     // Post-process confidence
     if (result.amount_confident === false) {
@@ -597,6 +615,8 @@ export async function processEnforcementOrder(order) {
         ai_cost_order: Math.round(parseFloat(result.cost_order) || 0),
         ai_property_address: result.property_address || null,
         ai_dispute_type: result.dispute_type || null,
+        ai_model_used: provider.model,
+        ai_prompt_version: prompt.version,
         ai_processed_at: new Date().toISOString(),
         ai_error: null,
     };
@@ -608,9 +628,7 @@ export async function processEnforcementOrder(order) {
 export async function processUnanalysedEnforcementOrders(limit = 10) {
     const supabase = createServiceClient();
 
-    const geminiKey = await getGeminiApiKey();
-    const openaiKey = await getOpenAIApiKey();
-    if (!geminiKey && !openaiKey) {
+    if (!await resolveProvider('enforcement_analysis')) {
         return { processed: 0, failed: 0, skipped: 0, error: 'No AI API key configured' };
     }
 
@@ -0,0 +1,256 @@
+/**
+ * Scrape page failures and listing coverage
+ * A FacetWP page the crawler still cannot fetch after its retries is recorded
+ * in scrape_page_failures and the sync moves on. A later sync that fetches the
+ * same records (every page they now span) resolves it, and a gap-fill job
+ * (scrape_jobs.mode = 'gaps') re-fetches just the failed pages.
+ *
+ * Page numbers drift: the listing is newest-first, so every dispute RTB
+ * publishes pushes older records further down. Each failure keeps the listing
+ * size it failed at, and currentPageRange() maps it to today's page numbers.
+ */
+
+/**
+ * Pages that hold a failed page's records now
+ * @param {Object} failure - scrape_page_failures row
+ * @param {number} totalRows - current listing size
+ * @returns {Array<number>} [first, last] page
+ */
+export function currentPageRange(failure, totalRows) {
+    const perPage = failure.per_page;
+    if (!perPage || !failure.total_rows || !totalRows) return [failure.page, failure.page];
+
+    const shift = totalRows - failure.total_rows;
+    const firstRow = Math.max(0, (failure.page - 1) * perPage + shift);
+    const lastRow = Math.max(firstRow, failure.page * perPage - 1 + shift);
+
+    return [Math.floor(firstRow / perPage) + 1, Math.floor(lastRow / perPage) + 1];
+}
+
+/**
+ * Record a page the scraper yielded with `failed: true`
+ * @param {string} sourceType - "disputes" or "enforcement"
+ * @param {Object} batch - { page, error, totalResults, perPage }
+ * @param {string} [jobId]
+ */
+export async function recordPageFailure(supabase, sourceType, batch, jobId = null) {
+    const now = new Date().toISOString();
+
+    const { data: existing } = await supabase
+        .from('scrape_page_failures')
+        .select('id, attempts')
+        .eq('source_type', sourceType)
+        .eq('page', batch.page)
+        .is('resolved_at', null)
+        .limit(1)
+        .single();
+
+    const fields = {
+        error: batch.error,
+        total_rows: batch.totalResults || null,
+        per_page: batch.perPage || null,
+        scrape_job_id: jobId,
+        last_failed_at: now,
+    };
+
+    const { error } = existing
+        ? await supabase
+            .from('scrape_page_failures')
+            .update({ ...fields, attempts: (existing.attempts || 1) + 1 })
+            .eq('id', existing.id)
+        : await supabase
+            .from('scrape_page_failures')
+            .insert({ source_type: sourceType, page: batch.page, ...fields });
+
+    if (error) {
+        console.error(`[PageFailures] Could not record failed ${sourceType} page ${batch.page}:`, error.message);
+        return;
+    }
+
+    console.warn(`[PageFailures] ${sourceType} page ${batch.page} failed and was recorded: ${batch.error}`);
+}
+
+/**
+ * Add a page to the job's fetched_pages and return them all
+ * @returns {Set<number>} pages the job has fetched so far, across its slices
+ */
+async function markPageFetched(supabase, jobId, page) {
+    const { data: job } = await supabase
+        .from('scrape_jobs')
+        .select('fetched_pages')
+        .eq('id', jobId)
+        .single();
+
+    const fetched = new Set(job?.fetched_pages || []);
+    if (fetched.has(page)) return fetched;
+    fetched.add(page);
+
+    const { error } = await supabase
+        .from('scrape_jobs')
+        .update({ fetched_pages: [...fetched].sort((a, b) => a - b) })
+        .eq('id', jobId);
+    if (error) {
+        console.error(`[PageFailures] Could not record page ${page} as fetched:`, error.message);
+    }
+    return fetched;
+}
+
+/**
+ * Resolve failures whose records have all been fetched again. A failure can
+ * span two of today's pages, so it is only resolved once the job has fetched
+ * every page in its range — without a job, only when the range is this page.
+ * @param {Object} batch - a successful batch: { page, totalResults }
+ */
+export async function resolvePageFailures(supabase, sourceType, batch, jobId = null) {
+    const fetched = jobId ? await markPageFetched(supabase, jobId, batch.page) : new Set([batch.page]);
+
+    const { data: open } = await supabase
+        .from('scrape_page_failures')
+        .select('id, page, total_rows, per_page')
+        .eq('source_type', sourceType)
+        .is('resolved_at', null);
+
+    const covered = (open || [])
+        .filter(failure => {
+            const [first, last] = currentPageRange(failure, batch.totalResults);
+            if (batch.page < first || batch.page > last) return false;
+            for (let page = first; page <= last; page++) {
+                if (!fetched.has(page)) return false;
+            }
+            return true;
+        })
+        .map(failure => failure.id);
+
+    if (covered.length === 0) return;
+
+    const { error } = await supabase
+        .from('scrape_page_failures')
+        .update({ resolved_at: new Date().toISOString(), resolved_by_job_id: jobId })
+        .in('id', covered);
+
+    if (error) {
+        console.error(`[PageFailures] Could not resolve ${sourceType} page failures:`, error.message);
+    }
+}
+
+/**
+ * Collapse page ranges into sorted, non-overlapping ranges
+ * @param {Array<Array<number>>} ranges - [[first, last], ...]
+ */
+function mergeRanges(ranges) {
+    const sorted = ranges
+        .filter(([first, last]) => first <= last)
+        .sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const [first, last] of sorted) {
+        const previous = merged[merged.length - 1];
+        if (previous && first <= previous[1] + 1) {
+            previous[1] = Math.max(previous[1], last);
+        } else {
+            merged.push([first, last]);
+        }
+    }
+    return merged;
+}
+
+/**
+ * Current listing size and page count, from the newest job that got a page
+ */
+async function currentListing(supabase, sourceType) {
+    const { data: job } = await supabase
+        .from('scrape_jobs')
+        .select('total_pages, cursor')
+        .eq('source_type', sourceType)
+        .not('cursor', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .single();
+
+    return {
+        totalPages: job?.total_pages || 0,
+        totalRows: job?.cursor?.total_rows || 0,
+    };
+}
+
+/**
+ * Pages a gap-fill job should fetch to recover every unresolved failure
+ * @returns {Object} { pages, failures, totalPages }
+ */
+export async function gapFillPages(supabase, sourceType) {
+    const [{ totalPages, totalRows }, { data: failures, error }] = await Promise.all([
+        currentListing(supabase, sourceType),
+        supabase
+            .from('scrape_page_failures')
+            .select('id, page, total_rows, per_page')
+            .eq('source_type', sourceType)
+            .is('resolved_at', null),
+    ]);
+
+    if (error) throw error;
+
+    const pages = new Set();
+    for (const [first, last] of mergeRanges((failures || []).map(f => currentPageRange(f, totalRows)))) {
+        for (let page = first; page <= last; page++) {
+            if (!totalPages || page <= totalPages) pages.add(page);
+        }
+    }
+
+    return { pages: [...pages].sort((a, b) => a - b), failures: failures?.length || 0, totalPages };
+}
+
+/**
+ * Which page ranges of the listing have never been fetched successfully:
+ * unresolved failures, plus anything past the point the last full sync reached
+ * @returns {Object} { source_type, total_pages, total_rows, last_full_sync,
+ *   failed_ranges, unresolved_failures, unreached, missing_pages, complete }
+ */
+export async function coverageReport(supabase, sourceType) {
+    const { totalPages, totalRows } = await currentListing(supabase, sourceType);
+
+    const { data: failures, error } = await supabase
+        .from('scrape_page_failures')
+        .select('page, total_rows, per_page, error, attempts, last_failed_at')
+        .eq('source_type', sourceType)
+        .is('resolved_at', null);
+
+    if (error) throw error;
+
+    // Enforcement jobs predate sync modes — a null mode is a full walk
+    const { data: lastFull } = await supabase
+        .from('scrape_jobs')
+        .select('id, status, mode, cursor, total_pages, completed_at, created_at')
+        .eq('source_type', sourceType)
+        .or('mode.is.null,mode.eq.full')
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .single();
+
+    const failedRanges = mergeRanges((failures || []).map(f => currentPageRange(f, totalRows)))
+        .map(([from, to]) => ({ from, to }));
+
+    let unreached = null;
+    if (totalPages && lastFull?.status !== 'completed') {
+        const reached = lastFull?.cursor?.page || 0;
+        if (reached < totalPages) unreached = { from: reached + 1, to: totalPages };
+    }
+
+    const missingPages = mergeRanges([
+        ...failedRanges.map(r => [r.from, r.to]),
+        ...(unreached ? [[unreached.from, unreached.to]] : []),
+    ]).reduce((sum, [from, to]) => sum + (to - from + 1), 0);
+
+    return {
+        source_type: sourceType,
+        total_pages: totalPages,
+        total_rows: totalRows,
+        last_full_sync: lastFull
+            ? { id: lastFull.id, status: lastFull.status, reached_page: lastFull.cursor?.page || 0, completed_at: lastFull.completed_at }
+            : null,
+        failed_ranges: failedRanges,
+        unresolved_failures: failures?.length || 0,
+        unreached,
+        missing_pages: missingPages,
+        complete: totalPages > 0 && missingPages === 0,
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * Parse failure quarantine
+ * Records scraped rows whose headings could not be parsed into the parse_failures
+ * table, so they can be reviewed instead of landing as half-empty disputes.
+ */
+
+const REFERENCE_FIELD = {
+    disputes: 'dr_no',
+    enforcement: 'court_ref_no',
+};
+
+/**
+ * Upsert a batch of quarantined records (from the scrapers' `failures` array)
+ * @param {Object} supabase - service client
+ * @param {string} sourceType - "disputes" or "enforcement"
+ * @param {Array} failures - parsed records carrying a non-empty `parse_issues` array
+ * @param {number} page - FacetWP page the records came from
+ * @returns {number} rows recorded
+ */
+export async function recordParseFailures(supabase, sourceType, failures, page) {
+    if (!failures || failures.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    const rows = new Map();
+
+    for (const record of failures) {
+        const { raw_html: rawHtml, parse_issues: issues, ...parsed } = record;
+        const referenceNo = record[REFERENCE_FIELD[sourceType]] || '';
+        const heading = record.heading || '';
+
+        // Same key twice in one upsert is rejected by Postgres — keep the last
+        rows.set(`${referenceNo}|${heading}`, {
+            source_type: sourceType,
+            reference_no: referenceNo,
+            heading,
+            issues,
+            parsed,
+            raw_html: rawHtml,
+            source_page: page,
+            last_seen_at: now,
+            resolved_at: null,
+        });
+    }
+
+    const { error } = await supabase
+        .from('parse_failures')
+        .upsert([...rows.values()], { onConflict: 'source_type,reference_no,heading' });
+
+    if (error) {
+        console.error(`[ParseFailures] Could not record ${rows.size} ${sourceType} failures:`, error.message);
+        return 0;
+    }
+
+    console.warn(`[ParseFailures] Quarantined ${rows.size} unparseable ${sourceType} record(s) from page ${page}`);
+    return rows.size;
+}
+
+/**
+ * Mark earlier failures as resolved once the same records parse cleanly
+ * @param {Array} results - clean records from the same batch
+ */
+export async function resolveParseFailures(supabase, sourceType, results) {
+    const refs = (results || [])
+        .map(r => r[REFERENCE_FIELD[sourceType]])
+        .filter(Boolean);
+    if (refs.length === 0) return;
+
+    const { error } = await supabase
+        .from('parse_failures')
+        .update({ resolved_at: new Date().toISOString() })
+        .eq('source_type', sourceType)
+        .in('reference_no', refs)
+        .is('resolved_at', null);
+
+    if (error) {
+        console.error(`[ParseFailures] Could not resolve ${sourceType} failures:`, error.message);
+    }
+}
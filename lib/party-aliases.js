@@ -0,0 +1,135 @@
+/**
+ * Party Aliases
+ * Other names a party is known by — trading names, maiden names, a company's
+ * former name. The scrapers resolve a name through party_aliases before
+ * creating a new party, so a landlord operating under several names gathers
+ * all its disputes on one profile, and party searches match aliases too.
+ *
+ * Aliases are keyed by normalizeName(), like parties.normalized_name. A name
+ * can't be an alias while it is another party's own name — merge the two
+ * instead (lib/party-merge.js, which also records a merged party's name as an
+ * alias of the party kept).
+ */
+
+import { normalizeName } from './normalize-name.js';
+
+/**
+ * The party a normalised name is an alias of
+ * @returns {string|null} party id — null when it isn't an alias (or aliases aren't set up)
+ */
+export async function partyIdForAlias(supabase, normalized) {
+    if (!normalized) return null;
+    const { data, error } = await supabase
+        .from('party_aliases')
+        .select('party_id')
+        .eq('normalized_alias', normalized)
+        .maybeSingle();
+    if (error) return null;
+    return data?.party_id || null;
+}
+
+/**
+ * Parties with an alias containing the search text, for name searches
+ * @returns {string[]} party ids
+ */
+export async function partyIdsMatchingAlias(supabase, search, limit = 200) {
+    if (!search) return [];
+    const { data, error } = await supabase
+        .from('party_aliases')
+        .select('party_id')
+        .ilike('alias', `%${search}%`)
+        .limit(limit);
+    if (error) return [];
+    return [...new Set((data || []).map(a => a.party_id))];
+}
+
+/**
+ * PostgREST .or() filter: party name contains the search text, or the party
+ * is one of aliasIds. The text is double-quoted (with " and \ escaped) so
+ * commas, dots and parentheses in a search can't alter the filter.
+ */
+export function nameOrAliasFilter(search, aliasIds) {
+    const escaped = search.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    return `name.ilike."%${escaped}%",id.in.(${aliasIds.join(',')})`;
+}
+
+/**
+ * Aliases of several parties at once
+ * @returns {Map} party id → [alias, ...]
+ */
+export async function aliasesForParties(supabase, partyIds) {
+    const byParty = new Map();
+    if (partyIds.length === 0) return byParty;
+    const { data, error } = await supabase
+        .from('party_aliases')
+        .select('party_id, alias')
+        .in('party_id', partyIds)
+        .order('alias', { ascending: true });
+    if (error) return byParty;
+    for (const row of data || []) {
+        if (!byParty.has(row.party_id)) byParty.set(row.party_id, []);
+        byParty.get(row.party_id).push(row.alias);
+    }
+    return byParty;
+}
+
+/**
+ * Record another name for a party
+ * @param {Object} options - { source ("manual" or "merge"), note }
+ * @returns {Object} the party_aliases row (the existing one if the party already has it)
+ */
+export async function addAlias(supabase, partyId, alias, { source = 'manual', note = null } = {}) {
+    const name = (alias || '').trim();
+    const normalized = normalizeName(name);
+    if (!normalized) throw new Error('Enter the other name the party is known by');
+
+    const { data: party, error } = await supabase
+        .from('parties')
+        .select('id, name, normalized_name')
+        .eq('id', partyId)
+        .maybeSingle();
+    if (error) throw error;
+    if (!party) throw new Error('Party not found');
+    if (party.normalized_name === normalized) throw new Error(`"${name}" is already this party's name`);
+
+    const { data: other } = await supabase
+        .from('parties')
+        .select('id, name')
+        .eq('normalized_name', normalized)
+        .maybeSingle();
+    if (other) throw new Error(`"${other.name}" is a separate party — merge it into "${party.name}" instead`);
+
+    const { data: existing } = await supabase
+        .from('party_aliases')
+        .select('*, parties(name)')
+        .eq('normalized_alias', normalized)
+        .maybeSingle();
+    if (existing) {
+        if (existing.party_id === partyId) return existing;
+        throw new Error(`"${name}" is already an alias of "${existing.parties?.name || 'another party'}"`);
+    }
+
+    const { data: inserted, error: insertError } = await supabase
+        .from('party_aliases')
+        .insert({ party_id: partyId, alias: name, normalized_alias: normalized, source, note })
+        .select('*')
+        .single();
+    if (insertError) throw insertError;
+
+    console.log(`[PartyAliases] "${name}" → "${party.name}"`);
+    return inserted;
+}
+
+/**
+ * Remove one of a party's aliases
+ */
+export async function removeAlias(supabase, partyId, aliasId) {
+    const { data, error } = await supabase
+        .from('party_aliases')
+        .delete()
+        .eq('id', aliasId)
+        .eq('party_id', partyId)
+        .select('id');
+    if (error) throw error;
+    if (!data || data.length === 0) throw new Error('Alias not found');
+}
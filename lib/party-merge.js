@@ -0,0 +1,542 @@
+/**
+ * Party Merge & Split
+ * Fixes duplicate parties from the admin panel, and keeps every fix undoable.
+ *
+ *   merge  re-point the duplicates' dispute_parties and enforcement_parties
+ *          links to the canonical party, then delete the duplicates
+ *   split  move chosen links off a wrongly merged party, onto another party
+ *          or a new one
+ *
+ * A link the receiving party already has (same dispute or order, same role)
+ * is dropped rather than moved. Each operation is written to party_merge_log
+ * with a snapshot of the deleted parties and of every link it moved or
+ * dropped, so undoOperation() can put them back with their original ids.
+ * Counts and award totals are recomputed after every change.
+ *
+ * A merged party's name is kept as an alias of the party kept
+ * (lib/party-aliases.js), so the scrapers don't create it again.
+ *
+ * Used by /api/admin/party-merges and scripts/merge-parties.mjs.
+ */
+
+import { normalizeName } from './normalize-name.js';
+
+const LINK_TABLES = {
+    dispute_links: { table: 'dispute_parties', recordColumn: 'dispute_id' },
+    enforcement_links: { table: 'enforcement_parties', recordColumn: 'enforcement_order_id' },
+};
+
+const PAGE_SIZE = 1000;
+
+// Ids per .in() filter — keeps the request URL short
+const ID_BATCH = 200;
+
+function chunks(list, size) {
+    const result = [];
+    for (let i = 0; i < list.length; i += size) result.push(list.slice(i, i + size));
+    return result;
+}
+
+/**
+ * Every link of these parties in one join table, paged by id
+ */
+async function loadLinks(supabase, kind, partyIds) {
+    const { table, recordColumn } = LINK_TABLES[kind];
+    const links = [];
+    let lastId = null;
+    while (true) {
+        let query = supabase
+            .from(table)
+            .select(`id, ${recordColumn}, party_id, role, party_type`)
+            .in('party_id', partyIds)
+            .order('id', { ascending: true })
+            .limit(PAGE_SIZE);
+        if (lastId) query = query.gt('id', lastId);
+
+        const { data, error } = await query;
+        if (error) throw error;
+        if (!data || data.length === 0) break;
+        links.push(...data);
+        lastId = data[data.length - 1].id;
+        if (data.length < PAGE_SIZE) break;
+    }
+    return links;
+}
+
+/**
+ * Which links can move to the target and which must be dropped — the target
+ * may already have the same record and role, which the unique key forbids
+ * @param {Set} taken - "<record id>|<role>" keys the target already holds; updated as links are planned
+ * @returns {Object[]} the links as they are now, each with outcome "moved" or "dropped"
+ */
+function planMove(kind, links, taken) {
+    const { recordColumn } = LINK_TABLES[kind];
+    return links.map((link) => {
+        const key = `${link[recordColumn]}|${link.role}`;
+        if (taken.has(key)) return { ...link, outcome: 'dropped' };
+        taken.add(key);
+        return { ...link, outcome: 'moved' };
+    });
+}
+
+async function applyMove(supabase, kind, planned, targetId) {
+    const { table } = LINK_TABLES[kind];
+    const ids = outcome => planned.filter(l => l.outcome === outcome).map(l => l.id);
+
+    for (const batch of chunks(ids('moved'), ID_BATCH)) {
+        const { error } = await supabase.from(table).update({ party_id: targetId }).in('id', batch);
+        if (error) throw error;
+    }
+    for (const batch of chunks(ids('dropped'), ID_BATCH)) {
+        const { error } = await supabase.from(table).delete().in('id', batch);
+        if (error) throw error;
+    }
+}
+
+/**
+ * Put links back the way a snapshot recorded them: moved links return to
+ * their original party, dropped links are inserted again
+ * @param {string} fromPartyId - the party the links were moved to
+ */
+async function restoreLinks(supabase, kind, links, fromPartyId) {
+    const { table, recordColumn } = LINK_TABLES[kind];
+
+    const movedByParty = new Map();
+    for (const link of links.filter(l => l.outcome === 'moved')) {
+        if (!movedByParty.has(link.party_id)) movedByParty.set(link.party_id, []);
+        movedByParty.get(link.party_id).push(link.id);
+    }
+    for (const [partyId, ids] of movedByParty) {
+        for (const batch of chunks(ids, ID_BATCH)) {
+            // Only links still on the receiving party — anything deleted or re-pointed since stays as it is
+            const { error } = await supabase
+                .from(table)
+                .update({ party_id: partyId })
+                .in('id', batch)
+                .eq('party_id', fromPartyId);
+            if (error) throw error;
+        }
+    }
+
+    // One at a time: a dispute or order deleted since the merge can't be linked again
+    for (const link of links.filter(l => l.outcome === 'dropped')) {
+        const { error } = await supabase
+            .from(table)
+            .upsert({
+                id: link.id,
+                [recordColumn]: link[recordColumn],
+                party_id: link.party_id,
+                role: link.role,
+                party_type: link.party_type,
+            }, { onConflict: 'id', ignoreDuplicates: true });
+        if (error) console.warn(`[PartyMerge] Could not restore ${table} link ${link.id}:`, error.message);
+    }
+}
+
+/**
+ * Recount disputes and enforcement orders for each party, the way the
+ * scrapers do — the same date and primary DR number is one case
+ */
+export async function recomputePartyCounts(supabase, partyIds) {
+    for (const partyId of partyIds) {
+        const { data: disputeLinks } = await supabase
+            .from('dispute_parties')
+            .select('role, disputes(dispute_date, dr_no)')
+            .eq('party_id', partyId);
+
+        const { data: enforcementLinks } = await supabase
+            .from('enforcement_parties')
+            .select('role, enforcement_orders(order_date, court_ref_no)')
+            .eq('party_id', partyId);
+
+        const seen = new Set();
+        let totalCases = 0;
+        let asApplicant = 0;
+        let asRespondent = 0;
+
+        for (const link of (disputeLinks || [])) {
+            const d = link.disputes;
+            if (!d) continue;
+            const primaryDR = (d.dr_no || '').split(/\s+/)[0] || 'unknown';
+            const caseKey = 'D|' + (d.dispute_date || 'no-date') + '|' + primaryDR;
+            if (!seen.has(caseKey)) { seen.add(caseKey); totalCases++; }
+            const roleKey = caseKey + '|' + link.role;
+            if (link.role === 'Applicant' && !seen.has(roleKey)) { seen.add(roleKey); asApplicant++; }
+            if (link.role === 'Respondent' && !seen.has(roleKey)) { seen.add(roleKey); asRespondent++; }
+        }
+
+        let enforcementCount = 0;
+        for (const link of (enforcementLinks || [])) {
+            const eo = link.enforcement_orders;
+            if (!eo) continue;
+            const caseKey = 'E|' + (eo.court_ref_no || eo.order_date || 'unknown');
+            if (!seen.has(caseKey)) { seen.add(caseKey); totalCases++; enforcementCount++; }
+            const roleKey = caseKey + '|' + link.role;
+            if (link.role === 'Applicant' && !seen.has(roleKey)) { seen.add(roleKey); asApplicant++; }
+            if (link.role === 'Respondent' && !seen.has(roleKey)) { seen.add(roleKey); asRespondent++; }
+        }
+
+        const { error } = await supabase
+            .from('parties')
+            .update({
+                total_disputes: totalCases,
+                total_as_applicant: asApplicant,
+                total_as_respondent: asRespondent,
+                total_enforcement_orders: enforcementCount,
+            })
+            .eq('id', partyId);
+        if (error) throw error;
+    }
+}
+
+/**
+ * Counts for the parties touched, then award totals (recompute_party_awards()
+ * covers every party in one statement)
+ */
+async function recomputeParties(supabase, partyIds) {
+    await recomputePartyCounts(supabase, partyIds);
+    const { error } = await supabase.rpc('recompute_party_awards');
+    if (error) throw error;
+}
+
+async function loadParty(supabase, id) {
+    const { data, error } = await supabase
+        .from('parties')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+function sideLinks(snapshot) {
+    return Object.keys(LINK_TABLES).map(kind => [kind, snapshot[kind] || []]);
+}
+
+/**
+ * Merge duplicates into a canonical party
+ * @param {string[]} duplicateIds - parties to fold in and delete
+ * @param {Object} options - { note, matchId } — matchId is the party_match_candidates pair that prompted it
+ * @returns {Object} the party_merge_log entry
+ */
+export async function mergeParties(supabase, canonicalId, duplicateIds, { note = null, matchId = null } = {}) {
+    const ids = [...new Set(duplicateIds)].filter(id => id && id !== canonicalId);
+    if (ids.length === 0) throw new Error('Choose at least one other party to merge');
+
+    const { data: parties, error } = await supabase
+        .from('parties')
+        .select('*')
+        .in('id', [canonicalId, ...ids]);
+    if (error) throw error;
+
+    const canonical = (parties || []).find(p => p.id === canonicalId);
+    if (!canonical) throw new Error('The party to keep no longer exists');
+    const duplicates = parties.filter(p => p.id !== canonicalId);
+    if (duplicates.length !== ids.length) throw new Error('Some of the parties to merge no longer exist — reload and try again');
+
+    // Deleting the duplicates cascades to their candidate pairs — kept so undo can bring them back
+    const { data: matches, error: matchError } = await supabase
+        .from('party_match_candidates')
+        .select('*')
+        .or(`party_a_id.in.(${ids.join(',')}),party_b_id.in.(${ids.join(',')})`);
+    if (matchError) throw matchError;
+
+    // The duplicates' own aliases move to the canonical party with their links
+    const { data: aliases, error: aliasError } = await supabase
+        .from('party_aliases')
+        .select('*')
+        .in('party_id', ids);
+    if (aliasError) throw aliasError;
+
+    const snapshot = { parties: duplicates, match_candidates: matches || [], aliases: aliases || [] };
+    for (const kind of Object.keys(LINK_TABLES)) {
+        const { recordColumn } = LINK_TABLES[kind];
+        const taken = new Set((await loadLinks(supabase, kind, [canonicalId])).map(l => `${l[recordColumn]}|${l.role}`));
+        snapshot[kind] = planMove(kind, await loadLinks(supabase, kind, ids), taken);
+    }
+
+    // Logged before anything changes, so a merge that fails part way can still be undone
+    const { data: entry, error: logError } = await supabase
+        .from('party_merge_log')
+        .insert({
+            action: 'merge',
+            party_id: canonicalId,
+            party_name: canonical.name,
+            other_party_ids: ids,
+            other_party_names: duplicates.map(p => p.name),
+            snapshot,
+            note,
+            match_id: matchId,
+        })
+        .select('*')
+        .single();
+    if (logError) throw logError;
+
+    for (const kind of Object.keys(LINK_TABLES)) {
+        await applyMove(supabase, kind, snapshot[kind], canonicalId);
+    }
+
+    if (snapshot.aliases.length > 0) {
+        const { error: moveError } = await supabase
+            .from('party_aliases')
+            .update({ party_id: canonicalId })
+            .in('id', snapshot.aliases.map(a => a.id));
+        if (moveError) throw moveError;
+    }
+
+    const { error: deleteError } = await supabase.from('parties').delete().in('id', ids);
+    if (deleteError) throw deleteError;
+
+    // The duplicates' names become aliases, so scraping them again finds the canonical party
+    const { error: nameError } = await supabase
+        .from('party_aliases')
+        .upsert(duplicates.filter(p => p.normalized_name !== canonical.normalized_name).map(p => ({
+            party_id: canonicalId,
+            alias: p.name,
+            normalized_alias: p.normalized_name,
+            source: 'merge',
+        })), { onConflict: 'normalized_alias', ignoreDuplicates: true });
+    if (nameError) throw nameError;
+
+    await recomputeParties(supabase, [canonicalId]);
+
+    const moved = snapshot.dispute_links.length + snapshot.enforcement_links.length;
+    console.log(`[PartyMerge] Merged ${ids.length} parties into "${canonical.name}" (${moved} links)`);
+    return entry;
+}
+
+/**
+ * Move some of a party's links to another party
+ * @param {Object} options - { targetPartyId } or { name } for the receiving party (an existing
+ *   party with that name or alias is used rather than a new one), disputeLinkIds and
+ *   enforcementLinkIds (dispute_parties / enforcement_parties ids), note
+ * @returns {Object} the party_merge_log entry
+ */
+export async function splitParty(supabase, partyId, { targetPartyId = null, name = null, disputeLinkIds = [], enforcementLinkIds = [], note = null } = {}) {
+    if (disputeLinkIds.length === 0 && enforcementLinkIds.length === 0) {
+        throw new Error('Choose at least one dispute or enforcement order to move');
+    }
+
+    const source = await loadParty(supabase, partyId);
+    if (!source) throw new Error('Party not found');
+
+    let target = null;
+    let created = false;
+    let removedAlias = null;
+    if (targetPartyId) {
+        if (targetPartyId === partyId) throw new Error('Choose a different party to move the links to');
+        target = await loadParty(supabase, targetPartyId);
+        if (!target) throw new Error('The party to move the links to no longer exists');
+    } else {
+        const normalized = normalizeName(name);
+        if (!normalized) throw new Error('Enter a name for the new party');
+        if (normalized === source.normalized_name) {
+            throw new Error(`"${name}" is the same name as the party being split — give the new party a different name`);
+        }
+
+        const { data: existing } = await supabase
+            .from('parties')
+            .select('*')
+            .eq('normalized_name', normalized)
+            .maybeSingle();
+        const { data: alias } = await supabase
+            .from('party_aliases')
+            .select('*')
+            .eq('normalized_alias', normalized)
+            .maybeSingle();
+
+        if (existing) {
+            target = existing;
+        } else if (alias && alias.party_id !== partyId) {
+            target = await loadParty(supabase, alias.party_id);
+        } else {
+            // Splitting off a name this party was also known by — it stops being an alias
+            removedAlias = alias || null;
+            const { data: inserted, error } = await supabase
+                .from('parties')
+                .insert({ name: name.trim(), normalized_name: normalized, party_type: source.party_type || 'Unknown' })
+                .select('*')
+                .single();
+            if (error) throw error;
+            target = inserted;
+            created = true;
+        }
+    }
+
+    const chosen = { dispute_links: disputeLinkIds, enforcement_links: enforcementLinkIds };
+    const snapshot = { created_party: created, removed_alias: removedAlias };
+    for (const kind of Object.keys(LINK_TABLES)) {
+        const { recordColumn } = LINK_TABLES[kind];
+        const wanted = new Set(chosen[kind]);
+        const links = wanted.size > 0
+            ? (await loadLinks(supabase, kind, [partyId])).filter(l => wanted.has(l.id))
+            : [];
+        const taken = new Set((await loadLinks(supabase, kind, [target.id])).map(l => `${l[recordColumn]}|${l.role}`));
+        snapshot[kind] = planMove(kind, links, taken);
+    }
+
+    const moved = snapshot.dispute_links.length + snapshot.enforcement_links.length;
+    if (moved === 0) {
+        if (created) await supabase.from('parties').delete().eq('id', target.id);
+        throw new Error('None of the chosen links belong to this party — reload and try again');
+    }
+
+    const { data: entry, error: logError } = await supabase
+        .from('party_merge_log')
+        .insert({
+            action: 'split',
+            party_id: partyId,
+            party_name: source.name,
+            other_party_ids: [target.id],
+            other_party_names: [target.name],
+            snapshot,
+            note,
+        })
+        .select('*')
+        .single();
+    if (logError) throw logError;
+
+    if (removedAlias) {
+        const { error: aliasError } = await supabase.from('party_aliases').delete().eq('id', removedAlias.id);
+        if (aliasError) throw aliasError;
+    }
+
+    for (const kind of Object.keys(LINK_TABLES)) {
+        await applyMove(supabase, kind, snapshot[kind], target.id);
+    }
+
+    await recomputeParties(supabase, [partyId, target.id]);
+
+    console.log(`[PartyMerge] Split ${moved} links from "${source.name}" to "${target.name}"${created ? ' (new party)' : ''}`);
+    return entry;
+}
+
+/**
+ * Reverse a merge or split from its log entry. Refused while a later
+ * operation on any of the same parties still stands — undo that one first.
+ * @returns {Object} the updated party_merge_log entry
+ */
+export async function undoOperation(supabase, logId) {
+    const { data: entry, error } = await supabase
+        .from('party_merge_log')
+        .select('*')
+        .eq('id', logId)
+        .maybeSingle();
+    if (error) throw error;
+    if (!entry) throw new Error('Log entry not found');
+    if (entry.undone_at) throw new Error('This change has already been undone');
+
+    const involved = [entry.party_id, ...(entry.other_party_ids || [])];
+    const { data: later, error: laterError } = await supabase
+        .from('party_merge_log')
+        .select('id, action, party_name, created_at')
+        .is('undone_at', null)
+        .gt('created_at', entry.created_at)
+        .or(`party_id.in.(${involved.join(',')}),other_party_ids.ov.{${involved.join(',')}}`)
+        .order('created_at', { ascending: false })
+        .limit(1);
+    if (laterError) throw laterError;
+    if (later && later.length > 0) {
+        throw new Error(`A later ${later[0].action} of "${later[0].party_name}" involves these parties — undo it first`);
+    }
+
+    const snapshot = entry.snapshot || {};
+    let recompute;
+
+    if (entry.action === 'merge') {
+        const parties = snapshot.parties || [];
+
+        // A scrape may have re-created a merged name as a new party since
+        const { data: clashes, error: clashError } = await supabase
+            .from('parties')
+            .select('id, name, normalized_name')
+            .in('normalized_name', parties.map(p => p.normalized_name));
+        if (clashError) throw clashError;
+        const clash = (clashes || []).find(c => !parties.some(p => p.id === c.id));
+        if (clash) {
+            throw new Error(`"${clash.name}" was added again after this merge — merge it into "${entry.party_name}" first, then undo both`);
+        }
+
+        // The merged names stop being aliases of the canonical party before they are parties again
+        const { error: aliasError } = await supabase
+            .from('party_aliases')
+            .delete()
+            .eq('party_id', entry.party_id)
+            .eq('source', 'merge')
+            .in('normalized_alias', parties.map(p => p.normalized_name));
+        if (aliasError) throw aliasError;
+
+        const { error: restoreError } = await supabase
+            .from('parties')
+            .upsert(parties, { onConflict: 'id', ignoreDuplicates: true });
+        if (restoreError) throw restoreError;
+
+        for (const alias of snapshot.aliases || []) {
+            const { error: moveError } = await supabase
+                .from('party_aliases')
+                .update({ party_id: alias.party_id })
+                .eq('id', alias.id)
+                .eq('party_id', entry.party_id);
+            if (moveError) throw moveError;
+        }
+
+        for (const [kind, links] of sideLinks(snapshot)) {
+            await restoreLinks(supabase, kind, links, entry.party_id);
+        }
+
+        for (const match of snapshot.match_candidates || []) {
+            const { error: matchError } = await supabase
+                .from('party_match_candidates')
+                .upsert(match, { onConflict: 'party_a_id,party_b_id', ignoreDuplicates: true });
+            if (matchError) console.warn(`[PartyMerge] Could not restore match ${match.id}:`, matchError.message);
+        }
+
+        recompute = involved;
+    } else {
+        const targetId = entry.other_party_ids[0];
+        const source = await loadParty(supabase, entry.party_id);
+        if (!source) throw new Error(`"${entry.party_name}" no longer exists`);
+
+        for (const [kind, links] of sideLinks(snapshot)) {
+            await restoreLinks(supabase, kind, links, targetId);
+        }
+
+        recompute = involved;
+
+        // A party the split created goes again, unless something has been linked to it since
+        if (snapshot.created_party) {
+            const remaining = await Promise.all(Object.keys(LINK_TABLES).map(async (kind) => {
+                const { count } = await supabase
+                    .from(LINK_TABLES[kind].table)
+                    .select('id', { count: 'exact', head: true })
+                    .eq('party_id', targetId);
+                return count || 0;
+            }));
+            if (remaining.every(n => n === 0)) {
+                const { error: deleteError } = await supabase.from('parties').delete().eq('id', targetId);
+                if (deleteError) throw deleteError;
+                recompute = [entry.party_id];
+
+                if (snapshot.removed_alias) {
+                    const { error: aliasError } = await supabase
+                        .from('party_aliases')
+                        .upsert(snapshot.removed_alias, { onConflict: 'normalized_alias', ignoreDuplicates: true });
+                    if (aliasError) throw aliasError;
+                }
+            }
+        }
+    }
+
+    const { data: updated, error: updateError } = await supabase
+        .from('party_merge_log')
+        .update({ undone_at: new Date().toISOString() })
+        .eq('id', entry.id)
+        .select('*')
+        .single();
+    if (updateError) throw updateError;
+
+    await recomputeParties(supabase, recompute);
+
+    console.log(`[PartyMerge] Undid ${entry.action} of "${entry.party_name}"`);
+    return updated;
+}
@@ -0,0 +1,151 @@
+/**
+ * PDF Text Extraction
+ * Pulls the text layer out of a determination or enforcement order PDF
+ * locally (pdf-parse), page by page, and keeps it in dispute_documents /
+ * enforcement_documents. The text is what the rule-based parser in
+ * lib/determination-parser.js reads before any LLM call, and what full-text
+ * search indexes (lib/fulltext-search.js).
+ *
+ * Scanned PDFs have no text layer — they come back with little or no text and
+ * are left to the LLM, which does its own OCR.
+ */
+
+import { createHash } from 'crypto';
+import pdfParse from 'pdf-parse/lib/pdf-parse.js';
+
+export const EXTRACTOR = 'pdf-parse';
+
+// Below this many characters per page (on average) the PDF is treated as scanned
+const MIN_CHARS_PER_PAGE = 200;
+
+/**
+ * Rebuild one page's text, breaking lines where the y position changes
+ * (the same approach as pdf-parse's own renderer)
+ */
+async function renderPage(pageData) {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY;
+    let text = '';
+    for (const item of content.items) {
+        if (lastY === undefined || lastY === item.transform[5]) {
+            text += item.str;
+        } else {
+            text += '\n' + item.str;
+        }
+        lastY = item.transform[5];
+    }
+    return text;
+}
+
+/**
+ * Extract text from a PDF buffer
+ * @param {Buffer} buffer
+ * @returns {Object} { text, pages, pageCount, hasTextLayer }
+ *   pages: text of each page, in order — page numbers are index + 1
+ */
+export async function extractPdfText(buffer) {
+    const pages = [];
+
+    const data = await pdfParse(buffer, {
+        pagerender: async (pageData) => {
+            const text = await renderPage(pageData);
+            pages[pageData.pageIndex] = text;
+            return text;
+        },
+    });
+
+    const cleaned = Array.from({ length: data.numpages }, (_, i) => normaliseText(pages[i] || ''));
+    const text = cleaned.join('\n\n');
+
+    return {
+        text,
+        pages: cleaned,
+        pageCount: data.numpages,
+        hasTextLayer: text.replace(/\s/g, '').length / Math.max(1, data.numpages) >= MIN_CHARS_PER_PAGE,
+    };
+}
+
+/**
+ * Tidy PDF text: unify whitespace and dashes, drop trailing spaces
+ */
+export function normaliseText(text) {
+    return text
+        .replace(/\u00a0/g, ' ')
+        .replace(/[\u2010-\u2014]/g, '-')
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/[\u201c\u201d]/g, '"')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Columns shared by dispute_documents and enforcement_documents
+ */
+function documentColumns(doc) {
+    const { extraction } = doc;
+    return {
+        source_key: doc.sourceKey,
+        sha256: createHash('sha256').update(doc.buffer).digest('hex'),
+        byte_size: doc.buffer.length,
+        page_count: extraction?.pageCount ?? null,
+        has_text_layer: extraction?.hasTextLayer ?? false,
+        text: extraction?.text ?? null,
+        pages: extraction?.pages ?? null,
+        extractor: EXTRACTOR,
+        extraction_error: doc.error || null,
+        extracted_at: new Date().toISOString(),
+    };
+}
+
+/**
+ * Store (or refresh) the extracted text for one of a dispute's PDFs
+ * @param {Object} doc - { source, sourceKey, buffer, extraction, parsed, error }
+ *   source: "s3" or "rtb"; sourceKey: the S3 key or URL
+ * @returns {Object|null} the dispute_documents row
+ */
+export async function saveDisputeDocument(supabase, disputeId, doc) {
+    const { parsed } = doc;
+
+    const { data, error } = await supabase
+        .from('dispute_documents')
+        .upsert({
+            dispute_id: disputeId,
+            source: doc.source,
+            ...documentColumns(doc),
+            order_text: parsed?.order_text ?? null,
+            parsed: parsed || null,
+            parse_confident: parsed?.confident ?? false,
+        }, { onConflict: 'dispute_id,source_key' })
+        .select('id')
+        .single();
+
+    if (error) {
+        console.warn(`[PdfText] Could not store document text for dispute ${disputeId}:`, error.message);
+        return null;
+    }
+    return data;
+}
+
+/**
+ * Store (or refresh) the extracted text of an enforcement order's PDF
+ * @param {Object} doc - { sourceKey, buffer, extraction, error }
+ * @returns {Object|null} the enforcement_documents row
+ */
+export async function saveEnforcementDocument(supabase, orderId, doc) {
+    const { data, error } = await supabase
+        .from('enforcement_documents')
+        .upsert({
+            enforcement_order_id: orderId,
+            ...documentColumns(doc),
+        }, { onConflict: 'enforcement_order_id,source_key' })
+        .select('id')
+        .single();
+
+    if (error) {
+        console.warn(`[PdfText] Could not store document text for enforcement order ${orderId}:`, error.message);
+        return null;
+    }
+    return data;
+}
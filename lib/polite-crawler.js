@@ -0,0 +1,217 @@
+/**
+ * Polite Crawler
+ * Pacing, retries and metrics for every rtb.ie request, shared by the
+ * dispute, enforcement and rent register scrapers (all requests still go
+ * through rtbFetch, so record/replay keeps working).
+ *
+ *   - Token bucket: one request per interval (the scrape_delay_ms setting),
+ *     with the interval doubled on every 429/503 and eased back on success
+ *   - Exponential backoff with jitter on 429, 5xx and network errors,
+ *     waiting at least as long as any Retry-After header asks
+ *   - 403: calls onForbidden (the scraper refreshes its nonce) and retries once
+ *   - A request that still fails after maxRetries throws instead of returning
+ *     null, so a page is never silently skipped
+ *
+ * Metrics accumulate on the crawler and are written to scrape_jobs.crawl_metrics.
+ */
+
+import { rtbFetch, transportDelay, getTransportMode } from './rtb-transport.js';
+
+const DEFAULT_OPTIONS = {
+    delayMs: 3000,            // Base interval between requests
+    maxDelayMs: 60000,        // Ceiling for the adaptive interval
+    maxRetries: 4,            // Retries per request after the first attempt
+    backoffMs: 2000,          // First retry waits ~2s, then 4s, 8s, 16s
+    maxBackoffMs: 60000,
+    maxRetryAfterMs: 120000,  // Give up rather than honour a longer Retry-After
+    timeoutMs: 20000,
+};
+
+// Statuses worth retrying — everything else is handed back to the caller
+const RETRYABLE = new Set([408, 425, 429, 500, 502, 503, 504]);
+
+/**
+ * Empty metrics, or a copy of metrics carried over from an earlier slice
+ */
+export function initialMetrics(previous = null) {
+    return {
+        requests: 0,
+        retries: 0,
+        rate_limited: 0,
+        server_errors: 0,
+        network_errors: 0,
+        forbidden: 0,
+        nonce_refreshes: 0,
+        failed_requests: 0,
+        backoff_ms: 0,
+        throttle_ms: 0,
+        ...(previous || {}),
+    };
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into milliseconds
+ * @returns {number|null}
+ */
+export function parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+
+    return null;
+}
+
+/**
+ * Create a crawler for one scrape run
+ * @param {Object} [options]
+ * @param {string} [options.name] - log tag, e.g. 'RTBScraper'
+ * @param {number} [options.delayMs] - base interval between requests
+ * @param {Object} [options.metrics] - metrics from an earlier slice of the same job
+ * @param {Function} [options.onForbidden] - async () => boolean; refresh the session after a 403
+ * @returns {Object} { fetch, metrics, snapshot }
+ */
+export function createCrawler(options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...stripUndefined(options) };
+    const tag = `[${config.name || 'Crawler'}]`;
+    const metrics = initialMetrics(options.metrics);
+
+    let interval = config.delayMs;
+    let tokens = 1;
+    let lastRefill = Date.now();
+
+    // Wait for a token — the bucket holds one, refilled every `interval` ms
+    async function takeToken() {
+        if (getTransportMode() === 'replay') return;
+
+        for (;;) {
+            const now = Date.now();
+            tokens = Math.min(1, tokens + (now - lastRefill) / interval);
+            lastRefill = now;
+
+            if (tokens >= 1) {
+                tokens -= 1;
+                return;
+            }
+
+            const wait = Math.ceil((1 - tokens) * interval);
+            metrics.throttle_ms += wait;
+            await transportDelay(wait);
+        }
+    }
+
+    // Multiplicative slow-down on rate limiting, gentle speed-up on success
+    function slowDown() {
+        interval = Math.min(config.maxDelayMs, interval * 2);
+        console.warn(`${tag} Rate limited — pacing requests every ${(interval / 1000).toFixed(1)}s`);
+    }
+
+    function speedUp() {
+        if (interval > config.delayMs) {
+            interval = Math.max(config.delayMs, Math.round(interval * 0.9));
+        }
+    }
+
+    async function backoff(attempt, retryAfterMs) {
+        const exponential = Math.min(config.maxBackoffMs, config.backoffMs * Math.pow(2, attempt - 1));
+        const jittered = exponential / 2 + Math.random() * exponential / 2;
+        const wait = Math.round(Math.max(jittered, retryAfterMs || 0));
+
+        metrics.retries++;
+        metrics.backoff_ms += wait;
+        await transportDelay(wait);
+    }
+
+    /**
+     * Fetch with pacing and retries
+     * @param {string} url
+     * @param {Object|Function} init - fetch options, or a function returning them
+     *   (re-evaluated on every attempt so a refreshed nonce/cookie is picked up)
+     * @returns {Response} a 2xx/3xx response, or a non-retryable 4xx for the caller to handle
+     */
+    async function crawlFetch(url, init = {}) {
+        let refreshedNonce = false;
+        let lastProblem = null;
+
+        for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+            if (attempt > 0) {
+                console.log(`${tag} Retrying ${url} (${attempt}/${config.maxRetries}) after ${lastProblem}`);
+            }
+
+            await takeToken();
+            metrics.requests++;
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), config.timeoutMs);
+            const requestInit = typeof init === 'function' ? await init() : init;
+
+            let response;
+            try {
+                response = await rtbFetch(url, { ...requestInit, signal: controller.signal });
+            } catch (error) {
+                clearTimeout(timeoutId);
+                // A missing fixture will still be missing on the next attempt
+                if (getTransportMode() === 'replay') throw error;
+                metrics.network_errors++;
+                lastProblem = error.name === 'AbortError' ? 'timeout' : error.message;
+                if (attempt < config.maxRetries) await backoff(attempt + 1);
+                continue;
+            }
+            clearTimeout(timeoutId);
+
+            if (response.status === 403) {
+                metrics.forbidden++;
+                lastProblem = 'HTTP 403';
+
+                // Most likely an expired nonce — refresh once, then give up
+                if (!refreshedNonce && config.onForbidden) {
+                    refreshedNonce = true;
+                    if (await config.onForbidden()) {
+                        metrics.nonce_refreshes++;
+                        continue;
+                    }
+                }
+                break;
+            }
+
+            if (!RETRYABLE.has(response.status)) {
+                speedUp();
+                return response;
+            }
+
+            lastProblem = `HTTP ${response.status}`;
+            if (response.status === 429 || response.status === 503) {
+                if (response.status === 429) metrics.rate_limited++;
+                else metrics.server_errors++;
+                slowDown();
+            } else if (response.status >= 500) {
+                metrics.server_errors++;
+            }
+
+            const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            if (retryAfterMs !== null && retryAfterMs > config.maxRetryAfterMs) {
+                lastProblem += ` with Retry-After ${Math.round(retryAfterMs / 1000)}s`;
+                break;
+            }
+
+            if (attempt < config.maxRetries) await backoff(attempt + 1, retryAfterMs);
+        }
+
+        metrics.failed_requests++;
+        throw new Error(`rtb.ie request failed (${lastProblem || 'unknown error'}): ${url}`);
+    }
+
+    return {
+        fetch: crawlFetch,
+        metrics,
+        // Plain copy for scrape_jobs.crawl_metrics
+        snapshot: () => ({ ...metrics, interval_ms: interval }),
+    };
+}
+
+function stripUndefined(obj) {
+    return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
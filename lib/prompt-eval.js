@@ -0,0 +1,204 @@
+/**
+ * Prompt Evaluation
+ * Scores a prompt version and model against the gold set — determinations
+ * whose outcome, type and amounts a person has checked against the PDF
+ * (ai_gold_set). Each run is stored in ai_eval_runs with per-dispute results,
+ * so a candidate prompt can be compared with the current one before it goes
+ * live. Nothing on the disputes themselves is changed.
+ *
+ * Used by scripts/eval-prompts.mjs and /api/admin/evals.
+ */
+
+import { analyseDisputeForEval } from './openai-service.js';
+import { getPrompt, promptForSetting } from './prompts.js';
+import { withUsageContext } from './ai-usage.js';
+
+// Amounts within a euro count as exact — models drop or round cents
+const EXACT_TOLERANCE = 1;
+const CLOSE_TOLERANCE = 0.05;
+
+const DISPUTE_COLUMNS = 'id, dr_no, heading, pdf_urls, s3_pdf_keys';
+
+function toAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+function sameText(a, b) {
+    return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+}
+
+/**
+ * Compare one model result with its gold set entry
+ * @returns {Object} per field true/false, or null where the gold set has no value to compare
+ */
+export function compareResult(gold, result) {
+    const expected = toAmount(gold.compensation_amount);
+    const actual = toAmount(result.compensation_amount);
+    const withheld = actual === null && expected !== null;
+
+    let amountExact;
+    let amountClose;
+    if (expected === null) {
+        // Gold says no single figure — only withholding is right
+        amountExact = amountClose = actual === null;
+    } else if (actual === null) {
+        amountExact = amountClose = false;
+    } else {
+        const diff = Math.abs(actual - expected);
+        amountExact = diff <= EXACT_TOLERANCE;
+        amountClose = diff <= Math.max(EXACT_TOLERANCE, expected * CLOSE_TOLERANCE);
+    }
+
+    const expectedCost = toAmount(gold.cost_order);
+    return {
+        outcome: sameText(gold.outcome, result.outcome),
+        dispute_type: gold.dispute_type ? sameText(gold.dispute_type, result.dispute_type) : null,
+        amount_exact: amountExact,
+        amount_close: amountClose,
+        amount_withheld: withheld,
+        cost_order: expectedCost === null
+            ? null
+            : Math.abs((toAmount(result.cost_order) || 0) - expectedCost) <= EXACT_TOLERANCE,
+    };
+}
+
+function rate(results, field) {
+    const scored = results.filter(r => r.matches && r.matches[field] !== null);
+    if (scored.length === 0) return null;
+    return Math.round(scored.filter(r => r.matches[field]).length / scored.length * 1000) / 1000;
+}
+
+/**
+ * Accuracy over the disputes that were analysed — failures are counted separately
+ * @returns {Object} { evaluated, failed, outcome_accuracy, type_accuracy, amount_exact,
+ *   amount_within_5pct, cost_order_accuracy, amount_withheld } — rates are 0–1
+ */
+export function summariseResults(results) {
+    const analysed = results.filter(r => !r.error);
+    return {
+        evaluated: analysed.length,
+        failed: results.length - analysed.length,
+        outcome_accuracy: rate(analysed, 'outcome'),
+        type_accuracy: rate(analysed, 'dispute_type'),
+        amount_exact: rate(analysed, 'amount_exact'),
+        amount_within_5pct: rate(analysed, 'amount_close'),
+        cost_order_accuracy: rate(analysed, 'cost_order'),
+        amount_withheld: rate(analysed, 'amount_withheld'),
+    };
+}
+
+/**
+ * Gold set entry values from a dispute a reviewer has accepted or corrected
+ */
+export function goldFromDispute(dispute) {
+    return {
+        dispute_id: dispute.id,
+        outcome: dispute.ai_outcome,
+        dispute_type: dispute.ai_dispute_type || null,
+        compensation_amount: toAmount(dispute.ai_compensation_amount),
+        cost_order: toAmount(dispute.ai_cost_order),
+        verified_at: dispute.ai_reviewed_at || new Date().toISOString(),
+    };
+}
+
+/**
+ * Run a prompt version / model over the gold set and store the run
+ * @param {Object} options - { promptVersion, providerChoice, limit, onProgress(completed, total, entry) }
+ *   promptVersion and providerChoice default to what the pipeline currently uses
+ * @returns {Object} the ai_eval_runs row
+ */
+export async function runEvaluation(supabase, { promptVersion = null, providerChoice = null, limit = null, onProgress } = {}) {
+    // Fail on an unknown version before creating a run. With none given, score
+    // what production runs: the prompt_version_dispute setting, if set.
+    let version;
+    if (promptVersion) {
+        version = getPrompt('dispute', promptVersion).version;
+    } else {
+        const { data: setting } = await supabase
+            .from('admin_settings')
+            .select('value')
+            .eq('key', 'prompt_version_dispute')
+            .maybeSingle();
+        version = promptForSetting('dispute', setting?.value || null).version;
+    }
+
+    let query = supabase
+        .from('ai_gold_set')
+        .select(`id, outcome, dispute_type, compensation_amount, cost_order, disputes(${DISPUTE_COLUMNS})`)
+        .order('verified_at', { ascending: true });
+    if (limit) query = query.limit(limit);
+
+    const { data: gold, error: goldError } = await query;
+    if (goldError) throw goldError;
+    if (!gold || gold.length === 0) throw new Error('The gold set is empty — add verified disputes first');
+
+    const { data: run, error: runError } = await supabase
+        .from('ai_eval_runs')
+        .insert({ prompt_version: version, model: providerChoice, total: gold.length })
+        .select()
+        .single();
+    if (runError) throw runError;
+
+    const results = [];
+    let model = providerChoice;
+
+    try {
+        for (const entry of gold) {
+            const dispute = entry.disputes;
+            const expected = {
+                outcome: entry.outcome,
+                dispute_type: entry.dispute_type,
+                compensation_amount: toAmount(entry.compensation_amount),
+                cost_order: toAmount(entry.cost_order),
+            };
+
+            try {
+                const analysis = await withUsageContext(
+                    { jobId: run.id, jobType: 'prompt-eval' },
+                    () => analyseDisputeForEval(dispute, { promptVersion: version, providerChoice }),
+                );
+                model = analysis.model;
+                const actual = {
+                    outcome: analysis.result.outcome,
+                    dispute_type: analysis.result.dispute_type,
+                    compensation_amount: analysis.result.compensation_amount,
+                    cost_order: analysis.result.cost_order,
+                };
+                results.push({ dr_no: dispute.dr_no, dispute_id: dispute.id, expected, actual, matches: compareResult(expected, actual) });
+            } catch (error) {
+                console.warn(`[Eval] ${dispute.dr_no}: ${error.message}`);
+                results.push({ dr_no: dispute.dr_no, dispute_id: dispute.id, expected, error: error.message });
+            }
+
+            await supabase
+                .from('ai_eval_runs')
+                .update({ completed: results.length, model })
+                .eq('id', run.id);
+            if (onProgress) onProgress(results.length, gold.length, results[results.length - 1]);
+        }
+    } catch (error) {
+        await supabase
+            .from('ai_eval_runs')
+            .update({ status: 'failed', error: error.message, results, completed_at: new Date().toISOString() })
+            .eq('id', run.id);
+        throw error;
+    }
+
+    const { data: finished, error: finishError } = await supabase
+        .from('ai_eval_runs')
+        .update({
+            status: 'completed',
+            model,
+            results,
+            metrics: summariseResults(results),
+            completed_at: new Date().toISOString(),
+        })
+        .eq('id', run.id)
+        .select()
+        .single();
+    if (finishError) throw finishError;
+
+    return finished;
+}
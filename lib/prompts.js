@@ -0,0 +1,185 @@
+/**
+ * AI Prompts
+ * Every prompt the analysis pipeline sends, by version. Once results have been
+ * stored under a version (disputes / enforcement_orders.ai_prompt_version) its
+ * text is never edited — add a new version, run it against the gold set
+ * (scripts/eval-prompts.mjs or Admin → AI Processing → Prompt Evaluation),
+ * and only then make it current.
+ *
+ * The active version is CURRENT_PROMPTS unless the prompt_version_dispute /
+ * prompt_version_enforcement admin setting names another.
+ */
+
+import {
+    DISPUTE_OUTCOMES, ENFORCEMENT_OUTCOMES, DISPUTE_TYPES,
+    DISPUTE_RESULT_SCHEMA, DISPUTE_RESULT_SCHEMA_V1, ENFORCEMENT_RESULT_SCHEMA,
+} from './ai-schema.js';
+
+// ============================================
+// DISPUTE DETERMINATIONS
+// ============================================
+
+// Unchanged since dispute-v1
+const DISPUTE_SYSTEM = `You are an expert legal analyst specialising in Irish residential tenancy disputes.
+You analyse RTB (Residential Tenancies Board) dispute determinations and extract key information.
+
+CRITICAL RULES FOR ACCURACY:
+- When extracting monetary amounts, copy the EXACT numbers from the document. Do NOT round, estimate, or add/drop digits.
+- If the document says "€52,800", the amount is 52800, NOT 652800 or 5280.
+- WATCH OUT for double currency symbols: "€€8,282" means €8,282, NOT €68,282. The extra € is a PDF formatting artifact.
+- If a number looks unusually large, re-read it carefully. RTB awards rarely exceed €50,000.
+- Double-check every digit of every amount before including it in your response.
+- If you are uncertain about an amount, set compensation_amount to 0 and set amount_confident to false.
+- It is BETTER to return 0 than to return a wrong number. Wrong numbers cause real harm.
+- Always respond in valid JSON format only, with no additional text.`;
+
+// The original prompt — every analysis stored before versions were recorded
+function disputePromptV1(disputeInfo) {
+    return `Analyse this RTB dispute determination and extract the following information.
+Return a JSON object with these exact keys:
+
+- "summary": A concise 2-3 sentence summary of the dispute and outcome
+- "outcome": One of: "Upheld", "Partially Upheld", "Dismissed", "Withdrawn", "Settled", "Other"
+- "compensation_amount": The total compensation/damages awarded in euros as a numeric value (e.g. 7697.47, NOT 769747). Use a decimal point for cents. Set to 0 if none. Copy amounts EXACTLY as written in the determination — do not add or remove digits. If you cannot read the amount clearly, set to 0.
+- "amount_confident": true if you are highly confident the compensation_amount is exactly correct, false if there is any doubt. When false, set compensation_amount to 0.
+- "cost_order": Any cost order amount in euros (number only, 0 if none)
+- "property_address": The property address if mentioned (null if not found)
+- "dispute_type": The category, e.g. "Rent Arrears", "Deposit Retention", "Breach of Obligations", "Invalid Notice of Termination", "Overholding", "Anti-Social Behaviour", "Other"
+- "award_items": An array of individual awards, each with {"description": "what the award is for", "amount": number}. This helps verify the total.
+- "amount_quote": The exact text from the determination where the main award amount is stated (copy the sentence verbatim)
+
+Dispute reference: ${disputeInfo.dr_no || 'Unknown'}
+Parties: ${disputeInfo.heading || 'Unknown'}
+
+Read the document carefully, paying special attention to the Order/Determination section where awards are listed. Extract amounts exactly as written.`;
+}
+
+function disputePromptV2(disputeInfo) {
+    return `Analyse this RTB dispute determination and extract the following information.
+Return a JSON object with these exact keys:
+
+- "summary": A concise 2-3 sentence summary of the dispute and outcome
+- "outcome": Exactly one of: ${DISPUTE_OUTCOMES.map(o => `"${o}"`).join(', ')}
+- "compensation_amount": The total compensation/damages awarded in euros as a numeric value (e.g. 7697.47, NOT 769747). Use a decimal point for cents. Set to 0 if none. Copy amounts EXACTLY as written in the determination — do not add or remove digits. If you cannot read the amount clearly, set to 0.
+- "amount_confident": true if you are highly confident the compensation_amount is exactly correct, false if there is any doubt. When false, set compensation_amount to 0.
+- "cost_order": Any cost order amount in euros (number only, 0 if none)
+- "property_address": The property address if mentioned (null if not found)
+- "dispute_type": Exactly one of: ${DISPUTE_TYPES.map(t => `"${t}"`).join(', ')}
+- "award_items": An array of individual awards, each with {"description": "what the award is for", "amount": number}. This helps verify the total.
+- "amount_quote": The exact text from the determination where the main award amount is stated (copy the sentence verbatim)
+- "evidence": An object with one entry for each of "compensation_amount", "cost_order", "outcome", "property_address" and "dispute_type", each {"quote": the sentence from the document that supports the value, copied verbatim (null if there is none), "page": the page number the quote is on (null if unsure), "confidence": a number from 0 to 1 for how sure you are of the value}
+
+Dispute reference: ${disputeInfo.dr_no || 'Unknown'}
+Parties: ${disputeInfo.heading || 'Unknown'}
+
+Read the document carefully, paying special attention to the Order/Determination section where awards are listed. Extract amounts exactly as written.`;
+}
+
+// ============================================
+// ENFORCEMENT ORDERS
+// ============================================
+
+const ENFORCEMENT_SYSTEM_V1 = `You are an expert legal analyst specialising in Irish residential tenancy law.
+You analyse RTB (Residential Tenancies Board) Court Enforcement Orders and extract key information.
+These are court orders enforcing previous RTB determinations — they carry the weight of a court judgment.
+
+CRITICAL RULES FOR ACCURACY:
+- When extracting monetary amounts, copy the EXACT numbers from the document. Do NOT round, estimate, or add/drop digits.
+- WATCH OUT for double currency symbols: "€€8,282" means €8,282. The extra € is a PDF formatting artifact.
+- If you are uncertain about an amount, set compensation_amount to 0 and set amount_confident to false.
+- It is BETTER to return 0 than to return a wrong number.
+- Always respond in valid JSON format only, with no additional text.`;
+
+function enforcementPromptV1(orderInfo) {
+    return `Analyse this RTB Court Enforcement Order and extract the following information.
+Return a JSON object with these exact keys:
+
+- "summary": A concise 2-3 sentence summary of what was enforced and the court's order
+- "outcome": Exactly one of: ${ENFORCEMENT_OUTCOMES.map(o => `"${o}"`).join(', ')}
+- "compensation_amount": The total monetary amount ordered by the court in euros as a numeric value (e.g. 7697.47, NOT 769747). Use a decimal point for cents. Set to 0 if none or if the order is non-monetary. Copy amounts EXACTLY as written. If unsure, set to 0.
+- "amount_confident": true if you are highly confident the amount is correct, false if any doubt
+- "cost_order": Any separate cost order amount in euros (0 if none)
+- "property_address": The property address if mentioned (null if not found)
+- "dispute_type": The category of the underlying dispute, exactly one of: ${DISPUTE_TYPES.map(t => `"${t}"`).join(', ')}
+- "original_determination_summary": Brief note on what the original RTB determination ordered (if mentioned)
+- "enforcement_details": Key details about the enforcement, e.g. whether the respondent appeared, any payment plans, etc.
+- "award_items": Array of individual amounts ordered, each with {"description": "...", "amount": number}
+
+Court Reference: ${orderInfo.court_ref_no || 'Unknown'}
+PRTB/DR Number: ${orderInfo.prtb_no || 'Unknown'}
+Parties: ${orderInfo.heading || 'Unknown'}
+Subject: ${orderInfo.subject || 'Unknown'}
+
+Read the document carefully. These are court orders, not RTB determinations — focus on what the court ordered.`;
+}
+
+// ============================================
+// REGISTRY
+// ============================================
+
+export const PROMPTS = {
+    dispute: {
+        'dispute-v1': {
+            system: DISPUTE_SYSTEM,
+            user: disputePromptV1,
+            schema: DISPUTE_RESULT_SCHEMA_V1,
+            notes: 'Original prompt — outcome list, example types, no evidence. Produced every analysis with no ai_prompt_version',
+        },
+        'dispute-v2': {
+            system: DISPUTE_SYSTEM,
+            user: disputePromptV2,
+            schema: DISPUTE_RESULT_SCHEMA,
+            notes: 'Fixed outcome/type lists, evidence quote, page and confidence per field',
+        },
+    },
+    enforcement: {
+        'enforcement-v1': {
+            system: ENFORCEMENT_SYSTEM_V1,
+            user: enforcementPromptV1,
+            schema: ENFORCEMENT_RESULT_SCHEMA,
+            notes: 'Fixed outcome/type lists',
+        },
+    },
+};
+
+// The version behind analyses stored with no ai_prompt_version. Enforcement
+// orders analysed then used a prompt that was never registered.
+export const UNVERSIONED_PROMPTS = {
+    dispute: 'dispute-v1',
+    enforcement: null,
+};
+
+export const CURRENT_PROMPTS = {
+    dispute: 'dispute-v2',
+    enforcement: 'enforcement-v1',
+};
+
+/**
+ * A prompt by kind and version
+ * @param {string} kind - "dispute" or "enforcement"
+ * @param {string|null} version - defaults to CURRENT_PROMPTS[kind]
+ * @returns {Object} { version, system, user(info), schema, notes }
+ */
+export function getPrompt(kind, version = null) {
+    const chosen = version || CURRENT_PROMPTS[kind];
+    const prompt = PROMPTS[kind]?.[chosen];
+    if (!prompt) {
+        throw new Error(`Unknown ${kind} prompt version "${chosen}" (have ${Object.keys(PROMPTS[kind] || {}).join(', ')})`);
+    }
+    return { version: chosen, ...prompt };
+}
+
+/**
+ * The prompt a prompt_version_* setting selects. A version that no longer
+ * exists (a typo, or a prompt since removed) falls back to CURRENT_PROMPTS
+ * with a warning rather than failing every analysis.
+ * @param {string} kind - "dispute" or "enforcement"
+ * @param {string|null} setting - value of the prompt_version_<kind> setting
+ */
+export function promptForSetting(kind, setting) {
+    if (setting && !PROMPTS[kind]?.[setting]) {
+        console.warn(`[Prompts] prompt_version_${kind} is "${setting}", which is not in lib/prompts.js — using ${CURRENT_PROMPTS[kind]}`);
+        return getPrompt(kind);
+    }
+    return getPrompt(kind, setting);
+}
@@ -0,0 +1,77 @@
+/**
+ * AI Field Provenance
+ * Where each AI-derived value on a dispute came from: the verbatim quote that
+ * supports it, the page it is on, how confident the model was, and which model
+ * and prompt version produced it. Stored as disputes.ai_provenance and shown
+ * in DisputeModal / GET /api/v1/disputes/:dr_no.
+ *
+ * Models report their own page numbers, which are often off by one — when the
+ * quote can be found in the extracted PDF text, that page wins and the entry is
+ * marked quote_verified.
+ */
+
+// Result keys with evidence → the disputes column holding the final value
+export const PROVENANCE_FIELDS = {
+    compensation_amount: 'ai_compensation_amount',
+    cost_order: 'ai_cost_order',
+    outcome: 'ai_outcome',
+    property_address: 'ai_property_address',
+    dispute_type: 'ai_dispute_type',
+};
+
+// Shorter quotes match too many places to say where they came from
+const MIN_QUOTE_CHARS = 12;
+const MATCH_CHARS = 80;
+
+function squash(text) {
+    return text
+        .toLowerCase()
+        .replace(/€+/g, '€')
+        .replace(/[^\p{L}\p{N}€]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * The page (1-based) of the extracted text a quote appears on
+ * @param {Array<string>|null} pages - from extractPdfText()
+ * @returns {number|null}
+ */
+export function locateQuote(pages, quote) {
+    if (!pages || !quote) return null;
+
+    const needle = squash(quote).slice(0, MATCH_CHARS);
+    if (needle.length < MIN_QUOTE_CHARS) return null;
+
+    const index = pages.findIndex(page => squash(page).includes(needle));
+    return index === -1 ? null : index + 1;
+}
+
+/**
+ * Provenance for each field of a dispute update
+ * @param {Object} result - rules or LLM result, with an `evidence` object
+ * @param {Object} update - the disputes columns being written
+ * @param {Object} source - { model, promptVersion, pages }
+ * @returns {Object} { field: { value, quote, page, quote_verified, confidence, model, prompt_version } }
+ */
+export function buildProvenance(result, update, { model, promptVersion, pages }) {
+    const evidence = result.evidence || {};
+    const provenance = {};
+
+    for (const [field, column] of Object.entries(PROVENANCE_FIELDS)) {
+        const entry = evidence[field] || {};
+        const quote = entry.quote || null;
+        const located = locateQuote(pages, quote);
+
+        provenance[field] = {
+            value: update[column] ?? null,
+            quote,
+            page: located || entry.page || null,
+            quote_verified: located !== null,
+            confidence: typeof entry.confidence === 'number' ? entry.confidence : null,
+            model,
+            prompt_version: promptVersion,
+        };
+    }
+
+    return provenance;
+}
@@ -26,6 +26,8 @@
  *   The UNIQUE(rt_number) constraint deduplicates results across queries.
  */
 
+import { createCrawler } from './polite-crawler.js';
+
 const RTB_PAGE_URL = 'https://rtb.ie/rtb-rent-register/';
 const RTB_AJAX_URL = 'https://rtb.ie/wp-admin/admin-ajax.php';
 const REQUEST_TIMEOUT = 30000;
@@ -97,19 +99,15 @@ export const DUBLIN_LOCAL_AUTHORITIES = [
 // Fetches a fresh nonce AND session cookies from the page in one request.
 // Both must be threaded through all subsequent admin-ajax.php calls.
 // ============================================
-async function initSession() {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+async function initSession(crawler) {
   try {
-    const resp = await fetch(RTB_PAGE_URL, {
-      signal: controller.signal,
+    const resp = await crawler.fetch(RTB_PAGE_URL, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         'Accept-Language': 'en-IE,en;q=0.9',
       },
     });
-    clearTimeout(timeoutId);
     if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
 
     // Capture session cookies (strip attributes, keep name=value only)
@@ -127,7 +125,6 @@ async function initSession() {
     console.log(`[RentRegister] Session ready. Nonce: ${match[1]} | Cookies: ${cookieHeader || 'none'}`);
     return { nonce: match[1], cookie: cookieHeader };
   } catch (err) {
-    clearTimeout(timeoutId);
     throw new Error(`Failed to initialise session: ${err.message}`);
   }
 }
@@ -135,9 +132,9 @@ async function initSession() {
 // ============================================
 // HEALTH CHECK
 // ============================================
-export async function checkHealth(nonce, cookie = '') {
+export async function checkHealth(crawler, nonce, cookie = '') {
   const body = new URLSearchParams({ action: 'comparables_health_check', nonce });
-  const resp = await fetch(RTB_AJAX_URL, {
+  const resp = await crawler.fetch(RTB_AJAX_URL, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/x-www-form-urlencoded',
@@ -152,40 +149,37 @@ export async function checkHealth(nonce, cookie = '') {
 // ============================================
 // SINGLE SEARCH
 // ============================================
-async function searchComparables(nonce, cookie, { osiLeaId, dwellingTypeCode, bedrooms, ber, floorSpace }) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-  try {
-    const payload = {
-      OsiLeaId: String(osiLeaId),
-      DedCode: null,
-      CombinedDwellingTypeCode: dwellingTypeCode,
-      NumberOfBedrooms: bedrooms,
-      BER: ber,
-      FloorSpace: floorSpace,
-    };
-
-    const body = new URLSearchParams({
-      action: 'comparables_calc_proxy',
-      nonce,
-      payload: JSON.stringify(payload),
-    });
+// Returns null when the query still fails after the crawler's retries, so the
+// caller can tell a failed query from one with no comparables.
+async function searchComparables(crawler, session, { osiLeaId, dwellingTypeCode, bedrooms, ber, floorSpace }) {
+  const payload = {
+    OsiLeaId: String(osiLeaId),
+    DedCode: null,
+    CombinedDwellingTypeCode: dwellingTypeCode,
+    NumberOfBedrooms: bedrooms,
+    BER: ber,
+    FloorSpace: floorSpace,
+  };
 
-    const resp = await fetch(RTB_AJAX_URL, {
+  try {
+    // Built per attempt — a 403 refreshes session.nonce/cookie before the retry
+    const resp = await crawler.fetch(RTB_AJAX_URL, () => ({
       method: 'POST',
-      signal: controller.signal,
       headers: {
         'Content-Type': 'application/x-www-form-urlencoded',
         'Referer': RTB_PAGE_URL,
-        ...(cookie ? { Cookie: cookie } : {}),
+        ...(session.cookie ? { Cookie: session.cookie } : {}),
       },
-      body,
-    });
+      body: new URLSearchParams({
+        action: 'comparables_calc_proxy',
+        nonce: session.nonce,
+        payload: JSON.stringify(payload),
+      }),
+    }));
 
-    clearTimeout(timeoutId);
     if (!resp.ok) {
       console.warn(`[RentRegister] HTTP ${resp.status} LEA=${osiLeaId} ${bedrooms}bed ${ber} ${floorSpace}m²`);
-      return [];
+      return null;
     }
 
     const json = await resp.json();
@@ -195,9 +189,8 @@ async function searchComparables(nonce, cookie, { osiLeaId, dwellingTypeCode, be
     }
     return json.data?.results || [];
   } catch (err) {
-    clearTimeout(timeoutId);
     console.error(`[RentRegister] Request failed:`, err.message);
-    return [];
+    return null;
   }
 }
 
@@ -205,30 +198,46 @@ async function searchComparables(nonce, cookie, { osiLeaId, dwellingTypeCode, be
 // MAIN EXHAUSTIVE SCRAPER
 // Iterates all Dublin LEAs × QUERY_MATRIX profiles
 // Yields one batch per query for Supabase upsert
+// Batches for failed queries carry failed: true and no results; the crawler's
+// running totals are on every batch as `metrics`.
 // ============================================
-export async function* scrapeRentRegisterDublin({ leaRefs, queryMatrix = QUERY_MATRIX, onProgress } = {}) {
+export async function* scrapeRentRegisterDublin({ leaRefs, queryMatrix = QUERY_MATRIX, onProgress, delayMs = BASE_DELAY_MS } = {}) {
   console.log(`[RentRegister] Starting Dublin scrape: ${leaRefs.length} LEAs × ${queryMatrix.length} profiles = ${leaRefs.length * queryMatrix.length} queries`);
-  console.log(`[RentRegister] Estimated time: ~${Math.ceil(leaRefs.length * queryMatrix.length * BASE_DELAY_MS / 60000)} minutes`);
+  console.log(`[RentRegister] Estimated time: ~${Math.ceil(leaRefs.length * queryMatrix.length * delayMs / 60000)} minutes`);
 
-  const { nonce, cookie } = await initSession();
+  const session = { nonce: null, cookie: '' };
+  const crawler = createCrawler({
+    name: 'RentRegister',
+    delayMs,
+    timeoutMs: REQUEST_TIMEOUT,
+    // The ajax nonce is tied to the session cookie — a 403 means start a new session
+    onForbidden: async () => {
+      try {
+        Object.assign(session, await initSession(crawler));
+        return true;
+      } catch (err) {
+        console.error(`[RentRegister] ${err.message}`);
+        return false;
+      }
+    },
+  });
 
-  const healthy = await checkHealth(nonce, cookie);
+  Object.assign(session, await initSession(crawler));
+
+  const healthy = await checkHealth(crawler, session.nonce, session.cookie);
   if (!healthy) throw new Error('[RentRegister] Backend health check failed — aborting');
 
   const batchId = crypto.randomUUID();
   let totalQueries = 0;
   let totalResults = 0;
+  let failedQueries = 0;
 
   for (const lea of leaRefs) {
     for (const profile of queryMatrix) {
-      if (totalQueries > 0) {
-        await new Promise(resolve => setTimeout(resolve, BASE_DELAY_MS));
-      }
-
       const label = `${lea.lea_name} | ${profile.dwellingTypeCode === 101 ? 'Apt' : 'House'} ${profile.bedrooms}bed ${profile.ber} ${profile.floorSpace}m²`;
       console.log(`[RentRegister] [${totalQueries + 1}/${leaRefs.length * queryMatrix.length}] ${label}`);
 
-      const results = await searchComparables(nonce, cookie, {
+      const results = await searchComparables(crawler, session, {
         osiLeaId: lea.osi_lea_id,
         dwellingTypeCode: profile.dwellingTypeCode,
         bedrooms: profile.bedrooms,
@@ -237,15 +246,18 @@ export async function* scrapeRentRegisterDublin({ leaRefs, queryMatrix = QUERY_M
       });
 
       totalQueries++;
-      totalResults += results.length;
+      if (results === null) failedQueries++;
+      totalResults += results?.length || 0;
 
       yield {
-        results,
+        results: results || [],
+        failed: results === null,
         lea,
         profile,
         batchId,
         queryCount: totalQueries,
         totalResults,
+        metrics: crawler.snapshot(),
       };
 
       if (onProgress) {
@@ -254,5 +266,5 @@ export async function* scrapeRentRegisterDublin({ leaRefs, queryMatrix = QUERY_M
     }
   }
 
-  console.log(`[RentRegister] Complete. ${totalQueries} queries, ${totalResults} raw results (deduped by rt_number on upsert).`);
+  console.log(`[RentRegister] Complete. ${totalQueries} queries (${failedQueries} failed), ${totalResults} raw results (deduped by rt_number on upsert).`);
 }
@@ -0,0 +1,358 @@
+/**
+ * Selective AI Reprocessing
+ * Reruns the analysis on the disputes or enforcement orders matching a filter
+ * (date range, outcome, type, amount range, prompt version, model, error) —
+ * what reprocess-one.mjs, reverify-high-awards.mjs and friends each did for
+ * one hard-coded subset.
+ *
+ * Creating a job snapshots the matching ids into ai_reprocess_items, so the
+ * set doesn't shift as reprocessing changes the very fields it was chosen by.
+ * The job is then worked in self-chaining slices by /api/ai/reprocess, the
+ * way scrape jobs are, and every item keeps its values before and after.
+ * A record whose rerun fails keeps its previous analysis. Jobs take the sync
+ * lock (lib/job-lock.js) while they run, and stop at the monthly AI budget.
+ *
+ *   queued → running → completed | failed | cancelled
+ *   failed, cancelled, stalled running → queued (resume)
+ */
+
+import { processDispute, processEnforcementOrder } from './openai-service.js';
+import { DISPUTE_OUTCOMES, ENFORCEMENT_OUTCOMES, DISPUTE_TYPES } from './ai-schema.js';
+import { UNVERSIONED_PROMPTS } from './prompts.js';
+
+// Larger selections should be narrowed, or run as several jobs
+export const MAX_JOB_RECORDS = 20000;
+
+const SNAPSHOT_PAGE_SIZE = 1000;
+
+// Values kept on each item before and after, to see what a rerun changed
+const AUDIT_COLUMNS = ['ai_outcome', 'ai_compensation_amount', 'ai_cost_order', 'ai_dispute_type', 'ai_model_used', 'ai_prompt_version', 'ai_error'];
+
+export const REPROCESS_TARGETS = {
+    disputes: {
+        table: 'disputes',
+        columns: `id, dr_no, heading, pdf_urls, s3_pdf_keys, ai_reviewed_at, ${AUDIT_COLUMNS.join(', ')}`,
+        dateColumn: 'dispute_date',
+        reference: d => d.dr_no,
+        outcomes: DISPUTE_OUTCOMES,
+        // Analyses with no ai_prompt_version came from this prompt
+        unversionedPrompt: UNVERSIONED_PROMPTS.dispute,
+        // Reviewer-checked values are locked (review-queue-schema.sql), so never select them
+        base: q => q.not('pdf_urls', 'is', null).neq('pdf_urls', '[]').is('ai_reviewed_at', null),
+        process: processDispute,
+    },
+    enforcement: {
+        table: 'enforcement_orders',
+        columns: `id, court_ref_no, prtb_no, heading, subject, pdf_url, ${AUDIT_COLUMNS.join(', ')}`,
+        dateColumn: 'order_date',
+        reference: o => o.court_ref_no,
+        outcomes: ENFORCEMENT_OUTCOMES,
+        unversionedPrompt: UNVERSIONED_PROMPTS.enforcement,
+        base: q => q.not('pdf_url', 'is', null),
+        process: processEnforcementOrder,
+    },
+};
+
+function isDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+/**
+ * Check and tidy a filter from the admin UI
+ * @param {Object} input - { date_from, date_to, outcome, dispute_type, amount_min, amount_max,
+ *   prompt_version, model, has_error } — prompt_version / model "none" means never recorded,
+ *   and the target's unversionedPrompt also matches records with none; has_error is "true" or "false"
+ * @returns {Object} { filter, errors } — filter holds only the criteria given
+ */
+export function normaliseFilter(target, input = {}) {
+    const source = REPROCESS_TARGETS[target];
+    const filter = {};
+    const errors = [];
+    const text = key => (typeof input[key] === 'string' ? input[key].trim() : input[key]) || null;
+
+    for (const key of ['date_from', 'date_to']) {
+        const value = text(key);
+        if (!value) continue;
+        if (isDate(value)) filter[key] = value;
+        else errors.push(`${key} must be a date (YYYY-MM-DD)`);
+    }
+
+    const outcome = text('outcome');
+    if (outcome) {
+        if (source.outcomes.includes(outcome)) filter.outcome = outcome;
+        else errors.push(`outcome must be one of: ${source.outcomes.join(', ')}`);
+    }
+
+    const disputeType = text('dispute_type');
+    if (disputeType) {
+        if (DISPUTE_TYPES.includes(disputeType)) filter.dispute_type = disputeType;
+        else errors.push(`dispute_type must be one of: ${DISPUTE_TYPES.join(', ')}`);
+    }
+
+    for (const key of ['amount_min', 'amount_max']) {
+        const value = input[key];
+        if (value === null || value === undefined || value === '') continue;
+        const amount = parseFloat(value);
+        if (Number.isFinite(amount) && amount >= 0) filter[key] = amount;
+        else errors.push(`${key} must be a non-negative amount`);
+    }
+
+    for (const key of ['prompt_version', 'model']) {
+        const value = text(key);
+        if (value) filter[key] = value;
+    }
+
+    const hasError = input.has_error;
+    if (hasError !== null && hasError !== undefined && hasError !== '') {
+        if (['true', 'false', true, false].includes(hasError)) filter.has_error = String(hasError) === 'true';
+        else errors.push('has_error must be true or false');
+    }
+
+    if (filter.date_from && filter.date_to && filter.date_from > filter.date_to) {
+        errors.push('date_from is after date_to');
+    }
+    if (filter.amount_min !== undefined && filter.amount_max !== undefined && filter.amount_min > filter.amount_max) {
+        errors.push('amount_min is above amount_max');
+    }
+
+    return { filter, errors };
+}
+
+/**
+ * Apply a normalised filter (and the target's base conditions) to a query
+ */
+export function applyFilter(target, query, filter) {
+    const source = REPROCESS_TARGETS[target];
+    let q = source.base(query);
+
+    if (filter.date_from) q = q.gte(source.dateColumn, filter.date_from);
+    if (filter.date_to) q = q.lte(source.dateColumn, filter.date_to);
+    if (filter.outcome) q = q.eq('ai_outcome', filter.outcome);
+    if (filter.dispute_type) q = q.eq('ai_dispute_type', filter.dispute_type);
+    if (filter.amount_min !== undefined) q = q.gte('ai_compensation_amount', filter.amount_min);
+    if (filter.amount_max !== undefined) q = q.lte('ai_compensation_amount', filter.amount_max);
+    const promptVersion = filter.prompt_version;
+    if (promptVersion === 'none') q = q.is('ai_prompt_version', null);
+    else if (promptVersion === source.unversionedPrompt) q = q.or(`ai_prompt_version.eq.${promptVersion},ai_prompt_version.is.null`);
+    else if (promptVersion) q = q.eq('ai_prompt_version', promptVersion);
+    if (filter.model === 'none') q = q.is('ai_model_used', null);
+    else if (filter.model) q = q.eq('ai_model_used', filter.model);
+    if (filter.has_error === true) q = q.not('ai_error', 'is', null);
+    if (filter.has_error === false) q = q.is('ai_error', null);
+
+    return q;
+}
+
+/**
+ * How many records a filter matches, and a few of them — the dry run
+ * @returns {Object} { count, sample: [{ id, reference, outcome, amount, model, prompt_version }] }
+ */
+export async function previewFilter(supabase, target, filter) {
+    const source = REPROCESS_TARGETS[target];
+    const { data, count, error } = await applyFilter(target, supabase
+        .from(source.table)
+        .select(source.columns, { count: 'exact' }), filter)
+        .order('id', { ascending: true })
+        .limit(10);
+    if (error) throw error;
+
+    return {
+        count: count || 0,
+        sample: (data || []).map(row => ({
+            id: row.id,
+            reference: source.reference(row),
+            outcome: row.ai_outcome,
+            amount: row.ai_compensation_amount,
+            model: row.ai_model_used,
+            prompt_version: row.ai_prompt_version || source.unversionedPrompt,
+            error: row.ai_error,
+        })),
+    };
+}
+
+/**
+ * Create a job and snapshot the records its filter matches
+ * @returns {Object} the ai_reprocess_jobs row (status queued)
+ */
+export async function createReprocessJob(supabase, target, filter, note = null) {
+    const { count } = await previewFilter(supabase, target, filter);
+    if (count === 0) throw new Error('No records match this filter');
+    if (count > MAX_JOB_RECORDS) {
+        throw new Error(`${count.toLocaleString()} records match — narrow the filter to at most ${MAX_JOB_RECORDS.toLocaleString()}`);
+    }
+
+    const { data: job, error } = await supabase
+        .from('ai_reprocess_jobs')
+        .insert({ target, filter, note, status: 'queued' })
+        .select()
+        .single();
+    if (error) throw error;
+
+    const source = REPROCESS_TARGETS[target];
+    let lastId = null;
+    let position = 0;
+
+    try {
+        while (true) {
+            let query = applyFilter(target, supabase
+                .from(source.table)
+                .select(source.columns), filter)
+                .order('id', { ascending: true })
+                .limit(SNAPSHOT_PAGE_SIZE);
+            if (lastId) query = query.gt('id', lastId);
+
+            const { data: rows, error: pageError } = await query;
+            if (pageError) throw pageError;
+            if (!rows || rows.length === 0) break;
+            lastId = rows[rows.length - 1].id;
+
+            const { error: insertError } = await supabase
+                .from('ai_reprocess_items')
+                .insert(rows.map(row => ({
+                    job_id: job.id,
+                    record_id: row.id,
+                    reference: source.reference(row),
+                    position: position++,
+                })));
+            if (insertError) throw insertError;
+        }
+    } catch (snapshotError) {
+        await supabase.from('ai_reprocess_jobs').delete().eq('id', job.id);
+        throw snapshotError;
+    }
+
+    const { data: queued, error: totalError } = await supabase
+        .from('ai_reprocess_jobs')
+        .update({ total: position })
+        .eq('id', job.id)
+        .select()
+        .single();
+    if (totalError) throw totalError;
+
+    return queued;
+}
+
+/**
+ * Claim the next slice of a job — a duplicate or stale request gets null
+ * @param {number} slice - the job's slice_count when this slice was chained
+ */
+export async function claimReprocessSlice(supabase, jobId, slice) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from('ai_reprocess_jobs')
+        .update({ status: 'running', slice_count: slice + 1, checkpoint_at: now })
+        .eq('id', jobId)
+        .eq('slice_count', slice)
+        .in('status', ['queued', 'running'])
+        .select()
+        .single();
+
+    if (error || !data) return null;
+
+    if (!data.started_at) {
+        await supabase.from('ai_reprocess_jobs').update({ started_at: now }).eq('id', jobId);
+        data.started_at = now;
+    }
+    return data;
+}
+
+function auditValues(row) {
+    return Object.fromEntries(AUDIT_COLUMNS.map(column => [column.replace(/^ai_/, ''), row[column] ?? null]));
+}
+
+function changedValues(before, after) {
+    return before.outcome !== after.outcome
+        || (parseFloat(before.compensation_amount) || 0) !== (parseFloat(after.compensation_amount) || 0);
+}
+
+/**
+ * Rerun the next pending items of a job
+ * @returns {Object} { processed, failed, changed, remaining }
+ */
+export async function processReprocessBatch(supabase, job, batchSize) {
+    const source = REPROCESS_TARGETS[job.target];
+
+    const { data: items, error } = await supabase
+        .from('ai_reprocess_items')
+        .select('id, record_id, reference')
+        .eq('job_id', job.id)
+        .eq('status', 'pending')
+        .order('position', { ascending: true })
+        .limit(batchSize);
+    if (error) throw error;
+    if (!items || items.length === 0) return { processed: 0, failed: 0, changed: 0, remaining: 0 };
+
+    const { data: records, error: recordsError } = await supabase
+        .from(source.table)
+        .select(source.columns)
+        .in('id', items.map(item => item.record_id));
+    if (recordsError) throw recordsError;
+    const byId = new Map((records || []).map(record => [record.id, record]));
+
+    let processed = 0;
+    let failed = 0;
+    let changed = 0;
+
+    await Promise.all(items.map(async (item) => {
+        const record = byId.get(item.record_id);
+        const before = record ? auditValues(record) : null;
+        const finished = { processed_at: new Date().toISOString(), before };
+
+        try {
+            if (!record) throw new Error('Record no longer exists');
+
+            const update = await source.process(record);
+            const { error: updateError } = await supabase
+                .from(source.table)
+                .update(update)
+                .eq('id', record.id);
+            if (updateError) throw updateError;
+
+            const after = auditValues(update);
+            const didChange = changedValues(before, after);
+            await supabase
+                .from('ai_reprocess_items')
+                .update({ ...finished, status: 'done', after, changed: didChange })
+                .eq('id', item.id);
+
+            processed++;
+            if (didChange) changed++;
+            console.log(`[Reprocess] ✓ ${item.reference} — ${after.outcome} — €${after.compensation_amount}${didChange ? ' (changed)' : ''}`);
+        } catch (err) {
+            // The record keeps its previous analysis
+            await supabase
+                .from('ai_reprocess_items')
+                .update({ ...finished, status: 'failed', error: err.message })
+                .eq('id', item.id);
+
+            failed++;
+            console.error(`[Reprocess] ✗ ${item.reference}: ${err.message}`);
+        }
+    }));
+
+    const { count: remaining } = await supabase
+        .from('ai_reprocess_items')
+        .select('id', { count: 'exact', head: true })
+        .eq('job_id', job.id)
+        .eq('status', 'pending');
+
+    return { processed, failed, changed, remaining: remaining || 0 };
+}
+
+/**
+ * Fire the next slice of a job (fire-and-forget, like chainJob() for scrape jobs)
+ * @param {Object} job - needs id and slice_count
+ */
+export function chainReprocessJob(origin, job) {
+    fetch(origin + '/api/ai/reprocess', {
+        method: 'PUT',
+        headers: {
+            'Authorization': `Bearer ${process.env.CRON_SECRET}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ job_id: job.id, slice: job.slice_count || 0 }),
+    }).catch(err => {
+        console.error(`[Reprocess] Could not chain job ${job.id}:`, err.message);
+    });
+}
@@ -0,0 +1,167 @@
+/**
+ * AI Review Queue
+ * Disputes whose AI values a person should check against the PDF: the model
+ * wasn't confident, its award items didn't add up to its total, or the
+ * high-value second opinion disagreed with the first model. A reviewer
+ * accepts the stored values or corrects them; either way the dispute is
+ * stamped ai_reviewed_at, and a trigger (review-queue-schema.sql) stops any
+ * later reprocessing from overwriting it.
+ */
+
+import { DISPUTE_OUTCOMES, DISPUTE_TYPES } from './ai-schema.js';
+
+export const REVIEW_REASONS = {
+    low_confidence: 'Model not confident of the amount',
+    amount_mismatch: 'Award items do not add up to the total',
+    review_mismatch: 'Second model disagreed',
+};
+
+// Result key → disputes column a reviewer can correct
+export const REVIEWABLE_FIELDS = {
+    compensation_amount: 'ai_compensation_amount',
+    cost_order: 'ai_cost_order',
+    outcome: 'ai_outcome',
+    dispute_type: 'ai_dispute_type',
+    property_address: 'ai_property_address',
+};
+
+const NUMERIC_FIELDS = ['compensation_amount', 'cost_order'];
+
+// Fields limited to the labels the AI schema allows
+const CHOICE_FIELDS = {
+    outcome: DISPUTE_OUTCOMES,
+    dispute_type: DISPUTE_TYPES,
+};
+
+/**
+ * Put a dispute in the queue (or back to pending). Never throws — the
+ * analysis is stored either way.
+ * @param {Object} item - { reason, details, primaryModel, primary, reviewModel, review }
+ */
+export async function queueForReview(supabase, disputeId, item) {
+    const { error } = await supabase
+        .from('ai_review_queue')
+        .upsert({
+            dispute_id: disputeId,
+            reason: item.reason,
+            details: item.details || null,
+            primary_model: item.primaryModel || null,
+            primary_result: item.primary || null,
+            review_model: item.reviewModel || null,
+            review_result: item.review || null,
+            status: 'pending',
+            resolution: null,
+            note: null,
+            resolved_at: null,
+        }, { onConflict: 'dispute_id' });
+
+    if (error) {
+        console.warn(`[Review] Could not queue dispute ${disputeId}:`, error.message);
+    }
+}
+
+/**
+ * Turn reviewer input into column values, rejecting anything malformed
+ * @returns {Object} { values, errors }
+ */
+export function normaliseCorrections(input) {
+    const values = {};
+    const errors = [];
+
+    for (const field of Object.keys(REVIEWABLE_FIELDS)) {
+        if (!(field in (input || {}))) continue;
+        const raw = input[field];
+
+        if (NUMERIC_FIELDS.includes(field)) {
+            if (raw === null || raw === '') {
+                values[field] = null;
+                continue;
+            }
+            const amount = parseFloat(raw);
+            if (!Number.isFinite(amount) || amount < 0) {
+                errors.push(`${field} must be a non-negative amount`);
+                continue;
+            }
+            values[field] = Math.round(amount * 100) / 100;
+        } else {
+            const value = typeof raw === 'string' && raw.trim() ? raw.trim() : null;
+            const choices = CHOICE_FIELDS[field];
+            if (value && choices && !choices.includes(value)) {
+                errors.push(`${field} must be one of: ${choices.join(', ')}`);
+                continue;
+            }
+            values[field] = value;
+        }
+    }
+
+    return { values, errors };
+}
+
+/**
+ * Resolve a review: accept the stored values, or write corrections, then lock
+ * the dispute against reprocessing
+ * @param {Object} review - ai_review_queue row
+ * @param {Object} dispute - the dispute's current ai_* columns and ai_provenance
+ * @param {Object} options - { corrections, note } — corrections keyed like REVIEWABLE_FIELDS
+ * @returns {Object} { status, resolution }
+ */
+export async function resolveReview(supabase, review, dispute, { corrections = {}, note = null }) {
+    const reviewedAt = new Date().toISOString();
+    const resolution = {};
+    const update = { ai_reviewed_at: reviewedAt };
+    const provenance = { ...(dispute.ai_provenance || {}) };
+
+    for (const [field, value] of Object.entries(corrections)) {
+        const column = REVIEWABLE_FIELDS[field];
+        const current = dispute[column] === undefined ? null : dispute[column];
+        const same = NUMERIC_FIELDS.includes(field)
+            ? (current === null ? null : parseFloat(current)) === value
+            : current === value;
+        if (same) continue;
+
+        resolution[field] = { from: current, to: value };
+        update[column] = value;
+        provenance[field] = {
+            ...(provenance[field] || {}),
+            value,
+            model: 'human review',
+            confidence: 1,
+            note: note || null,
+            reviewed_at: reviewedAt,
+        };
+    }
+
+    const status = Object.keys(resolution).length > 0 ? 'corrected' : 'accepted';
+    if (status === 'corrected') update.ai_provenance = provenance;
+
+    const { error: disputeError } = await supabase
+        .from('disputes')
+        .update(update)
+        .eq('id', review.dispute_id);
+    if (disputeError) throw disputeError;
+
+    const { error: reviewError } = await supabase
+        .from('ai_review_queue')
+        .update({ status, resolution, note, resolved_at: reviewedAt })
+        .eq('id', review.id);
+    if (reviewError) throw reviewError;
+
+    return { status, resolution };
+}
+
+/**
+ * Reopen a resolved review and unlock the dispute for reprocessing
+ */
+export async function reopenReview(supabase, review) {
+    const { error: disputeError } = await supabase
+        .from('disputes')
+        .update({ ai_reviewed_at: null })
+        .eq('id', review.dispute_id);
+    if (disputeError) throw disputeError;
+
+    const { error } = await supabase
+        .from('ai_review_queue')
+        .update({ status: 'pending', resolved_at: null })
+        .eq('id', review.id);
+    if (error) throw error;
+}
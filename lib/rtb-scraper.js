@@ -5,45 +5,38 @@
  */
 
 import * as cheerio from 'cheerio';
+import { createCrawler } from './polite-crawler.js';
+import { splitPartyNames } from './normalize-name.js';
 
 const RTB_BASE_URL = 'https://rtb.ie/disputes/dispute-outcomes-and-orders/adjudication-and-tribunal-orders';
 const RTB_API_URL = 'https://rtb.ie/wp-json/facetwp/v1/refresh';
 const RTB_TEMPLATE = 'adjudication_orders_and_tribunal_orders_listing';
+// Consecutive failed pages (each after the crawler's own retries) before giving up
+const MAX_CONSECUTIVE_FAILURES = 3;
 const REQUEST_TIMEOUT = 20000; // 20 seconds
 
 /**
  * Fetch a URL with redirect support
  */
-async function fetchWithRedirects(url, maxRedirects = 5) {
+async function fetchWithRedirects(crawler, url, maxRedirects = 5) {
     let currentUrl = url;
     for (let i = 0; i < maxRedirects; i++) {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-
-        try {
-            const response = await fetch(currentUrl, {
-                redirect: 'manual',
-                signal: controller.signal,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-                    'Accept': 'text/html,application/xhtml+xml',
-                },
-            });
-
-            clearTimeout(timeoutId);
-
-            if (response.status >= 300 && response.status < 400) {
-                const location = response.headers.get('location');
-                if (!location) throw new Error('Redirect without location header');
-                currentUrl = location.startsWith('http') ? location : new URL(location, currentUrl).toString();
-                continue;
-            }
+        const response = await crawler.fetch(currentUrl, {
+            redirect: 'manual',
+            headers: {
+                'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+                'Accept': 'text/html,application/xhtml+xml',
+            },
+        });
 
-            return response;
-        } catch (error) {
-            clearTimeout(timeoutId);
-            throw error;
+        if (response.status >= 300 && response.status < 400) {
+            const location = response.headers.get('location');
+            if (!location) throw new Error('Redirect without location header');
+            currentUrl = location.startsWith('http') ? location : new URL(location, currentUrl).toString();
+            continue;
         }
+
+        return response;
     }
     throw new Error('Too many redirects');
 }
@@ -51,9 +44,9 @@ async function fetchWithRedirects(url, maxRedirects = 5) {
 /**
  * Fetch the CSRF nonce from the RTB page
  */
-async function fetchNonce() {
+async function fetchNonce(crawler) {
     try {
-        const response = await fetchWithRedirects(RTB_BASE_URL);
+        const response = await fetchWithRedirects(crawler, RTB_BASE_URL);
         if (!response.ok) return null;
 
         const html = await response.text();
@@ -67,39 +60,36 @@ async function fetchNonce() {
 
 /**
  * Call the FacetWP API for a specific page
+ * Throws once the crawler has exhausted its retries — callers never get a silent null.
  */
-async function callFacetApi(nonce, page = 1, searchTerm = '') {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
-
-    try {
-        const facets = {
-            search: searchTerm,
-            adjudication_orders_and_tribunal_orders_date: [],
-        };
+async function callFacetApi(crawler, page = 1, searchTerm = '') {
+    const facets = {
+        search: searchTerm,
+        adjudication_orders_and_tribunal_orders_date: [],
+    };
 
-        const body = {
-            action: 'facetwp_refresh',
-            data: {
-                facets,
-                frozen_facets: {},
-                http_params: {
-                    get: searchTerm ? { '_search': searchTerm } : {},
-                    uri: 'disputes/dispute-outcomes-and-orders/adjudication-and-tribunal-orders',
-                    url_vars: {},
-                },
-                template: RTB_TEMPLATE,
-                extras: { counts: true, pager: true },
-                soft_refresh: 0,
-                is_bfcache: 0,
-                first_load: 0,
-                paged: page,
+    const body = {
+        action: 'facetwp_refresh',
+        data: {
+            facets,
+            frozen_facets: {},
+            http_params: {
+                get: searchTerm ? { '_search': searchTerm } : {},
+                uri: 'disputes/dispute-outcomes-and-orders/adjudication-and-tribunal-orders',
+                url_vars: {},
             },
-        };
+            template: RTB_TEMPLATE,
+            extras: { counts: true, pager: true },
+            soft_refresh: 0,
+            is_bfcache: 0,
+            first_load: 0,
+            paged: page,
+        },
+    };
 
-        const response = await fetch(RTB_API_URL, {
+    try {
+        const response = await crawler.fetch(RTB_API_URL, {
             method: 'POST',
-            signal: controller.signal,
             headers: {
                 'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
                 'Content-Type': 'application/json',
@@ -107,25 +97,99 @@ async function callFacetApi(nonce, page = 1, searchTerm = '') {
             body: JSON.stringify(body),
         });
 
-        clearTimeout(timeoutId);
-
         if (!response.ok) {
-            console.warn(`[RTBScraper] HTTP ${response.status} for page ${page}: ${response.statusText}`);
-            return null;
+            throw new Error(`HTTP ${response.status} ${response.statusText}`);
         }
 
         const json = await response.json();
+        if (!json?.template) {
+            throw new Error('response has no listing template');
+        }
         return json;
     } catch (error) {
-        clearTimeout(timeoutId);
         console.error(`[RTBScraper] API call failed for page ${page}:`, error.message);
-        return null;
+        const pageError = new Error(`RTB page ${page} failed: ${error.message}`);
+        // Lets the job record the retries spent on the page that sank it
+        pageError.metrics = crawler.snapshot();
+        throw pageError;
     }
 }
 
+/**
+ * Crawler for one scrape run. An expired nonce shows up as a 403, so the
+ * crawler refreshes it from the listing page and retries.
+ * @param {Object} session - { nonce } — updated in place on refresh
+ */
+function createSessionCrawler(session, { delayMs, metrics } = {}) {
+    const crawler = createCrawler({
+        name: 'RTBScraper',
+        delayMs,
+        metrics,
+        timeoutMs: REQUEST_TIMEOUT,
+        onForbidden: async () => {
+            console.warn('[RTBScraper] 403 from rtb.ie — fetching a fresh nonce');
+            const nonce = await fetchNonce(crawler);
+            if (nonce) session.nonce = nonce;
+            return Boolean(nonce);
+        },
+    });
+    return crawler;
+}
+
+// Role markers inside a heading, e.g. "Applicant Tenant :", "Respondents Landlord:", "Third Party :"
+const ROLE_MARKER = /\b(?:(Applicants?|Respondents?)\s+(Landlords?|Tenants?|Third[\s-]Part(?:y|ies))|(Third[\s-]Part(?:y|ies)))\s*:\s*/gi;
+
+/**
+ * Normalise a role word: "Tenants" -> "Tenant", "third-parties" -> "Third Party"
+ */
+function normaliseRole(role) {
+    if (/^third/i.test(role)) return 'Third Party';
+    const singular = role.replace(/s$/i, '');
+    return singular.charAt(0).toUpperCase() + singular.slice(1).toLowerCase();
+}
+
+/**
+ * Split a heading into its role segments, in the order they appear.
+ * "Applicant Tenant : A – Respondent Landlord : B – Third Party : C" →
+ *   [{ side: 'Applicant', role: 'Tenant', name: 'A' }, { side: 'Respondent', role: 'Landlord', name: 'B' },
+ *    { side: 'Third Party', role: 'Third Party', name: 'C' }]
+ */
+function parseHeadingSegments(heading) {
+    if (!heading) return [];
+
+    const markers = [...heading.matchAll(ROLE_MARKER)];
+    const segments = [];
+
+    markers.forEach((marker, i) => {
+        const start = marker.index + marker[0].length;
+        const end = i + 1 < markers.length ? markers[i + 1].index : heading.length;
+        const name = heading.slice(start, end)
+            .replace(/^[\s–—\-,;&]+/, '')
+            .replace(/(?:[\s–—\-,;&]|\band\b)+$/i, '')
+            .trim();
+
+        if (!name) return;
+
+        if (marker[3]) {
+            segments.push({ side: 'Third Party', role: 'Third Party', name });
+        } else {
+            segments.push({
+                side: normaliseRole(marker[1]),
+                role: normaliseRole(marker[2]),
+                name,
+            });
+        }
+    });
+
+    return segments;
+}
+
 /**
  * Parse the heading to extract applicant/respondent details
  * Format: "Applicant [Role] : [Name] – Respondent [Role] : [Name]"
+ * applicant_name/respondent_name keep the first segment as written (for display);
+ * applicants/respondents list every individual party on each side, with
+ * "X and Y" / "X, Y & Z" split into separate people.
  */
 function parseHeading(heading) {
     const result = {
@@ -133,25 +197,63 @@ function parseHeading(heading) {
         applicant_role: null,
         respondent_name: null,
         respondent_role: null,
+        applicants: [],
+        respondents: [],
     };
 
-    if (!heading) return result;
+    const segments = parseHeadingSegments(heading);
+    const applicant = segments.find(s => s.side === 'Applicant');
+    const respondent = segments.find(s => s.side === 'Respondent');
 
-    // Try to match: "Applicant Landlord : Name – Respondent Tenant : Name"
-    // or "Applicant Tenant : Name – Respondent Landlord : Name"
-    const pattern = /Applicant\s+(Landlord|Tenant|Tenants?)\s*:\s*(.+?)\s*[–\-]\s*Respondent\s+(Landlord|Tenant|Tenants?)\s*:\s*(.+)/i;
-    const match = heading.match(pattern);
+    if (applicant) {
+        result.applicant_name = applicant.name;
+        result.applicant_role = applicant.role;
+    }
+    if (respondent) {
+        result.respondent_name = respondent.name;
+        result.respondent_role = respondent.role;
+    }
+
+    for (const segment of segments) {
+        const list = segment.side === 'Applicant' ? result.applicants
+            : segment.side === 'Respondent' ? result.respondents
+                : null;
+        if (!list) continue;
 
-    if (match) {
-        result.applicant_role = match[1].replace(/s$/i, ''); // Normalize "Tenants" -> "Tenant"
-        result.applicant_name = match[2].trim();
-        result.respondent_role = match[3].replace(/s$/i, '');
-        result.respondent_name = match[4].trim();
+        for (const name of splitPartyNames(segment.name)) {
+            if (!list.some(p => p.name === name)) {
+                list.push({ name, role: segment.role });
+            }
+        }
     }
 
     return result;
 }
 
+/**
+ * List the reasons a parsed record is not safe to insert.
+ * An empty array means the record parsed cleanly.
+ */
+function findParseIssues(record) {
+    const issues = [];
+    if (!record.heading) issues.push('missing_heading');
+    if (!record.dr_no) issues.push('missing_dr_no');
+    if (!record.applicant_name) issues.push('missing_applicant');
+    if (!record.respondent_name) issues.push('missing_respondent');
+    return issues;
+}
+
+/**
+ * Split parsed records into clean results and quarantined parse failures
+ */
+function partitionResults(records, quarantine) {
+    if (!quarantine) return { results: records, failures: [] };
+    return {
+        results: records.filter(r => r.parse_issues.length === 0),
+        failures: records.filter(r => r.parse_issues.length > 0),
+    };
+}
+
 /**
  * Parse HTML results from the FacetWP API into structured records
  */
@@ -201,7 +303,7 @@ function parseResults(html) {
             }
         }
 
-        results.push({
+        const record = {
             heading,
             dr_no: drNo,
             tr_no: trNo,
@@ -209,7 +311,10 @@ function parseResults(html) {
             ...parties,
             pdf_urls: pdfUrls,
             raw_html: $.html($article),
-        });
+        };
+        record.parse_issues = findParseIssues(record);
+
+        results.push(record);
     });
 
     return results;
@@ -257,30 +362,38 @@ function getTotalPages(apiResponse) {
 /**
  * Main scraper: Fetch all dispute records, page by page
  * Returns an async generator that yields batches of records
- * @param {Object} options - { startPage, endPage, onProgress }
+ * @param {Object} options - { startPage, endPage, onProgress, quarantine, nonce, delayMs, metrics, pages }
+ *   quarantine: move records with parse issues out of `results` into `failures`
+ *   nonce: FacetWP nonce from an earlier run — refreshed if the site answers 403
+ *   delayMs: base interval between requests (scrape_delay_ms)
+ *   metrics: crawl metrics from an earlier slice of the same job, to keep adding to
+ *   pages: fetch only these page numbers (gap fill) instead of startPage..endPage
+ * Each batch carries the `nonce` in use, so a checkpointed job can pass it back,
+ * `metrics`, the crawler's running totals for scrape_jobs.crawl_metrics, and
+ * `perPage`, for mapping page numbers as the listing grows.
+ * A page that still fails after the crawler's retries is yielded with
+ * `failed: true` and an `error` (for scrape_page_failures); after
+ * MAX_CONSECUTIVE_FAILURES in a row the site is treated as down and the
+ * generator throws, leaving the job at its last checkpoint.
  */
-export async function* scrapeAllDisputes({ startPage = 1, endPage = null, onProgress } = {}) {
+export async function* scrapeAllDisputes({ startPage = 1, endPage = null, onProgress, quarantine = false, nonce: cachedNonce = null, delayMs, metrics, pages = null } = {}) {
     console.log(`[RTBScraper] Starting scrape from page ${startPage}...`);
 
-    // Rate limiting config — be respectful of the RTB server
-    const BASE_DELAY_MS = 3000;  // 3 seconds between requests
-    const MAX_RETRIES = 3;
-    let consecutiveErrors = 0;
+    const session = { nonce: cachedNonce };
+    const crawler = createSessionCrawler(session, { delayMs, metrics });
 
     // Step 1: Get nonce
-    const nonce = await fetchNonce();
-    if (!nonce) {
+    if (!session.nonce) session.nonce = await fetchNonce(crawler);
+    if (!session.nonce) {
         throw new Error('Could not connect to RTB site - failed to get nonce');
     }
 
     // Step 2: Fetch first page to get total count (always need this even when resuming)
-    const firstPage = await callFacetApi(nonce, 1);
-    if (!firstPage || !firstPage.template) {
-        throw new Error('RTB search API failed on first page');
-    }
+    const firstPage = await callFacetApi(crawler, 1);
 
     const totalPages = getTotalPages(firstPage);
     const totalResults = firstPage.settings?.pager?.total_rows || 0;
+    const perPage = firstPage.settings?.pager?.per_page || null;
     const lastPage = endPage ? Math.min(endPage, totalPages) : totalPages;
 
     console.log(`[RTBScraper] Total: ${totalResults} results across ${totalPages} pages. Processing pages ${startPage} to ${lastPage}`);
@@ -290,57 +403,39 @@ export async function* scrapeAllDisputes({ startPage = 1, endPage = null, onProg
     }
 
     // If starting from page 1, yield page 1 results
-    if (startPage === 1) {
-        const firstResults = parseResults(firstPage.template);
-        yield { page: 1, results: firstResults, totalPages, totalResults };
+    if (startPage === 1 && (!pages || pages.includes(1))) {
+        const { results, failures } = partitionResults(parseResults(firstPage.template), quarantine);
+        yield { page: 1, results, failures, totalPages, totalResults, perPage, nonce: session.nonce, metrics: crawler.snapshot() };
 
         if (onProgress) {
             onProgress({ totalPages, totalResults, currentPage: 1 });
         }
     }
 
-    // Step 3: Fetch pages with rate limiting and retry
+    // Step 3: Fetch remaining pages — pacing and retries are the crawler's job
     const fromPage = startPage <= 1 ? 2 : startPage;
-    for (let page = fromPage; page <= lastPage; page++) {
-        // Delay between requests — increases on consecutive errors
-        const delay = BASE_DELAY_MS * (1 + consecutiveErrors);
-        await new Promise(resolve => setTimeout(resolve, delay));
-
-        let success = false;
-        for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-            try {
-                const pageData = await callFacetApi(nonce, page);
-                if (pageData && pageData.template) {
-                    const results = parseResults(pageData.template);
-                    yield { page, results, totalPages, totalResults };
-                    consecutiveErrors = 0; // Reset on success
-                    success = true;
-                    break;
-                } else {
-                    console.warn(`[RTBScraper] No data for page ${page}, attempt ${attempt}/${MAX_RETRIES}`);
-                }
-            } catch (error) {
-                console.error(`[RTBScraper] Error on page ${page} (attempt ${attempt}/${MAX_RETRIES}):`, error.message);
-            }
+    const queue = pages
+        ? [...new Set(pages)].filter(p => p >= fromPage && p <= lastPage).sort((a, b) => a - b)
+        : Array.from({ length: Math.max(0, lastPage - fromPage + 1) }, (_, i) => fromPage + i);
+    let consecutiveFailures = 0;
 
-            if (attempt < MAX_RETRIES) {
-                // Exponential backoff: 3s, 6s, 12s
-                const backoff = BASE_DELAY_MS * Math.pow(2, attempt - 1);
-                console.log(`[RTBScraper] Retrying page ${page} in ${backoff / 1000}s...`);
-                await new Promise(resolve => setTimeout(resolve, backoff));
+    for (const page of queue) {
+        let pageData;
+        try {
+            pageData = await callFacetApi(crawler, page);
+            consecutiveFailures = 0;
+        } catch (error) {
+            consecutiveFailures++;
+            if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+                console.error(`[RTBScraper] ${consecutiveFailures} pages in a row failed — stopping`);
+                throw error;
             }
+            yield { page, failed: true, error: error.message, results: [], failures: [], totalPages, totalResults, perPage, nonce: session.nonce, metrics: crawler.snapshot() };
+            continue;
         }
 
-        if (!success) {
-            consecutiveErrors++;
-            console.warn(`[RTBScraper] Failed all retries for page ${page}, skipping (${consecutiveErrors} consecutive errors)`);
-
-            // If too many consecutive errors, stop entirely
-            if (consecutiveErrors >= 5) {
-                console.error(`[RTBScraper] Too many consecutive errors (${consecutiveErrors}), stopping scrape`);
-                break;
-            }
-        }
+        const { results, failures } = partitionResults(parseResults(pageData.template), quarantine);
+        yield { page, results, failures, totalPages, totalResults, perPage, nonce: session.nonce, metrics: crawler.snapshot() };
 
         if (onProgress) {
             onProgress({ totalPages, totalResults, currentPage: page });
@@ -350,6 +445,39 @@ export async function* scrapeAllDisputes({ startPage = 1, endPage = null, onProg
     console.log('[RTBScraper] Scrape chunk complete');
 }
 
+/**
+ * Incremental scraper: walks pages newest-first and stops once `overlapPages`
+ * consecutive pages contain only DR numbers that are already stored.
+ * Yields the same batches as scrapeAllDisputes, plus:
+ *   known        - Set of this page's DR numbers that were already stored
+ *   reachedKnown - true on the final batch when the walk stopped at known territory
+ * @param {Object} options - { findKnown, overlapPages, startPage, endPage, onProgress, quarantine, nonce, delayMs, metrics }
+ *   findKnown: async (drNos) => Set of those DR numbers already in the database
+ */
+export async function* scrapeNewDisputes({ findKnown, overlapPages = 1, startPage = 1, endPage = null, onProgress, quarantine = false, nonce = null, delayMs, metrics } = {}) {
+    if (!findKnown) throw new Error('scrapeNewDisputes requires a findKnown callback');
+
+    let knownStreak = 0;
+
+    for await (const batch of scrapeAllDisputes({ startPage, endPage, onProgress, quarantine, nonce, delayMs, metrics })) {
+        const drNos = [...batch.results, ...batch.failures]
+            .map(r => r.dr_no)
+            .filter(Boolean);
+        const known = drNos.length > 0 ? await findKnown(drNos) : new Set();
+        const allKnown = drNos.length > 0 && drNos.every(dr => known.has(dr));
+
+        knownStreak = allKnown ? knownStreak + 1 : 0;
+        const reachedKnown = knownStreak >= Math.max(1, overlapPages);
+
+        yield { ...batch, known, reachedKnown };
+
+        if (reachedKnown) {
+            console.log(`[RTBScraper] Page ${batch.page} completes ${knownStreak} fully-known page(s) — stopping incremental scrape`);
+            return;
+        }
+    }
+}
+
 /**
  * Search-specific scrape (single search term, single page)
  */
@@ -358,13 +486,18 @@ export async function searchDisputes(searchTerm) {
         return { results: [], total_count: 0, error: 'No search term provided' };
     }
 
-    const nonce = await fetchNonce();
-    if (!nonce) {
+    const session = { nonce: null };
+    const crawler = createSessionCrawler(session);
+
+    session.nonce = await fetchNonce(crawler);
+    if (!session.nonce) {
         return { results: [], total_count: 0, error: 'Could not connect to RTB site' };
     }
 
-    const apiResponse = await callFacetApi(nonce, 1, searchTerm.trim());
-    if (!apiResponse || !apiResponse.template) {
+    let apiResponse;
+    try {
+        apiResponse = await callFacetApi(crawler, 1, searchTerm.trim());
+    } catch {
         return { results: [], total_count: 0, error: 'RTB search API failed' };
     }
 
@@ -379,4 +512,4 @@ export async function searchDisputes(searchTerm) {
     };
 }
 
-export { parseHeading, parseResults };
+export { parseHeading, parseHeadingSegments, parseResults, findParseIssues };
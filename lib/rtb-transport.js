@@ -0,0 +1,168 @@
+/**
+ * RTB HTTP Transport
+ * Shared fetch layer for the rtb.ie scrapers (disputes, enforcement orders, rent register)
+ *
+ * Modes (RTB_FIXTURE_MODE env var, or setTransportMode()):
+ *   live    - plain fetch against rtb.ie (default)
+ *   record  - fetch live and write every response to the fixture directory
+ *   replay  - serve responses from the fixture directory, never touch the network
+ *
+ * Fixtures are keyed on method + URL + request body, with volatile values
+ * (nonces) stripped so a recording made in one session replays in another.
+ * Directory defaults to fixtures/rtb, override with RTB_FIXTURE_DIR.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const MODES = ['live', 'record', 'replay'];
+
+let modeOverride = null;
+let dirOverride = null;
+
+export function getTransportMode() {
+    const mode = modeOverride || process.env.RTB_FIXTURE_MODE || 'live';
+    if (!MODES.includes(mode)) {
+        throw new Error(`Unknown RTB_FIXTURE_MODE "${mode}" (expected ${MODES.join(', ')})`);
+    }
+    return mode;
+}
+
+export function getFixtureDir() {
+    return dirOverride || process.env.RTB_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'rtb');
+}
+
+/**
+ * Switch transport mode at runtime (used by scripts/scrape-fixtures.mjs)
+ * @param {string|null} mode - live, record, replay, or null to fall back to the env var
+ * @param {Object} options - { fixtureDir }
+ */
+export function setTransportMode(mode, { fixtureDir } = {}) {
+    if (mode && !MODES.includes(mode)) {
+        throw new Error(`Unknown transport mode "${mode}"`);
+    }
+    modeOverride = mode;
+    if (fixtureDir !== undefined) dirOverride = fixtureDir;
+}
+
+// ============================================
+// FIXTURE KEYS
+// ============================================
+
+/**
+ * Normalise a request body so the fixture key is stable across sessions.
+ * admin-ajax bodies carry a per-session nonce; FacetWP bodies are JSON.
+ */
+function normaliseBody(body) {
+    if (!body) return '';
+
+    if (body instanceof URLSearchParams) {
+        const params = new URLSearchParams(body);
+        params.delete('nonce');
+        params.sort();
+        return params.toString();
+    }
+
+    if (typeof body === 'string') {
+        try {
+            const json = JSON.parse(body);
+            delete json.nonce;
+            return JSON.stringify(json);
+        } catch {
+            return body;
+        }
+    }
+
+    return String(body);
+}
+
+function fixtureKey(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const body = normaliseBody(options.body);
+    const hash = crypto.createHash('sha1').update(`${method} ${url}\n${body}`).digest('hex').slice(0, 16);
+
+    // Human-readable prefix so the fixture directory can be browsed
+    const { hostname, pathname } = new URL(url);
+    const slug = (hostname + pathname).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').slice(0, 60);
+
+    return { file: `${slug}-${hash}.json`, method, body };
+}
+
+// ============================================
+// RECORD / REPLAY
+// ============================================
+
+async function recordResponse(url, options, response) {
+    const { file, method, body } = fixtureKey(url, options);
+    const text = await response.text();
+
+    const fixture = {
+        request: { method, url, body },
+        response: {
+            status: response.status,
+            statusText: response.statusText,
+            headers: Object.fromEntries(response.headers.entries()),
+            body: text,
+        },
+        recorded_at: new Date().toISOString(),
+    };
+
+    const dir = getFixtureDir();
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, file), JSON.stringify(fixture, null, 2));
+
+    // The original body has been consumed — hand back an equivalent response
+    return buildResponse(fixture.response);
+}
+
+async function replayResponse(url, options) {
+    const { file, method } = fixtureKey(url, options);
+    const fullPath = path.join(getFixtureDir(), file);
+
+    let raw;
+    try {
+        raw = await fs.readFile(fullPath, 'utf-8');
+    } catch {
+        throw new Error(`[RTBTransport] No fixture for ${method} ${url} (expected ${file})`);
+    }
+
+    return buildResponse(JSON.parse(raw).response);
+}
+
+function buildResponse({ status, statusText, headers, body }) {
+    // Null-body statuses (redirects without content, 204, 304) reject a body argument
+    const nullBody = status === 204 || status === 304 || (status >= 300 && status < 400 && !body);
+    return new Response(nullBody ? null : body, { status, statusText, headers });
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Drop-in replacement for fetch() used by every rtb.ie request
+ */
+export async function rtbFetch(url, options = {}) {
+    const mode = getTransportMode();
+
+    if (mode === 'replay') {
+        return replayResponse(url, options);
+    }
+
+    const response = await fetch(url, options);
+
+    if (mode === 'record') {
+        return recordResponse(url, options, response);
+    }
+
+    return response;
+}
+
+/**
+ * Politeness delay between rtb.ie requests — skipped when replaying fixtures
+ */
+export function transportDelay(ms) {
+    if (getTransportMode() === 'replay') return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
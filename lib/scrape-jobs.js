@@ -0,0 +1,190 @@
+/**
+ * Checkpointed scrape jobs
+ * A scrape job is worked in slices: each invocation of the source's worker
+ * endpoint processes pages until MAX_SLICE_MS, saving a cursor after every
+ * page, then calls itself again (the same self-chaining /api/ai/batch uses).
+ * A job that dies mid-slice — serverless timeout, deploy — resumes from its
+ * last checkpoint instead of starting over.
+ *
+ *   queued  → running, paused, cancelled
+ *   running → completed, failed, paused, cancelled, queued (resuming a stalled job)
+ *   paused  → queued (resume), cancelled
+ *   failed  → queued (resume)
+ *
+ * completed and cancelled are terminal. Each slice claims the job by bumping
+ * slice_count, so a duplicate or stale request for the same slice is a no-op.
+ */
+
+// Stop taking new pages after this long so the slice finishes inside maxDuration = 300
+export const MAX_SLICE_MS = 4 * 60 * 1000;
+
+// A running job with no checkpoint for this long has lost its chain
+export const STALL_AFTER_MS = 10 * 60 * 1000;
+
+// Refetch the FacetWP nonce once the carried-over one is this old
+export const NONCE_MAX_AGE_MS = 6 * 60 * 60 * 1000;
+
+// Worker endpoint per scrape_jobs.source_type
+export const SCRAPE_JOB_ROUTES = {
+    disputes: '/api/scrape',
+    enforcement: '/api/scrape/enforcement',
+};
+
+// Statuses a job may move to from each status
+const TRANSITIONS = {
+    queued: ['running', 'paused', 'cancelled'],
+    running: ['queued', 'paused', 'completed', 'failed', 'cancelled'],
+    paused: ['queued', 'cancelled'],
+    failed: ['queued'],
+    completed: [],
+    cancelled: [],
+};
+
+// Statuses that block starting another job for the same source
+export const ACTIVE_STATUSES = ['queued', 'running', 'paused'];
+
+/**
+ * Move a job to a new status, but only from a status that allows it
+ * @param {Object} supabase - service client
+ * @param {string} jobId
+ * @param {string} to - target status
+ * @param {Object} [fields] - extra columns to write with the transition
+ * @returns {Object|null} the updated job, or null if the job was not in a valid state
+ */
+export async function transitionJob(supabase, jobId, to, fields = {}) {
+    const from = Object.keys(TRANSITIONS).filter(status => TRANSITIONS[status].includes(to));
+
+    const { data, error } = await supabase
+        .from('scrape_jobs')
+        .update({ status: to, ...fields })
+        .eq('id', jobId)
+        .in('status', from)
+        .select()
+        .single();
+
+    if (error || !data) return null;
+    return data;
+}
+
+/**
+ * Claim the next slice of a queued or running job
+ * @param {number} slice - the job's slice_count when this slice was chained
+ * @returns {Object|null} the job (now running), or null if another request got there first
+ *   or the job was paused/cancelled in the meantime
+ */
+export async function claimSlice(supabase, jobId, slice) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabase
+        .from('scrape_jobs')
+        .update({ status: 'running', slice_count: slice + 1, checkpoint_at: now })
+        .eq('id', jobId)
+        .eq('slice_count', slice)
+        .in('status', ['queued', 'running'])
+        .select()
+        .single();
+
+    if (error || !data) return null;
+
+    if (!data.started_at) {
+        await supabase.from('scrape_jobs').update({ started_at: now }).eq('id', jobId);
+        data.started_at = now;
+    }
+    return data;
+}
+
+/**
+ * Whether the slice that claimed the job still owns it (checked between pages)
+ */
+export async function ownsSlice(supabase, jobId, slice) {
+    const { data } = await supabase
+        .from('scrape_jobs')
+        .select('status, slice_count')
+        .eq('id', jobId)
+        .single();
+    return data?.status === 'running' && data.slice_count === slice + 1;
+}
+
+/**
+ * Persist progress after a page so the next slice can carry on from it
+ * @param {Object} cursor - { page, last_ref, nonce, nonce_fetched_at }
+ * @param {Object} [fields] - counts and progress columns to write alongside
+ */
+export async function saveCheckpoint(supabase, jobId, cursor, fields = {}) {
+    const { error } = await supabase
+        .from('scrape_jobs')
+        .update({
+            cursor,
+            checkpoint_at: new Date().toISOString(),
+            ...fields,
+        })
+        .eq('id', jobId);
+
+    if (error) {
+        console.error(`[ScrapeJobs] Could not checkpoint job ${jobId}:`, error.message);
+    }
+}
+
+/**
+ * The nonce to carry into the next slice — null once it is too old to trust
+ */
+export function reusableNonce(cursor) {
+    if (!cursor?.nonce || !cursor.nonce_fetched_at) return null;
+    const age = Date.now() - new Date(cursor.nonce_fetched_at).getTime();
+    return age < NONCE_MAX_AGE_MS ? cursor.nonce : null;
+}
+
+/**
+ * Pacing and carried-over metrics for the crawler of a job's next slice
+ * @param {Object|null} job - the job being worked (null for one-off runs)
+ * @returns {Object} { delayMs, metrics } — spread into the scraper options
+ */
+export async function loadCrawlOptions(supabase, job = null) {
+    const { data: delaySetting } = await supabase
+        .from('admin_settings')
+        .select('value')
+        .eq('key', 'scrape_delay_ms')
+        .single();
+
+    const delayMs = parseInt(delaySetting?.value || '', 10);
+    return {
+        delayMs: delayMs > 0 ? delayMs : undefined,
+        metrics: job?.crawl_metrics || null,
+    };
+}
+
+/**
+ * A running job whose chain broke (no checkpoint within STALL_AFTER_MS)
+ */
+export function isStalled(job) {
+    if (!job || job.status !== 'running') return false;
+    const last = job.checkpoint_at || job.started_at || job.created_at;
+    return !last || Date.now() - new Date(last).getTime() > STALL_AFTER_MS;
+}
+
+/**
+ * Whether a worker request carries the CRON_SECRET (same check as /api/cron)
+ */
+export function isAuthorisedWorker(request) {
+    const cronSecret = process.env.CRON_SECRET;
+    return !cronSecret || request.headers.get('Authorization') === `Bearer ${cronSecret}`;
+}
+
+/**
+ * Fire the next slice of a job (fire-and-forget, like /api/ai/batch)
+ * @param {string} origin - e.g. new URL(request.url).origin
+ * @param {Object} job - needs id, source_type and slice_count
+ */
+export function chainJob(origin, job) {
+    const path = SCRAPE_JOB_ROUTES[job.source_type || 'disputes'];
+    fetch(origin + path, {
+        method: 'PUT',
+        headers: {
+            'Authorization': `Bearer ${process.env.CRON_SECRET}`,
+            'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ job_id: job.id, slice: job.slice_count || 0 }),
+    }).catch(err => {
+        console.error(`[ScrapeJobs] Could not chain job ${job.id}:`, err.message);
+    });
+}
@@ -0,0 +1,120 @@
+/**
+ * Source reconciliation
+ * Every sync stamps the DR numbers it sees in the FacetWP listing. Once a full
+ * sync has walked every page, disputes it never saw are flagged with
+ * removed_from_source_at — RTB has withdrawn or redacted them. A flagged
+ * dispute that shows up in a later listing is un-flagged automatically.
+ */
+
+/**
+ * Stamp DR numbers as present in the listing (and clear any removal flag)
+ * @param {Object} supabase - service client
+ * @param {Array<string>} drNos - DR numbers listed on the page just scraped
+ */
+export async function markDisputesSeen(supabase, drNos) {
+    const refs = (drNos || []).filter(Boolean);
+    if (refs.length === 0) return;
+
+    const { error } = await supabase
+        .from('disputes')
+        .update({
+            last_seen_in_source_at: new Date().toISOString(),
+            removed_from_source_at: null,
+        })
+        .in('dr_no', refs);
+
+    if (error) {
+        console.error('[Reconcile] Could not mark disputes seen:', error.message);
+    }
+}
+
+/**
+ * Why a completed full sync can't be trusted for reconciliation
+ * A page that failed to load holds disputes the walk never stamped, and
+ * flagging them as removed would un-publish records RTB still lists.
+ * @param {Object} supabase - service client
+ * @param {Object} job - scrape_jobs row ({ id, failed_pages })
+ * @returns {string|null} reason to skip, or null when every page was read
+ */
+export async function reconciliationBlocker(supabase, job) {
+    if ((job.failed_pages || 0) > 0) {
+        return `${job.failed_pages} listing page(s) failed during the sync — run a gap fill and a fresh full sync first`;
+    }
+
+    const { count, error } = await supabase
+        .from('scrape_page_failures')
+        .select('id', { count: 'exact', head: true })
+        .eq('source_type', 'disputes')
+        .is('resolved_at', null);
+
+    if (error) throw error;
+    if (count) {
+        return `${count} listing page failure(s) are still unresolved — run a gap fill first`;
+    }
+    return null;
+}
+
+/**
+ * Flag disputes not seen since a full sync started
+ * Skipped (nothing flagged) when the number missing exceeds the
+ * removal_max_per_run setting — a listing outage or markup change looks
+ * exactly like mass removal, and un-publishing thousands of records on that
+ * basis would be worse than waiting for the next sync.
+ *
+ * @param {Object} supabase - service client
+ * @param {Object} options
+ * @param {string} options.since - started_at of the full sync that walked every page
+ * @param {string} [options.jobId] - scrape job to record the outcome on
+ * @returns {Object} { removed, candidates, skipped }
+ */
+export async function reconcileRemovedDisputes(supabase, { since, jobId = null }) {
+    if (!since) throw new Error('reconcileRemovedDisputes requires the start time of a full sync');
+
+    const cutoff = new Date(since).toISOString();
+    const notSeenSince = `last_seen_in_source_at.is.null,last_seen_in_source_at.lt.${cutoff}`;
+
+    const { data: limitSetting } = await supabase
+        .from('admin_settings')
+        .select('value')
+        .eq('key', 'removal_max_per_run')
+        .single();
+    const maxRemovals = parseInt(limitSetting?.value || '50', 10);
+
+    const { count: candidates, error: countError } = await supabase
+        .from('disputes')
+        .select('id', { count: 'exact', head: true })
+        .is('removed_from_source_at', null)
+        .or(notSeenSince);
+
+    if (countError) throw countError;
+
+    let result;
+    if ((candidates || 0) > maxRemovals) {
+        const skipped = `${candidates} disputes missing from the listing exceeds removal_max_per_run (${maxRemovals}) — nothing flagged`;
+        console.warn(`[Reconcile] ${skipped}`);
+        result = { removed: 0, candidates, skipped };
+    } else if (!candidates) {
+        result = { removed: 0, candidates: 0, skipped: null };
+    } else {
+        const { data: flagged, error: updateError } = await supabase
+            .from('disputes')
+            .update({ removed_from_source_at: new Date().toISOString() })
+            .is('removed_from_source_at', null)
+            .or(notSeenSince)
+            .select('dr_no');
+
+        if (updateError) throw updateError;
+
+        console.log(`[Reconcile] Flagged ${flagged.length} dispute(s) no longer listed on rtb.ie: ${flagged.map(d => d.dr_no).join(', ')}`);
+        result = { removed: flagged.length, candidates, skipped: null };
+    }
+
+    if (jobId) {
+        await supabase
+            .from('scrape_jobs')
+            .update({ removed_records: result.removed, reconcile_message: result.skipped })
+            .eq('id', jobId);
+    }
+
+    return result;
+}
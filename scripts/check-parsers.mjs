@@ -0,0 +1,123 @@
+/**
+ * scripts/check-parsers.mjs
+ *
+ * Parser contract check. Runs every captured article snippet in fixtures/parsers/
+ * through the real parseResults() and compares the fields listed under `expected`.
+ * The search corpus does the same for search box queries through toTsQuery().
+ * Exits non-zero on any mismatch, so it can gate parser changes.
+ *
+ * Usage:
+ *   node scripts/check-parsers.mjs                     (check every corpus)
+ *   node scripts/check-parsers.mjs disputes            (one corpus only)
+ *   node scripts/check-parsers.mjs --import-failures   (append unresolved parse_failures rows
+ *                                                       from Supabase as unlabelled cases)
+ *
+ * Cases with an empty `expected` object are reported as unlabelled rather than
+ * failing — fill in the expected fields once the right answer is known.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseResults as parseDisputes } from '../lib/rtb-scraper.js';
+import { parseResults as parseEnforcement } from '../lib/enforcement-scraper.js';
+import { toTsQuery } from '../lib/fulltext-search.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CORPUS_DIR = join(__dirname, '..', 'fixtures', 'parsers');
+
+// Listing parsers take a case's raw_html; parse_failures can be imported into these
+const LISTING_PARSERS = {
+    disputes: parseDisputes,
+    enforcement: parseEnforcement,
+};
+
+const PARSERS = {
+    ...LISTING_PARSERS,
+    search: input => [{ tsquery: toTsQuery(input) }],
+};
+
+const args = process.argv.slice(2);
+const only = args.find(a => PARSERS[a]);
+
+async function loadCorpus(name) {
+    const path = join(CORPUS_DIR, `${name}.json`);
+    return { path, corpus: JSON.parse(await readFile(path, 'utf-8')) };
+}
+
+async function importFailures() {
+    const { createClient } = await import('@supabase/supabase-js');
+    const supabase = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+    const { data: failures, error } = await supabase
+        .from('parse_failures')
+        .select('source_type, reference_no, heading, raw_html')
+        .is('resolved_at', null)
+        .order('last_seen_at', { ascending: false })
+        .limit(200);
+
+    if (error) throw error;
+
+    for (const name of Object.keys(LISTING_PARSERS)) {
+        const { path, corpus } = await loadCorpus(name);
+        const known = new Set(corpus.cases.map(c => c.raw_html));
+        const fresh = (failures || []).filter(f => f.source_type === name && f.raw_html && !known.has(f.raw_html));
+
+        for (const f of fresh) {
+            corpus.cases.push({ name: `${f.reference_no || 'no ref'}: ${f.heading}`.slice(0, 120), raw_html: f.raw_html, expected: {} });
+        }
+
+        await writeFile(path, JSON.stringify(corpus, null, 2) + '\n');
+        console.log(`${name}: imported ${fresh.length} unlabelled case(s)`);
+    }
+}
+
+async function check() {
+    let failed = 0;
+    let unlabelled = 0;
+
+    for (const name of Object.keys(PARSERS)) {
+        if (only && only !== name) continue;
+
+        const { corpus } = await loadCorpus(name);
+        console.log(`\n=== ${name} (${corpus.cases.length} cases) ===`);
+
+        for (const testCase of corpus.cases) {
+            const [record] = PARSERS[name](testCase.raw_html ?? testCase.input);
+            const expectedKeys = Object.keys(testCase.expected || {});
+
+            if (!record) {
+                failed++;
+                console.log(`  ✗ ${testCase.name}: parser returned no record`);
+                continue;
+            }
+
+            if (expectedKeys.length === 0) {
+                unlabelled++;
+                console.log(`  ? ${testCase.name}: unlabelled — parsed ${JSON.stringify({ applicant_name: record.applicant_name, respondent_name: record.respondent_name })}`);
+                continue;
+            }
+
+            const mismatches = expectedKeys.filter(key =>
+                JSON.stringify(record[key] ?? null) !== JSON.stringify(testCase.expected[key]));
+
+            if (mismatches.length === 0) {
+                console.log(`  ✓ ${testCase.name}`);
+            } else {
+                failed++;
+                console.log(`  ✗ ${testCase.name}`);
+                for (const key of mismatches) {
+                    console.log(`      ${key}: expected ${JSON.stringify(testCase.expected[key])}, got ${JSON.stringify(record[key] ?? null)}`);
+                }
+            }
+        }
+    }
+
+    console.log(`\n${failed === 0 ? 'All cases pass' : `${failed} case(s) failed`}${unlabelled ? ` (${unlabelled} unlabelled)` : ''}`);
+    process.exit(failed === 0 ? 0 : 1);
+}
+
+(args.includes('--import-failures') ? importFailures() : check()).catch(err => {
+    console.error('Fatal:', err.message);
+    process.exit(1);
+});
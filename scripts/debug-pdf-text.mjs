@@ -1,6 +1,8 @@
 #!/usr/bin/env node
-// Debug: show full extracted text from a dispute PDF
+// Debug: show extracted text from a dispute PDF and what the order rules make of it
 import { createClient } from '@supabase/supabase-js';
+import { extractPdfText } from '../lib/pdf-text.js';
+import { parseDetermination } from '../lib/determination-parser.js';
 
 const DR_NO = process.argv[2] || 'DR0425-104598';
 const supabase = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
@@ -12,10 +14,15 @@ const pdfUrl = dispute.pdf_urls?.[0]?.url;
 const res = await fetch(pdfUrl);
 const buffer = Buffer.from(await res.arrayBuffer());
 
-const pdfParse = (await import('pdf-parse/lib/pdf-parse.js')).default;
-const data = await pdfParse(buffer);
+const data = await extractPdfText(buffer);
 
-console.log('Pages:', data.numpages);
-console.log('Text length:', data.text.length);
+console.log('Pages:', data.pageCount);
+console.log('Text length:', data.text.length, data.hasTextLayer ? '' : '(no text layer — scanned?)');
 console.log('\n--- FULL TEXT (last 2000 chars) ---');
 console.log(data.text.slice(-2000));
+
+const { order_text: orderText, ...parsed } = parseDetermination(data.text);
+console.log('\n--- ORDER SECTION ---');
+console.log(orderText || '(not found)');
+console.log('\n--- RULE PARSE ---');
+console.log(JSON.stringify(parsed, null, 2));
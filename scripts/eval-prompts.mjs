@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Score a prompt version / model against the gold set of hand-verified
+ * determinations (ai_gold_set) and print accuracy for outcome, type and
+ * amounts. The run is stored in ai_eval_runs, where Admin → AI Processing
+ * shows it next to earlier runs. Disputes are not changed.
+ *
+ * Usage: node --env-file=.env.local scripts/eval-prompts.mjs [options]
+ * Options:
+ *   --prompt=VERSION      Prompt version from lib/prompts.js (default: current)
+ *   --provider=P:MODEL    e.g. openai:gpt-4o, local:llama3.1:8b (default: as configured)
+ *   --limit=N             Only the first N gold set entries
+ *   --seed-from-reviews   First add every reviewed dispute (Review Queue) not yet in the gold set
+ *   --list                List the prompt versions and exit
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { runEvaluation, goldFromDispute } from '../lib/prompt-eval.js';
+import { PROMPTS, CURRENT_PROMPTS } from '../lib/prompts.js';
+
+const supabase = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const args = process.argv.slice(2);
+const option = name => args.find(a => a.startsWith(`--${name}=`))?.split('=').slice(1).join('=') || null;
+const PROMPT = option('prompt');
+const PROVIDER = option('provider');
+const LIMIT = option('limit') ? parseInt(option('limit')) : null;
+
+if (args.includes('--list')) {
+    for (const [version, prompt] of Object.entries(PROMPTS.dispute)) {
+        console.log(`${version}${version === CURRENT_PROMPTS.dispute ? ' (current)' : ''} — ${prompt.notes}`);
+    }
+    process.exit(0);
+}
+
+if (args.includes('--seed-from-reviews')) {
+    const { data: reviewed, error } = await supabase
+        .from('disputes')
+        .select('id, ai_outcome, ai_dispute_type, ai_compensation_amount, ai_cost_order, ai_reviewed_at, ai_gold_set!left(id)')
+        .not('ai_reviewed_at', 'is', null)
+        .not('ai_outcome', 'is', null)
+        .is('ai_gold_set', null);
+    if (error) throw error;
+
+    if (reviewed.length > 0) {
+        const { error: insertError } = await supabase
+            .from('ai_gold_set')
+            .upsert(reviewed.map(goldFromDispute), { onConflict: 'dispute_id', ignoreDuplicates: true });
+        if (insertError) throw insertError;
+    }
+    console.log(`Added ${reviewed.length} reviewed disputes to the gold set\n`);
+}
+
+const pct = rate => rate === null ? '—' : `${(rate * 100).toFixed(1)}%`;
+
+console.log(`=== Evaluating ${PROMPT || 'the configured prompt'} with ${PROVIDER || 'the configured model'} ===`);
+
+const run = await runEvaluation(supabase, {
+    promptVersion: PROMPT,
+    providerChoice: PROVIDER,
+    limit: LIMIT,
+    onProgress: (done, total, result) => {
+        const mark = result.error ? '✗' : Object.values(result.matches).every(m => m !== false) ? '✓' : '≠';
+        console.log(`  [${done}/${total}] ${mark} ${result.dr_no}${result.error ? `: ${result.error}` : ''}`);
+    },
+});
+
+const m = run.metrics;
+console.log(`\n=== ${run.prompt_version} · ${run.model} ===`);
+console.log(`Evaluated:          ${m.evaluated} (${m.failed} failed)`);
+console.log(`Outcome:            ${pct(m.outcome_accuracy)}`);
+console.log(`Dispute type:       ${pct(m.type_accuracy)}`);
+console.log(`Amount exact:       ${pct(m.amount_exact)}`);
+console.log(`Amount within 5%:   ${pct(m.amount_within_5pct)}`);
+console.log(`Cost order:         ${pct(m.cost_order_accuracy)}`);
+console.log(`Amount withheld:    ${pct(m.amount_withheld)}`);
+console.log(`Run: ${run.id}`);
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Backfill PDF text for full-text search.
+ * Extracts the text of every dispute / enforcement order PDF that has no
+ * dispute_documents / enforcement_documents row yet. No AI calls — AI fields
+ * are left alone (dispute rows also get the rule-based Order parse stored).
+ *
+ * Usage: node --env-file=.env.local scripts/extract-pdf-text.mjs [disputes|enforcement]
+ * Options:
+ *   --concurrency=N  Parallel downloads (default: 3 — most come from rtb.ie when not archived to S3)
+ *   --limit=N        Max records to extract
+ */
+
+import { extractDisputeText, extractEnforcementText } from '../lib/openai-service.js';
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const args = process.argv.slice(2);
+const concurrencyArg = args.find(a => a.startsWith('--concurrency='));
+const limitArg = args.find(a => a.startsWith('--limit='));
+const CONCURRENCY = concurrencyArg ? parseInt(concurrencyArg.split('=')[1]) : 3;
+const LIMIT = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+const PAGE_SIZE = 100;
+
+const SOURCES = {
+    disputes: {
+        table: 'disputes',
+        columns: 'id, dr_no, heading, pdf_urls, s3_pdf_keys, dispute_documents!left(id)',
+        documents: 'dispute_documents',
+        label: d => d.dr_no,
+        filter: q => q.not('pdf_urls', 'is', null).neq('pdf_urls', '[]'),
+        extract: extractDisputeText,
+    },
+    enforcement: {
+        table: 'enforcement_orders',
+        columns: 'id, court_ref_no, pdf_url, enforcement_documents!left(id)',
+        documents: 'enforcement_documents',
+        label: o => o.court_ref_no,
+        filter: q => q.not('pdf_url', 'is', null),
+        extract: extractEnforcementText,
+    },
+};
+
+async function backfill(name) {
+    const source = SOURCES[name];
+    let lastId = null;
+    let done = 0;
+    let failed = 0;
+
+    console.log(`=== ${name}: extracting PDF text ===`);
+
+    while (!LIMIT || done + failed < LIMIT) {
+        // Keyset pagination — records whose download fails stay without a row, so never re-read them
+        let query = source.filter(supabase
+            .from(source.table)
+            .select(source.columns)
+            .is(source.documents, null))
+            .order('id', { ascending: true })
+            .limit(PAGE_SIZE);
+        if (lastId) query = query.gt('id', lastId);
+
+        const { data: rows, error } = await query;
+        if (error) throw error;
+        if (!rows || rows.length === 0) break;
+        lastId = rows[rows.length - 1].id;
+
+        const todo = LIMIT ? rows.slice(0, LIMIT - done - failed) : rows;
+        for (let i = 0; i < todo.length; i += CONCURRENCY) {
+            const results = await Promise.allSettled(todo.slice(i, i + CONCURRENCY).map(row => source.extract(row)));
+            results.forEach((r, j) => {
+                const row = todo[i + j];
+                if (r.status === 'fulfilled') {
+                    done++;
+                } else {
+                    failed++;
+                    console.warn(`  ✗ ${source.label(row)}: ${r.reason?.message}`);
+                }
+            });
+        }
+        console.log(`  ${done} extracted, ${failed} failed`);
+    }
+
+    console.log(`=== ${name}: ${done} extracted, ${failed} failed ===\n`);
+}
+
+const only = args.find(a => SOURCES[a]);
+for (const name of only ? [only] : Object.keys(SOURCES)) {
+    await backfill(name);
+}
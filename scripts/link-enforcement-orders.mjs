@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+/**
+ * Link enforcement orders to their disputes (lib/enforcement-linker.js).
+ * By default only orphaned orders are tried: by normalised PRTB No., then
+ * references in the order's PDF text (extract it first with
+ * scripts/extract-pdf-text.mjs enforcement), then parties and date.
+ *
+ * Usage: node --env-file=.env.local scripts/link-enforcement-orders.mjs
+ * Options:
+ *   --all      Re-check linked orders too — a stronger match replaces a weaker one
+ *   --force    With --all, store the new result even when it is weaker (manual links are kept)
+ *   --limit=N  Max orders to check
+ */
+
+import { linkEnforcementOrder } from '../lib/enforcement-linker.js';
+import { createClient } from '@supabase/supabase-js';
+
+const supabase = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const args = process.argv.slice(2);
+const ALL = args.includes('--all');
+const FORCE = args.includes('--force');
+const limitArg = args.find(a => a.startsWith('--limit='));
+const LIMIT = limitArg ? parseInt(limitArg.split('=')[1]) : null;
+const PAGE_SIZE = 100;
+
+const byMethod = {};
+let checked = 0;
+let linked = 0;
+let lastId = null;
+
+console.log(`=== Linking ${ALL ? 'all' : 'orphaned'} enforcement orders ===`);
+
+while (!LIMIT || checked < LIMIT) {
+    // Keyset pagination — orders that stay orphaned would otherwise come back on every page
+    let query = supabase
+        .from('enforcement_orders')
+        .select('id, court_ref_no')
+        .order('id', { ascending: true })
+        .limit(PAGE_SIZE);
+    if (!ALL) query = query.is('linked_dispute_id', null);
+    if (lastId) query = query.gt('id', lastId);
+
+    const { data: orders, error } = await query;
+    if (error) throw error;
+    if (!orders || orders.length === 0) break;
+    lastId = orders[orders.length - 1].id;
+
+    for (const order of LIMIT ? orders.slice(0, LIMIT - checked) : orders) {
+        checked++;
+        const result = await linkEnforcementOrder(supabase, order, { force: FORCE });
+        if (result?.linked_dispute_id) {
+            linked++;
+            byMethod[result.link_method] = (byMethod[result.link_method] || 0) + 1;
+        }
+    }
+    console.log(`  ${checked} checked, ${linked} linked`);
+}
+
+const { count: orphaned } = await supabase
+    .from('enforcement_orders')
+    .select('*', { count: 'exact', head: true })
+    .is('linked_dispute_id', null);
+
+console.log(`=== ${checked} checked, ${linked} linked or relinked ===`);
+for (const [method, count] of Object.entries(byMethod)) {
+    console.log(`  ${method}: ${count}`);
+}
+console.log(`${orphaned ?? '?'} enforcement orders still orphaned`);
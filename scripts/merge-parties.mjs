@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * Merge duplicate party entities based on normalized names.
+ * For each group of duplicates, the party with the most disputes is kept and
+ * the rest are merged into it with lib/party-merge.js — links re-pointed,
+ * counts and awards recomputed, and each merge logged so it can be undone
+ * from Admin → Party Matching. Holds the sync lock while merging, so it
+ * refuses to start while a sync or other batch job is running.
+ *
+ * Usage: node --env-file=.env.local scripts/merge-parties.mjs [--dry-run]
+ */
+import { createClient } from '@supabase/supabase-js';
+import { randomUUID } from 'node:crypto';
+import { mergeParties } from '../lib/party-merge.js';
+import { acquireLock, heartbeatLock, releaseLock } from '../lib/job-lock.js';
+
+const supabase = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const LEGAL_SUFFIXES = [
+    'limited', 'ltd', 'plc', 'inc', 'dac', 'clg', 'uc', 'teoranta',
+    'company', 'co', 'corp', 'corporation',
+];
+
+const BUSINESS_WORDS = [
+    'properties', 'property', 'management', 'investments',
+    'residential', 'fund', 'reit',
+];
+
+function normalizeForMatching(name) {
+    if (!name) return '';
+    let n = name.toLowerCase().trim();
+    // Remove text in parentheses like "(Association)" → use content without parens
+    n = n.replace(/[()]/g, ' ');
+    // Remove punctuation
+    n = n.replace(/[.,\/#!$%\^&\*;:{}=_`~'"]/g, ' ');
+    // Keep hyphens between words
+    n = n.replace(/\s*-\s*/g, '-');
+    // Remove legal suffixes iteratively
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const suffix of [...LEGAL_SUFFIXES, ...BUSINESS_WORDS]) {
+            const escaped = suffix.replace('.', '\\.');
+            const pattern = new RegExp('\\b' + escaped + '\\b\\s*$', 'i');
+            const before = n;
+            n = n.replace(pattern, '').trim();
+            if (n !== before) changed = true;
+        }
+    }
+    n = n.replace(/\s+/g, ' ').trim();
+    return n;
+}
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+console.log(DRY_RUN ? '=== DRY RUN ===' : '=== MERGING PARTIES ===');
+
+// Get all parties
+const { data: parties } = await supabase.from('parties')
+    .select('id, name, normalized_name, party_type, total_disputes')
+    .order('total_disputes', { ascending: false });
+
+// Group by normalized key
+const groups = {};
+for (const p of parties) {
+    const key = normalizeForMatching(p.name);
+    if (!key) continue;
+    if (!groups[key]) groups[key] = [];
+    groups[key].push(p);
+}
+
+const mergeGroups = Object.entries(groups).filter(([, v]) => v.length > 1);
+console.log(`Found ${mergeGroups.length} groups with duplicates (${mergeGroups.reduce((s, [, v]) => s + v.length, 0)} total parties)\n`);
+
+let mergedCount = 0;
+let deletedCount = 0;
+
+const runId = randomUUID();
+if (!DRY_RUN && mergeGroups.length > 0) {
+    const { acquired, lock } = await acquireLock(supabase, runId, 'party-merge');
+    if (!acquired) {
+        console.error(`Another job is already running (${lock?.holder_kind || 'unknown'} ${lock?.holder}) — try again when it finishes`);
+        process.exit(1);
+    }
+}
+
+try {
+    for (const [key, members] of mergeGroups) {
+        // Keep the one with most disputes as canonical
+        members.sort((a, b) => b.total_disputes - a.total_disputes);
+        const canonical = members[0];
+        const dupes = members.slice(1);
+
+        const totalDisputes = members.reduce((s, p) => s + p.total_disputes, 0);
+        console.log(`Merging "${key}" → "${canonical.name}" (${totalDisputes} combined disputes)`);
+        dupes.forEach(d => console.log(`  ← "${d.name}" (${d.total_disputes} disputes)`));
+
+        if (DRY_RUN) continue;
+
+        if (!await heartbeatLock(supabase, runId)) {
+            console.error('Lost the sync lock to another job — stopping');
+            break;
+        }
+
+        try {
+            await mergeParties(supabase, canonical.id, dupes.map(d => d.id), { note: 'scripts/merge-parties.mjs' });
+            mergedCount++;
+            deletedCount += dupes.length;
+        } catch (err) {
+            console.error(`  ✗ ${err.message}`);
+        }
+    }
+} finally {
+    if (!DRY_RUN) await releaseLock(supabase, runId);
+}
+
+console.log(`\nDone. Merged: ${mergedCount} groups, Deleted: ${deletedCount} duplicate parties.`);
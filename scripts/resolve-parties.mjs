@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+/**
+ * Find parties that are probably duplicates — spelling variants, reordered
+ * names, initials, Irish name forms (Ó/O', Mac/Mc) — and store the scored
+ * pairs in party_match_candidates for review in Admin → Party Matching.
+ * Nothing is merged.
+ *
+ * Usage: node --env-file=.env.local scripts/resolve-parties.mjs [options]
+ * Options:
+ *   --min-score=N  Lowest score kept, 0–1 (default: 0.75)
+ *   --dry-run      Print the best pairs instead of storing them
+ *   --top=N        Pairs printed on a dry run (default: 50)
+ */
+
+import { createClient } from '@supabase/supabase-js';
+import { runEntityResolution, MIN_MATCH_SCORE } from '../lib/entity-resolution.js';
+
+const supabase = createClient(process.env.NEXT_PUBLIC_SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+
+const args = process.argv.slice(2);
+const option = name => args.find(a => a.startsWith(`--${name}=`))?.split('=')[1] || null;
+const MIN_SCORE = option('min-score') ? parseFloat(option('min-score')) : MIN_MATCH_SCORE;
+const DRY_RUN = args.includes('--dry-run');
+const TOP = option('top') ? parseInt(option('top')) : 50;
+
+console.log(DRY_RUN ? '=== DRY RUN ===' : '=== RESOLVING PARTIES ===');
+
+const result = await runEntityResolution(supabase, {
+    minScore: MIN_SCORE,
+    dryRun: DRY_RUN,
+    onProgress: message => console.log(`  ${message}`),
+});
+
+if (DRY_RUN) {
+    for (const pair of result.pairs.slice(0, TOP)) {
+        console.log(`  ${pair.score.toFixed(3)}  "${pair.a.name}" ~ "${pair.b.name}"  (${pair.reasons.join(', ')})`);
+    }
+}
+
+console.log(`\n${result.parties} parties, ${result.compared} pairs compared, ${result.candidates} candidates`);
+if (result.skipped_blocks > 0) {
+    console.log(`${result.skipped_blocks} very common name blocks skipped`);
+}
+if (!DRY_RUN) {
+    console.log(`${result.removed} pending pairs no longer matching were removed`);
+}
@@ -24,6 +24,7 @@ async function main() {
         .select('id, dr_no, heading, pdf_urls, ai_compensation_amount')
         .not('ai_processed_at', 'is', null)
         .gte('ai_compensation_amount', THRESHOLD)
+        .is('ai_reviewed_at', null)  // Reviewer-checked values are locked
         .order('ai_compensation_amount', { ascending: false });
 
     if (error) { console.error('Query error:', error.message); return; }
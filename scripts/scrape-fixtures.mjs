@@ -0,0 +1,83 @@
+/**
+ * scripts/scrape-fixtures.mjs
+ *
+ * Records rtb.ie responses to disk, or replays them offline, by running the
+ * real scrapers through lib/rtb-transport.js. Prints the parsed records so
+ * parser changes can be diffed against a known-good recording.
+ *
+ * Usage:
+ *   node scripts/scrape-fixtures.mjs record disputes --pages 3
+ *   node scripts/scrape-fixtures.mjs replay disputes --pages 3
+ *   node scripts/scrape-fixtures.mjs record enforcement --pages 2
+ *   node scripts/scrape-fixtures.mjs replay rent-register --lea 13260424 --profiles 2
+ *   node scripts/scrape-fixtures.mjs replay disputes --dir ./my-fixtures --json > out.json
+ *
+ * Fixtures default to fixtures/rtb (override with --dir or RTB_FIXTURE_DIR).
+ * Nothing is written to Supabase.
+ */
+
+import { setTransportMode, getFixtureDir } from '../lib/rtb-transport.js';
+import { scrapeAllDisputes } from '../lib/rtb-scraper.js';
+import { scrapeAllEnforcementOrders } from '../lib/enforcement-scraper.js';
+import { scrapeRentRegisterDublin, QUERY_MATRIX } from '../lib/rent-register-scraper.js';
+
+const args = process.argv.slice(2);
+const [mode, source] = args;
+const flag = (name, fallback = null) => args.includes(name) ? args[args.indexOf(name) + 1] : fallback;
+
+const pages = parseInt(flag('--pages', '1'), 10);
+const fixtureDir = flag('--dir');
+const asJson = args.includes('--json');
+
+if (!['record', 'replay'].includes(mode) || !['disputes', 'enforcement', 'rent-register'].includes(source)) {
+    console.error('Usage: node scripts/scrape-fixtures.mjs <record|replay> <disputes|enforcement|rent-register> [--pages N] [--dir path] [--json]');
+    process.exit(1);
+}
+
+setTransportMode(mode, fixtureDir ? { fixtureDir } : {});
+
+// Keep scraper logging off stdout when emitting JSON
+if (asJson) console.log = (...msg) => console.error(...msg);
+
+async function main() {
+    console.error(`=== ${mode === 'record' ? 'Recording' : 'Replaying'} ${source} (${getFixtureDir()}) ===`);
+
+    const output = [];
+
+    if (source === 'disputes') {
+        for await (const batch of scrapeAllDisputes({ startPage: 1, endPage: pages })) {
+            output.push(...batch.results.map(r => ({ page: batch.page, ...r, raw_html: undefined })));
+        }
+    } else if (source === 'enforcement') {
+        for await (const batch of scrapeAllEnforcementOrders({ startPage: 1, endPage: pages })) {
+            output.push(...batch.results.map(r => ({ page: batch.page, ...r, raw_html: undefined })));
+        }
+    } else {
+        const leaId = parseInt(flag('--lea', '13260424'), 10);
+        const profiles = parseInt(flag('--profiles', '1'), 10);
+        const leaRefs = [{ osi_lea_id: leaId, lea_name: `LEA ${leaId}` }];
+
+        for await (const batch of scrapeRentRegisterDublin({ leaRefs, queryMatrix: QUERY_MATRIX.slice(0, profiles) })) {
+            output.push(...batch.results.map(r => ({ profile: batch.profile, ...r })));
+        }
+    }
+
+    if (asJson) {
+        process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+    } else {
+        for (const record of output) {
+            const label = record.dr_no || record.court_ref_no || record.RtNumber || '(no ref)';
+            const parties = record.applicant_name !== undefined
+                ? `${record.applicant_name || '?'} → ${record.respondent_name || '?'}`
+                : '';
+            console.error(`  ${label}  ${parties}`);
+        }
+    }
+
+    console.error(`\nDone: ${output.length} records`);
+}
+
+main().catch(err => {
+    console.error('Fatal:', err.message);
+    process.exit(1);
+});
@@ -70,6 +70,12 @@ async function main() {
         const { results, lea, profile, batchId } = batch;
         totalQueries++;
 
+        // Retries exhausted — not logged, so the next run can tell it apart from an empty result
+        if (batch.failed) {
+            console.warn(`\n[FAILED] ${lea.lea_name} | ${profile.dwellingTypeCode === 101 ? 'Apt' : 'House'} ${profile.bedrooms}bed ${profile.ber} ${profile.floorSpace}m²`);
+            continue;
+        }
+
         if (results.length === 0) {
             if (!isDryRun) {
                 await supabase.from('rent_register_scrape_log').upsert({
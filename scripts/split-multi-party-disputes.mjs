@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+/**
+ * Backfill: re-split the parties of every stored dispute with today's
+ * splitPartyNames() rules. Disputes scraped before parseHeading learned to
+ * separate "X and Y" / "X, Y & Z" are still linked to one combined party, and
+ * older rules split some names wrongly ("Mr. Smith" and "Mrs. Smith").
+ *
+ * For every dispute whose links differ from what its heading names now:
+ *  1. Find or create a party per individual (aliases included) and link it
+ *  2. Unlink the parties they replace (lib/dispute-parties.js)
+ *  3. Recompute counts for every party touched, then award totals
+ *
+ * Holds the sync lock, so it refuses to start while a sync is running.
+ *
+ * Usage:
+ *   node --env-file=.env.local scripts/split-multi-party-disputes.mjs            (apply)
+ *   node --env-file=.env.local scripts/split-multi-party-disputes.mjs --dry-run  (report only)
+ */
+
+import { randomUUID } from 'node:crypto';
+import { createClient } from '@supabase/supabase-js';
+import { parseHeading } from '../lib/rtb-scraper.js';
+import { normalizeName } from '../lib/normalize-name.js';
+import { partyIdForAlias } from '../lib/party-aliases.js';
+import { replacedLinks, unlinkReplacedParties } from '../lib/dispute-parties.js';
+import { recomputePartyCounts } from '../lib/party-merge.js';
+import { acquireLock, heartbeatLock, releaseLock } from '../lib/job-lock.js';
+
+const supabase = createClient(
+    process.env.NEXT_PUBLIC_SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+const isDryRun = process.argv.includes('--dry-run');
+const PAGE_SIZE = 1000;
+
+async function findPartyId(normalized) {
+    const { data: existing } = await supabase
+        .from('parties').select('id').eq('normalized_name', normalized).maybeSingle();
+    if (existing) return existing.id;
+    return partyIdForAlias(supabase, normalized);
+}
+
+async function insertParty(name, normalized, partyType) {
+    const { data: inserted, error } = await supabase
+        .from('parties')
+        .insert({ name, normalized_name: normalized, party_type: partyType || 'Unknown' })
+        .select('id').single();
+    if (error) { console.error('  Party insert error:', error.message); return null; }
+    return inserted?.id;
+}
+
+async function resplitDispute(dispute, touched) {
+    const parsed = parseHeading(dispute.heading);
+    const sides = [
+        ['Applicant', parsed.applicants || []],
+        ['Respondent', parsed.respondents || []],
+    ];
+    const names = {
+        Applicant: [dispute.applicant_name, parsed.applicant_name],
+        Respondent: [dispute.respondent_name, parsed.respondent_name],
+    };
+
+    const { data: links, error } = await supabase
+        .from('dispute_parties')
+        .select('id, party_id, role, parties(name, normalized_name)')
+        .eq('dispute_id', dispute.id);
+    if (error) throw error;
+
+    // Who each side should link, and which of them are not linked yet
+    const linked = { Applicant: new Set(), Respondent: new Set() };
+    const missing = [];
+    for (const [side, parties] of sides) {
+        for (const party of parties) {
+            const normalized = normalizeName(party.name);
+            if (!normalized) continue;
+            const partyId = await findPartyId(normalized);
+            if (partyId) linked[side].add(partyId);
+            if (!partyId || !(links || []).some(l => l.party_id === partyId && l.role === side)) {
+                missing.push({ side, party, normalized, partyId });
+            }
+        }
+    }
+
+    // Parties not created yet still count as parsed, so their side's old links are replaced
+    const expected = { ...linked };
+    for (const { side } of missing.filter(m => !m.partyId)) {
+        expected[side] = new Set([...expected[side], `new:${side}`]);
+    }
+    const stale = replacedLinks(links, names, expected);
+    if (missing.length === 0 && stale.length === 0) return false;
+
+    for (const link of stale) console.log(`  ${dispute.dr_no} ${link.role}: − "${link.parties?.name}"`);
+    for (const { side, party } of missing) console.log(`  ${dispute.dr_no} ${side}: + "${party.name}"`);
+    if (isDryRun) return true;
+
+    for (const { side, party, normalized, partyId } of missing) {
+        const id = partyId || await insertParty(party.name, normalized, party.role);
+        if (!id) continue;
+        await supabase.from('dispute_parties').upsert({
+            dispute_id: dispute.id, party_id: id,
+            role: side, party_type: party.role,
+        }, { onConflict: 'dispute_id,party_id,role' });
+        linked[side].add(id);
+        touched.add(id);
+    }
+
+    await unlinkReplacedParties(supabase, dispute.id, names, linked, { recomputeAwards: false });
+    return true;
+}
+
+async function main() {
+    console.log(`=== Re-split dispute parties${isDryRun ? ' (DRY RUN)' : ''} ===\n`);
+
+    const runId = randomUUID();
+    if (!isDryRun) {
+        const { acquired, lock } = await acquireLock(supabase, runId, 'party-resplit');
+        if (!acquired) {
+            throw new Error(`Another job is already running (${lock?.holder_kind || 'unknown'} ${lock?.holder}) — try again when it finishes`);
+        }
+    }
+
+    const touched = new Set();
+    let scanned = 0;
+    let changed = 0;
+
+    try {
+        // Keyset pagination on id — pages stay stable while links change
+        let lastId = null;
+        for (;;) {
+            let query = supabase
+                .from('disputes')
+                .select('id, dr_no, heading, applicant_name, respondent_name')
+                .order('id', { ascending: true })
+                .limit(PAGE_SIZE);
+            if (lastId) query = query.gt('id', lastId);
+
+            const { data: disputes, error } = await query;
+            if (error) throw error;
+            if (!disputes || disputes.length === 0) break;
+            lastId = disputes[disputes.length - 1].id;
+
+            if (!isDryRun && !await heartbeatLock(supabase, runId)) {
+                throw new Error('Lost the sync lock to another job — stopping');
+            }
+
+            for (const dispute of disputes) {
+                scanned++;
+                if (await resplitDispute(dispute, touched)) changed++;
+            }
+        }
+
+        if (!isDryRun) {
+            console.log(`\nRecomputing counts for ${touched.size} linked parties...`);
+            await recomputePartyCounts(supabase, [...touched]);
+            const { error } = await supabase.rpc('recompute_party_awards');
+            if (error) console.warn('recompute_party_awards failed:', error.message);
+        }
+    } finally {
+        if (!isDryRun) await releaseLock(supabase, runId);
+    }
+
+    console.log(`\nScanned ${scanned} disputes, ${changed} re-split${isDryRun ? ' (nothing written)' : ''}.`);
+}
+
+main().catch(err => { console.error('Fatal:', err.message); process.exit(1); });
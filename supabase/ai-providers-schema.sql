@@ -0,0 +1,15 @@
+-- AI Providers Schema
+-- Which model runs each AI task (lib/ai-providers.js). Values are
+-- "provider:model" — gemini, openai, local (OpenAI-compatible, e.g. Ollama)
+-- or mock. Leave empty to keep the default: Gemini if gemini_api_key is set,
+-- otherwise OpenAI, with GPT-4o reviewing high-value awards.
+-- Run this AFTER admin-schema.sql
+
+INSERT INTO admin_settings (key, value, description, is_secret)
+VALUES
+  ('ai_provider_dispute_analysis', '', 'Model for dispute analysis, e.g. gemini:gemini-2.5-flash-lite (empty = default)', false),
+  ('ai_provider_dispute_review', '', 'Model that re-checks high-value awards, e.g. openai:gpt-4o (empty = default)', false),
+  ('ai_provider_enforcement_analysis', '', 'Model for enforcement order analysis (empty = default)', false),
+  ('local_ai_base_url', '', 'OpenAI-compatible endpoint for the "local" provider, e.g. http://localhost:11434/v1 (Ollama)', false),
+  ('local_ai_api_key', '', 'API key for the local endpoint, if it needs one', true)
+ON CONFLICT (key) DO NOTHING;
@@ -0,0 +1,103 @@
+-- AI Usage Schema
+-- One row per model call with its tokens, latency and estimated cost
+-- (lib/ai-usage.js), the functions the spend dashboard sums it with, and the
+-- monthly budget that stops the batch routes
+-- Run this AFTER admin-schema.sql
+
+-- ============================================
+-- AI_USAGE TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS ai_usage (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  task TEXT NOT NULL,                      -- "dispute_analysis", "dispute_review" or "enforcement_analysis"
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  reference TEXT,                          -- DR number or court reference the call was for
+  job_id TEXT,                             -- Batch run id, eval run id, ... (NULL for one-off calls)
+  job_type TEXT,                           -- "ai-batch", "ai-batch-enforcement", "ai-process", "prompt-eval"
+  input_tokens INTEGER,
+  output_tokens INTEGER,
+  latency_ms INTEGER,
+  cost_usd DECIMAL(12, 6),                 -- Estimate from the model's list price; NULL when unknown or the call failed
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage (created_at);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_job ON ai_usage (job_id) WHERE job_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_ai_usage_reference ON ai_usage (reference);
+
+-- ============================================
+-- FUNCTIONS — totals for the budget check and the dashboard
+-- ============================================
+
+-- Estimated spend since a moment (the budget check passes the start of the month)
+CREATE OR REPLACE FUNCTION ai_usage_spend(p_since TIMESTAMPTZ)
+RETURNS DECIMAL AS $$
+  SELECT COALESCE(SUM(cost_usd), 0) FROM ai_usage WHERE created_at >= p_since;
+$$ LANGUAGE sql STABLE;
+
+-- Per day, task and model
+CREATE OR REPLACE FUNCTION ai_usage_daily(p_since TIMESTAMPTZ)
+RETURNS TABLE (
+  day DATE, task TEXT, provider TEXT, model TEXT,
+  calls BIGINT, failed BIGINT, input_tokens BIGINT, output_tokens BIGINT, cost_usd DECIMAL, avg_latency_ms INTEGER
+) AS $$
+  SELECT
+    (created_at AT TIME ZONE 'UTC')::date, task, provider, model,
+    COUNT(*), COUNT(*) FILTER (WHERE error IS NOT NULL),
+    COALESCE(SUM(input_tokens), 0), COALESCE(SUM(output_tokens), 0),
+    COALESCE(SUM(cost_usd), 0), AVG(latency_ms)::integer
+  FROM ai_usage
+  WHERE created_at >= p_since
+  GROUP BY 1, 2, 3, 4
+  ORDER BY 1, 2, 3, 4;
+$$ LANGUAGE sql STABLE;
+
+-- Per job, most expensive first
+CREATE OR REPLACE FUNCTION ai_usage_by_job(p_since TIMESTAMPTZ, p_limit INTEGER DEFAULT 20)
+RETURNS TABLE (
+  job_id TEXT, job_type TEXT, started_at TIMESTAMPTZ, finished_at TIMESTAMPTZ,
+  calls BIGINT, records BIGINT, input_tokens BIGINT, output_tokens BIGINT, cost_usd DECIMAL
+) AS $$
+  SELECT
+    job_id, MAX(job_type), MIN(created_at), MAX(created_at),
+    COUNT(*), COUNT(DISTINCT reference),
+    COALESCE(SUM(input_tokens), 0), COALESCE(SUM(output_tokens), 0), COALESCE(SUM(cost_usd), 0)
+  FROM ai_usage
+  WHERE created_at >= p_since AND job_id IS NOT NULL
+  GROUP BY job_id
+  ORDER BY COALESCE(SUM(cost_usd), 0) DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- Per dispute / enforcement order, most expensive first (repairs and reprocessing add up)
+CREATE OR REPLACE FUNCTION ai_usage_by_reference(p_since TIMESTAMPTZ, p_limit INTEGER DEFAULT 20)
+RETURNS TABLE (
+  reference TEXT, calls BIGINT, input_tokens BIGINT, output_tokens BIGINT, cost_usd DECIMAL, last_call_at TIMESTAMPTZ
+) AS $$
+  SELECT
+    reference, COUNT(*),
+    COALESCE(SUM(input_tokens), 0), COALESCE(SUM(output_tokens), 0), COALESCE(SUM(cost_usd), 0), MAX(created_at)
+  FROM ai_usage
+  WHERE created_at >= p_since AND reference IS NOT NULL
+  GROUP BY reference
+  ORDER BY COALESCE(SUM(cost_usd), 0) DESC
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- SETTINGS
+-- ============================================
+INSERT INTO admin_settings (key, value, description, is_secret)
+VALUES
+  ('ai_monthly_budget_usd', '', 'Estimated AI spend per calendar month (USD) after which batch AI processing pauses (empty = no limit)', false),
+  ('ai_model_prices', '', 'JSON price overrides, USD per million tokens: {"model": [input, output]} (empty = built-in prices)', false)
+ON CONFLICT (key) DO NOTHING;
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE ai_usage ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for ai_usage" ON ai_usage;
+CREATE POLICY "Service role access for ai_usage" ON ai_usage FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,180 @@
+-- Award Items Schema
+-- Each dispute's award broken into categorised items (rent arrears, deposit,
+-- damages, costs, interest), kept in step with disputes.ai_award_items and
+-- ai_cost_order by a trigger, and totalled per party by recompute_party_awards()
+-- Run this AFTER ai-schema.sql, dispute-documents-schema.sql and review-queue-schema.sql
+
+-- ============================================
+-- DISPUTE_AWARD_ITEMS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS dispute_award_items (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  dispute_id UUID NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,               -- Order within the determination
+  description TEXT,
+  amount DECIMAL(12,2) NOT NULL,
+  category TEXT NOT NULL,                  -- rent_arrears, deposit, damages, costs, interest, other
+  source TEXT,                             -- ai_model_used when the item was stored ("rules", a model, ...)
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispute_award_items_dispute ON dispute_award_items (dispute_id, position);
+CREATE INDEX IF NOT EXISTS idx_dispute_award_items_category ON dispute_award_items (category);
+
+-- ============================================
+-- CATEGORISATION
+-- First match wins: "interest on the deposit" is interest, "deposit less
+-- damages" is deposit
+-- ============================================
+CREATE OR REPLACE FUNCTION categorise_award_item(p_description TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN p_description ~* '\minterest\M' THEN 'interest'
+    WHEN p_description ~* '\mdeposit' THEN 'deposit'
+    WHEN p_description ~* '\marrears\M|\munpaid\s+rent\M|\mrent\M' THEN 'rent_arrears'
+    WHEN p_description ~* '\mcosts?\M|\mexpenses\M' THEN 'costs'
+    WHEN p_description ~* 'damage|compensation|distress|inconvenience|breach|\mloss' THEN 'damages'
+    ELSE 'other'
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ============================================
+-- SYNC FROM DISPUTES
+-- Items are only stored for awards the analysis stands behind — a withheld
+-- amount ("Refer to Order") has no breakdown
+-- ============================================
+CREATE OR REPLACE FUNCTION sync_dispute_award_items(p_dispute_id UUID)
+RETURNS void AS $$
+BEGIN
+  DELETE FROM dispute_award_items WHERE dispute_id = p_dispute_id;
+
+  INSERT INTO dispute_award_items (dispute_id, position, description, amount, category, source)
+  SELECT
+    d.id,
+    item.position::INTEGER,
+    item.value->>'description',
+    (item.value->>'amount')::DECIMAL,
+    categorise_award_item(item.value->>'description'),
+    d.ai_model_used
+  FROM disputes d
+  CROSS JOIN LATERAL jsonb_array_elements(
+    CASE WHEN jsonb_typeof(d.ai_award_items) = 'array' THEN d.ai_award_items ELSE '[]'::jsonb END
+  ) WITH ORDINALITY AS item(value, position)
+  WHERE d.id = p_dispute_id
+    AND d.ai_compensation_amount IS NOT NULL
+    AND (item.value->>'amount') ~ '^[0-9]+(\.[0-9]+)?$'
+    AND (item.value->>'amount')::DECIMAL > 0;
+
+  -- The cost order has its own column; list it unless an item already covers costs
+  INSERT INTO dispute_award_items (dispute_id, position, description, amount, category, source)
+  SELECT
+    d.id,
+    (SELECT COUNT(*) FROM dispute_award_items i WHERE i.dispute_id = d.id) + 1,
+    'Cost order',
+    d.ai_cost_order,
+    'costs',
+    d.ai_model_used
+  FROM disputes d
+  WHERE d.id = p_dispute_id
+    AND d.ai_compensation_amount IS NOT NULL
+    AND d.ai_cost_order > 0
+    AND NOT EXISTS (SELECT 1 FROM dispute_award_items i WHERE i.dispute_id = d.id AND i.category = 'costs');
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION disputes_sync_award_items()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM sync_dispute_award_items(NEW.id);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Every path that stores an analysis (batch, turbo and reprocess scripts,
+-- review corrections) updates these columns, so the items follow
+DROP TRIGGER IF EXISTS disputes_award_items_sync ON disputes;
+CREATE TRIGGER disputes_award_items_sync
+  AFTER UPDATE OF ai_award_items, ai_cost_order, ai_compensation_amount ON disputes
+  FOR EACH ROW
+  WHEN (
+    OLD.ai_award_items IS DISTINCT FROM NEW.ai_award_items
+    OR OLD.ai_cost_order IS DISTINCT FROM NEW.ai_cost_order
+    OR OLD.ai_compensation_amount IS DISTINCT FROM NEW.ai_compensation_amount
+  )
+  EXECUTE FUNCTION disputes_sync_award_items();
+
+-- ============================================
+-- PARTY CATEGORY TOTALS
+-- { "<category>": { "for": received as Applicant, "against": ordered to pay as Respondent } }
+-- over upheld and partially upheld disputes, like net_awards_for / net_awards_against
+-- ============================================
+ALTER TABLE parties ADD COLUMN IF NOT EXISTS awards_by_category JSONB DEFAULT '{}'::jsonb;
+
+CREATE OR REPLACE FUNCTION recompute_party_awards()
+RETURNS void AS $$
+BEGIN
+  UPDATE parties p SET
+    net_awards_for = COALESCE((
+      SELECT SUM(d.ai_compensation_amount)
+      FROM dispute_parties dp
+      JOIN disputes d ON d.id = dp.dispute_id
+      WHERE dp.party_id = p.id
+        AND dp.role = 'Applicant'
+        AND d.ai_compensation_amount > 0
+        AND d.ai_outcome IN ('Upheld', 'Partially Upheld')
+    ), 0),
+    net_awards_against = COALESCE((
+      SELECT SUM(d.ai_compensation_amount)
+      FROM dispute_parties dp
+      JOIN disputes d ON d.id = dp.dispute_id
+      WHERE dp.party_id = p.id
+        AND dp.role = 'Respondent'
+        AND d.ai_compensation_amount > 0
+        AND d.ai_outcome IN ('Upheld', 'Partially Upheld')
+    ), 0),
+    gross_awards_received = COALESCE((
+      SELECT SUM(d.ai_compensation_amount)
+      FROM dispute_parties dp
+      JOIN disputes d ON d.id = dp.dispute_id
+      WHERE dp.party_id = p.id
+        AND dp.role = 'Applicant'
+        AND d.ai_compensation_amount > 0
+    ), 0),
+    awards_by_category = COALESCE((
+      SELECT jsonb_object_agg(t.category, jsonb_build_object('for', t.for_total, 'against', t.against_total))
+      FROM (
+        SELECT
+          i.category,
+          COALESCE(SUM(i.amount) FILTER (WHERE dp.role = 'Applicant'), 0) AS for_total,
+          COALESCE(SUM(i.amount) FILTER (WHERE dp.role = 'Respondent'), 0) AS against_total
+        FROM dispute_parties dp
+        JOIN disputes d ON d.id = dp.dispute_id
+        JOIN dispute_award_items i ON i.dispute_id = d.id
+        WHERE dp.party_id = p.id
+          AND d.ai_compensation_amount > 0
+          AND d.ai_outcome IN ('Upheld', 'Partially Upheld')
+        GROUP BY i.category
+      ) t
+    ), '{}'::jsonb);
+
+  UPDATE parties SET net_awards = net_awards_against - net_awards_for WHERE true;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================
+-- BACKFILL — items for disputes analysed before this table existed
+-- ============================================
+SELECT sync_dispute_award_items(id)
+FROM disputes
+WHERE ai_award_items IS NOT NULL OR ai_cost_order > 0;
+
+SELECT recompute_party_awards();
+
+-- ============================================
+-- RLS — public read, like disputes
+-- ============================================
+ALTER TABLE dispute_award_items ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access for dispute_award_items" ON dispute_award_items;
+CREATE POLICY "Public read access for dispute_award_items" ON dispute_award_items FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role access for dispute_award_items" ON dispute_award_items;
+CREATE POLICY "Service role access for dispute_award_items" ON dispute_award_items FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,53 @@
+-- Dispute Documents Schema
+-- Text extracted locally from determination PDFs, and the rule-based parse of
+-- the Order section that runs before any LLM call (lib/pdf-text.js,
+-- lib/determination-parser.js)
+-- Run this AFTER schema.sql and ai-schema.sql
+
+-- ============================================
+-- DISPUTE_DOCUMENTS TABLE
+-- One row per PDF a dispute was analysed from
+-- ============================================
+CREATE TABLE IF NOT EXISTS dispute_documents (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  dispute_id UUID NOT NULL REFERENCES disputes(id) ON DELETE CASCADE,
+  source TEXT NOT NULL,                    -- "s3" or "rtb"
+  source_key TEXT NOT NULL,                -- S3 key or rtb.ie URL
+  sha256 TEXT,
+  byte_size INTEGER,
+  page_count INTEGER,
+  has_text_layer BOOLEAN DEFAULT FALSE,    -- FALSE for scanned PDFs (left to the LLM's OCR)
+  text TEXT,                               -- Full text, pages separated by a blank line
+  pages JSONB,                             -- ["page 1 text", "page 2 text", ...]
+  extractor TEXT,                          -- e.g. "pdf-parse"
+  extraction_error TEXT,
+  order_text TEXT,                         -- The Order section the rules read
+  parsed JSONB,                            -- parseDetermination() result, including `reasons`
+  parse_confident BOOLEAN DEFAULT FALSE,   -- TRUE when the rules' result was used instead of an LLM
+  extracted_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (dispute_id, source_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispute_documents_dispute ON dispute_documents (dispute_id);
+CREATE INDEX IF NOT EXISTS idx_dispute_documents_unconfident
+ON dispute_documents (extracted_at DESC)
+WHERE parse_confident = FALSE;
+
+-- ============================================
+-- DISPUTES — what the analysis was based on
+-- ============================================
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS ai_award_items JSONB;    -- [{ description, amount }]
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS ai_amount_quote TEXT;    -- Order text the amount was read from
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS ai_model_used TEXT;      -- "rules", or the LLM that produced the result
+
+INSERT INTO admin_settings (key, value, description, is_secret)
+VALUES
+  ('rule_extraction_enabled', 'true', 'Read PDF text and parse the Order with rules before calling an LLM', false)
+ON CONFLICT (key) DO NOTHING;
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE dispute_documents ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for dispute_documents" ON dispute_documents;
+CREATE POLICY "Service role access for dispute_documents" ON dispute_documents FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,27 @@
+-- Dispute Revisions Schema
+-- Field-level history of changes RTB makes to already-scraped disputes
+-- Run this AFTER schema.sql
+
+-- ============================================
+-- DISPUTE_REVISIONS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS dispute_revisions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  dispute_id UUID REFERENCES disputes(id) ON DELETE CASCADE,
+  dr_no TEXT NOT NULL,
+  changed_fields TEXT[] NOT NULL,          -- e.g. {pdf_urls, respondent_name}
+  changes JSONB NOT NULL,                  -- { field: { from, to } }
+  scrape_job_id UUID REFERENCES scrape_jobs(id) ON DELETE SET NULL,
+  detected_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispute_revisions_dispute ON dispute_revisions (dispute_id, detected_at DESC);
+CREATE INDEX IF NOT EXISTS idx_dispute_revisions_dr_no ON dispute_revisions (dr_no);
+CREATE INDEX IF NOT EXISTS idx_dispute_revisions_detected ON dispute_revisions (detected_at DESC);
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE dispute_revisions ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for dispute_revisions" ON dispute_revisions;
+CREATE POLICY "Service role access for dispute_revisions" ON dispute_revisions FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,19 @@
+-- Enforcement Links Schema
+-- How each enforcement order was matched to its dispute, and how sure the
+-- match is (lib/enforcement-linker.js)
+-- Run this AFTER enforcement-schema.sql and fulltext-search-schema.sql
+
+-- ============================================
+-- ENFORCEMENT_ORDERS — link method and confidence
+-- ============================================
+ALTER TABLE enforcement_orders ADD COLUMN IF NOT EXISTS link_method TEXT;           -- "prtb_no", "pdf_reference", "party_date" or "manual" (never relinked)
+ALTER TABLE enforcement_orders ADD COLUMN IF NOT EXISTS link_confidence DECIMAL(3,2); -- 0–1
+ALTER TABLE enforcement_orders ADD COLUMN IF NOT EXISTS link_candidates JSONB;      -- Disputes considered: [{ dispute_id, dr_no, method, confidence }]
+ALTER TABLE enforcement_orders ADD COLUMN IF NOT EXISTS linked_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_eo_orphaned ON enforcement_orders(id) WHERE linked_dispute_id IS NULL;
+
+-- Links made before this schema were exact PRTB No. matches
+UPDATE enforcement_orders
+SET link_method = 'prtb_no', link_confidence = 1, linked_at = COALESCE(updated_at, NOW())
+WHERE linked_dispute_id IS NOT NULL AND link_method IS NULL;
@@ -0,0 +1,34 @@
+-- Entity Resolution Schema
+-- Scored pairs of parties that are probably the same person or organisation
+-- (lib/entity-resolution.js), waiting for an admin to confirm or reject
+-- Run this AFTER schema.sql
+
+-- ============================================
+-- PARTY_MATCH_CANDIDATES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS party_match_candidates (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  party_a_id UUID NOT NULL REFERENCES parties(id) ON DELETE CASCADE,
+  party_b_id UUID NOT NULL REFERENCES parties(id) ON DELETE CASCADE,
+  name_a TEXT,                             -- Names when scored, for display
+  name_b TEXT,
+  score DECIMAL(4,3) NOT NULL,             -- 0–1, highest of the rules that matched
+  reasons TEXT[] NOT NULL DEFAULT '{}',    -- e.g. {initials, trigram}
+  trigram DECIMAL(4,3),                    -- Trigram similarity of the folded names
+  status TEXT NOT NULL DEFAULT 'pending',  -- "pending", "confirmed" (same party) or "rejected"
+  reviewed_at TIMESTAMPTZ,
+  detected_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(), -- Last run that scored the pair; older pending pairs are dropped
+  UNIQUE (party_a_id, party_b_id),
+  CHECK (party_a_id < party_b_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_party_match_status ON party_match_candidates (status, score DESC);
+CREATE INDEX IF NOT EXISTS idx_party_match_b ON party_match_candidates (party_b_id);
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE party_match_candidates ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for party_match_candidates" ON party_match_candidates;
+CREATE POLICY "Service role access for party_match_candidates" ON party_match_candidates FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,120 @@
+-- Full-Text Search Schema
+-- Postgres full-text search over the text of determination and enforcement
+-- order PDFs (English stemming, phrase and proximity queries, snippets)
+-- Run this AFTER dispute-documents-schema.sql and enforcement-schema.sql
+--
+-- Queries arrive as to_tsquery() text built by lib/fulltext-search.js
+-- toTsQuery(), e.g. 'part <-> 4 <-> tenancy' or 'section <-> 34 & !deposit'
+
+-- ============================================
+-- ENFORCEMENT_DOCUMENTS TABLE
+-- Extracted text of each enforcement order PDF (see dispute_documents)
+-- ============================================
+CREATE TABLE IF NOT EXISTS enforcement_documents (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  enforcement_order_id UUID NOT NULL REFERENCES enforcement_orders(id) ON DELETE CASCADE,
+  source_key TEXT NOT NULL,                -- rtb.ie URL
+  sha256 TEXT,
+  byte_size INTEGER,
+  page_count INTEGER,
+  has_text_layer BOOLEAN DEFAULT FALSE,
+  text TEXT,
+  pages JSONB,                             -- ["page 1 text", "page 2 text", ...]
+  extractor TEXT,
+  extraction_error TEXT,
+  extracted_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (enforcement_order_id, source_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_enforcement_documents_order ON enforcement_documents (enforcement_order_id);
+
+-- ============================================
+-- SEARCH VECTORS
+-- ============================================
+ALTER TABLE dispute_documents ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(text, ''))) STORED;
+ALTER TABLE enforcement_documents ADD COLUMN IF NOT EXISTS search_tsv tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(text, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_dispute_documents_search ON dispute_documents USING gin(search_tsv);
+CREATE INDEX IF NOT EXISTS idx_enforcement_documents_search ON enforcement_documents USING gin(search_tsv);
+
+-- ============================================
+-- SEARCH FUNCTIONS
+-- Return the base table's rows so callers can keep chaining filters,
+-- ordering, range and count: supabase.rpc('search_disputes', {...}, { count: 'exact' })
+-- A row matches if p_search appears in its listing fields OR its PDF text
+-- matches p_tsquery. Either argument may be NULL.
+-- ============================================
+CREATE OR REPLACE FUNCTION search_disputes(p_search TEXT, p_tsquery TEXT DEFAULT NULL)
+RETURNS SETOF disputes AS $$
+  SELECT d.*
+  FROM disputes d
+  WHERE (p_search IS NOT NULL AND (
+          d.heading ILIKE '%' || p_search || '%'
+       OR d.dr_no ILIKE '%' || p_search || '%'
+       OR d.tr_no ILIKE '%' || p_search || '%'
+       OR d.applicant_name ILIKE '%' || p_search || '%'
+       OR d.respondent_name ILIKE '%' || p_search || '%'
+       OR d.property_address ILIKE '%' || p_search || '%'
+       OR d.ai_summary ILIKE '%' || p_search || '%'))
+     OR (p_tsquery IS NOT NULL AND EXISTS (
+          SELECT 1 FROM dispute_documents doc
+          WHERE doc.dispute_id = d.id
+            AND doc.search_tsv @@ to_tsquery('english', p_tsquery)));
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION search_enforcement_orders(p_search TEXT, p_tsquery TEXT DEFAULT NULL)
+RETURNS SETOF enforcement_orders AS $$
+  SELECT e.*
+  FROM enforcement_orders e
+  WHERE (p_search IS NOT NULL AND (
+          e.heading ILIKE '%' || p_search || '%'
+       OR e.court_ref_no ILIKE '%' || p_search || '%'
+       OR e.prtb_no ILIKE '%' || p_search || '%'
+       OR e.applicant_name ILIKE '%' || p_search || '%'
+       OR e.respondent_name ILIKE '%' || p_search || '%'
+       OR e.ai_summary ILIKE '%' || p_search || '%'))
+     OR (p_tsquery IS NOT NULL AND EXISTS (
+          SELECT 1 FROM enforcement_documents doc
+          WHERE doc.enforcement_order_id = e.id
+            AND doc.search_tsv @@ to_tsquery('english', p_tsquery)));
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- SNIPPETS
+-- Highlighted extracts for one page of results. Matches are wrapped in
+-- <mark>…</mark>; the surrounding PDF text is NOT HTML-escaped.
+-- ============================================
+CREATE OR REPLACE FUNCTION dispute_document_snippets(p_tsquery TEXT, p_ids UUID[])
+RETURNS TABLE (id UUID, snippet TEXT, rank REAL) AS $$
+  SELECT DISTINCT ON (doc.dispute_id)
+    doc.dispute_id,
+    ts_headline('english', doc.text, q,
+      'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "'),
+    ts_rank_cd(doc.search_tsv, q)
+  FROM dispute_documents doc, to_tsquery('english', p_tsquery) q
+  WHERE doc.dispute_id = ANY(p_ids)
+    AND doc.search_tsv @@ q
+  ORDER BY doc.dispute_id, ts_rank_cd(doc.search_tsv, q) DESC;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION enforcement_document_snippets(p_tsquery TEXT, p_ids UUID[])
+RETURNS TABLE (id UUID, snippet TEXT, rank REAL) AS $$
+  SELECT DISTINCT ON (doc.enforcement_order_id)
+    doc.enforcement_order_id,
+    ts_headline('english', doc.text, q,
+      'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=10, FragmentDelimiter=" … "'),
+    ts_rank_cd(doc.search_tsv, q)
+  FROM enforcement_documents doc, to_tsquery('english', p_tsquery) q
+  WHERE doc.enforcement_order_id = ANY(p_ids)
+    AND doc.search_tsv @@ q
+  ORDER BY doc.enforcement_order_id, ts_rank_cd(doc.search_tsv, q) DESC;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE enforcement_documents ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for enforcement_documents" ON enforcement_documents;
+CREATE POLICY "Service role access for enforcement_documents" ON enforcement_documents FOR ALL USING (true) WITH CHECK (true);
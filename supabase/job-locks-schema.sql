@@ -0,0 +1,71 @@
+-- Job Locks Schema
+-- Lease-based lock so the cron sync, admin syncs and batch AI never run at once
+-- Run this AFTER schema.sql
+
+-- ============================================
+-- JOB_LOCKS TABLE
+-- ============================================
+-- One row per held lock. A holder keeps its lease alive by heartbeating;
+-- a lease that is not renewed before expires_at can be taken by anyone,
+-- so a crashed or timed-out request never wedges the pipeline.
+CREATE TABLE IF NOT EXISTS job_locks (
+  name TEXT PRIMARY KEY,                   -- e.g. 'sync'
+  holder TEXT NOT NULL,                    -- scrape_jobs.id or batch run id
+  holder_kind TEXT,                        -- disputes-sync, enforcement-sync, ai-batch, ...
+  acquired_at TIMESTAMPTZ DEFAULT NOW(),
+  heartbeat_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- ============================================
+-- FUNCTIONS
+-- ============================================
+
+-- Take the lock if it is free, expired or already ours; returns the lock row either way
+CREATE OR REPLACE FUNCTION acquire_job_lock(p_name TEXT, p_holder TEXT, p_kind TEXT, p_ttl_seconds INTEGER)
+RETURNS job_locks AS $$
+DECLARE
+  lock_row job_locks;
+BEGIN
+  INSERT INTO job_locks (name, holder, holder_kind, acquired_at, heartbeat_at, expires_at)
+  VALUES (p_name, p_holder, p_kind, NOW(), NOW(), NOW() + make_interval(secs => p_ttl_seconds))
+  ON CONFLICT (name) DO UPDATE SET
+    holder = EXCLUDED.holder,
+    holder_kind = EXCLUDED.holder_kind,
+    acquired_at = CASE WHEN job_locks.holder = EXCLUDED.holder THEN job_locks.acquired_at ELSE NOW() END,
+    heartbeat_at = NOW(),
+    expires_at = EXCLUDED.expires_at
+  WHERE job_locks.holder = EXCLUDED.holder OR job_locks.expires_at < NOW();
+
+  SELECT * INTO lock_row FROM job_locks WHERE name = p_name;
+  RETURN lock_row;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Extend our lease; false means it expired and someone else holds it now
+CREATE OR REPLACE FUNCTION heartbeat_job_lock(p_name TEXT, p_holder TEXT, p_ttl_seconds INTEGER)
+RETURNS BOOLEAN AS $$
+BEGIN
+  UPDATE job_locks SET
+    heartbeat_at = NOW(),
+    expires_at = NOW() + make_interval(secs => p_ttl_seconds)
+  WHERE name = p_name AND holder = p_holder;
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Drop the lock, but only if we still hold it
+CREATE OR REPLACE FUNCTION release_job_lock(p_name TEXT, p_holder TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+  DELETE FROM job_locks WHERE name = p_name AND holder = p_holder;
+  RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE job_locks ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for job_locks" ON job_locks;
+CREATE POLICY "Service role access for job_locks" ON job_locks FOR ALL USING (true) WITH CHECK (true);
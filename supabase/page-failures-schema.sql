@@ -0,0 +1,43 @@
+-- Scrape Page Failures Schema
+-- FacetWP pages a sync could not fetch, so they can be re-scraped later
+-- Run this AFTER schema.sql and scrape-jobs-schema.sql
+
+-- ============================================
+-- SCRAPE_PAGE_FAILURES TABLE
+-- ============================================
+-- The listing is newest-first, so a page number drifts as RTB publishes.
+-- total_rows and per_page at the time of failure let us work out which
+-- pages hold the same records now (lib/page-failures.js currentPageRange).
+CREATE TABLE IF NOT EXISTS scrape_page_failures (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  source_type TEXT NOT NULL,               -- "disputes" or "enforcement"
+  page INTEGER NOT NULL,                   -- Page number when it failed
+  total_rows INTEGER,                      -- Listing size when it failed
+  per_page INTEGER,
+  error TEXT,
+  attempts INTEGER DEFAULT 1,              -- Failed fetches of this page (each after the crawler's retries)
+  scrape_job_id UUID REFERENCES scrape_jobs(id) ON DELETE SET NULL,
+  first_failed_at TIMESTAMPTZ DEFAULT NOW(),
+  last_failed_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,                 -- Set once a later sync or gap fill fetched those records
+  resolved_by_job_id UUID REFERENCES scrape_jobs(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrape_page_failures_unresolved
+ON scrape_page_failures (source_type, page)
+WHERE resolved_at IS NULL;
+
+-- ============================================
+-- SCRAPE_JOBS — failed pages and gap-fill jobs
+-- A gap-fill job has mode = 'gaps' and fetches only target_pages
+-- ============================================
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS failed_pages INTEGER DEFAULT 0;  -- Pages this job could not fetch
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS target_pages INTEGER[];          -- Pages a gap-fill job re-fetches
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS fetched_pages INTEGER[];         -- Pages this job fetched, so a failure spanning two pages resolves only once both are
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE scrape_page_failures ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for scrape_page_failures" ON scrape_page_failures;
+CREATE POLICY "Service role access for scrape_page_failures" ON scrape_page_failures FOR ALL USING (true) WITH CHECK (true);
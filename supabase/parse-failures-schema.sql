@@ -0,0 +1,33 @@
+-- Parse Failures Schema
+-- Quarantine for scraped records whose headings could not be parsed
+-- Run this AFTER schema.sql and enforcement-schema.sql
+
+-- ============================================
+-- PARSE_FAILURES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS parse_failures (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  source_type TEXT NOT NULL,               -- "disputes" or "enforcement"
+  reference_no TEXT NOT NULL DEFAULT '',   -- DR number or court ref, '' when missing
+  heading TEXT NOT NULL DEFAULT '',
+  issues JSONB DEFAULT '[]'::jsonb,        -- e.g. ["missing_applicant", "missing_respondent"]
+  parsed JSONB,                            -- Whatever the parser did manage to extract
+  raw_html TEXT,                           -- Original article HTML, for adding to the parser corpus
+  source_page INTEGER,
+  first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  resolved_at TIMESTAMPTZ,                 -- Set once a parser fix lets the record through
+
+  UNIQUE(source_type, reference_no, heading)
+);
+
+CREATE INDEX IF NOT EXISTS idx_parse_failures_unresolved
+ON parse_failures (source_type, last_seen_at DESC)
+WHERE resolved_at IS NULL;
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE parse_failures ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for parse_failures" ON parse_failures;
+CREATE POLICY "Service role access for parse_failures" ON parse_failures FOR ALL USING (true) WITH CHECK (true);
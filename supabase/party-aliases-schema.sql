@@ -0,0 +1,46 @@
+-- Party Aliases Schema
+-- Other names a party is known by — trading names, maiden names, former
+-- company names (lib/party-aliases.js). The scrapers resolve names through
+-- this table before creating a party, and party searches match it.
+-- Run this AFTER schema.sql and party-merges-schema.sql
+
+-- ============================================
+-- PARTY_ALIASES TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS party_aliases (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  party_id UUID NOT NULL REFERENCES parties(id) ON DELETE CASCADE,
+  alias TEXT NOT NULL,                     -- As entered, for display
+  normalized_alias TEXT NOT NULL,          -- normalizeName(alias), matched like parties.normalized_name
+  source TEXT NOT NULL DEFAULT 'manual',   -- "manual", or "merge" (the name of a party merged into this one)
+  note TEXT,                               -- e.g. "trading name", "renamed 2021"
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (normalized_alias)
+);
+
+CREATE INDEX IF NOT EXISTS idx_party_aliases_party ON party_aliases (party_id);
+CREATE INDEX IF NOT EXISTS idx_party_aliases_alias_trgm ON party_aliases USING GIN (alias gin_trgm_ops);
+
+-- ============================================
+-- BACKFILL — names of parties already merged from the admin panel
+-- ============================================
+INSERT INTO party_aliases (party_id, alias, normalized_alias, source)
+SELECT DISTINCT ON (merged.normalized_name)
+  l.party_id, merged.name, merged.normalized_name, 'merge'
+FROM party_merge_log l
+CROSS JOIN LATERAL jsonb_to_recordset(l.snapshot->'parties') AS merged(name TEXT, normalized_name TEXT)
+WHERE l.action = 'merge'
+  AND l.undone_at IS NULL
+  AND EXISTS (SELECT 1 FROM parties p WHERE p.id = l.party_id)
+  AND NOT EXISTS (SELECT 1 FROM parties p WHERE p.normalized_name = merged.normalized_name)
+ORDER BY merged.normalized_name, l.created_at DESC
+ON CONFLICT (normalized_alias) DO NOTHING;
+
+-- ============================================
+-- RLS — public read, like parties
+-- ============================================
+ALTER TABLE party_aliases ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Public read access for party_aliases" ON party_aliases;
+CREATE POLICY "Public read access for party_aliases" ON party_aliases FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Service role access for party_aliases" ON party_aliases;
+CREATE POLICY "Service role access for party_aliases" ON party_aliases FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,33 @@
+-- Party Merge Schema
+-- Log of parties merged and split from the admin panel (lib/party-merge.js),
+-- with a snapshot of every row each change deleted or moved so it can be undone
+-- Run this AFTER schema.sql, enforcement-schema.sql and entity-resolution-schema.sql
+
+-- ============================================
+-- PARTY_MERGE_LOG TABLE
+-- No foreign keys to parties — a merge deletes them, and undo puts them back
+-- ============================================
+CREATE TABLE IF NOT EXISTS party_merge_log (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  action TEXT NOT NULL,                        -- "merge" or "split"
+  party_id UUID NOT NULL,                      -- Merge: the party kept. Split: the party links were taken from
+  party_name TEXT,
+  other_party_ids UUID[] NOT NULL DEFAULT '{}', -- Merge: the parties deleted. Split: the party the links went to
+  other_party_names TEXT[] NOT NULL DEFAULT '{}',
+  snapshot JSONB NOT NULL DEFAULT '{}',        -- { parties, match_candidates, dispute_links, enforcement_links, created_party }
+  note TEXT,                                   -- Why, in the admin's words
+  match_id UUID,                               -- party_match_candidates pair that prompted a merge
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  undone_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_party_merge_log_created ON party_merge_log (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_party_merge_log_party ON party_merge_log (party_id);
+CREATE INDEX IF NOT EXISTS idx_party_merge_log_others ON party_merge_log USING GIN (other_party_ids);
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE party_merge_log ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for party_merge_log" ON party_merge_log;
+CREATE POLICY "Service role access for party_merge_log" ON party_merge_log FOR ALL USING (true) WITH CHECK (true);
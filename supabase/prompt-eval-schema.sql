@@ -0,0 +1,72 @@
+-- Prompt Evaluation Schema
+-- Hand-verified determinations (the gold set) and the runs that score a
+-- prompt version / model against them (lib/prompt-eval.js)
+-- Run this AFTER ai-schema.sql, enforcement-schema.sql and provenance-schema.sql
+
+-- ============================================
+-- ENFORCEMENT_ORDERS — which model and prompt produced the AI values
+-- ============================================
+ALTER TABLE enforcement_orders ADD COLUMN IF NOT EXISTS ai_model_used TEXT;
+ALTER TABLE enforcement_orders ADD COLUMN IF NOT EXISTS ai_prompt_version TEXT;  -- Key in lib/prompts.js, e.g. "enforcement-v1"
+
+-- ============================================
+-- AI_GOLD_SET TABLE
+-- The correct values for a dispute, checked by a person against the PDF
+-- ============================================
+CREATE TABLE IF NOT EXISTS ai_gold_set (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  dispute_id UUID NOT NULL UNIQUE REFERENCES disputes(id) ON DELETE CASCADE,
+  outcome TEXT NOT NULL,
+  dispute_type TEXT,
+  compensation_amount DECIMAL(12, 2),      -- NULL when the award can't be stated as one figure
+  cost_order DECIMAL(12, 2),
+  note TEXT,
+  verified_at TIMESTAMPTZ DEFAULT NOW(),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS ai_gold_set_updated_at ON ai_gold_set;
+CREATE TRIGGER ai_gold_set_updated_at
+  BEFORE UPDATE ON ai_gold_set
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- ============================================
+-- AI_EVAL_RUNS TABLE
+-- One row per evaluation of a prompt version + model against the gold set
+-- ============================================
+CREATE TABLE IF NOT EXISTS ai_eval_runs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  prompt_version TEXT NOT NULL,
+  model TEXT,                              -- "provider:model" as resolved
+  status TEXT NOT NULL DEFAULT 'running',  -- "running", "completed" or "failed"
+  total INTEGER DEFAULT 0,                 -- Gold set entries evaluated
+  completed INTEGER DEFAULT 0,
+  metrics JSONB,                           -- Accuracy for outcome, type and amounts (lib/prompt-eval.js)
+  results JSONB,                           -- Per dispute: expected, actual and which fields matched
+  error TEXT,
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_eval_runs_started ON ai_eval_runs (started_at DESC);
+
+-- ============================================
+-- SETTINGS — pin a prompt version (empty = current in lib/prompts.js)
+-- ============================================
+INSERT INTO admin_settings (key, value, description, is_secret)
+VALUES
+  ('prompt_version_dispute', '', 'Prompt version for dispute analysis, e.g. dispute-v2 (empty = current)', false),
+  ('prompt_version_enforcement', '', 'Prompt version for enforcement order analysis, e.g. enforcement-v1 (empty = current)', false)
+ON CONFLICT (key) DO NOTHING;
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE ai_gold_set ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for ai_gold_set" ON ai_gold_set;
+CREATE POLICY "Service role access for ai_gold_set" ON ai_gold_set FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE ai_eval_runs ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for ai_eval_runs" ON ai_eval_runs;
+CREATE POLICY "Service role access for ai_eval_runs" ON ai_eval_runs FOR ALL USING (true) WITH CHECK (true);
@@ -0,0 +1,9 @@
+-- AI Provenance Schema
+-- Where each AI-derived dispute value came from (lib/provenance.js)
+-- Run this AFTER ai-schema.sql and dispute-documents-schema.sql
+
+-- { "<field>": { value, quote, page, quote_verified, confidence, model, prompt_version } }
+-- for compensation_amount, cost_order, outcome, property_address and dispute_type
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS ai_provenance JSONB;
+-- Prompt version of the LLM result, or the parser version ("rules-v1") for rule-based results
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS ai_prompt_version TEXT;
@@ -0,0 +1,59 @@
+-- AI Reprocessing Schema
+-- Jobs that rerun the AI analysis on the disputes or enforcement orders
+-- matching a filter, and the records each one covered (lib/reprocess.js)
+-- Run this AFTER ai-schema.sql, enforcement-schema.sql and prompt-eval-schema.sql
+
+-- ============================================
+-- AI_REPROCESS_JOBS TABLE
+-- ============================================
+CREATE TABLE IF NOT EXISTS ai_reprocess_jobs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  target TEXT NOT NULL,                    -- "disputes" or "enforcement"
+  filter JSONB NOT NULL DEFAULT '{}',      -- Criteria the records were chosen by (normaliseFilter())
+  note TEXT,                               -- Why the job was run
+  status TEXT NOT NULL DEFAULT 'queued',   -- "queued", "running", "completed", "failed" or "cancelled"
+  total INTEGER DEFAULT 0,                 -- Records matched when the job was created
+  processed INTEGER DEFAULT 0,
+  failed INTEGER DEFAULT 0,
+  changed INTEGER DEFAULT 0,               -- Reruns whose outcome or amount differs from before
+  last_error TEXT,
+  slice_count INTEGER DEFAULT 0,           -- Slices claimed so far; guards against duplicate slices
+  checkpoint_at TIMESTAMPTZ,               -- Last progress; stale while running = chain lost
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_reprocess_jobs_created ON ai_reprocess_jobs (created_at DESC);
+
+-- ============================================
+-- AI_REPROCESS_ITEMS TABLE
+-- The records a job matched, snapshotted when it was created
+-- ============================================
+CREATE TABLE IF NOT EXISTS ai_reprocess_items (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  job_id UUID NOT NULL REFERENCES ai_reprocess_jobs(id) ON DELETE CASCADE,
+  record_id UUID NOT NULL,                 -- disputes.id or enforcement_orders.id, per the job's target
+  reference TEXT,                          -- DR number or court reference
+  position INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',  -- "pending", "done" or "failed"
+  before JSONB,                            -- { outcome, compensation_amount, cost_order, dispute_type, model_used, prompt_version, error }
+  after JSONB,                             -- Same keys, from the rerun
+  changed BOOLEAN,
+  error TEXT,                              -- Why the rerun failed; the record kept its previous analysis
+  processed_at TIMESTAMPTZ,
+  UNIQUE (job_id, record_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_reprocess_items_pending ON ai_reprocess_items (job_id, status, position);
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE ai_reprocess_jobs ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for ai_reprocess_jobs" ON ai_reprocess_jobs;
+CREATE POLICY "Service role access for ai_reprocess_jobs" ON ai_reprocess_jobs FOR ALL USING (true) WITH CHECK (true);
+
+ALTER TABLE ai_reprocess_items ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for ai_reprocess_items" ON ai_reprocess_items;
+CREATE POLICY "Service role access for ai_reprocess_items" ON ai_reprocess_items FOR ALL USING (true) WITH CHECK (true);
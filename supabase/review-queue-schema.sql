@@ -0,0 +1,85 @@
+-- AI Review Queue Schema
+-- Disputes whose AI extraction was uncertain or where two models disagreed,
+-- waiting for a person to check them against the PDF (lib/review-queue.js)
+-- Run this AFTER ai-schema.sql, dispute-documents-schema.sql and provenance-schema.sql
+
+-- ============================================
+-- AI_REVIEW_QUEUE TABLE
+-- One row per dispute; re-queued disputes reuse it
+-- ============================================
+CREATE TABLE IF NOT EXISTS ai_review_queue (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  dispute_id UUID NOT NULL UNIQUE REFERENCES disputes(id) ON DELETE CASCADE,
+  reason TEXT NOT NULL,                    -- "low_confidence", "amount_mismatch" or "review_mismatch"
+  details TEXT,
+  primary_model TEXT,
+  primary_result JSONB,                    -- What the first model returned
+  review_model TEXT,
+  review_result JSONB,                     -- The second opinion, for review_mismatch
+  status TEXT NOT NULL DEFAULT 'pending',  -- "pending", "accepted" (stored values confirmed) or "corrected"
+  resolution JSONB,                        -- { field: { from, to } } for the values a reviewer changed
+  note TEXT,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_review_queue_status ON ai_review_queue (status, created_at);
+
+DROP TRIGGER IF EXISTS ai_review_queue_updated_at ON ai_review_queue;
+CREATE TRIGGER ai_review_queue_updated_at
+  BEFORE UPDATE ON ai_review_queue
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at();
+
+-- ============================================
+-- DISPUTES — reviewed values are locked
+-- ============================================
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS ai_reviewed_at TIMESTAMPTZ;  -- Set when a reviewer accepts or corrects the AI values
+
+-- Reprocessing scripts overwrite the ai_* columns wholesale. Once a dispute is
+-- reviewed they are kept as the reviewer left them, unless the same update
+-- changes ai_reviewed_at (a new review, or clearing it to reopen).
+CREATE OR REPLACE FUNCTION protect_reviewed_ai_fields()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF OLD.ai_reviewed_at IS NOT NULL AND NEW.ai_reviewed_at IS NOT DISTINCT FROM OLD.ai_reviewed_at THEN
+    NEW.ai_summary := OLD.ai_summary;
+    NEW.ai_outcome := OLD.ai_outcome;
+    NEW.ai_compensation_amount := OLD.ai_compensation_amount;
+    NEW.ai_cost_order := OLD.ai_cost_order;
+    NEW.ai_property_address := OLD.ai_property_address;
+    NEW.ai_dispute_type := OLD.ai_dispute_type;
+    NEW.ai_award_items := OLD.ai_award_items;
+    NEW.ai_amount_quote := OLD.ai_amount_quote;
+    NEW.ai_model_used := OLD.ai_model_used;
+    NEW.ai_prompt_version := OLD.ai_prompt_version;
+    NEW.ai_provenance := OLD.ai_provenance;
+    NEW.ai_processed_at := OLD.ai_processed_at;
+    NEW.ai_error := OLD.ai_error;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS disputes_protect_reviewed_ai ON disputes;
+CREATE TRIGGER disputes_protect_reviewed_ai
+  BEFORE UPDATE ON disputes
+  FOR EACH ROW EXECUTE FUNCTION protect_reviewed_ai_fields();
+
+-- ============================================
+-- BACKFILL — "Refer to Order" disputes analysed before the queue existed
+-- ============================================
+INSERT INTO ai_review_queue (dispute_id, reason, details, primary_model)
+SELECT id, 'low_confidence', 'Amount withheld as "Refer to Order" before the review queue existed', ai_model_used
+FROM disputes
+WHERE ai_processed_at IS NOT NULL
+  AND ai_error IS NULL
+  AND ai_compensation_amount IS NULL
+ON CONFLICT (dispute_id) DO NOTHING;
+
+-- ============================================
+-- RLS — service role only
+-- ============================================
+ALTER TABLE ai_review_queue ENABLE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS "Service role access for ai_review_queue" ON ai_review_queue;
+CREATE POLICY "Service role access for ai_review_queue" ON ai_review_queue FOR ALL USING (true) WITH CHECK (true);
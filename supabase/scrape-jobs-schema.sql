@@ -0,0 +1,38 @@
+-- Scrape Jobs Extensions
+-- Extra tracking columns for scrape_jobs
+-- Run this AFTER schema.sql and enforcement-schema.sql
+
+-- ============================================
+-- INCREMENTAL MODE
+-- Incremental syncs walk newest-first and stop at the first fully-known page
+-- ============================================
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS mode TEXT DEFAULT 'full';   -- "full" or "incremental"
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS high_water_dr_no TEXT;      -- Newest DR number listed when the job ran
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS high_water_date DATE;       -- Newest dispute date seen by the job
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS stopped_at_page INTEGER;    -- Page where an incremental walk reached known records
+
+INSERT INTO admin_settings (key, value, description, is_secret)
+VALUES
+  ('incremental_overlap_pages', '1', 'Fully-known pages an incremental sync walks before stopping', false)
+ON CONFLICT (key) DO NOTHING;
+
+-- ============================================
+-- CHECKPOINTED JOBS
+-- Jobs run in self-chaining slices; status is one of
+-- queued, running, paused, failed, completed, cancelled
+-- ============================================
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS cursor JSONB;                 -- { page, last_ref, nonce, nonce_fetched_at } after the last finished page
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS checkpoint_at TIMESTAMPTZ;    -- When the cursor last moved; stale while running = chain lost
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS slice_count INTEGER DEFAULT 0; -- Slices claimed so far; guards against duplicate slices
+
+CREATE INDEX IF NOT EXISTS idx_scrape_jobs_active
+ON scrape_jobs (source_type, status)
+WHERE status IN ('queued', 'running', 'paused');
+
+-- ============================================
+-- CRAWL METRICS
+-- Running totals from lib/polite-crawler.js, carried across slices:
+-- { requests, retries, rate_limited, server_errors, network_errors, forbidden,
+--   nonce_refreshes, failed_requests, backoff_ms, throttle_ms, interval_ms }
+-- ============================================
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS crawl_metrics JSONB;
@@ -0,0 +1,24 @@
+-- Source Reconciliation Schema
+-- Flags disputes whose DR number is no longer listed on rtb.ie
+-- Run this AFTER schema.sql and scrape-jobs-schema.sql
+
+-- ============================================
+-- DISPUTES — listing presence
+-- ============================================
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS last_seen_in_source_at TIMESTAMPTZ;  -- Last sync that found the DR number in the listing
+ALTER TABLE disputes ADD COLUMN IF NOT EXISTS removed_from_source_at TIMESTAMPTZ;  -- Set when a full sync no longer lists it; cleared if it reappears
+
+CREATE INDEX IF NOT EXISTS idx_disputes_removed_from_source
+ON disputes (removed_from_source_at DESC)
+WHERE removed_from_source_at IS NOT NULL;
+
+-- ============================================
+-- SCRAPE_JOBS — reconciliation result
+-- ============================================
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS removed_records INTEGER;        -- Disputes flagged as removed by this job
+ALTER TABLE scrape_jobs ADD COLUMN IF NOT EXISTS reconcile_message TEXT;         -- Why reconciliation was skipped, if it was
+
+INSERT INTO admin_settings (key, value, description, is_secret)
+VALUES
+  ('removal_max_per_run', '50', 'Most disputes a single full sync may flag as removed before reconciliation is skipped as suspect', false)
+ON CONFLICT (key) DO NOTHING;